@@ -142,6 +142,17 @@ module.exports = {
       rules: {
         'no-magic-numbers': 'off' // Allow magic numbers in config
       }
+    },
+    {
+      files: ['src/public/**/*.js'],
+      env: {
+        browser: true,
+        node: false
+      },
+      rules: {
+        'no-magic-numbers': 'off', // Allow magic numbers in browser pages
+        'node/no-unsupported-features/node-builtins': 'off'
+      }
     }
   ]
 };
\ No newline at end of file
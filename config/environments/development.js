@@ -36,20 +36,44 @@ module.exports = {
   },
 
   ai: {
+    provider: process.env.AI_PROVIDER || 'openai', // openai | azure | openai-compatible
+    // Matches scoring below this never reach the prompt; businesses can override it
+    minSimilarity: parseFloat(process.env.AI_MIN_SIMILARITY) || 0,
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
-      model: 'gpt-3.5-turbo',
+      baseURL: process.env.OPENAI_BASE_URL, // e.g. http://localhost:11434/v1 for a local server
+      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
       maxTokens: 150,
       temperature: 0.7,
+      timeoutMs: 30000,
+    },
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
     },
   },
 
   vector: {
+    store: process.env.VECTOR_STORE || 'pinecone', // pinecone | pgvector | memory
+    dimension: 1536,
+    embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    reindex: {
+      batchSize: parseInt(process.env.REINDEX_BATCH_SIZE, 10) || 50,
+      stateCacheTtlMs: 60000, // How long an instance may keep querying the old namespace after a swap
+      retireDelayMs: parseInt(process.env.REINDEX_RETIRE_DELAY_MS, 10) || 300000, // Keep the old namespace this long after a swap
+      staleAfterMs: 600000, // A build with no progress for this long is treated as interrupted
+    },
     pinecone: {
       apiKey: process.env.PINECONE_API_KEY,
       environment: process.env.PINECONE_ENVIRONMENT,
       indexName: process.env.PINECONE_INDEX_NAME,
     },
+    pgvector: {
+      tableName: 'knowledge_vectors',
+      matchFunction: 'match_knowledge_vectors',
+    },
   },
 
   database: {
@@ -59,6 +83,10 @@ module.exports = {
       retryAttempts: 3,
       retryDelay: 1000,
     },
+    postgres: {
+      url: process.env.DATABASE_URL, // Direct Postgres connection, used to run migrations
+      migrateOnBoot: process.env.MIGRATE_ON_BOOT === 'true',
+    },
   },
 
   messaging: {
@@ -67,12 +95,79 @@ module.exports = {
       authToken: process.env.TWILIO_AUTH_TOKEN,
       whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER,
     },
+    streaming: {
+      enabled: process.env.STREAMING_RESPONSES === 'true', // false keeps single-message replies
+      minChunkLength: 80, // Don't send sentences shorter than this on their own
+      maxChunkLength: 1600, // Twilio WhatsApp message body limit
+      chunkDelayMs: parseInt(process.env.STREAMING_CHUNK_DELAY_MS, 10) || 250, // Helps WhatsApp keep order
+    },
+  },
+
+  media: {
+    maxFileSizeBytes: parseInt(process.env.MEDIA_MAX_FILE_SIZE_BYTES, 10) || 10 * 1024 * 1024, // 10MB
+    allowedTypes: ['.pdf', '.txt', '.docx', '.jpg', '.jpeg', '.png', '.csv', '.json'],
+    downloadTimeoutMs: 30000,
+    storeOriginalFiles: process.env.MEDIA_STORE_ORIGINAL_FILES === 'true', // Keep uploads in knowledge_files
+  },
+  conversation: {
+    maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6,
+    ttlMs: parseInt(process.env.CONVERSATION_TTL_MS, 10) || 30 * 60 * 1000, // 30 minutes
+  },
+
+  handoff: {
+    // Open tickets with no owner reply for this long expire and the assistant answers again
+    openTtlMs: parseInt(process.env.HANDOFF_OPEN_TTL_MS, 10) || 24 * 60 * 60 * 1000, // 24 hours
+    // Resolved and expired tickets are kept this long before they are deleted
+    resolvedTtlMs: parseInt(process.env.HANDOFF_RESOLVED_TTL_MS, 10) || 24 * 60 * 60 * 1000, // 24 hours
+  },
+
+  unanswered: {
+    lowConfidence: parseFloat(process.env.UNANSWERED_LOW_CONFIDENCE) || 0.5, // Answers below this go to the inbox
+    customerHashSalt: process.env.UNANSWERED_HASH_SALT || 'development-salt',
+    listLimit: 10,
+  },
+
+  faqImport: {
+    maxRows: parseInt(process.env.FAQ_IMPORT_MAX_ROWS, 10) || 500, // Question/answer pairs per CSV or JSON file
+  },
+
+  apiKeys: {
+    cacheTtlMs: parseInt(process.env.API_KEY_CACHE_TTL_MS, 10) || 60000, // How long a verified key is trusted before re-reading it from the database
+    lastUsedIntervalMs: parseInt(process.env.API_KEY_LAST_USED_INTERVAL_MS, 10) || 60000, // Minimum time between last_used_at writes per key
+  },
+
+  dashboard: {
+    codeTtlMs: parseInt(process.env.DASHBOARD_CODE_TTL_MS, 10) || 5 * 60 * 1000, // How long a WhatsApp login code stays valid
+    maxCodeAttempts: 5, // Wrong guesses before a code is thrown away
+    resendIntervalMs: 60000, // Minimum time between codes for one phone
+    sessionTtlMs: parseInt(process.env.DASHBOARD_SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000, // Lifetime of the API key a login issues
   },
 
   backup: {
     enabled: process.env.BACKUP_ENABLED === 'true',
     retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS) || 30,
-    intervalHours: parseInt(process.env.BACKUP_INTERVAL_HOURS) || 24,
-    schedule: process.env.BACKUP_SCHEDULE || '0 2 * * *',
+    schedule: process.env.BACKUP_SCHEDULE || '0 2 * * *', // Full backups (cron, server local time)
+    incrementalSchedule: process.env.BACKUP_INCREMENTAL_SCHEDULE || null, // e.g. '0 */6 * * *'; unset for none
+    includeEmbeddings: process.env.BACKUP_INCLUDE_EMBEDDINGS === 'true', // Larger backups, but restores don't need to call the embeddings API
+    storage: {
+      target: process.env.BACKUP_STORAGE || 'local', // local | s3
+      local: {
+        directory: process.env.BACKUP_DIR || 'backups', // Relative to the project root
+      },
+      s3: {
+        endpoint: process.env.BACKUP_S3_ENDPOINT, // Leave unset for AWS; e.g. http://localhost:9000 for MinIO
+        region: process.env.BACKUP_S3_REGION || 'us-east-1',
+        bucket: process.env.BACKUP_S3_BUCKET,
+        prefix: process.env.BACKUP_S3_PREFIX || '',
+        accessKeyId: process.env.BACKUP_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.BACKUP_S3_SECRET_ACCESS_KEY,
+        timeoutMs: parseInt(process.env.BACKUP_S3_TIMEOUT_MS, 10) || 60 * 1000, // Fail a request after this long with no data
+      },
+    },
+  },
+
+  scheduler: {
+    instanceId: process.env.INSTANCE_ID, // Defaults to hostname-pid
+    lockLeaseMs: parseInt(process.env.SCHEDULER_LOCK_LEASE_MS, 10) || 600000, // Renewed while a job runs; another instance may take over after this
   },
 };
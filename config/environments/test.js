@@ -36,20 +36,44 @@ module.exports = {
   },
 
   ai: {
+    provider: process.env.AI_PROVIDER || 'openai', // openai | azure | openai-compatible
+    // Matches scoring below this never reach the prompt; businesses can override it
+    minSimilarity: parseFloat(process.env.AI_MIN_SIMILARITY) || 0,
     openai: {
       apiKey: 'test-openai-key',
-      model: 'gpt-3.5-turbo',
+      baseURL: process.env.OPENAI_BASE_URL, // e.g. http://localhost:11434/v1 for a local server
+      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
       maxTokens: 50,
       temperature: 0.1,
+      timeoutMs: 5000,
+    },
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
     },
   },
 
   vector: {
+    store: process.env.VECTOR_STORE || 'memory', // pinecone | pgvector | memory
+    dimension: 1536,
+    embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    reindex: {
+      batchSize: 50,
+      stateCacheTtlMs: 0,
+      retireDelayMs: 0,
+      staleAfterMs: 600000,
+    },
     pinecone: {
       apiKey: 'test-pinecone-key',
       environment: 'test-env',
       indexName: 'test-index',
     },
+    pgvector: {
+      tableName: 'knowledge_vectors',
+      matchFunction: 'match_knowledge_vectors',
+    },
   },
 
   database: {
@@ -59,6 +83,10 @@ module.exports = {
       retryAttempts: 1,
       retryDelay: 100,
     },
+    postgres: {
+      url: null,
+      migrateOnBoot: false,
+    },
   },
 
   messaging: {
@@ -67,12 +95,68 @@ module.exports = {
       authToken: 'test-twilio-token',
       whatsappNumber: 'whatsapp:+14155238886',
     },
+    streaming: {
+      enabled: false,
+      minChunkLength: 40,
+      maxChunkLength: 1600,
+      chunkDelayMs: 0,
+    },
+  },
+
+  media: {
+    maxFileSizeBytes: 1024 * 1024,
+    allowedTypes: ['.pdf', '.txt', '.docx', '.jpg', '.jpeg', '.png', '.csv', '.json'],
+    downloadTimeoutMs: 2000,
+    storeOriginalFiles: false,
+  },
+  conversation: {
+    maxTurns: 4,
+    ttlMs: 60 * 1000,
+  },
+
+  handoff: {
+    openTtlMs: 60 * 1000,
+    resolvedTtlMs: 60 * 1000,
+  },
+
+  unanswered: {
+    lowConfidence: 0.5,
+    customerHashSalt: 'test-salt',
+    listLimit: 10,
+  },
+
+  faqImport: {
+    maxRows: 500, // Question/answer pairs per CSV or JSON file
+  },
+
+  apiKeys: {
+    cacheTtlMs: 0, // How long a verified key is trusted before re-reading it from the database
+    lastUsedIntervalMs: 60000, // Minimum time between last_used_at writes per key
+  },
+
+  dashboard: {
+    codeTtlMs: 5 * 60 * 1000, // How long a WhatsApp login code stays valid
+    maxCodeAttempts: 5, // Wrong guesses before a code is thrown away
+    resendIntervalMs: 60000, // Minimum time between codes for one phone
+    sessionTtlMs: 12 * 60 * 60 * 1000, // Lifetime of the API key a login issues
   },
 
   backup: {
     enabled: false, // Disable backups during testing
     retentionDays: 1,
-    intervalHours: 1,
     schedule: '* * * * *',
+    incrementalSchedule: null,
+    includeEmbeddings: false,
+    storage: {
+      target: 'local',
+      local: {
+        directory: 'backups/test',
+      },
+    },
+  },
+
+  scheduler: {
+    instanceId: 'test-instance',
+    lockLeaseMs: 60000,
   },
 };
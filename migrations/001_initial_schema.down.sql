@@ -0,0 +1,7 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Removes every business and all of its knowledge
+DROP TABLE IF EXISTS knowledge_entries;
+DROP TABLE IF EXISTS businesses;
+DROP FUNCTION IF EXISTS update_updated_at_column();
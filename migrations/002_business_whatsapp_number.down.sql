@@ -0,0 +1,5 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP INDEX IF EXISTS idx_businesses_whatsapp_number;
+ALTER TABLE businesses DROP COLUMN IF EXISTS whatsapp_number;
@@ -0,0 +1,10 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Persist the Twilio WhatsApp number each business answers on, so webhook
+-- routing survives restarts and is shared by every instance
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS whatsapp_number VARCHAR(30);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_businesses_whatsapp_number
+    ON businesses(whatsapp_number)
+    WHERE whatsapp_number IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- The vector extension is left installed; other schemas may use it
+DROP FUNCTION IF EXISTS match_knowledge_vectors(vector, INTEGER, JSONB);
+DROP TABLE IF EXISTS knowledge_vectors;
@@ -0,0 +1,52 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Store knowledge embeddings in Postgres (VECTOR_STORE=pgvector) so small
+-- deployments can run without Pinecone
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS knowledge_vectors (
+    id TEXT PRIMARY KEY,
+    business_id VARCHAR(100) NOT NULL,
+    knowledge_id VARCHAR(100),
+    filename VARCHAR(500),
+    chunk_index INTEGER DEFAULT 0,
+    content TEXT,
+    metadata JSONB DEFAULT '{}',
+    embedding vector(1536) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_vectors_business_id ON knowledge_vectors(business_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_vectors_knowledge_id ON knowledge_vectors(knowledge_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_vectors_metadata ON knowledge_vectors USING GIN (metadata);
+CREATE INDEX IF NOT EXISTS idx_knowledge_vectors_embedding
+    ON knowledge_vectors USING hnsw (embedding vector_cosine_ops);
+
+ALTER TABLE knowledge_vectors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY knowledge_vectors_isolation ON knowledge_vectors
+    FOR ALL USING (true); -- For now, allow all access via service key
+
+-- Cosine similarity search restricted by a metadata filter, e.g. {"businessId": "pizza_1234"}
+CREATE OR REPLACE FUNCTION match_knowledge_vectors(
+    query_embedding vector(1536),
+    match_count INTEGER DEFAULT 5,
+    filter JSONB DEFAULT '{}'
+)
+RETURNS TABLE (
+    id TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        kv.id,
+        kv.metadata,
+        1 - (kv.embedding <=> query_embedding) AS similarity
+    FROM knowledge_vectors kv
+    WHERE kv.metadata @> filter
+    ORDER BY kv.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
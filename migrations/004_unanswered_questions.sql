@@ -0,0 +1,28 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Customer questions the assistant couldn't answer well, so owners can
+-- review the recurring ones (!unanswered) and answer them (!answer)
+CREATE TABLE IF NOT EXISTS unanswered_questions (
+    id BIGSERIAL PRIMARY KEY,
+    business_id VARCHAR(100) NOT NULL REFERENCES businesses(business_id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    normalized_question TEXT NOT NULL,
+    customer_hash VARCHAR(64) NOT NULL, -- Salted hash, never the phone number itself
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('fallback', 'unanswered', 'low_confidence')),
+    confidence FLOAT,
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'answered')),
+    knowledge_id VARCHAR(100),
+    asked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    answered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_unanswered_business_status
+    ON unanswered_questions(business_id, status, asked_at DESC);
+CREATE INDEX IF NOT EXISTS idx_unanswered_normalized
+    ON unanswered_questions(business_id, normalized_question);
+
+ALTER TABLE unanswered_questions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY unanswered_questions_isolation ON unanswered_questions
+    FOR ALL USING (true); -- For now, allow all access via service key
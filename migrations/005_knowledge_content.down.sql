@@ -0,0 +1,7 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Stored content and original files are lost; the vector store still holds the chunks
+DROP TABLE IF EXISTS knowledge_files;
+DROP INDEX IF EXISTS idx_knowledge_missing_content;
+ALTER TABLE knowledge_entries DROP COLUMN IF EXISTS content;
@@ -0,0 +1,31 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Keep the full text of every knowledge entry in the database so backups are
+-- complete and the vector store can be rebuilt from scratch. Entries created
+-- before this migration have NULL content until backfilled from the vector
+-- store (POST /api/admin/knowledge/backfill-content).
+ALTER TABLE knowledge_entries ADD COLUMN IF NOT EXISTS content TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_missing_content
+    ON knowledge_entries(created_at)
+    WHERE content IS NULL;
+
+-- Original uploaded files, stored only when MEDIA_STORE_ORIGINAL_FILES=true.
+-- Kept out of knowledge_entries so listing queries stay small.
+CREATE TABLE IF NOT EXISTS knowledge_files (
+    knowledge_id VARCHAR(100) PRIMARY KEY REFERENCES knowledge_entries(knowledge_id) ON DELETE CASCADE,
+    business_id VARCHAR(100) NOT NULL,
+    filename VARCHAR(500),
+    content_type VARCHAR(100),
+    size_bytes INTEGER NOT NULL,
+    data_base64 TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_files_business_id ON knowledge_files(business_id);
+
+ALTER TABLE knowledge_files ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY knowledge_files_isolation ON knowledge_files
+    FOR ALL USING (true); -- For now, allow all access via service key
@@ -0,0 +1,37 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP TABLE IF EXISTS vector_index_state;
+
+-- Only the default namespace survives; unfinished re-index builds are discarded
+DELETE FROM knowledge_vectors WHERE namespace <> '';
+
+DROP FUNCTION IF EXISTS match_knowledge_vectors(vector, INTEGER, JSONB, VARCHAR);
+DROP INDEX IF EXISTS idx_knowledge_vectors_namespace_business;
+
+ALTER TABLE knowledge_vectors DROP CONSTRAINT IF EXISTS knowledge_vectors_pkey;
+ALTER TABLE knowledge_vectors DROP COLUMN IF EXISTS namespace;
+ALTER TABLE knowledge_vectors ADD PRIMARY KEY (id);
+
+-- The 3-argument version from 003_knowledge_vectors.sql
+CREATE OR REPLACE FUNCTION match_knowledge_vectors(
+    query_embedding vector(1536),
+    match_count INTEGER DEFAULT 5,
+    filter JSONB DEFAULT '{}'
+)
+RETURNS TABLE (
+    id TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        kv.id,
+        kv.metadata,
+        1 - (kv.embedding <=> query_embedding) AS similarity
+    FROM knowledge_vectors kv
+    WHERE kv.metadata @> filter
+    ORDER BY kv.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
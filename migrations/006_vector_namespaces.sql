@@ -0,0 +1,65 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Re-indexing builds a business's vectors in a fresh namespace next to the
+-- live one and switches over once it is complete. Existing vectors stay in
+-- the default namespace ('').
+ALTER TABLE knowledge_vectors ADD COLUMN IF NOT EXISTS namespace VARCHAR(200) NOT NULL DEFAULT '';
+
+-- The same chunk ID exists once per namespace while a re-index is running
+ALTER TABLE knowledge_vectors DROP CONSTRAINT IF EXISTS knowledge_vectors_pkey;
+ALTER TABLE knowledge_vectors ADD PRIMARY KEY (namespace, id);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_vectors_namespace_business
+    ON knowledge_vectors(namespace, business_id);
+
+-- Replaces the 3-argument version from 003_knowledge_vectors.sql
+DROP FUNCTION IF EXISTS match_knowledge_vectors(vector, INTEGER, JSONB);
+
+CREATE OR REPLACE FUNCTION match_knowledge_vectors(
+    query_embedding vector(1536),
+    match_count INTEGER DEFAULT 5,
+    filter JSONB DEFAULT '{}',
+    match_namespace VARCHAR DEFAULT ''
+)
+RETURNS TABLE (
+    id TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        kv.id,
+        kv.metadata,
+        1 - (kv.embedding <=> query_embedding) AS similarity
+    FROM knowledge_vectors kv
+    WHERE kv.namespace = match_namespace
+      AND kv.metadata @> filter
+    ORDER BY kv.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
+-- Which namespace each business is served from, and the progress of any
+-- re-index so an interrupted run can resume where it stopped
+CREATE TABLE IF NOT EXISTS vector_index_state (
+    business_id VARCHAR(100) PRIMARY KEY REFERENCES businesses(business_id) ON DELETE CASCADE,
+    active_namespace VARCHAR(200) NOT NULL DEFAULT '',
+    building_namespace VARCHAR(200),
+    previous_namespace VARCHAR(200),
+    status VARCHAR(20) DEFAULT 'idle' CHECK (status IN ('idle', 'building', 'completed', 'failed')),
+    last_row_id BIGINT DEFAULT 0, -- knowledge_entries.id of the last re-indexed entry
+    processed INTEGER DEFAULT 0,
+    total INTEGER DEFAULT 0,
+    failed_knowledge_ids JSONB DEFAULT '[]',
+    embedding_model VARCHAR(100),
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE vector_index_state ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY vector_index_state_isolation ON vector_index_state
+    FOR ALL USING (true); -- For now, allow all access via service key
@@ -0,0 +1,5 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP FUNCTION IF EXISTS claim_scheduled_job(VARCHAR, VARCHAR, TIMESTAMP WITH TIME ZONE, INTEGER);
+DROP TABLE IF EXISTS scheduled_jobs;
@@ -0,0 +1,59 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- One row per scheduled job (backups, ...). When several instances are
+-- deployed they all wake up for each scheduled run; the first to claim it
+-- runs the job and the others skip it.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    job_name VARCHAR(100) PRIMARY KEY,
+    owner VARCHAR(200), -- Instance holding the lease
+    last_scheduled_for TIMESTAMP WITH TIME ZONE, -- Scheduled time of the latest claimed run
+    locked_until TIMESTAMP WITH TIME ZONE, -- Lease; NULL once the run has finished
+    last_started_at TIMESTAMP WITH TIME ZONE,
+    last_finished_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20) CHECK (last_status IN ('running', 'succeeded', 'failed')),
+    last_error TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Claim the run scheduled for `p_scheduled_for`. Fails if that run (or a later
+-- one) was already claimed, or if another instance still holds the lease for
+-- an earlier run that is taking longer than its interval.
+CREATE OR REPLACE FUNCTION claim_scheduled_job(
+    p_job_name VARCHAR,
+    p_owner VARCHAR,
+    p_scheduled_for TIMESTAMP WITH TIME ZONE,
+    p_lease_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    claimed_name VARCHAR;
+BEGIN
+    INSERT INTO scheduled_jobs (
+        job_name, owner, last_scheduled_for, locked_until, last_started_at, last_status, last_error, updated_at
+    )
+    VALUES (
+        p_job_name, p_owner, p_scheduled_for, NOW() + make_interval(secs => p_lease_seconds), NOW(), 'running', NULL, NOW()
+    )
+    ON CONFLICT (job_name) DO UPDATE SET
+        owner = EXCLUDED.owner,
+        last_scheduled_for = EXCLUDED.last_scheduled_for,
+        locked_until = EXCLUDED.locked_until,
+        last_started_at = EXCLUDED.last_started_at,
+        last_status = 'running',
+        last_error = NULL,
+        updated_at = NOW()
+    WHERE (scheduled_jobs.last_scheduled_for IS NULL OR scheduled_jobs.last_scheduled_for < EXCLUDED.last_scheduled_for)
+      AND (scheduled_jobs.locked_until IS NULL OR scheduled_jobs.locked_until < NOW())
+    RETURNING job_name INTO claimed_name;
+
+    RETURN claimed_name IS NOT NULL;
+END;
+$$;
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY scheduled_jobs_isolation ON scheduled_jobs
+    FOR ALL USING (true); -- For now, allow all access via service key
@@ -0,0 +1,4 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP TABLE IF EXISTS api_keys;
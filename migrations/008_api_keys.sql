@@ -0,0 +1,28 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- REST API keys. Only a SHA-256 hash of each key's secret is stored; the key
+-- itself is shown once, when it is issued.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id BIGSERIAL PRIMARY KEY,
+    key_id VARCHAR(32) UNIQUE NOT NULL, -- Public part of the key, used to look it up
+    key_hash VARCHAR(64) NOT NULL, -- SHA-256 of the secret part, hex
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('platform_admin', 'business_owner', 'read_only')),
+    business_id VARCHAR(100) REFERENCES businesses(business_id) ON DELETE CASCADE, -- NULL: platform-wide
+    created_by VARCHAR(32), -- key_id of the key that issued it, NULL from the CLI
+    rotated_from VARCHAR(32), -- key_id this key replaced
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (role <> 'business_owner' OR business_id IS NOT NULL),
+    CHECK (role <> 'platform_admin' OR business_id IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_business_id ON api_keys(business_id);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY api_keys_isolation ON api_keys
+    FOR ALL USING (true); -- For now, allow all access via service key
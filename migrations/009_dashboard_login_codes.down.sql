@@ -0,0 +1,6 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP FUNCTION IF EXISTS record_dashboard_login_failure(VARCHAR, INTEGER);
+DROP FUNCTION IF EXISTS claim_dashboard_login_request(VARCHAR, INTEGER);
+DROP TABLE IF EXISTS dashboard_login_codes;
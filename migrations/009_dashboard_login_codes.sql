@@ -0,0 +1,69 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Pending dashboard login codes, one row per owner phone, shared by every
+-- instance so a code sent by one can be verified by another. Only a SHA-256
+-- hash of each code is stored. The row also throttles how often a phone can
+-- ask for a code, whether or not it owns a business.
+CREATE TABLE IF NOT EXISTS dashboard_login_codes (
+    owner_phone VARCHAR(20) PRIMARY KEY,
+    business_id VARCHAR(100) REFERENCES businesses(business_id) ON DELETE CASCADE,
+    code_hash VARCHAR(64), -- NULL once the code is used, thrown away or not sent
+    expires_at TIMESTAMP WITH TIME ZONE,
+    attempts INTEGER NOT NULL DEFAULT 0, -- Wrong guesses at the current code
+    requested_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_login_codes_requested_at ON dashboard_login_codes(requested_at);
+
+-- Record a request for a code, unless the phone asked less than
+-- `p_resend_seconds` ago. Returns whether the request may go ahead.
+CREATE OR REPLACE FUNCTION claim_dashboard_login_request(
+    p_owner_phone VARCHAR,
+    p_resend_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    claimed_phone VARCHAR;
+BEGIN
+    INSERT INTO dashboard_login_codes (owner_phone, requested_at)
+    VALUES (p_owner_phone, NOW())
+    ON CONFLICT (owner_phone) DO UPDATE SET
+        requested_at = NOW()
+    WHERE dashboard_login_codes.requested_at < NOW() - make_interval(secs => p_resend_seconds)
+    RETURNING owner_phone INTO claimed_phone;
+
+    RETURN claimed_phone IS NOT NULL;
+END;
+$$;
+
+-- Count a wrong guess at a phone's current code, throwing the code away once
+-- `p_max_attempts` is reached. Returns the number of wrong guesses so far, or
+-- 0 if the phone has no code.
+CREATE OR REPLACE FUNCTION record_dashboard_login_failure(
+    p_owner_phone VARCHAR,
+    p_max_attempts INTEGER
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_attempts INTEGER;
+BEGIN
+    UPDATE dashboard_login_codes SET
+        attempts = attempts + 1,
+        code_hash = CASE WHEN attempts + 1 >= p_max_attempts THEN NULL ELSE code_hash END
+    WHERE owner_phone = p_owner_phone
+      AND code_hash IS NOT NULL
+    RETURNING attempts INTO new_attempts;
+
+    RETURN COALESCE(new_attempts, 0);
+END;
+$$;
+
+ALTER TABLE dashboard_login_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY dashboard_login_codes_isolation ON dashboard_login_codes
+    FOR ALL USING (true); -- For now, allow all access via service key
@@ -0,0 +1,10 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Fails if a deleted business and a live one share a number; clear the deleted
+-- business's whatsapp_number first
+DROP INDEX IF EXISTS idx_businesses_whatsapp_number;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_businesses_whatsapp_number
+    ON businesses(whatsapp_number)
+    WHERE whatsapp_number IS NOT NULL;
@@ -0,0 +1,10 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Deleting a business only marks it inactive, so a number has to be free again once
+-- its business is gone. Only active and suspended businesses hold on to a number.
+DROP INDEX IF EXISTS idx_businesses_whatsapp_number;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_businesses_whatsapp_number
+    ON businesses(whatsapp_number)
+    WHERE whatsapp_number IS NOT NULL AND status <> 'inactive';
@@ -0,0 +1,29 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP FUNCTION IF EXISTS match_knowledge_vectors(vector, VARCHAR, INTEGER, JSONB, VARCHAR);
+
+-- The 4-argument version from 006_vector_namespaces.sql
+CREATE OR REPLACE FUNCTION match_knowledge_vectors(
+    query_embedding vector(1536),
+    match_count INTEGER DEFAULT 5,
+    filter JSONB DEFAULT '{}',
+    match_namespace VARCHAR DEFAULT ''
+)
+RETURNS TABLE (
+    id TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        kv.id,
+        kv.metadata,
+        1 - (kv.embedding <=> query_embedding) AS similarity
+    FROM knowledge_vectors kv
+    WHERE kv.namespace = match_namespace
+      AND kv.metadata @> filter
+    ORDER BY kv.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
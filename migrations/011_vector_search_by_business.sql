@@ -0,0 +1,39 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Search one business's vectors through the indexed business_id column. With only
+-- a metadata filter, the HNSW index returned its nearest hnsw.ef_search (40) rows
+-- from the whole shared table and the filter ran afterwards, so a business with few
+-- vectors often got few or no matches.
+--
+-- hnsw.iterative_scan makes the index keep scanning until enough rows pass the
+-- filter; the planner can also use idx_knowledge_vectors_namespace_business for a
+-- business small enough to sort directly. Requires pgvector 0.8.0 or later.
+DROP FUNCTION IF EXISTS match_knowledge_vectors(vector, INTEGER, JSONB, VARCHAR);
+
+CREATE OR REPLACE FUNCTION match_knowledge_vectors(
+    query_embedding vector(1536),
+    match_business_id VARCHAR,
+    match_count INTEGER DEFAULT 5,
+    filter JSONB DEFAULT '{}',
+    match_namespace VARCHAR DEFAULT ''
+)
+RETURNS TABLE (
+    id TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+SET hnsw.iterative_scan = strict_order
+AS $$
+    SELECT
+        kv.id,
+        kv.metadata,
+        1 - (kv.embedding <=> query_embedding) AS similarity
+    FROM knowledge_vectors kv
+    WHERE kv.business_id = match_business_id
+      AND kv.namespace = match_namespace
+      AND kv.metadata @> filter
+    ORDER BY kv.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
@@ -0,0 +1,6 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP FUNCTION IF EXISTS open_handoff_ticket(VARCHAR, VARCHAR, VARCHAR, VARCHAR, VARCHAR, TEXT, VARCHAR, INTEGER);
+DROP TABLE IF EXISTS handoff_ticket_counters;
+DROP TABLE IF EXISTS handoff_tickets;
@@ -0,0 +1,110 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Human handoff tickets, shared by every instance so an owner's !reply or
+-- !resolve works whichever instance receives it. A customer with an open
+-- ticket is answered by the owner instead of the assistant.
+CREATE TABLE IF NOT EXISTS handoff_tickets (
+    business_id VARCHAR(100) NOT NULL REFERENCES businesses(business_id) ON DELETE CASCADE,
+    ticket_number INTEGER NOT NULL,
+    customer_phone VARCHAR(20) NOT NULL,
+    customer_address VARCHAR(50) NOT NULL, -- whatsapp:+... address replies go to
+    customer_name VARCHAR(255),
+    business_address VARCHAR(50) NOT NULL,
+    question TEXT,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('customer_request', 'unanswered')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'expired')),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_activity_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Opened or last replied to by the owner
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    expired_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (business_id, ticket_number)
+);
+
+-- A customer has at most one open ticket per business
+CREATE UNIQUE INDEX IF NOT EXISTS idx_handoff_tickets_open_customer
+    ON handoff_tickets(business_id, customer_phone)
+    WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_handoff_tickets_status_activity
+    ON handoff_tickets(status, last_activity_at);
+
+-- Last ticket number issued per business. Kept when tickets are cleared so a
+-- number is never handed out twice.
+CREATE TABLE IF NOT EXISTS handoff_ticket_counters (
+    business_id VARCHAR(100) PRIMARY KEY REFERENCES businesses(business_id) ON DELETE CASCADE,
+    last_ticket_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- Open a ticket for a customer, or return the one they already have open.
+-- An open ticket the owner has left idle for `p_open_seconds` is expired
+-- first, so the customer gets a new one.
+CREATE OR REPLACE FUNCTION open_handoff_ticket(
+    p_business_id VARCHAR,
+    p_customer_phone VARCHAR,
+    p_customer_address VARCHAR,
+    p_customer_name VARCHAR,
+    p_business_address VARCHAR,
+    p_question TEXT,
+    p_reason VARCHAR,
+    p_open_seconds INTEGER
+)
+RETURNS handoff_tickets
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    ticket handoff_tickets;
+    next_number INTEGER;
+BEGIN
+    UPDATE handoff_tickets SET
+        status = 'expired',
+        expired_at = NOW()
+    WHERE business_id = p_business_id
+      AND customer_phone = p_customer_phone
+      AND status = 'open'
+      AND last_activity_at < NOW() - make_interval(secs => p_open_seconds);
+
+    SELECT * INTO ticket FROM handoff_tickets
+    WHERE business_id = p_business_id
+      AND customer_phone = p_customer_phone
+      AND status = 'open';
+    IF FOUND THEN
+        RETURN ticket;
+    END IF;
+
+    INSERT INTO handoff_ticket_counters (business_id, last_ticket_number)
+    VALUES (p_business_id, 1)
+    ON CONFLICT (business_id) DO UPDATE SET
+        last_ticket_number = handoff_ticket_counters.last_ticket_number + 1
+    RETURNING last_ticket_number INTO next_number;
+
+    INSERT INTO handoff_tickets (
+        business_id, ticket_number, customer_phone, customer_address, customer_name,
+        business_address, question, reason
+    )
+    VALUES (
+        p_business_id, next_number, p_customer_phone, p_customer_address, p_customer_name,
+        p_business_address, p_question, p_reason
+    )
+    ON CONFLICT (business_id, customer_phone) WHERE status = 'open' DO NOTHING
+    RETURNING * INTO ticket;
+
+    IF NOT FOUND THEN
+        -- Another instance opened one for this customer at the same time
+        SELECT * INTO ticket FROM handoff_tickets
+        WHERE business_id = p_business_id
+          AND customer_phone = p_customer_phone
+          AND status = 'open';
+    END IF;
+
+    RETURN ticket;
+END;
+$$;
+
+ALTER TABLE handoff_tickets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE handoff_ticket_counters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY handoff_tickets_isolation ON handoff_tickets
+    FOR ALL USING (true); -- For now, allow all access via service key
+
+CREATE POLICY handoff_ticket_counters_isolation ON handoff_ticket_counters
+    FOR ALL USING (true); -- For now, allow all access via service key
@@ -0,0 +1,53 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Check a guess at a phone's login code while holding its row lock, so
+-- concurrent guesses are handled one at a time: a code works only once and
+-- every wrong guess is counted. A right, unexpired code is used up; a wrong
+-- one counts as a failed attempt and the code is thrown away once
+-- `p_max_attempts` is reached. Returns the business the code was sent for
+-- (NULL unless it matched) and the wrong guesses so far.
+CREATE OR REPLACE FUNCTION verify_dashboard_login_code(
+    p_owner_phone VARCHAR,
+    p_code_hash VARCHAR,
+    p_max_attempts INTEGER
+)
+RETURNS TABLE (verified_business_id VARCHAR, failed_attempts INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    login dashboard_login_codes;
+BEGIN
+    SELECT * INTO login FROM dashboard_login_codes
+    WHERE owner_phone = p_owner_phone
+      AND code_hash IS NOT NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT NULL::VARCHAR, 0;
+        RETURN;
+    END IF;
+
+    IF login.code_hash = p_code_hash AND login.expires_at > NOW() THEN
+        UPDATE dashboard_login_codes SET
+            code_hash = NULL,
+            expires_at = NULL,
+            attempts = 0
+        WHERE owner_phone = p_owner_phone;
+
+        RETURN QUERY SELECT login.business_id, 0;
+        RETURN;
+    END IF;
+
+    UPDATE dashboard_login_codes SET
+        attempts = dashboard_login_codes.attempts + 1,
+        code_hash = CASE
+            WHEN dashboard_login_codes.attempts + 1 >= p_max_attempts THEN NULL
+            ELSE dashboard_login_codes.code_hash
+        END
+    WHERE owner_phone = p_owner_phone
+    RETURNING dashboard_login_codes.attempts INTO login.attempts;
+
+    RETURN QUERY SELECT NULL::VARCHAR, login.attempts;
+END;
+$$;
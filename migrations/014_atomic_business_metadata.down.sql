@@ -0,0 +1,8 @@
+-- Small Business Care System Database Migration (rollback)
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+DROP FUNCTION IF EXISTS record_business_fallback(VARCHAR, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS record_business_query(VARCHAR);
+DROP FUNCTION IF EXISTS change_business_status(VARCHAR, VARCHAR, VARCHAR, JSONB);
+DROP FUNCTION IF EXISTS update_business_metadata(VARCHAR, JSONB);
+DROP FUNCTION IF EXISTS merge_business_metadata(JSONB, JSONB);
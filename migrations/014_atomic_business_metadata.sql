@@ -0,0 +1,87 @@
+-- Small Business Care System Database Migration
+-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+
+-- Change a business's metadata in place with a single UPDATE, so concurrent
+-- writers (every instance counting queries, an admin suspending the
+-- business) never overwrite each other's changes with a stale copy.
+
+-- `p_changes` replaces the top-level keys it contains; keys set to null are removed
+CREATE OR REPLACE FUNCTION merge_business_metadata(p_metadata JSONB, p_changes JSONB)
+RETURNS JSONB
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT (COALESCE(p_metadata, '{}'::jsonb) || p_changes)
+        - ARRAY(SELECT key FROM jsonb_each(p_changes) WHERE value = 'null'::jsonb);
+$$;
+
+CREATE OR REPLACE FUNCTION update_business_metadata(p_business_id VARCHAR, p_changes JSONB)
+RETURNS SETOF businesses
+LANGUAGE sql
+AS $$
+    UPDATE businesses SET
+        metadata = merge_business_metadata(metadata, p_changes),
+        updated_at = NOW()
+    WHERE business_id = p_business_id
+    RETURNING *;
+$$;
+
+-- Only changes a business that still has `p_from_status`; returns no row otherwise
+CREATE OR REPLACE FUNCTION change_business_status(
+    p_business_id VARCHAR,
+    p_status VARCHAR,
+    p_from_status VARCHAR,
+    p_metadata_changes JSONB DEFAULT '{}'
+)
+RETURNS SETOF businesses
+LANGUAGE sql
+AS $$
+    UPDATE businesses SET
+        status = p_status,
+        metadata = merge_business_metadata(metadata, p_metadata_changes),
+        updated_at = NOW()
+    WHERE business_id = p_business_id
+      AND status = p_from_status
+    RETURNING *;
+$$;
+
+CREATE OR REPLACE FUNCTION record_business_query(p_business_id VARCHAR)
+RETURNS SETOF businesses
+LANGUAGE sql
+AS $$
+    UPDATE businesses SET
+        metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+            'totalQueries', COALESCE((metadata->>'totalQueries')::INTEGER, 0) + 1,
+            'lastQuery', NOW()
+        ),
+        last_activity = NOW()
+    WHERE business_id = p_business_id
+    RETURNING *;
+$$;
+
+-- Count a question the knowledge base couldn't answer, keeping the
+-- `p_max_recent` most recent ones, newest first
+CREATE OR REPLACE FUNCTION record_business_fallback(
+    p_business_id VARCHAR,
+    p_question TEXT,
+    p_max_recent INTEGER
+)
+RETURNS SETOF businesses
+LANGUAGE sql
+AS $$
+    UPDATE businesses SET
+        metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+            'totalFallbacks', COALESCE((metadata->>'totalFallbacks')::INTEGER, 0) + 1,
+            'lastFallback', NOW(),
+            'recentFallbacks', (
+                SELECT jsonb_agg(recent.fallback ORDER BY recent.position)
+                FROM jsonb_array_elements(
+                    jsonb_build_array(jsonb_build_object('question', p_question, 'askedAt', NOW()))
+                    || COALESCE(metadata->'recentFallbacks', '[]'::jsonb)
+                ) WITH ORDINALITY AS recent(fallback, position)
+                WHERE recent.position <= p_max_recent
+            )
+        )
+    WHERE business_id = p_business_id
+    RETURNING *;
+$$;
@@ -0,0 +1,90 @@
+/**
+ * Issue a REST API key from the command line (e.g. the first platform_admin key)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ *
+ * Usage: npm run apikey:create -- --name <name> [--role <role>] [--business <id>] [--expires <date>]
+ */
+
+require('dotenv').config();
+
+const database = require('../src/config/database');
+const apiKeyService = require('../src/services/apiKeyService');
+
+const USAGE = `Usage: npm run apikey:create -- --name <name> [options]
+
+Creates an API key and prints it once. Only its hash is stored, so keep the
+printed key somewhere safe. Later keys can be issued through POST /api/keys.
+
+Options:
+  --name <name>       What the key is for (required)
+  --role <role>       platform_admin (default), business_owner or read_only
+  --business <id>     Business the key is limited to (required for business_owner)
+  --expires <date>    Expiry date, e.g. 2026-12-31
+  --help              Show this message`;
+
+function parseArgs(argv) {
+  const options = { role: apiKeyService.ROLES.PLATFORM_ADMIN };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--name':
+        options.name = argv[++i];
+        break;
+      case '--role':
+        options.role = argv[++i];
+        break;
+      case '--business':
+        options.businessId = argv[++i];
+        break;
+      case '--expires':
+        options.expiresAt = argv[++i];
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!options.help) {
+    const error = apiKeyService.validateKeyOptions(options);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  await database.connect();
+
+  const { key, apiKey } = await apiKeyService.issueKey(options);
+
+  console.log(`✓ Created ${apiKey.role} key ${apiKey.keyId} (${apiKey.name})`);
+  if (apiKey.businessId) {
+    console.log(`  Business: ${apiKey.businessId}`);
+  }
+  if (apiKey.expiresAt) {
+    console.log(`  Expires:  ${apiKey.expiresAt}`);
+  }
+  console.log('');
+  console.log(key);
+  console.log('');
+  console.log('Send it as "Authorization: Bearer <key>". It will not be shown again.');
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Creating API key failed: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  });
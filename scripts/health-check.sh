@@ -3,6 +3,7 @@
 # Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
 
 BASE_URL="http://ec2-54-86-8-77.compute-1.amazonaws.com:3000"
+API_KEY="${API_KEY:-}"  # Unscoped read_only key: npm run apikey:create -- --role read_only --name monitoring
 LOG_FILE="/var/log/sbc-health-check.log"
 EMAIL_ALERT="admin@yourcompany.com"  # Replace with your email
 
@@ -33,7 +34,7 @@ check_health() {
 
 check_performance() {
     local perf_status
-    perf_status=$(curl -s --max-time 10 "$BASE_URL/api/performance/health" | jq -r '.health.status // "error"')
+    perf_status=$(curl -s --max-time 10 -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/performance/health" | jq -r '.health.status // "error"')
     
     case "$perf_status" in
         "healthy")
@@ -57,7 +58,7 @@ check_performance() {
 
 get_key_metrics() {
     local metrics
-    metrics=$(curl -s --max-time 10 "$BASE_URL/api/performance/metrics" | jq '{
+    metrics=$(curl -s --max-time 10 -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/performance/metrics" | jq '{
         total_requests: .metrics.requests.total,
         avg_response_time: .metrics.response_times.avg,
         error_rate: .metrics.errorRate,
@@ -102,7 +103,7 @@ check_external_dependencies() {
     # Check specific endpoints
     local endpoints=("health" "api/performance/metrics" "api/businesses")
     for endpoint in "${endpoints[@]}"; do
-        if curl -s --max-time 5 "$BASE_URL/$endpoint" >/dev/null; then
+        if curl -s --max-time 5 -H "Authorization: Bearer $API_KEY" "$BASE_URL/$endpoint" >/dev/null; then
             log_message "${GREEN}✅ /$endpoint endpoint reachable${NC}"
         else
             log_message "${RED}❌ /$endpoint endpoint unreachable${NC}"
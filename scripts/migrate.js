@@ -0,0 +1,141 @@
+/**
+ * Apply, revert and inspect database migrations
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ *
+ * Usage: npm run migrate -- <up|down|status|baseline> [options]
+ */
+
+require('dotenv').config();
+
+const Migrator = require('../src/utils/migrator');
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Runs the numbered SQL files in migrations/ against DATABASE_URL and records
+each applied migration in the schema_migrations table.
+
+Commands:
+  up                  Apply pending migrations (npm run migrate:up)
+  down                Revert the latest migration (npm run migrate:down)
+  status              List migrations and whether each is applied (npm run migrate:status)
+  baseline <version>  Record migrations up to <version> as applied without running
+                      them, for a database set up by hand before this runner existed
+
+Options:
+  --to <version>      up: stop after <version>; down: revert everything after <version>
+  --steps <n>         down: revert the latest <n> migrations
+  --help              Show this message`;
+
+const COMMANDS = ['up', 'down', 'status', 'baseline'];
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--to':
+        options.to = argv[++i];
+        break;
+      case '--steps':
+        options.steps = parseInt(argv[++i], 10);
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (argv[i].startsWith('--')) {
+          throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        positional.push(argv[i]);
+    }
+  }
+
+  [options.command, options.version] = positional;
+
+  if (options.help) {
+    return options;
+  }
+  if (!COMMANDS.includes(options.command)) {
+    throw new Error(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+  }
+  if (options.command === 'baseline' && !/^\d+$/.test(options.version || '')) {
+    throw new Error('baseline needs a migration version, e.g. 007');
+  }
+  if (argv.includes('--to') && !/^\d+$/.test(options.to || '')) {
+    throw new Error('--to needs a migration version, e.g. 005');
+  }
+  if (options.steps !== undefined && !(options.steps > 0)) {
+    throw new Error('--steps must be a positive integer');
+  }
+  if (options.steps !== undefined && options.to !== undefined) {
+    throw new Error('Use either --steps or --to, not both');
+  }
+  return options;
+}
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const row of rows) {
+    const state = row.applied ? `applied ${row.appliedAt.toISOString()}` : 'pending';
+    const notes = [
+      row.changed && 'changed since it was applied',
+      row.missing && 'file missing',
+      !row.reversible && !row.missing && 'no down migration',
+    ].filter(Boolean);
+
+    console.log(
+      `${row.applied ? '✓' : ' '} ${row.version}_${row.name}  ${state}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+    );
+  }
+
+  const pending = rows.filter(row => !row.applied).length;
+  console.log('');
+  console.log(pending > 0 ? `${pending} pending migration(s)` : 'Database schema is up to date');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const migrator = new Migrator();
+  let files;
+
+  switch (options.command) {
+    case 'up':
+      files = await migrator.up({ to: options.to });
+      break;
+    case 'down':
+      files = await migrator.down({ steps: options.steps, to: options.to });
+      break;
+    case 'baseline':
+      files = await migrator.baseline(options.version);
+      break;
+    default:
+      printStatus(await migrator.status());
+      return 0;
+  }
+
+  if (files.length === 0) {
+    console.log('Nothing to do');
+  }
+  for (const file of files) {
+    console.log(`✓ ${file}`);
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  });
@@ -6,6 +6,7 @@
 # sending alerts when thresholds are exceeded.
 
 BASE_URL="http://ec2-54-86-8-77.compute-1.amazonaws.com:3000"
+API_KEY="${API_KEY:-}"  # Unscoped read_only key: npm run apikey:create -- --role read_only --name monitoring
 ALERT_EMAIL="admin@yourcompany.com"  # Replace with your email
 LOG_FILE="/var/log/sbc-performance-monitor.log"
 PID_FILE="/var/run/sbc-performance-monitor.pid"
@@ -74,7 +75,7 @@ check_service_availability() {
 
 monitor_performance() {
     local metrics_response
-    metrics_response=$(curl -s --max-time 10 "$BASE_URL/api/performance/metrics")
+    metrics_response=$(curl -s --max-time 10 -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/performance/metrics")
     
     if [ -z "$metrics_response" ] || [ "$metrics_response" = "null" ]; then
         log_message "${RED}❌ Unable to retrieve performance metrics${NC}"
@@ -134,7 +135,7 @@ monitor_performance() {
 
 check_performance_health() {
     local health_response
-    health_response=$(curl -s --max-time 10 "$BASE_URL/api/performance/health")
+    health_response=$(curl -s --max-time 10 -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/performance/health")
     
     if [ -n "$health_response" ] && [ "$health_response" != "null" ]; then
         local health_status
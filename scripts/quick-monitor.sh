@@ -4,6 +4,7 @@
 # Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
 
 BASE_URL="${BASE_URL:-http://ec2-54-86-8-77.compute-1.amazonaws.com:3000}"
+API_KEY="${API_KEY:-}"  # Unscoped read_only key: npm run apikey:create -- --role read_only --name monitoring
 
 echo "🔍 Quick Application Health Check"
 echo "================================="
@@ -13,11 +14,11 @@ curl -s "$BASE_URL/health" | jq -r '.status, .database.status, .uptime'
 
 echo ""
 echo "2️⃣ Cache Performance:"
-curl -s "$BASE_URL/api/cache/stats" | jq -r '.stats.hitRate, .stats.cacheSize'
+curl -s -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/cache/stats" | jq -r '.stats.hitRate, .stats.cacheSize'
 
 echo ""
 echo "3️⃣ Business Count:"
-curl -s "$BASE_URL/api/businesses" | jq -r '.businesses | length'
+curl -s -H "Authorization: Bearer $API_KEY" "$BASE_URL/api/businesses" | jq -r '.businesses | length'
 
 echo ""
 echo "4️⃣ Test Webhook:"
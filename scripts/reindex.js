@@ -0,0 +1,108 @@
+/**
+ * Rebuild the vector index from the knowledge entries in the database
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ *
+ * Usage: npm run reindex -- [--business <id>] [--batch-size <n>] [--restart] [--force] [--allow-missing]
+ */
+
+require('dotenv').config();
+
+const database = require('../src/config/database');
+const vectorService = require('../src/services/vectorService');
+const reindexService = require('../src/services/reindexService');
+
+const USAGE = `Usage: npm run reindex -- [options]
+
+Re-embeds every knowledge entry into a new vector namespace and switches each
+business over once its namespace is complete. Interrupted runs resume from
+the last completed batch when started again.
+
+Options:
+  --business <id>     Re-index one business (default: all active businesses)
+  --batch-size <n>    Entries embedded between progress checkpoints
+  --restart           Discard an interrupted build instead of resuming it
+  --force             Take over a build another process still appears to run
+  --allow-missing     Switch over even if some entries have no stored content
+  --help              Show this message`;
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--business':
+        options.businessId = argv[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(argv[++i], 10);
+        break;
+      case '--restart':
+        options.restart = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--allow-missing':
+        options.allowMissing = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (options.businessId === undefined && argv.includes('--business')) {
+    throw new Error('--business needs a business ID');
+  }
+  if (options.batchSize !== undefined && !(options.batchSize > 0)) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  await database.connect();
+  await vectorService.initialize();
+
+  const results = await reindexService.reindexAll({
+    ...options,
+    onProgress: ({ businessId, processed, total, failed, status }) => {
+      const percent = total > 0 ? Math.round((processed / total) * 100) : 100;
+      const failures = failed > 0 ? `, ${failed} without content` : '';
+      console.log(`${businessId}: ${processed}/${total} (${percent}%) ${status}${failures}`);
+    },
+  });
+
+  if (results.some(result => result.success)) {
+    // Servers may still be querying the old namespaces until their cached index state expires
+    console.log('Waiting to delete the old namespaces...');
+    await reindexService.waitForRetirements();
+  }
+
+  console.log('');
+  for (const result of results) {
+    console.log(
+      result.success
+        ? `✓ ${result.businessId}: ${result.processed} entries now served from ${result.namespace}`
+        : `✗ ${result.businessId}: ${result.message}`
+    );
+  }
+
+  return results.every(result => result.success) ? 0 : 1;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Re-index failed: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  });
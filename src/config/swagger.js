@@ -71,11 +71,35 @@ const options = {
               description: 'Number of knowledge entries',
               example: 5,
             },
+            lastActivity: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last customer question or owner change',
+            },
+            aiSettings: {
+              type: 'object',
+              description:
+                'Per-business AI overrides (see PUT /api/businesses/{businessId}/ai-settings)',
+            },
+            suspension: {
+              type: 'object',
+              nullable: true,
+              description: 'Why and when the business was suspended; null unless suspended',
+              properties: {
+                reason: { type: 'string', nullable: true, example: 'Unpaid invoice' },
+                suspendedAt: { type: 'string', format: 'date-time' },
+              },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
               description: 'Creation timestamp',
             },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last change',
+            },
           },
         },
         Knowledge: {
@@ -108,11 +132,25 @@ const options = {
               description: 'Preview of the content',
               example: 'Our business hours are Monday-Friday 9AM-6PM...',
             },
+            content: {
+              type: 'string',
+              description: 'Full text of the entry',
+              example: 'Our business hours are Monday-Friday 9AM-6PM and Saturday 10AM-4PM.',
+            },
+            metadata: {
+              type: 'object',
+              description: 'Source, size and edit history (editedAt) of the entry',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
               description: 'Creation timestamp',
             },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last change',
+            },
           },
         },
         Error: {
@@ -165,13 +203,15 @@ const options = {
         },
       },
       securitySchemes: {
-        BasicAuth: {
+        ApiKeyAuth: {
           type: 'http',
-          scheme: 'basic',
-          description: 'Basic authentication for admin endpoints',
+          scheme: 'bearer',
+          description:
+            'API key sent as "Authorization: Bearer <key>" (or in an X-API-Key header). Keys are platform_admin, business_owner (one business) or read_only (GET only).',
         },
       },
     },
+    security: [{ ApiKeyAuth: [] }],
     tags: [
       {
         name: 'Health',
@@ -205,6 +245,14 @@ const options = {
         name: 'Performance',
         description: 'Application performance monitoring and metrics',
       },
+      {
+        name: 'API Keys',
+        description: 'Issuing, rotating and revoking REST API keys',
+      },
+      {
+        name: 'Dashboard',
+        description: 'Business owner dashboard login with WhatsApp one-time codes',
+      },
     ],
   },
   apis: ['./src/routes/*.js', './src/controllers/*.js', './src/modules/*.js'],
@@ -0,0 +1,153 @@
+/**
+ * API Key Management Controller
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+const businessService = require('../services/businessService');
+const { canAccessBusiness } = require('../middleware/apiKeyAuth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../errors/AppError');
+
+const { ROLES } = apiKeyService;
+
+// Longest a rotated-out key may keep working alongside its replacement
+const MAX_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+class ApiKeyController {
+  constructor() {
+    this.createKey = catchAsync(this.createKey.bind(this));
+    this.listKeys = catchAsync(this.listKeys.bind(this));
+    this.getKey = catchAsync(this.getKey.bind(this));
+    this.rotateKey = catchAsync(this.rotateKey.bind(this));
+    this.revokeKey = catchAsync(this.revokeKey.bind(this));
+  }
+
+  async createKey(req, res) {
+    const { name, role, businessId, expiresAt } = req.body;
+
+    const error = apiKeyService.validateKeyOptions({ name, role, businessId, expiresAt });
+    if (error) {
+      throw new ValidationError(error);
+    }
+    this.assertCanManage(req.apiKey, businessId || null);
+    if (role === ROLES.PLATFORM_ADMIN && req.apiKey.role !== ROLES.PLATFORM_ADMIN) {
+      throw new AuthorizationError('Only a platform_admin key can create platform_admin keys');
+    }
+
+    if (businessId) {
+      const business = await businessService.getBusinessById(businessId);
+      if (!business) {
+        throw new NotFoundError('Business', businessId);
+      }
+    }
+
+    const { key, apiKey } = await apiKeyService.issueKey({
+      name,
+      role,
+      businessId,
+      expiresAt,
+      createdBy: req.apiKey.keyId,
+    });
+
+    res.json({
+      success: true,
+      message: 'API key created. Store it now - it will not be shown again.',
+      key,
+      apiKey,
+    });
+  }
+
+  async listKeys(req, res) {
+    let businessId = req.query.businessId || null;
+
+    // A business owner only ever sees its own business's keys
+    if (req.apiKey.role === ROLES.BUSINESS_OWNER && !businessId) {
+      businessId = req.apiKey.businessId;
+    }
+    this.assertCanManage(req.apiKey, businessId);
+
+    const keys = await apiKeyService.listKeys(businessId);
+    res.json({ success: true, keys });
+  }
+
+  async getKey(req, res) {
+    const apiKey = await this.findManagedKey(req);
+    res.json({ success: true, apiKey });
+  }
+
+  async rotateKey(req, res) {
+    const current = await this.findManagedKey(req);
+    const { graceSeconds = 0, expiresAt } = req.body || {};
+
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > MAX_GRACE_SECONDS) {
+      throw new ValidationError(
+        `graceSeconds must be a whole number from 0 to ${MAX_GRACE_SECONDS}`,
+        'graceSeconds',
+        graceSeconds
+      );
+    }
+    const expiryError = apiKeyService.validateExpiry(expiresAt);
+    if (expiryError) {
+      throw new ValidationError(expiryError, 'expiresAt', expiresAt);
+    }
+    if (!current.active) {
+      throw new ValidationError('Only an active key can be rotated', 'keyId', current.keyId);
+    }
+
+    const rotated = await apiKeyService.rotateKey(current.keyId, {
+      graceSeconds,
+      expiresAt,
+      createdBy: req.apiKey.keyId,
+    });
+    if (!rotated) {
+      throw new ValidationError('Only an active key can be rotated', 'keyId', current.keyId);
+    }
+
+    res.json({
+      success: true,
+      message: graceSeconds
+        ? `API key rotated. The old key keeps working for ${graceSeconds} seconds.`
+        : 'API key rotated. The old key no longer works.',
+      key: rotated.key,
+      apiKey: rotated.apiKey,
+    });
+  }
+
+  async revokeKey(req, res) {
+    const current = await this.findManagedKey(req);
+
+    const revoked = await apiKeyService.revokeKey(current.keyId);
+    if (!revoked) {
+      throw new ValidationError('API key is already revoked', 'keyId', current.keyId);
+    }
+
+    res.json({ success: true, message: 'API key revoked', apiKey: revoked });
+  }
+
+  /**
+   * The key named in the URL, if the caller may manage it
+   */
+  async findManagedKey(req) {
+    const { keyId } = req.params;
+
+    const apiKey = await apiKeyService.getKey(keyId);
+    if (!apiKey) {
+      throw new NotFoundError('API key', keyId);
+    }
+    this.assertCanManage(req.apiKey, apiKey.businessId);
+    return apiKey;
+  }
+
+  /**
+   * Platform admins manage every key, business owners their own business's keys
+   * (never platform-wide ones), and read-only keys none
+   */
+  assertCanManage(callerKey, businessId) {
+    if (callerKey.role === ROLES.READ_ONLY || !canAccessBusiness(callerKey, businessId)) {
+      throw new AuthorizationError('This API key cannot manage these API keys');
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
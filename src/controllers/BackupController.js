@@ -4,6 +4,7 @@
  */
 
 const backupManager = require('../utils/backup');
+const SqlExportWriter = require('../utils/sqlExport');
 const { catchAsync } = require('../middleware/errorHandler');
 const { ValidationError } = require('../errors/AppError');
 
@@ -16,7 +17,7 @@ class BackupController {
   }
 
   async createBackup(req, res) {
-    const { type = 'full' } = req.body;
+    const { type = 'full', includeEmbeddings } = req.body;
 
     if (!['full', 'incremental', 'data-only'].includes(type)) {
       throw new ValidationError(
@@ -26,28 +27,54 @@ class BackupController {
       );
     }
 
-    const result = await backupManager.createBackup(type);
+    if (includeEmbeddings !== undefined && typeof includeEmbeddings !== 'boolean') {
+      throw new ValidationError(
+        'includeEmbeddings must be a boolean',
+        'includeEmbeddings',
+        includeEmbeddings
+      );
+    }
+
+    const result = await backupManager.createBackup(type, { includeEmbeddings });
     res.json(result);
   }
 
   async listBackups(req, res) {
     const backups = await backupManager.listBackups();
-    res.json({ success: true, backups });
+    res.json({ success: true, backups, schedule: backupManager.getSchedule() });
   }
 
   async restoreBackup(req, res) {
-    const { backupPath, dryRun = false, skipExisting = true } = req.body;
+    const { backupPath, dryRun = false, skipExisting = true, restoreVectors = true } = req.body;
 
     if (!backupPath) {
       throw new ValidationError('Backup path is required', 'backupPath');
     }
 
-    const result = await backupManager.restoreBackup(backupPath, { dryRun, skipExisting });
+    const result = await backupManager.restoreBackup(backupPath, {
+      dryRun,
+      skipExisting,
+      restoreVectors,
+    });
     res.json(result);
   }
 
   async exportToSql(req, res) {
-    const result = await backupManager.exportToSupabaseDump();
+    const { mode = 'insert', copy = false } = req.body || {};
+
+    if (!SqlExportWriter.MODES.includes(mode)) {
+      throw new ValidationError(
+        `Invalid export mode. Must be one of: ${SqlExportWriter.MODES.join(', ')}`,
+        'mode',
+        mode
+      );
+    }
+
+    if (typeof copy !== 'boolean') {
+      throw new ValidationError('copy must be a boolean', 'copy', copy);
+    }
+
+    const result = await backupManager.exportToSupabaseDump({ mode, copy });
     res.json(result);
   }
 }
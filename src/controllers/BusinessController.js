@@ -5,9 +5,22 @@
 
 const businessService = require('../services/businessService');
 const twilioWhatsAppService = require('../services/twilioWhatsAppService');
+const knowledgeService = require('../services/knowledgeService');
+const aiService = require('../services/aiService');
+const conversationService = require('../services/conversationService');
+const validator = require('../utils/validator');
+const { canAccessBusiness } = require('../middleware/apiKeyAuth');
 const { catchAsync } = require('../middleware/errorHandler');
-const { ValidationError } = require('../errors/AppError');
-const logger = require('../utils/logger');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthorizationError,
+} = require('../errors/AppError');
+
+const STATUSES = ['active', 'suspended', 'inactive'];
+const MAX_CONVERSATIONS = 100;
 
 class BusinessController {
   constructor() {
@@ -15,6 +28,15 @@ class BusinessController {
     this.registerBusiness = catchAsync(this.registerBusiness.bind(this));
     this.getAllBusinesses = catchAsync(this.getAllBusinesses.bind(this));
     this.getTwilioStatus = catchAsync(this.getTwilioStatus.bind(this));
+    this.updateAISettings = catchAsync(this.updateAISettings.bind(this));
+    this.getBusiness = catchAsync(this.getBusiness.bind(this));
+    this.updateBusiness = catchAsync(this.updateBusiness.bind(this));
+    this.deleteBusiness = catchAsync(this.deleteBusiness.bind(this));
+    this.suspendBusiness = catchAsync(this.suspendBusiness.bind(this));
+    this.reactivateBusiness = catchAsync(this.reactivateBusiness.bind(this));
+    this.getBusinessStats = catchAsync(this.getBusinessStats.bind(this));
+    this.askQuestion = catchAsync(this.askQuestion.bind(this));
+    this.getConversations = catchAsync(this.getConversations.bind(this));
   }
 
   async createBusiness(req, res) {
@@ -26,31 +48,22 @@ class BusinessController {
       );
     }
 
-    // Register in business service
-    const businessResult = await businessService.registerBusiness(ownerPhone, businessName);
-
-    if (!businessResult.success) {
-      throw new ValidationError(businessResult.error || 'Failed to register business');
-    }
-
-    // Register in Twilio service
-    const twilioResult = await twilioWhatsAppService.registerBusiness(
-      businessResult.businessId,
+    // Register in business service (persists the WhatsApp number and updates routing)
+    const businessResult = await businessService.registerBusiness(
+      ownerPhone,
       businessName,
-      whatsappNumber,
-      ownerPhone
+      whatsappNumber
     );
 
-    if (!twilioResult.success) {
-      logger.error('[BUSINESS] Twilio registration failed:', twilioResult.error);
-      throw new Error(`Business registered but Twilio registration failed: ${twilioResult.error}`);
+    if (!businessResult.success) {
+      throw new ValidationError(businessResult.message || 'Failed to register business');
     }
 
     res.json({
       success: true,
       message: 'Business registered successfully',
       businessId: businessResult.businessId,
-      whatsappNumber: whatsappNumber,
+      whatsappNumber: businessResult.whatsappNumber,
     });
   }
 
@@ -61,10 +74,188 @@ class BusinessController {
   }
 
   async getAllBusinesses(req, res) {
-    const businesses = twilioWhatsAppService.getAllBusinesses();
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of: ${STATUSES.join(', ')}`, 'status', status);
+    }
+
+    const businesses = await businessService.listBusinesses(status || null);
+    if (!businesses) {
+      throw new AppError('Failed to retrieve businesses', 500);
+    }
+
+    res.json({
+      success: true,
+      businesses: businesses.map(business => ({
+        ...this.toResponse(business),
+        usage: businessService.getUsageStats(business),
+      })),
+    });
+  }
+
+  async getBusiness(req, res) {
+    const business = await this.findBusiness(req.params.businessId);
+    res.json({ success: true, business: this.toResponse(business) });
+  }
+
+  async updateBusiness(req, res) {
+    const { businessId } = req.params;
+    const { businessName, ownerPhone, whatsappNumber } = req.body;
+
+    if ([businessName, ownerPhone, whatsappNumber].every(value => value === undefined)) {
+      throw new ValidationError(
+        'Provide at least one of: businessName, ownerPhone, whatsappNumber'
+      );
+    }
+    // The owner phone is the dashboard login and the number decides routing, so only the
+    // platform may move them
+    if (
+      (ownerPhone !== undefined || whatsappNumber !== undefined) &&
+      !canAccessBusiness(req.apiKey, null)
+    ) {
+      throw new AuthorizationError(
+        'Only a platform key can change the owner phone or WhatsApp number'
+      );
+    }
+
+    const result = await businessService.updateBusiness(businessId, {
+      businessName,
+      ownerPhone,
+      whatsappNumber,
+    });
+    this.assertSucceeded(result, businessId);
+
     res.json({
       success: true,
-      businesses: businesses,
+      message: result.changed.length > 0 ? 'Business updated successfully' : 'Nothing to change',
+      changed: result.changed,
+      business: this.toResponse(result.business),
+    });
+  }
+
+  async deleteBusiness(req, res) {
+    const { businessId } = req.params;
+
+    const result = await businessService.deleteBusinessById(businessId);
+    this.assertSucceeded(result, businessId);
+
+    res.json({ success: true, message: 'Business deleted successfully', businessId });
+  }
+
+  async suspendBusiness(req, res) {
+    const { businessId } = req.params;
+    const { reason } = req.body || {};
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      throw new ValidationError('Reason must be text of at most 500 characters', 'reason');
+    }
+
+    const result = await businessService.suspendBusiness(businessId, reason || null);
+    this.assertSucceeded(result, businessId);
+
+    res.json({
+      success: true,
+      message: 'Business suspended. It no longer answers customers.',
+      business: this.toResponse(result.business),
+    });
+  }
+
+  async reactivateBusiness(req, res) {
+    const { businessId } = req.params;
+
+    const result = await businessService.reactivateBusiness(businessId);
+    this.assertSucceeded(result, businessId);
+
+    res.json({
+      success: true,
+      message: 'Business reactivated',
+      business: this.toResponse(result.business),
+    });
+  }
+
+  async getBusinessStats(req, res) {
+    const business = await this.findBusiness(req.params.businessId);
+    const knowledge = await knowledgeService.getKnowledgeStats(business.businessId);
+
+    res.json({
+      success: true,
+      businessId: business.businessId,
+      status: business.status,
+      knowledge,
+      usage: businessService.getUsageStats(business),
+    });
+  }
+
+  async updateAISettings(req, res) {
+    const { businessId } = req.params;
+    const { model, maxTokens, temperature } = req.body;
+
+    const result = await businessService.updateAISettings(businessId, {
+      model,
+      maxTokens,
+      temperature,
+    });
+
+    if (!result.success) {
+      if (result.message === 'Business not found') {
+        throw new NotFoundError('Business', businessId);
+      }
+      throw new ValidationError(result.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'AI settings updated successfully',
+      businessId,
+      aiSettings: result.aiSettings,
+    });
+  }
+
+  /**
+   * Answer a question the way a customer would be answered, without counting it in the
+   * business's stats or starting a conversation
+   */
+  async askQuestion(req, res) {
+    const queryValidation = validator.validateAndSanitize('query', req.body.question);
+    if (!queryValidation.valid) {
+      throw new ValidationError(queryValidation.error, 'question');
+    }
+
+    const business = await this.findBusiness(req.params.businessId);
+    const answer = await aiService.generateResponse(
+      queryValidation.sanitized,
+      business.businessId,
+      {
+        business,
+        includeSources: true,
+      }
+    );
+
+    res.json({
+      success: true,
+      question: queryValidation.sanitized,
+      answer: answer.response,
+      confidence: answer.confidence,
+      fallback: answer.fallback,
+      sources: answer.sources,
+    });
+  }
+
+  /**
+   * Recent customer conversations still held in memory on this server instance
+   */
+  async getConversations(req, res) {
+    const { limit = '20' } = req.query;
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CONVERSATIONS) {
+      throw new ValidationError(`limit must be from 1 to ${MAX_CONVERSATIONS}`, 'limit', limit);
+    }
+
+    const business = await this.findBusiness(req.params.businessId);
+    res.json({
+      success: true,
+      businessId: business.businessId,
+      conversations: conversationService.getRecentConversations(business.businessId, count),
     });
   }
 
@@ -75,6 +266,51 @@ class BusinessController {
       ...stats,
     });
   }
+
+  async findBusiness(businessId) {
+    const business = await businessService.getBusiness(businessId);
+    if (!business) {
+      throw new NotFoundError('Business', businessId);
+    }
+    return business;
+  }
+
+  /**
+   * Turn a failed lifecycle result into the matching HTTP error
+   */
+  assertSucceeded(result, businessId) {
+    if (result.success) {
+      return;
+    }
+    if (result.message === 'Business not found') {
+      throw new NotFoundError('Business', businessId);
+    }
+    if (result.message.startsWith('Failed to')) {
+      throw new AppError(result.message, 500);
+    }
+    throw new ConflictError(result.message);
+  }
+
+  /**
+   * The business as returned by the API: no usage counters or other internal metadata
+   */
+  toResponse(business) {
+    const metadata = business.metadata || {};
+    return {
+      businessId: business.businessId,
+      businessName: business.businessName,
+      ownerPhone: business.ownerPhone,
+      whatsappNumber: business.whatsappNumber,
+      status: business.status,
+      knowledgeCount: business.knowledgeCount,
+      registeredAt: business.registeredAt,
+      lastActivity: business.lastActivity,
+      createdAt: business.createdAt,
+      updatedAt: business.updatedAt,
+      aiSettings: metadata.ai || {},
+      suspension: metadata.suspension || null,
+    };
+  }
 }
 
 module.exports = new BusinessController();
@@ -0,0 +1,81 @@
+/**
+ * Owner Dashboard Login Controller
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const dashboardAuthService = require('../services/dashboardAuthService');
+const apiKeyService = require('../services/apiKeyService');
+const validator = require('../utils/validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  RateLimitError,
+} = require('../errors/AppError');
+
+class DashboardController {
+  constructor() {
+    this.requestCode = catchAsync(this.requestCode.bind(this));
+    this.verifyCode = catchAsync(this.verifyCode.bind(this));
+    this.logout = catchAsync(this.logout.bind(this));
+  }
+
+  async requestCode(req, res) {
+    const ownerPhone = this.validateOwnerPhone(req.body.ownerPhone);
+
+    const result = await dashboardAuthService.requestCode(ownerPhone);
+    if (!result.success) {
+      if (result.message.startsWith('Please wait')) {
+        throw new RateLimitError(result.message);
+      }
+      throw new AppError(result.message, 502);
+    }
+
+    res.json({ success: true, message: result.message });
+  }
+
+  async verifyCode(req, res) {
+    const ownerPhone = this.validateOwnerPhone(req.body.ownerPhone);
+    const code = typeof req.body.code === 'string' ? req.body.code.trim() : '';
+    if (!/^\d{6}$/.test(code)) {
+      throw new ValidationError('The login code is 6 digits', 'code');
+    }
+
+    const result = await dashboardAuthService.verifyCode(ownerPhone, code);
+    if (!result.success) {
+      throw new AuthenticationError(result.message);
+    }
+
+    res.json({
+      success: true,
+      key: result.key,
+      businessId: result.businessId,
+      expiresAt: result.apiKey.expiresAt,
+    });
+  }
+
+  /**
+   * Revoke the key the request was made with, if a dashboard login issued it
+   */
+  async logout(req, res) {
+    if (!dashboardAuthService.isDashboardKey(req.apiKey)) {
+      throw new ValidationError(
+        'Only keys issued by a dashboard login can log out; revoke other keys with DELETE /api/keys/:keyId'
+      );
+    }
+
+    await apiKeyService.revokeKey(req.apiKey.keyId);
+    res.json({ success: true, message: 'Logged out' });
+  }
+
+  validateOwnerPhone(ownerPhone) {
+    const phoneValidation = validator.validateAndSanitize('phoneNumber', ownerPhone);
+    if (!phoneValidation.valid) {
+      throw new ValidationError(phoneValidation.error, 'ownerPhone');
+    }
+    return `+${phoneValidation.sanitized}`;
+  }
+}
+
+module.exports = new DashboardController();
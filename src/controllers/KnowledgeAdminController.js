@@ -0,0 +1,83 @@
+/**
+ * Knowledge Administration Controller
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const knowledgeService = require('../services/knowledgeService');
+const reindexService = require('../services/reindexService');
+const businessService = require('../services/businessService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors/AppError');
+
+class KnowledgeAdminController {
+  constructor() {
+    this.backfillContent = catchAsync(this.backfillContent.bind(this));
+    this.startReindex = catchAsync(this.startReindex.bind(this));
+    this.getReindexStatus = catchAsync(this.getReindexStatus.bind(this));
+  }
+
+  async backfillContent(req, res) {
+    const { batchSize = 100 } = req.body;
+
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000) {
+      throw new ValidationError(
+        'batchSize must be an integer between 1 and 1000',
+        'batchSize',
+        batchSize
+      );
+    }
+
+    const result = await knowledgeService.backfillContent({ batchSize });
+    res.json({ success: true, ...result });
+  }
+
+  async startReindex(req, res) {
+    const {
+      businessId,
+      batchSize,
+      restart = false,
+      force = false,
+      allowMissing = false,
+    } = req.body;
+
+    if (businessId !== undefined && (typeof businessId !== 'string' || !businessId.trim())) {
+      throw new ValidationError('businessId must be a non-empty string', 'businessId', businessId);
+    }
+    if (
+      batchSize !== undefined &&
+      (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 1000)
+    ) {
+      throw new ValidationError(
+        'batchSize must be an integer between 1 and 1000',
+        'batchSize',
+        batchSize
+      );
+    }
+
+    const targetId = businessId ? businessId.trim() : undefined;
+    if (targetId && !(await businessService.getBusinessById(targetId))) {
+      throw new NotFoundError('Business', targetId);
+    }
+
+    // Runs in the background; poll GET /api/admin/knowledge/reindex for progress
+    const result = reindexService.startJob({
+      businessId: targetId,
+      batchSize,
+      restart: restart === true,
+      force: force === true,
+      allowMissing: allowMissing === true,
+    });
+    if (!result.success) {
+      throw new ConflictError(result.message);
+    }
+
+    res.status(202).json({ success: true, message: 'Re-index started', job: result.job });
+  }
+
+  async getReindexStatus(req, res) {
+    const indexes = await reindexService.getStatus(req.query.businessId || null);
+    res.json({ success: true, job: reindexService.getCurrentJob(), indexes });
+  }
+}
+
+module.exports = new KnowledgeAdminController();
@@ -0,0 +1,359 @@
+/**
+ * Knowledge Entry Controller
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const path = require('path');
+const config = require('../../config');
+const knowledgeService = require('../services/knowledgeService');
+const businessService = require('../services/businessService');
+const DocumentParser = require('../utils/documentParser');
+const FaqParser = require('../utils/faqParser');
+const validator = require('../utils/validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const { AppError, ValidationError, NotFoundError } = require('../errors/AppError');
+
+// What knowledgeService reports for a missing entry or one owned by another business
+const NOT_FOUND_MESSAGE = 'Knowledge entry not found or access denied';
+const LIST_FAILED_MESSAGE = 'Error retrieving knowledge list.';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class KnowledgeController {
+  constructor() {
+    this.getKnowledge = catchAsync(this.getKnowledge.bind(this));
+    this.updateKnowledge = catchAsync(this.updateKnowledge.bind(this));
+    this.importKnowledge = catchAsync(this.importKnowledge.bind(this));
+    this.listKnowledge = catchAsync(this.listKnowledge.bind(this));
+    this.createKnowledge = catchAsync(this.createKnowledge.bind(this));
+    this.uploadDocument = catchAsync(this.uploadDocument.bind(this));
+    this.deleteKnowledge = catchAsync(this.deleteKnowledge.bind(this));
+  }
+
+  /**
+   * One page of the business's entries, newest first, filtered by type, keyword
+   * and/or creation date
+   */
+  async listKnowledge(req, res) {
+    const { businessId } = req.params;
+    const { type, keyword } = req.query;
+
+    await this.findBusiness(businessId);
+
+    const result = await knowledgeService.listKnowledge(businessId, {
+      page: this.parsePositiveInteger(req.query.page, 'page', 1, Infinity),
+      pageSize: this.parsePositiveInteger(
+        req.query.pageSize,
+        'pageSize',
+        DEFAULT_PAGE_SIZE,
+        MAX_PAGE_SIZE
+      ),
+      type,
+      keyword,
+      createdAfter: this.parseDate(req.query.createdAfter, 'createdAfter'),
+      createdBefore: this.parseDate(req.query.createdBefore, 'createdBefore'),
+    });
+    if (!result.success) {
+      if (result.message === LIST_FAILED_MESSAGE) {
+        throw new AppError(result.message);
+      }
+      throw new ValidationError(result.message);
+    }
+
+    res.json({
+      success: true,
+      entries: result.entries.map(entry => ({
+        knowledgeId: entry.id,
+        type: entry.type,
+        preview: entry.preview,
+        createdAt: entry.addedAt,
+      })),
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      totalPages: result.totalPages,
+    });
+  }
+
+  async createKnowledge(req, res) {
+    const { businessId } = req.params;
+    const content = this.validateContent(req.body.content);
+
+    const business = await this.findBusiness(businessId);
+
+    const result = await knowledgeService.addTextKnowledge(
+      business.businessId,
+      business.businessName,
+      content,
+      { source: 'api' }
+    );
+    if (!result.success) {
+      throw new AppError(result.message);
+    }
+    await businessService.updateKnowledgeCount(business.ownerPhone);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      knowledgeId: result.knowledgeId,
+    });
+  }
+
+  /**
+   * Add a PDF, TXT or DOCX document (multipart field `file`), or an image described by
+   * the `description` field, the same way an owner's WhatsApp upload is added
+   */
+  async uploadDocument(req, res) {
+    const { businessId } = req.params;
+    if (!req.file) {
+      throw new ValidationError('Send the document in the "file" field', 'file');
+    }
+
+    const filename = path.basename(req.file.originalname || '');
+    const extension = path.extname(filename).toLowerCase();
+    const fileTypeValidation = validator.validateFileType(
+      filename,
+      config.get('media').allowedTypes
+    );
+    if (!fileTypeValidation.valid) {
+      throw new ValidationError(fileTypeValidation.error, 'file', filename);
+    }
+    if (FaqParser.isFaqFile(extension)) {
+      throw new ValidationError(
+        `Import FAQ files with POST /api/businesses/${businessId}/knowledge/import`,
+        'file',
+        filename
+      );
+    }
+
+    const business = await this.findBusiness(businessId);
+
+    let content;
+    if (DocumentParser.isImage(extension)) {
+      // Images are searchable through the description of what they show
+      content = req.body.description;
+      if (!content) {
+        throw new ValidationError('Describe what the image shows in "description"', 'description');
+      }
+    } else {
+      try {
+        content = await DocumentParser.extractText(req.file.buffer, extension);
+      } catch (error) {
+        throw new ValidationError(`Could not read ${filename}`, 'file', filename);
+      }
+    }
+    if (!content.trim()) {
+      throw new ValidationError(`Could not extract text from ${filename}`, 'file', filename);
+    }
+    content = this.validateContent(content);
+
+    const result = await knowledgeService.addDocumentKnowledge(
+      business.businessId,
+      business.businessName,
+      fileTypeValidation.sanitized,
+      content,
+      extension,
+      { source: 'api', originalSize: req.file.size },
+      { buffer: req.file.buffer, contentType: req.file.mimetype }
+    );
+    if (!result.success) {
+      throw new AppError(result.message);
+    }
+    await businessService.updateKnowledgeCount(business.ownerPhone);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      knowledgeId: result.knowledgeId,
+    });
+  }
+
+  async deleteKnowledge(req, res) {
+    const { businessId } = req.params;
+    const knowledgeId = this.validateKnowledgeId(req.params.knowledgeId);
+
+    const business = await this.findBusiness(businessId);
+
+    const result = await knowledgeService.deleteKnowledge(business.businessId, knowledgeId);
+    this.assertFound(result, knowledgeId);
+    await businessService.updateKnowledgeCount(business.ownerPhone, -1);
+
+    res.json({ success: true, message: result.message, knowledgeId });
+  }
+
+  async getKnowledge(req, res) {
+    const { businessId } = req.params;
+    const knowledgeId = this.validateKnowledgeId(req.params.knowledgeId);
+
+    const result = await knowledgeService.getKnowledgeContent(businessId, knowledgeId);
+    this.assertFound(result, knowledgeId);
+
+    res.json({
+      success: true,
+      knowledge: this.toResponse(result.entry, result.content),
+      complete: result.complete,
+    });
+  }
+
+  async updateKnowledge(req, res) {
+    const { businessId } = req.params;
+    const knowledgeId = this.validateKnowledgeId(req.params.knowledgeId);
+    const content = this.validateContent(req.body.content);
+
+    const result = await knowledgeService.updateKnowledge(businessId, knowledgeId, content);
+    this.assertFound(result, knowledgeId);
+
+    res.json({
+      success: true,
+      message: result.message,
+      vectorsUpdated: result.vectorsUpdated,
+      knowledge: this.toResponse(result.entry, result.entry.content),
+    });
+  }
+
+  /**
+   * Import question/answer pairs from an uploaded CSV or JSON file (multipart field
+   * `file`) or from a JSON body's `faqs` array
+   */
+  async importKnowledge(req, res) {
+    const { businessId } = req.params;
+    const file = this.getFaqFile(req);
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      throw new NotFoundError('Business', businessId);
+    }
+
+    const result = await knowledgeService.importFaq(
+      business.businessId,
+      business.businessName,
+      file,
+      { uploadedVia: 'api' }
+    );
+    if (result.invalidFile) {
+      throw new ValidationError(result.message, 'file');
+    }
+    if (!result.rows) {
+      throw new AppError(result.message);
+    }
+
+    if (result.imported > 0) {
+      await businessService.updateKnowledgeCount(business.ownerPhone, result.imported);
+    }
+
+    res.json({
+      success: result.success,
+      message: result.message,
+      imported: result.imported,
+      failed: result.failed,
+      vectorsUpdated: result.vectorsStored,
+      rows: result.rows,
+    });
+  }
+
+  getFaqFile(req) {
+    if (req.file) {
+      const extension = path.extname(req.file.originalname || '').toLowerCase();
+      if (!FaqParser.isFaqFile(extension)) {
+        throw new ValidationError('Upload a .csv or .json file', 'file', req.file.originalname);
+      }
+      return {
+        content: req.file.buffer.toString('utf8'),
+        extension,
+        filename: req.file.originalname,
+      };
+    }
+
+    if (req.body && Array.isArray(req.body.faqs)) {
+      return { content: JSON.stringify(req.body.faqs), extension: '.json', filename: 'request' };
+    }
+
+    throw new ValidationError(
+      'Send a CSV or JSON file in the "file" field, or a "faqs" array',
+      'file'
+    );
+  }
+
+  async findBusiness(businessId) {
+    const business = await businessService.getBusiness(businessId);
+    if (!business) {
+      throw new NotFoundError('Business', businessId);
+    }
+    return business;
+  }
+
+  /**
+   * @returns {string} The sanitized content
+   */
+  validateContent(content) {
+    const contentValidation = validator.validateAndSanitize('knowledgeContent', content);
+    if (!contentValidation.valid) {
+      throw new ValidationError(contentValidation.error, 'content');
+    }
+    if (validator.detectSuspiciousContent(contentValidation.sanitized)) {
+      throw new ValidationError(
+        'Content contains suspicious elements and cannot be processed',
+        'content'
+      );
+    }
+    return contentValidation.sanitized;
+  }
+
+  parsePositiveInteger(value, field, defaultValue, max) {
+    if (value === undefined) {
+      return defaultValue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      const range = max === Infinity ? 'a whole number of 1 or more' : `from 1 to ${max}`;
+      throw new ValidationError(`${field} must be ${range}`, field, value);
+    }
+    return number;
+  }
+
+  parseDate(value, field) {
+    if (value === undefined) {
+      return undefined;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      throw new ValidationError(`${field} must be an ISO 8601 date`, field, value);
+    }
+    return date;
+  }
+
+  validateKnowledgeId(knowledgeId) {
+    const idValidation = validator.validateAndSanitize('knowledgeId', knowledgeId);
+    if (!idValidation.valid) {
+      throw new ValidationError(idValidation.error, 'knowledgeId', knowledgeId);
+    }
+    return idValidation.sanitized;
+  }
+
+  assertFound(result, knowledgeId) {
+    if (result.success) {
+      return;
+    }
+    if (result.message === NOT_FOUND_MESSAGE) {
+      throw new NotFoundError('Knowledge entry', knowledgeId);
+    }
+    throw new AppError(result.message);
+  }
+
+  toResponse(entry, content) {
+    return {
+      knowledgeId: entry.knowledgeId,
+      businessId: entry.businessId,
+      type: entry.type,
+      filename: entry.filename,
+      fileType: entry.fileType,
+      content,
+      metadata: entry.metadata,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+    };
+  }
+}
+
+module.exports = new KnowledgeController();
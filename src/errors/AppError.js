@@ -151,6 +151,23 @@ class RateLimitError extends AppError {
   }
 }
 
+/**
+ * Conflict with the current state of a resource (e.g. an operation already running)
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Request conflicts with the current state of the resource') {
+    super(message, 409);
+    this.type = 'conflict_error';
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: this.type,
+    };
+  }
+}
+
 /**
  * Database operation error
  */
@@ -183,5 +200,6 @@ module.exports = {
   AuthorizationError,
   ExternalServiceError,
   RateLimitError,
+  ConflictError,
   DatabaseError,
 };
@@ -4,13 +4,16 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const config = require('../config');
 const logger = require('./utils/logger');
 const database = require('./config/database');
+const Migrator = require('./utils/migrator');
 const vectorService = require('./services/vectorService');
 const backupManager = require('./utils/backup');
+const scheduler = require('./utils/scheduler');
 const twilioWhatsAppService = require('./services/twilioWhatsAppService');
 const businessService = require('./services/businessService');
 const knowledgeBaseModule = require('./modules/knowledgeBase');
@@ -36,6 +39,7 @@ const {
   limitRequestSize,
 } = require('./middleware/security');
 const { sanitizeInput } = require('./middleware/validation');
+const { authenticateApiKey, requirePlatformAccess } = require('./middleware/apiKeyAuth');
 const { 
   requestLogging, 
   errorLogging, 
@@ -227,6 +231,25 @@ app.get('/debug/routes', (req, res) => {
     'GET /debug/swagger-test - Swagger components test',
     'GET /api/businesses - List businesses',
     'POST /api/businesses - Create business',
+    'GET /api/businesses/:businessId - Get a business',
+    'PATCH /api/businesses/:businessId - Update a business',
+    'DELETE /api/businesses/:businessId - Delete a business',
+    'POST /api/businesses/:businessId/suspend - Suspend a business',
+    'POST /api/businesses/:businessId/reactivate - Reactivate a business',
+    'GET /api/businesses/:businessId/stats - Business statistics',
+    'GET /api/businesses/:businessId/knowledge - List knowledge entries',
+    'POST /api/businesses/:businessId/knowledge - Add a text knowledge entry',
+    'POST /api/businesses/:businessId/knowledge/documents - Upload a document',
+    'GET /api/businesses/:businessId/knowledge/:knowledgeId - Get a knowledge entry',
+    'PUT /api/businesses/:businessId/knowledge/:knowledgeId - Replace a knowledge entry',
+    'DELETE /api/businesses/:businessId/knowledge/:knowledgeId - Delete a knowledge entry',
+    'POST /api/businesses/:businessId/ask - Test a question against the bot',
+    'GET /api/businesses/:businessId/conversations - Recent customer conversations',
+    'GET /dashboard - Business owner dashboard',
+    'GET /admin - Platform admin console',
+    'POST /api/dashboard/login/code - Send a dashboard login code over WhatsApp',
+    'POST /api/dashboard/login/verify - Log in to the dashboard with the code',
+    'POST /api/dashboard/logout - Log out of the dashboard',
     'GET /api/twilio/status - Twilio status',
     'GET /api/admin/backup/list - List backups (requires auth)',
     'GET /api/logging/metrics - Logging metrics (requires auth)',
@@ -235,6 +258,10 @@ app.get('/debug/routes', (req, res) => {
     'GET /api/performance/top-routes - Most accessed routes',
     'GET /api/performance/health - Performance health check',
     'POST /api/performance/reset - Reset performance metrics',
+    'POST /api/keys - Create an API key',
+    'GET /api/keys - List API keys',
+    'POST /api/keys/:keyId/rotate - Rotate an API key',
+    'DELETE /api/keys/:keyId - Revoke an API key',
     'POST /webhooks/twilio/whatsapp - WhatsApp webhook',
     'GET /webhooks/status - Webhook status'
   ];
@@ -247,9 +274,13 @@ app.get('/debug/routes', (req, res) => {
   });
 });
 
+// Business owner dashboard and platform admin console (static pages over the REST API)
+app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')));
+app.use('/admin', express.static(path.join(__dirname, 'public', 'admin')));
+
 // Mount all routes
 app.use('/', routes);
-app.use('/api/knowledge', knowledgeBaseModule);
+app.use('/api/knowledge', authenticateApiKey, knowledgeBaseModule);
 
 // WhatsApp webhook endpoint
 app.post('/api/webhook/whatsapp', async (req, res) => {
@@ -505,7 +536,7 @@ app.post('/api/webhook/whatsapp', async (req, res) => {
 // Note: Root, health, business, admin, and twilio endpoints are now handled by structured routes
 
 // Simple logs endpoint that definitely works
-app.get('/simple-logs', (req, res) => {
+app.get('/simple-logs', authenticateApiKey, requirePlatformAccess, (req, res) => {
   const { exec } = require('child_process');
   const lines = req.query.lines || 50;
 
@@ -537,7 +568,7 @@ app.get('/simple-logs', (req, res) => {
 });
 
 // Log monitoring endpoints
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', authenticateApiKey, requirePlatformAccess, async (req, res) => {
   try {
     const { lines = 100, filter = '', level = 'all' } = req.query;
     const { exec } = require('child_process');
@@ -581,7 +612,7 @@ app.get('/api/logs', async (req, res) => {
 });
 
 // Application metrics endpoint
-app.get('/api/metrics', async (req, res) => {
+app.get('/api/metrics', authenticateApiKey, requirePlatformAccess, async (req, res) => {
   try {
     const { exec } = require('child_process');
 
@@ -673,7 +704,19 @@ app.get('/logs', (req, res) => {
         async function loadLogs() {
             try {
                 document.getElementById('status').textContent = 'Status: Loading...';
-                const response = await fetch('/api/logs?lines=100');
+                const apiKey = sessionStorage.getItem('sbcApiKey') || prompt('Platform admin API key');
+                if (!apiKey) {
+                    document.getElementById('status').textContent = 'Status: API key required';
+                    return;
+                }
+                sessionStorage.setItem('sbcApiKey', apiKey);
+
+                const response = await fetch('/api/logs?lines=100', {
+                    headers: { Authorization: 'Bearer ' + apiKey }
+                });
+                if (response.status === 401 || response.status === 403) {
+                    sessionStorage.removeItem('sbcApiKey');
+                }
                 const data = await response.json();
                 
                 if (data.success) {
@@ -731,6 +774,12 @@ async function initializeServices() {
   try {
     logger.info('[STARTUP] Initializing Small Business Care System...');
 
+    // Apply pending migrations first, so nothing runs against an outdated schema
+    if (config.get('database.postgres').migrateOnBoot) {
+      logger.info('[STARTUP] Applying database migrations...');
+      await new Migrator().up();
+    }
+
     // Initialize database connection
     logger.info('[STARTUP] Connecting to Supabase...');
     await database.connect();
@@ -752,6 +801,7 @@ async function initializeServices() {
     // Initialize Twilio WhatsApp service
     logger.info('[STARTUP] Initializing Twilio WhatsApp service...');
     await twilioWhatsAppService.initialize();
+    twilioWhatsAppService.scheduleRoutingRefresh();
 
     // Initialize backup system
     if (process.env.NODE_ENV === 'production') {
@@ -775,6 +825,8 @@ async function initializeServices() {
 process.on('SIGTERM', async () => {
   logger.info('[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
 
+  scheduler.stop();
+
   try {
     await database.disconnect();
     logger.info('[SHUTDOWN] Database disconnected');
@@ -788,6 +840,8 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('[SHUTDOWN] Received SIGINT, shutting down gracefully...');
 
+  scheduler.stop();
+
   try {
     await database.disconnect();
     logger.info('[SHUTDOWN] Database disconnected');
@@ -0,0 +1,93 @@
+/**
+ * API Key Authentication Middleware
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+const { AuthenticationError, AuthorizationError } = require('../errors/AppError');
+
+const { ROLES } = apiKeyService;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ */
+const getPresentedKey = req => {
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Bearer ')) {
+    return auth.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Require a valid API key and set req.apiKey. Read-only keys can only make GET requests.
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const key = getPresentedKey(req);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer realm="API"');
+    return next(new AuthenticationError('API key required'));
+  }
+
+  try {
+    const apiKey = await apiKeyService.verify(key);
+    if (!apiKey) {
+      logger.warn(`[SECURITY] Invalid API key from ${req.ip} for ${req.method} ${req.originalUrl}`);
+      return next(new AuthenticationError('Invalid or expired API key'));
+    }
+
+    if (apiKey.role === ROLES.READ_ONLY && !READ_METHODS.includes(req.method)) {
+      return next(new AuthorizationError('This API key is read-only'));
+    }
+
+    req.apiKey = apiKey;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Whether the key can act on this business: platform admins and unscoped read-only keys
+ * can reach every business, other keys only their own
+ */
+const canAccessBusiness = (apiKey, businessId) => {
+  if (apiKey.role === ROLES.PLATFORM_ADMIN) {
+    return true;
+  }
+  if (apiKey.role === ROLES.READ_ONLY && !apiKey.businessId) {
+    return true;
+  }
+  return Boolean(businessId) && apiKey.businessId === businessId;
+};
+
+/**
+ * Routes about the whole platform: platform admins, and unscoped read-only keys
+ * (which authenticateApiKey has already limited to GET)
+ */
+const requirePlatformAccess = (req, res, next) => {
+  if (!req.apiKey || !canAccessBusiness(req.apiKey, null)) {
+    return next(new AuthorizationError('This API key cannot access platform-wide routes'));
+  }
+  return next();
+};
+
+/**
+ * Routes about one business
+ * @param {Function} getBusinessId - Reads the business ID from the request
+ */
+const requireBusinessAccess = getBusinessId => (req, res, next) => {
+  if (!req.apiKey || !canAccessBusiness(req.apiKey, getBusinessId(req))) {
+    return next(new AuthorizationError('This API key cannot access this business'));
+  }
+  return next();
+};
+
+module.exports = {
+  authenticateApiKey,
+  requirePlatformAccess,
+  requireBusinessAccess,
+  canAccessBusiness,
+};
@@ -35,6 +35,11 @@ const globalErrorHandler = (err, req, res, next) => {
     return sendErrorResponse(res, duplicateError);
   }
 
+  if (err.name === 'MulterError') {
+    const uploadError = handleUploadError(err);
+    return sendErrorResponse(res, uploadError);
+  }
+
   if (err.name === 'JsonWebTokenError') {
     const jwtError = handleJWTError(err);
     return sendErrorResponse(res, jwtError);
@@ -50,6 +55,19 @@ const globalErrorHandler = (err, req, res, next) => {
   return sendErrorResponse(res, unknownError);
 };
 
+/**
+ * Request headers without API keys or other credentials
+ */
+const redactCredentials = headers => {
+  const redacted = { ...headers };
+  ['authorization', 'x-api-key', 'cookie'].forEach(name => {
+    if (redacted[name]) {
+      redacted[name] = '[REDACTED]';
+    }
+  });
+  return redacted;
+};
+
 /**
  * Log error with context information
  */
@@ -62,7 +80,7 @@ const logError = (err, req) => {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString(),
-    headers: req.headers,
+    headers: redactCredentials(req.headers),
     body: req.body,
     params: req.params,
     query: req.query,
@@ -156,6 +174,14 @@ const handleDuplicateFieldError = err => {
   return new ValidationError(message, field, value);
 };
 
+/**
+ * Handle file upload errors (too large, unexpected field, ...)
+ */
+const handleUploadError = err => {
+  const { ValidationError } = require('../errors/AppError');
+  return new ValidationError(`Upload rejected: ${err.message}`, err.field);
+};
+
 /**
  * Handle JWT errors
  */
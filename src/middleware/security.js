@@ -5,6 +5,7 @@
 
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const twilio = require('twilio');
 const config = require('../../config');
 const { RateLimitError, AuthenticationError } = require('../errors/AppError');
 const logger = require('../utils/logger');
@@ -82,7 +83,6 @@ const validateTwilioSignature = (req, res, next) => {
     return next();
   }
 
-  const crypto = require('crypto');
   const twilioConfig = config.get('messaging.twilio');
 
   const signature = req.headers['x-twilio-signature'];
@@ -92,17 +92,10 @@ const validateTwilioSignature = (req, res, next) => {
   }
 
   try {
+    // Twilio signs the full webhook URL followed by the sorted form parameters
     const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-    const body = JSON.stringify(req.body);
 
-    const expectedSignature = crypto
-      .createHmac('sha1', twilioConfig.authToken)
-      .update(url + body)
-      .digest('base64');
-
-    const providedSignature = signature.replace('sha1=', '');
-
-    if (expectedSignature !== providedSignature) {
+    if (!twilio.validateRequest(twilioConfig.authToken, signature, url, req.body || {})) {
       logger.warn('[SECURITY] Invalid Twilio signature');
       return next(new AuthenticationError('Invalid webhook signature'));
     }
@@ -150,35 +143,6 @@ const securityLogger = (req, res, next) => {
   next();
 };
 
-/**
- * Basic authentication for admin endpoints
- */
-const basicAuth = (req, res, next) => {
-  const auth = req.headers.authorization;
-
-  if (!auth || !auth.startsWith('Basic ')) {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return next(new AuthenticationError('Authentication required'));
-  }
-
-  try {
-    const credentials = Buffer.from(auth.slice(6), 'base64').toString().split(':');
-    const [username, password] = credentials;
-
-    // In production, these should come from environment variables
-    const validUsername = process.env.ADMIN_USERNAME || 'admin';
-    const validPassword = process.env.ADMIN_PASSWORD || 'password123';
-
-    if (username !== validUsername || password !== validPassword) {
-      return next(new AuthenticationError('Invalid credentials'));
-    }
-
-    next();
-  } catch (error) {
-    next(new AuthenticationError('Invalid authentication format'));
-  }
-};
-
 /**
  * CORS preflight handler
  */
@@ -187,7 +151,7 @@ const handlePreflight = (req, res, next) => {
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header(
       'Access-Control-Allow-Headers',
-      'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Twilio-Signature'
+      'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Twilio-Signature'
     );
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
     return res.sendStatus(200);
@@ -236,7 +200,6 @@ module.exports = {
   configureHelmet,
   validateTwilioSignature,
   securityLogger,
-  basicAuth,
   handlePreflight,
   limitRequestSize,
 };
@@ -223,8 +223,21 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+/**
+ * Run a body field validator only when the field was sent (for partial updates)
+ */
+const validateIfPresent = (field, validator) => {
+  return (req, res, next) => {
+    if (req.body[field] === undefined) {
+      return next();
+    }
+    return validator(req, res, next);
+  };
+};
+
 module.exports = {
   validateRequiredFields,
+  validateIfPresent,
   validateBusinessId,
   validateWhatsAppNumber,
   validatePhoneNumber,
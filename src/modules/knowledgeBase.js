@@ -5,105 +5,101 @@
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const pdfParse = require('pdf-parse');
-const vectorService = require('../services/vectorService');
+const config = require('../../config');
+const knowledgeService = require('../services/knowledgeService');
+const aiService = require('../services/aiService');
+const KnowledgeController = require('../controllers/KnowledgeController');
+const { requireBusinessAccess } = require('../middleware/apiKeyAuth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { ValidationError } = require('../errors/AppError');
+const logger = require('../utils/logger');
+
+// Older routes kept for existing clients. They use the same knowledge service as
+// /api/businesses/:businessId/knowledge, so entries are saved and counted the same way.
 
 const router = express.Router();
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
-  },
-});
-
 const upload = multer({
-  storage,
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.txt', '.doc', '.docx'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedTypes.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, TXT, DOC, and DOCX files are allowed'));
-    }
-  },
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.get('media').maxFileSizeBytes, files: 1 },
 });
 
-router.post('/upload', upload.single('document'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const { businessId, businessName } = req.body;
-    if (!businessId || !businessName) {
-      return res.status(400).json({ error: 'Business ID and name are required' });
-    }
+const DOCUMENTS_PAGE_SIZE = 100;
 
-    const filePath = req.file.path;
-    let content = '';
+// API keys limited to one business can only use that business's knowledge base
+const pathBusinessAccess = requireBusinessAccess(req => req.params.businessId);
+const bodyBusinessAccess = requireBusinessAccess(req => req.body.businessId);
 
-    if (path.extname(req.file.originalname).toLowerCase() === '.pdf') {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdfParse(dataBuffer);
-      content = data.text;
-    } else if (path.extname(req.file.originalname).toLowerCase() === '.txt') {
-      content = fs.readFileSync(filePath, 'utf8');
-    }
-
-    await vectorService.storeDocument({
-      businessId,
-      businessName,
-      filename: req.file.originalname,
-      content,
-      metadata: {
-        uploadDate: new Date(),
-        fileType: path.extname(req.file.originalname),
-      },
-    });
-
-    fs.unlinkSync(filePath);
-
-    res.json({
-      message: 'Document uploaded and processed successfully',
-      filename: req.file.originalname,
-    });
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to process document' });
+const requireBodyBusinessId = (req, res, next) => {
+  if (!req.body.businessId) {
+    return next(new ValidationError('Business ID is required', 'businessId'));
   }
-});
+  return next();
+};
+
+// The business ID is in the form body, so it is only checked once multer has read it
+router.post(
+  '/upload',
+  upload.single('document'),
+  requireBodyBusinessId,
+  bodyBusinessAccess,
+  (req, res, next) => {
+    req.params.businessId = req.body.businessId;
+    KnowledgeController.uploadDocument(req, res, next);
+  }
+);
+
+// Keeps its original responses, { documents: [filename, ...] } or { error }, for the
+// clients still using it
+router.get('/business/:businessId/documents', pathBusinessAccess, async (req, res) => {
+  const { businessId } = req.params;
+  const filenames = new Set();
 
-router.get('/business/:businessId/documents', async (req, res) => {
   try {
-    const { businessId } = req.params;
-    const documents = await vectorService.getBusinessDocuments(businessId);
-    res.json({ documents });
+    let page = 0;
+    let result;
+    do {
+      page++;
+      result = await knowledgeService.listKnowledge(businessId, {
+        type: 'document',
+        page,
+        pageSize: DOCUMENTS_PAGE_SIZE,
+      });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      result.entries.forEach(entry => {
+        if (entry.filename) {
+          filenames.add(entry.filename);
+        }
+      });
+    } while (page < result.totalPages);
   } catch (error) {
-    console.error('Fetch documents error:', error);
-    res.status(500).json({ error: 'Failed to fetch documents' });
+    logger.error(`[KNOWLEDGE] Error fetching documents for ${businessId}:`, error);
+    return res.status(500).json({ error: 'Failed to fetch documents' });
   }
+
+  return res.json({ documents: Array.from(filenames) });
 });
 
-router.post('/search', async (req, res) => {
-  try {
+router.post(
+  '/search',
+  requireBodyBusinessId,
+  bodyBusinessAccess,
+  catchAsync(async (req, res) => {
     const { query, businessId } = req.body;
 
-    if (!query || !businessId) {
-      return res.status(400).json({ error: 'Query and business ID are required' });
+    if (!query) {
+      throw new ValidationError('Query is required', 'query');
     }
 
-    const results = await vectorService.searchSimilar(query, businessId);
-    res.json({ results });
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
-  }
-});
+    const results = await knowledgeService.searchKnowledge(businessId, query);
+    res.json({
+      results,
+      sources: aiService.summarizeSources(results),
+      confidence: aiService.computeConfidence(results),
+    });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,547 @@
+/**
+ * Platform Admin Console
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ *
+ * Operator view over the platform-only REST APIs, signed in with a
+ * platform_admin API key
+ */
+
+(() => {
+  'use strict';
+
+  const SESSION_KEY = 'sbcAdminKey';
+  const KNOWLEDGE_PAGE_SIZE = 10;
+  const METRICS_REFRESH_MS = 5000;
+  const REINDEX_REFRESH_MS = 3000;
+  const CONFIRM_TIMEOUT_MS = 4000;
+
+  const state = {
+    key: null,
+    tenant: null,
+    knowledgePage: 1,
+    knowledgePages: 1,
+    metricsTimer: null,
+    reindexTimer: null,
+  };
+
+  const $ = id => document.getElementById(id);
+
+  function setStatus(message, isError) {
+    const element = state.key ? $('appStatus') : $('loginStatus');
+    element.textContent = message || '';
+    element.classList.toggle('error', Boolean(isError));
+  }
+
+  /**
+   * Call the API with the admin key. Resolves to the parsed response; rejects with
+   * the API's error message, including operations that report `success: false`.
+   */
+  async function api(method, path, body) {
+    const options = { method, headers: { Authorization: `Bearer ${state.key}` } };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(path, options);
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      signOut('The API key was rejected, please sign in again');
+    }
+    if (!response.ok || data.success === false) {
+      const message = (data.error && data.error.message) || data.error || data.message;
+      throw new Error(
+        typeof message === 'string' ? message : `Request failed (${response.status})`
+      );
+    }
+    return data;
+  }
+
+  function cell(text, className) {
+    const element = document.createElement('td');
+    element.textContent = text === null || text === undefined ? '-' : text;
+    if (className) {
+      element.className = className;
+    }
+    return element;
+  }
+
+  function createButton(label, className, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.className = className;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  /**
+   * Click handler that only runs `onConfirm` on a second click. In between, the button
+   * shows `prompt` for a few seconds before going back to its label.
+   */
+  function confirmFirst(prompt, onConfirm) {
+    let timer = null;
+    let label = null;
+
+    return event => {
+      const element = event.currentTarget;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+        element.textContent = label;
+        onConfirm();
+        return;
+      }
+
+      label = element.textContent;
+      element.textContent = prompt;
+      timer = setTimeout(() => {
+        timer = null;
+        element.textContent = label;
+      }, CONFIRM_TIMEOUT_MS);
+    };
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '-';
+  }
+
+  function showJson(elementId, value) {
+    $(elementId).textContent = JSON.stringify(value, null, 2);
+  }
+
+  // Sign in
+
+  async function signIn(event) {
+    event.preventDefault();
+    state.key = $('apiKey').value.trim();
+
+    try {
+      // Only platform keys can list every business
+      await api('GET', '/api/businesses?status=active');
+      sessionStorage.setItem(SESSION_KEY, state.key);
+      $('apiKey').value = '';
+      showApp();
+    } catch (error) {
+      state.key = null;
+      setStatus(error.message, true);
+    }
+  }
+
+  function signOut(message) {
+    state.key = null;
+    sessionStorage.removeItem(SESSION_KEY);
+    stopTimers();
+    $('app').hidden = true;
+    $('login').hidden = false;
+    setStatus(message, Boolean(message));
+  }
+
+  function showApp() {
+    $('login').hidden = true;
+    $('app').hidden = false;
+    showTab('businesses');
+  }
+
+  function stopTimers() {
+    clearInterval(state.metricsTimer);
+    clearInterval(state.reindexTimer);
+    state.metricsTimer = null;
+    state.reindexTimer = null;
+  }
+
+  function showTab(tab) {
+    document.querySelectorAll('.tab').forEach(tabButton => {
+      tabButton.classList.toggle('active', tabButton.dataset.tab === tab);
+    });
+    ['businesses', 'operations', 'metrics'].forEach(id => {
+      $(id).hidden = id !== tab;
+    });
+    setStatus('');
+    stopTimers();
+
+    if (tab === 'businesses') {
+      loadBusinesses();
+    } else if (tab === 'operations') {
+      loadBackups();
+      loadReindexStatus();
+      loadCacheStats();
+    } else {
+      loadMetrics();
+      state.metricsTimer = setInterval(loadMetrics, METRICS_REFRESH_MS);
+    }
+  }
+
+  // Businesses
+
+  async function loadBusinesses() {
+    const status = $('statusFilter').value;
+
+    try {
+      const { businesses } = await api(
+        'GET',
+        `/api/businesses${status ? `?status=${encodeURIComponent(status)}` : ''}`
+      );
+      const body = $('businessRows');
+      body.replaceChildren();
+
+      businesses.forEach(business => {
+        const row = document.createElement('tr');
+        row.appendChild(cell(`${business.businessName} (${business.businessId})`));
+        row.appendChild(cell(business.status));
+        row.appendChild(cell(business.knowledgeCount));
+        row.appendChild(cell(business.usage.totalQueries));
+        row.appendChild(cell(`${business.usage.fallbackRate}%`));
+        row.appendChild(cell(formatDate(business.usage.lastActivity)));
+
+        const actions = document.createElement('td');
+        actions.appendChild(createButton('Open', 'secondary', () => openTenant(business)));
+        row.appendChild(actions);
+        body.appendChild(row);
+      });
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  function openTenant(business) {
+    state.tenant = business;
+    state.knowledgePage = 1;
+
+    $('tenantName').textContent = business.businessName;
+    $('tenantInfo').textContent = [
+      business.businessId,
+      `owner ${business.ownerPhone}`,
+      `number ${business.whatsappNumber}`,
+      `status ${business.status}`,
+      business.suspension ? `suspended: ${business.suspension.reason || 'no reason given'}` : '',
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    $('suspendTenant').hidden = business.status !== 'active';
+    $('reactivateTenant').hidden = business.status !== 'suspended';
+    closeSuspendForm();
+    $('knowledgeContent').hidden = true;
+    $('tenant').hidden = false;
+
+    loadTenantKnowledge();
+    loadConversations();
+    $('tenant').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function tenantPath(suffix) {
+    return `/api/businesses/${encodeURIComponent(state.tenant.businessId)}${suffix}`;
+  }
+
+  async function loadTenantKnowledge() {
+    try {
+      const data = await api(
+        'GET',
+        tenantPath(`/knowledge?page=${state.knowledgePage}&pageSize=${KNOWLEDGE_PAGE_SIZE}`)
+      );
+      state.knowledgePages = Math.max(data.totalPages, 1);
+
+      const body = $('tenantKnowledge');
+      body.replaceChildren();
+      data.entries.forEach(entry => {
+        const row = document.createElement('tr');
+        const preview = cell(entry.preview, 'clickable');
+        preview.addEventListener('click', () => showKnowledge(entry.knowledgeId));
+        row.appendChild(preview);
+        row.appendChild(cell(entry.type));
+        row.appendChild(cell(formatDate(entry.createdAt)));
+        body.appendChild(row);
+      });
+
+      $('knowledgePage').textContent =
+        `Page ${data.page} of ${state.knowledgePages} (${data.total} entries)`;
+      $('prevKnowledge').disabled = state.knowledgePage <= 1;
+      $('nextKnowledge').disabled = state.knowledgePage >= state.knowledgePages;
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function showKnowledge(knowledgeId) {
+    try {
+      const { knowledge } = await api('GET', tenantPath(`/knowledge/${knowledgeId}`));
+      $('knowledgeContent').textContent = knowledge.content || '';
+      $('knowledgeContent').hidden = false;
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function loadConversations() {
+    const container = $('conversations');
+    container.replaceChildren();
+
+    try {
+      const { conversations } = await api('GET', tenantPath('/conversations'));
+      if (conversations.length === 0) {
+        container.textContent = 'No recent conversations.';
+      }
+
+      conversations.forEach(conversation => {
+        const block = document.createElement('div');
+        block.className = 'conversation';
+
+        const heading = document.createElement('strong');
+        heading.textContent = `${conversation.customer} · ${formatDate(conversation.lastActivity)}`;
+        block.appendChild(heading);
+
+        conversation.turns.forEach(turn => {
+          const line = document.createElement('p');
+          line.className = `turn ${turn.role}`;
+          line.textContent = `${turn.role === 'user' ? 'Customer' : 'Bot'}: ${turn.content}`;
+          block.appendChild(line);
+        });
+        container.appendChild(block);
+      });
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  function openSuspendForm() {
+    $('suspendReason').value = '';
+    $('suspendForm').hidden = false;
+    $('suspendReason').focus();
+  }
+
+  function closeSuspendForm() {
+    $('suspendForm').hidden = true;
+  }
+
+  async function suspendTenant(event) {
+    event.preventDefault();
+    const reason = $('suspendReason').value.trim();
+
+    try {
+      const data = await api('POST', tenantPath('/suspend'), reason ? { reason } : {});
+      setStatus(data.message);
+      openTenant(data.business);
+      loadBusinesses();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function reactivateTenant() {
+    try {
+      const data = await api('POST', tenantPath('/reactivate'));
+      setStatus(data.message);
+      openTenant(data.business);
+      loadBusinesses();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function clearTenantCache() {
+    try {
+      const data = await api('POST', '/api/admin/cache/clear', {
+        businessId: state.tenant.businessId,
+      });
+      setStatus(data.message);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  // Operations
+
+  async function loadBackups() {
+    try {
+      const { backups, schedule } = await api('GET', '/api/admin/backup/list');
+      const body = $('backupRows');
+      body.replaceChildren();
+
+      backups.forEach(backup => {
+        const row = document.createElement('tr');
+        row.appendChild(cell(backup.filename));
+        row.appendChild(cell(formatDate(backup.created)));
+        row.appendChild(cell(`${(backup.size / 1024).toFixed(1)} KB`));
+        row.appendChild(cell(backup.recordCount));
+
+        const actions = document.createElement('td');
+        // Dry runs don't touch the database, so only a real restore asks for a second click
+        const confirmRestore = confirmFirst('Click again to restore', () => restoreBackup(backup));
+        actions.appendChild(
+          createButton('Restore', 'secondary', event =>
+            $('restoreDryRun').checked ? restoreBackup(backup) : confirmRestore(event)
+          )
+        );
+        row.appendChild(actions);
+        body.appendChild(row);
+      });
+      $('backupSchedule').textContent = schedule ? `Schedule: ${JSON.stringify(schedule)}` : '';
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function createBackup(event) {
+    event.preventDefault();
+    setStatus('Creating backup...');
+
+    try {
+      const data = await api('POST', '/api/admin/backup/create', {
+        type: $('backupType').value,
+        includeEmbeddings: $('includeEmbeddings').checked,
+      });
+      setStatus(`Backup ${data.filename} created (${data.recordCount} records)`);
+      loadBackups();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function restoreBackup(backup) {
+    const dryRun = $('restoreDryRun').checked;
+    setStatus(`${dryRun ? 'Dry-running' : 'Running'} restore of ${backup.filename}...`);
+
+    try {
+      const data = await api('POST', '/api/admin/backup/restore', {
+        backupPath: backup.filename,
+        dryRun,
+      });
+      setStatus(`${dryRun ? 'Dry run' : 'Restore'} finished: ${JSON.stringify(data.results)}`);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function startReindex(businessId) {
+    try {
+      const data = await api(
+        'POST',
+        '/api/admin/knowledge/reindex',
+        businessId ? { businessId } : {}
+      );
+      setStatus(`${data.message} (${data.job.id})`);
+      if ($('operations').hidden) {
+        showTab('operations');
+      } else {
+        loadReindexStatus();
+      }
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function loadReindexStatus() {
+    try {
+      const { job, indexes } = await api('GET', '/api/admin/knowledge/reindex');
+      showJson('reindexJob', { job, indexes });
+
+      // Follow a running job until it finishes
+      if (job && job.status === 'running' && !state.reindexTimer) {
+        state.reindexTimer = setInterval(loadReindexStatus, REINDEX_REFRESH_MS);
+      } else if ((!job || job.status !== 'running') && state.reindexTimer) {
+        clearInterval(state.reindexTimer);
+        state.reindexTimer = null;
+      }
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function loadCacheStats() {
+    try {
+      const { stats } = await api('GET', '/api/admin/cache/stats');
+      showJson('cacheStats', stats);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function clearCache() {
+    try {
+      const data = await api('POST', '/api/admin/cache/clear', {});
+      setStatus(data.message);
+      loadCacheStats();
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  // Metrics
+
+  async function loadMetrics() {
+    try {
+      const [performance, logging] = await Promise.all([
+        api('GET', '/api/performance/metrics'),
+        api('GET', '/api/logging/metrics'),
+      ]);
+      const metrics = performance.metrics;
+
+      $('metricRequests').textContent = metrics.requests.total;
+      $('metricRps').textContent = metrics.requestsPerSecond;
+      $('metricErrorRate').textContent = `${metrics.errorRate}%`;
+      $('metricP95').textContent = metrics.response_times.p95;
+      $('metricHeap').textContent = metrics.memory.heapUsed;
+      $('metricLogErrors').textContent = logging.metrics.logCounts
+        ? logging.metrics.logCounts.error
+        : '-';
+
+      showJson('performanceMetrics', metrics);
+      showJson('loggingMetrics', logging.metrics);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  function init() {
+    $('loginForm').addEventListener('submit', signIn);
+    $('logout').addEventListener('click', () => signOut());
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+
+    $('statusFilter').addEventListener('change', loadBusinesses);
+    $('refreshBusinesses').addEventListener('click', loadBusinesses);
+    $('suspendTenant').addEventListener('click', openSuspendForm);
+    $('suspendForm').addEventListener('submit', suspendTenant);
+    $('cancelSuspend').addEventListener('click', closeSuspendForm);
+    $('reactivateTenant').addEventListener('click', reactivateTenant);
+    $('reindexTenant').addEventListener(
+      'click',
+      confirmFirst('Click again to re-index', () => startReindex(state.tenant.businessId))
+    );
+    $('clearTenantCache').addEventListener('click', clearTenantCache);
+    $('closeTenant').addEventListener('click', () => {
+      state.tenant = null;
+      $('tenant').hidden = true;
+    });
+    $('prevKnowledge').addEventListener('click', () => {
+      state.knowledgePage--;
+      loadTenantKnowledge();
+    });
+    $('nextKnowledge').addEventListener('click', () => {
+      state.knowledgePage++;
+      loadTenantKnowledge();
+    });
+
+    $('backupForm').addEventListener('submit', createBackup);
+    $('reindexAll').addEventListener(
+      'click',
+      confirmFirst('Click again to re-index everything', () => startReindex(null))
+    );
+    $('refreshReindex').addEventListener('click', loadReindexStatus);
+    $('refreshCache').addEventListener('click', loadCacheStats);
+    $('clearCache').addEventListener(
+      'click',
+      confirmFirst('Click again to clear every cache', clearCache)
+    );
+
+    state.key = sessionStorage.getItem(SESSION_KEY);
+    if (state.key) {
+      showApp();
+    } else {
+      signOut();
+    }
+  }
+
+  init();
+})();
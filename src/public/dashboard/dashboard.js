@@ -0,0 +1,455 @@
+/**
+ * Business Owner Dashboard
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ *
+ * Talks to the same REST API as everyone else, using the business_owner key
+ * issued by /api/dashboard/login/verify
+ */
+
+(() => {
+  'use strict';
+
+  const SESSION_KEY = 'sbcDashboardSession';
+  const PAGE_SIZE = 20;
+  const FAQ_EXTENSIONS = ['.csv', '.json'];
+  const CONFIRM_TIMEOUT_MS = 4000;
+
+  const state = {
+    session: null,
+    ownerPhone: null,
+    page: 1,
+    totalPages: 1,
+    editingId: null,
+  };
+
+  const $ = id => document.getElementById(id);
+
+  function setStatus(elementId, message, isError) {
+    const element = $(elementId);
+    element.textContent = message || '';
+    element.classList.toggle('error', Boolean(isError));
+  }
+
+  function loadSession() {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+      if (session && new Date(session.expiresAt) > new Date()) {
+        return session;
+      }
+    } catch (error) {
+      // Fall through to a fresh login
+    }
+    sessionStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+
+  function businessPath(suffix) {
+    return `/api/businesses/${encodeURIComponent(state.session.businessId)}${suffix || ''}`;
+  }
+
+  /**
+   * Call the API, sending the session key and JSON (or FormData) body.
+   * Resolves to the parsed response; rejects with the API's error message.
+   */
+  async function api(method, path, body) {
+    const options = { method, headers: {} };
+    if (state.session) {
+      options.headers.Authorization = `Bearer ${state.session.key}`;
+    }
+    if (body instanceof FormData) {
+      options.body = body;
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(path, options);
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && state.session) {
+      endSession('Your session has expired, please log in again');
+    }
+    if (!response.ok) {
+      const message = (data.error && data.error.message) || data.message || data.error;
+      throw new Error(
+        typeof message === 'string' ? message : `Request failed (${response.status})`
+      );
+    }
+    return data;
+  }
+
+  // Login
+
+  function showLogin(message) {
+    $('app').hidden = true;
+    $('login').hidden = false;
+    $('codeForm').hidden = false;
+    $('verifyForm').hidden = true;
+    setStatus('loginStatus', message, Boolean(message));
+  }
+
+  async function requestCode(event) {
+    event.preventDefault();
+    state.ownerPhone = $('ownerPhone').value.trim();
+    setStatus('loginStatus', 'Sending code...');
+
+    try {
+      const data = await api('POST', '/api/dashboard/login/code', {
+        ownerPhone: state.ownerPhone,
+      });
+      $('codeForm').hidden = true;
+      $('verifyForm').hidden = false;
+      $('code').value = '';
+      $('code').focus();
+      setStatus('loginStatus', data.message);
+    } catch (error) {
+      setStatus('loginStatus', error.message, true);
+    }
+  }
+
+  async function verifyCode(event) {
+    event.preventDefault();
+
+    try {
+      const data = await api('POST', '/api/dashboard/login/verify', {
+        ownerPhone: state.ownerPhone,
+        code: $('code').value.trim(),
+      });
+      state.session = { key: data.key, businessId: data.businessId, expiresAt: data.expiresAt };
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(state.session));
+      setStatus('loginStatus', '');
+      showApp();
+    } catch (error) {
+      setStatus('loginStatus', error.message, true);
+    }
+  }
+
+  async function logout() {
+    try {
+      await api('POST', '/api/dashboard/logout');
+    } catch (error) {
+      // The key is dropped locally either way
+    }
+    endSession();
+  }
+
+  function endSession(message) {
+    state.session = null;
+    sessionStorage.removeItem(SESSION_KEY);
+    showLogin(message);
+  }
+
+  // Dashboard
+
+  function showApp() {
+    $('login').hidden = true;
+    $('app').hidden = false;
+    showTab('overview');
+  }
+
+  function showTab(tab) {
+    document.querySelectorAll('.tab').forEach(tabButton => {
+      tabButton.classList.toggle('active', tabButton.dataset.tab === tab);
+    });
+    ['overview', 'knowledge', 'ask'].forEach(id => {
+      $(id).hidden = id !== tab;
+    });
+    setStatus('appStatus', '');
+
+    if (tab === 'overview') {
+      loadOverview();
+    } else if (tab === 'knowledge') {
+      loadKnowledge();
+    }
+  }
+
+  async function loadOverview() {
+    try {
+      const [{ business }, stats] = await Promise.all([
+        api('GET', businessPath()),
+        api('GET', businessPath('/stats')),
+      ]);
+
+      $('businessName').textContent = business.businessName;
+      $('businessStatus').textContent = business.status;
+      $('businessStatus').classList.toggle('suspended', business.status !== 'active');
+
+      $('statQueries').textContent = stats.usage.totalQueries;
+      $('statFallbackRate').textContent = `${stats.usage.fallbackRate}%`;
+      $('statKnowledge').textContent = stats.knowledge.total;
+      $('statUploads').textContent = stats.usage.totalUploads;
+      $('statActivity').textContent = stats.usage.lastActivity
+        ? `Last activity ${new Date(stats.usage.lastActivity).toLocaleString()}`
+        : 'No activity yet';
+
+      const list = $('recentFallbacks');
+      list.replaceChildren();
+      if (stats.usage.recentFallbacks.length === 0) {
+        list.appendChild(listItem('Nothing unanswered - nice.'));
+      }
+      stats.usage.recentFallbacks.forEach(fallback => {
+        list.appendChild(
+          listItem(`${fallback.question} (${new Date(fallback.askedAt).toLocaleString()})`)
+        );
+      });
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  function listItem(text) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }
+
+  // Knowledge
+
+  async function loadKnowledge() {
+    const params = new URLSearchParams({ page: state.page, pageSize: PAGE_SIZE });
+    if ($('filterType').value) {
+      params.set('type', $('filterType').value);
+    }
+    if ($('filterKeyword').value.trim()) {
+      params.set('keyword', $('filterKeyword').value.trim());
+    }
+
+    try {
+      const data = await api('GET', businessPath(`/knowledge?${params}`));
+      state.totalPages = Math.max(data.totalPages, 1);
+      renderEntries(data.entries);
+      $('pageInfo').textContent =
+        `Page ${data.page} of ${state.totalPages} (${data.total} entries)`;
+      $('prevPage').disabled = state.page <= 1;
+      $('nextPage').disabled = state.page >= state.totalPages;
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  function renderEntries(entries) {
+    const body = $('entries');
+    body.replaceChildren();
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      [entry.preview, entry.type, new Date(entry.createdAt).toLocaleDateString()].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      actions.appendChild(createButton('Edit', 'secondary', () => openEditor(entry.knowledgeId)));
+      actions.appendChild(
+        createButton(
+          'Delete',
+          'danger',
+          confirmFirst('Click again to delete', () => deleteEntry(entry))
+        )
+      );
+      row.appendChild(actions);
+
+      body.appendChild(row);
+    });
+  }
+
+  function createButton(label, className, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.className = className;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  /**
+   * Click handler that only runs `onConfirm` on a second click. In between, the button
+   * shows `prompt` for a few seconds before going back to its label.
+   */
+  function confirmFirst(prompt, onConfirm) {
+    let timer = null;
+    let label = null;
+
+    return event => {
+      const element = event.currentTarget;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+        element.textContent = label;
+        onConfirm();
+        return;
+      }
+
+      label = element.textContent;
+      element.textContent = prompt;
+      timer = setTimeout(() => {
+        timer = null;
+        element.textContent = label;
+      }, CONFIRM_TIMEOUT_MS);
+    };
+  }
+
+  async function openEditor(knowledgeId) {
+    try {
+      const { knowledge, complete } = await api('GET', businessPath(`/knowledge/${knowledgeId}`));
+      state.editingId = knowledgeId;
+      $('editorId').textContent = knowledge.filename || knowledgeId;
+      $('editorContent').value = knowledge.content || '';
+      $('editor').hidden = false;
+      $('editor').scrollIntoView({ behavior: 'smooth' });
+      setStatus(
+        'appStatus',
+        complete ? '' : 'Only part of this entry could be recovered - saving replaces all of it',
+        !complete
+      );
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  async function saveEntry() {
+    try {
+      const data = await api('PUT', businessPath(`/knowledge/${state.editingId}`), {
+        content: $('editorContent').value,
+      });
+      setStatus('appStatus', data.message);
+      loadKnowledge();
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  function closeEditor() {
+    state.editingId = null;
+    $('editor').hidden = true;
+  }
+
+  async function deleteEntry(entry) {
+    try {
+      const data = await api('DELETE', businessPath(`/knowledge/${entry.knowledgeId}`));
+      if (state.editingId === entry.knowledgeId) {
+        closeEditor();
+      }
+      setStatus('appStatus', data.message);
+      loadKnowledge();
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  async function addText(event) {
+    event.preventDefault();
+
+    try {
+      const data = await api('POST', businessPath('/knowledge'), {
+        content: $('addContent').value,
+      });
+      $('addContent').value = '';
+      setStatus('appStatus', data.message);
+      state.page = 1;
+      loadKnowledge();
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  async function uploadFile(event) {
+    event.preventDefault();
+    const file = $('uploadFile').files[0];
+    if (!file) {
+      return;
+    }
+
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    const isFaq = FAQ_EXTENSIONS.includes(extension);
+    const form = new FormData();
+    form.append('file', file);
+    if (!isFaq && $('uploadDescription').value.trim()) {
+      form.append('description', $('uploadDescription').value.trim());
+    }
+
+    setStatus('appStatus', `Uploading ${file.name}...`);
+    try {
+      const data = await api(
+        'POST',
+        businessPath(isFaq ? '/knowledge/import' : '/knowledge/documents'),
+        form
+      );
+      $('uploadForm').reset();
+      setStatus('appStatus', data.message);
+      state.page = 1;
+      loadKnowledge();
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  // Test a question
+
+  async function askQuestion(event) {
+    event.preventDefault();
+    setStatus('appStatus', 'Thinking...');
+
+    try {
+      const data = await api('POST', businessPath('/ask'), { question: $('question').value });
+      setStatus('appStatus', '');
+
+      $('answerText').textContent = data.answer;
+      const confidence =
+        typeof data.confidence === 'number' ? `${Math.round(data.confidence * 100)}%` : 'n/a';
+      $('answerMeta').textContent = data.fallback
+        ? 'Your knowledge base had no answer, so customers would get the fallback reply'
+        : `Confidence ${confidence}`;
+
+      const sources = $('answerSources');
+      sources.replaceChildren();
+      (data.sources || []).forEach(source => {
+        sources.appendChild(
+          listItem(`${source.filename || source.knowledgeId} (match ${source.score.toFixed(2)})`)
+        );
+      });
+      $('answer').hidden = false;
+    } catch (error) {
+      setStatus('appStatus', error.message, true);
+    }
+  }
+
+  function init() {
+    $('codeForm').addEventListener('submit', requestCode);
+    $('verifyForm').addEventListener('submit', verifyCode);
+    $('restartLogin').addEventListener('click', () => showLogin());
+    $('logout').addEventListener('click', logout);
+
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+
+    $('filterForm').addEventListener('submit', event => {
+      event.preventDefault();
+      state.page = 1;
+      loadKnowledge();
+    });
+    $('prevPage').addEventListener('click', () => {
+      state.page--;
+      loadKnowledge();
+    });
+    $('nextPage').addEventListener('click', () => {
+      state.page++;
+      loadKnowledge();
+    });
+    $('saveEntry').addEventListener('click', saveEntry);
+    $('closeEditor').addEventListener('click', closeEditor);
+    $('addForm').addEventListener('submit', addText);
+    $('uploadForm').addEventListener('submit', uploadFile);
+    $('askForm').addEventListener('submit', askQuestion);
+
+    state.session = loadSession();
+    if (state.session) {
+      showApp();
+    } else {
+      showLogin();
+    }
+  }
+
+  init();
+})();
@@ -0,0 +1,209 @@
+/**
+ * API Key Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+class ApiKeyRepository {
+  constructor() {
+    this.tableName = 'api_keys';
+  }
+
+  async create(keyData) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .insert([
+              {
+                key_id: keyData.keyId,
+                key_hash: keyData.keyHash,
+                name: keyData.name,
+                role: keyData.role,
+                business_id: keyData.businessId || null,
+                created_by: keyData.createdBy || null,
+                rotated_from: keyData.rotatedFrom || null,
+                expires_at: keyData.expiresAt || null,
+              },
+            ])
+            .select()
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'apiKeyCreate',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[API_KEY_MODEL] Created API key: ${data.key_id}`);
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error('[API_KEY_MODEL] Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The key, including its hash, or null if there is none
+   */
+  async findByKeyId(keyId) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).select('*').eq('key_id', keyId).single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'apiKeyFindById',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // No rows returned
+          return null;
+        }
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error(`[API_KEY_MODEL] Error finding API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string|null} [businessId] - Only this business's keys; all keys when omitted
+   */
+  async findAll(businessId = null) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          let query = client.from(this.tableName).select('*');
+          if (businessId) {
+            query = query.eq('business_id', businessId);
+          }
+          return query.order('created_at', { ascending: false });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'apiKeyFindAll',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[API_KEY_MODEL] Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set when the key stops working: now to revoke it, later to let it overlap with
+   * the key that replaces it
+   * @param {Date} [expiresAt] - Expire at this time instead of being revoked now
+   * @returns {Promise<Object|null>} The updated key, or null if there is none
+   */
+  async revoke(keyId, expiresAt = null) {
+    try {
+      const client = database.getClient();
+      const updates = expiresAt
+        ? { expires_at: expiresAt.toISOString() }
+        : { revoked_at: new Date().toISOString() };
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update(updates)
+            .eq('key_id', keyId)
+            .is('revoked_at', null)
+            .select();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'apiKeyRevoke',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[API_KEY_MODEL] ${expiresAt ? 'Expiring' : 'Revoked'} API key: ${keyId}`);
+      return data.length > 0 ? this.mapFromDatabase(data[0]) : null;
+    } catch (error) {
+      logger.error(`[API_KEY_MODEL] Error revoking API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  async touchLastUsed(keyId) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await client
+        .from(this.tableName)
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('key_id', keyId);
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`[API_KEY_MODEL] Error recording use of API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  // Map database row to application format
+  mapFromDatabase(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      keyId: row.key_id,
+      keyHash: row.key_hash,
+      name: row.name,
+      role: row.role,
+      businessId: row.business_id,
+      createdBy: row.created_by,
+      rotatedFrom: row.rotated_from,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new ApiKeyRepository();
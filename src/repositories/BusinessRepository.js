@@ -7,6 +7,8 @@ const database = require('../config/database');
 const logger = require('../utils/logger');
 const RetryManager = require('../utils/retry');
 
+const MAX_RECENT_FALLBACKS = 10;
+
 class BusinessRepository {
   constructor() {
     this.tableName = 'businesses';
@@ -25,6 +27,7 @@ class BusinessRepository {
                 business_id: businessData.businessId,
                 business_name: businessData.businessName,
                 owner_phone: businessData.ownerPhone,
+                whatsapp_number: businessData.whatsappNumber || null,
                 knowledge_count: businessData.knowledgeCount || 0,
                 status: businessData.status || 'active',
                 metadata: businessData.metadata || {},
@@ -89,7 +92,10 @@ class BusinessRepository {
     }
   }
 
-  async findByBusinessId(businessId) {
+  /**
+   * @param {string[]} [statuses] - Statuses to match; only active businesses by default
+   */
+  async findByBusinessId(businessId, statuses = ['active']) {
     try {
       const client = database.getClient();
 
@@ -99,7 +105,7 @@ class BusinessRepository {
             .from(this.tableName)
             .select('*')
             .eq('business_id', businessId)
-            .eq('status', 'active')
+            .in('status', statuses)
             .single();
         },
         {
@@ -125,6 +131,212 @@ class BusinessRepository {
     }
   }
 
+  /**
+   * The business a WhatsApp number routes to. Suspended businesses keep their number,
+   * so they are found too unless `statuses` says otherwise.
+   */
+  async findByWhatsAppNumber(whatsappNumber, statuses = ['active', 'suspended']) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .eq('whatsapp_number', whatsappNumber)
+            .in('status', statuses)
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessFindByWhatsAppNumber',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // No rows returned
+          return null;
+        }
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error(
+        `[BUSINESS_MODEL] Error finding business by WhatsApp number ${whatsappNumber}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Change some of a business's metadata in the database, leaving the rest (such as the
+   * usage counters) as it is there rather than as it was read
+   * @param {Object} changes - Top-level keys to replace; a key set to null is removed
+   * @returns {Promise<Object|null>} The updated business, or null if there is none
+   */
+  async updateMetadata(businessId, changes) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc('update_business_metadata', {
+            p_business_id: businessId,
+            p_changes: changes,
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessUpdateMetadata',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[BUSINESS_MODEL] Updated metadata for ${businessId}`);
+      return data.length > 0 ? this.mapFromDatabase(data[0]) : null;
+    } catch (error) {
+      logger.error(`[BUSINESS_MODEL] Error updating metadata for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a business's name, owner phone and/or WhatsApp number
+   * @param {Object} updates - Only the fields present are changed
+   * @returns {Promise<Object|null>} The updated business, or null if there is none
+   */
+  async update(businessId, updates) {
+    try {
+      const client = database.getClient();
+      const row = { updated_at: new Date().toISOString() };
+      if (updates.businessName !== undefined) {
+        row.business_name = updates.businessName;
+      }
+      if (updates.ownerPhone !== undefined) {
+        row.owner_phone = updates.ownerPhone;
+      }
+      if (updates.whatsappNumber !== undefined) {
+        row.whatsapp_number = updates.whatsappNumber;
+      }
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update(row)
+            .eq('business_id', businessId)
+            .select()
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessUpdate',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        throw error;
+      }
+
+      logger.debug(`[BUSINESS_MODEL] Updated business ${businessId}`);
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error(`[BUSINESS_MODEL] Error updating business ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a business to a new status, only if it still has the status it was read with
+   * @param {string} fromStatus - Expected current status
+   * @param {Object} [metadataChanges] - Metadata keys to change with it, as in updateMetadata
+   * @returns {Promise<Object|null>} The updated business, or null if it doesn't exist or
+   *   its status has changed in the meantime
+   */
+  async updateStatus(businessId, status, fromStatus, metadataChanges = {}) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc('change_business_status', {
+            p_business_id: businessId,
+            p_status: status,
+            p_from_status: fromStatus,
+            p_metadata_changes: metadataChanges,
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessUpdateStatus',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[BUSINESS_MODEL] Changed status of ${businessId}: ${fromStatus} -> ${status}`);
+      return data.length > 0 ? this.mapFromDatabase(data[0]) : null;
+    } catch (error) {
+      logger.error(`[BUSINESS_MODEL] Error changing status of ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Businesses with a WhatsApp number that messages are routed to; suspended ones are
+   * included so their customers can be told the business is unavailable
+   */
+  async getRoutableBusinesses() {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .in('status', ['active', 'suspended'])
+            .not('whatsapp_number', 'is', null);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessGetRoutable',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[BUSINESS_MODEL] Error getting routable businesses:', error);
+      throw error;
+    }
+  }
+
   async updateKnowledgeCount(phoneNumber, increment = 1) {
     try {
       const client = database.getClient();
@@ -176,51 +388,77 @@ class BusinessRepository {
     }
   }
 
+  /**
+   * Count a customer query, incrementing the counter in the database so queries handled
+   * at the same time by different instances are all counted
+   */
   async recordQuery(businessId) {
     try {
       const client = database.getClient();
 
-      // First, get current business data
-      const currentBusiness = await this.findByBusinessId(businessId);
-      if (!currentBusiness) {
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc('record_business_query', { p_business_id: businessId });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessRecordQuery',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+      if (data.length === 0) {
         throw new Error(`Business not found for ID ${businessId}`);
       }
 
-      const currentMetadata = currentBusiness.metadata || {};
-      const newMetadata = {
-        ...currentMetadata,
-        totalQueries: (currentMetadata.totalQueries || 0) + 1,
-        lastQuery: new Date().toISOString(),
-      };
+      logger.debug(`[BUSINESS_MODEL] Recorded query for business ${businessId}`);
+      return this.mapFromDatabase(data[0]);
+    } catch (error) {
+      logger.error(`[BUSINESS_MODEL] Error recording query for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a question the knowledge base couldn't answer, keeping the most recent ones
+   * @param {string} businessId
+   * @param {string} question - Customer question that got the fallback message
+   */
+  async recordFallback(businessId, question) {
+    try {
+      const client = database.getClient();
 
       const { data, error } = await RetryManager.withRetry(
-        async () => {
-          return await client
-            .from(this.tableName)
-            .update({
-              last_activity: new Date().toISOString(),
-              metadata: newMetadata,
-            })
-            .eq('business_id', businessId)
-            .select()
-            .single();
+        () => {
+          return client.rpc('record_business_fallback', {
+            p_business_id: businessId,
+            p_question: question,
+            p_max_recent: MAX_RECENT_FALLBACKS,
+          });
         },
         {
           maxAttempts: 3,
           delayMs: 500,
           retryCondition: RetryManager.isRetryableError,
-          operationName: 'businessRecordQuery',
+          operationName: 'businessRecordFallback',
         }
       );
 
       if (error) {
         throw error;
       }
+      if (data.length === 0) {
+        throw new Error(`Business not found for ID ${businessId}`);
+      }
 
-      logger.debug(`[BUSINESS_MODEL] Recorded query for business ${businessId}`);
-      return this.mapFromDatabase(data);
+      logger.debug(`[BUSINESS_MODEL] Recorded fallback answer for business ${businessId}`);
+      return this.mapFromDatabase(data[0]);
     } catch (error) {
-      logger.error(`[BUSINESS_MODEL] Error recording query for ${businessId}:`, error);
+      logger.error(`[BUSINESS_MODEL] Error recording fallback for ${businessId}:`, error);
       throw error;
     }
   }
@@ -256,6 +494,39 @@ class BusinessRepository {
     }
   }
 
+  /**
+   * Every business regardless of status (backups and restores)
+   */
+  async findAll() {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .order('registered_at', { ascending: true });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'businessFindAll',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[BUSINESS_MODEL] Error getting all businesses:', error);
+      throw error;
+    }
+  }
+
   async delete(phoneNumber) {
     try {
       const client = database.getClient();
@@ -320,6 +591,7 @@ class BusinessRepository {
             total_knowledge: 0,
             total_uploads: 0,
             total_queries: 0,
+            total_fallbacks: 0,
           };
         }
 
@@ -327,6 +599,7 @@ class BusinessRepository {
         stats[status].total_knowledge += business.knowledge_count || 0;
         stats[status].total_uploads += business.metadata?.totalUploads || 0;
         stats[status].total_queries += business.metadata?.totalQueries || 0;
+        stats[status].total_fallbacks += business.metadata?.totalFallbacks || 0;
       });
 
       // Convert to array format for compatibility
@@ -336,6 +609,7 @@ class BusinessRepository {
         total_knowledge: data.total_knowledge,
         total_uploads: data.total_uploads,
         total_queries: data.total_queries,
+        total_fallbacks: data.total_fallbacks,
       }));
     } catch (error) {
       logger.error('[BUSINESS_MODEL] Error getting business stats:', error);
@@ -353,6 +627,7 @@ class BusinessRepository {
       businessId: row.business_id,
       businessName: row.business_name,
       ownerPhone: row.owner_phone,
+      whatsappNumber: row.whatsapp_number || null,
       registeredAt: row.registered_at,
       knowledgeCount: row.knowledge_count,
       status: row.status,
@@ -0,0 +1,199 @@
+/**
+ * Dashboard Login Code Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+class DashboardLoginRepository {
+  constructor() {
+    this.tableName = 'dashboard_login_codes';
+    this.claimFunction = 'claim_dashboard_login_request';
+    this.verifyFunction = 'verify_dashboard_login_code';
+  }
+
+  /**
+   * Record that a phone asked for a login code
+   * @param {string} ownerPhone
+   * @param {number} resendIntervalMs - Minimum time since the phone's previous request
+   * @returns {Promise<boolean>} False if the phone asked too recently
+   */
+  async claimRequest(ownerPhone, resendIntervalMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc(this.claimFunction, {
+            p_owner_phone: ownerPhone,
+            p_resend_seconds: Math.ceil(resendIntervalMs / 1000),
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'dashboardLoginClaim',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      logger.error('[DASHBOARD_LOGIN_MODEL] Error recording login code request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the hash of a new code for a phone that has claimed a request, replacing any
+   * earlier code
+   * @param {Object} code - {businessId, codeHash, expiresAt: Date}
+   */
+  async saveCode(ownerPhone, { businessId, codeHash, expiresAt }) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({
+              business_id: businessId,
+              code_hash: codeHash,
+              expires_at: expiresAt.toISOString(),
+              attempts: 0,
+            })
+            .eq('owner_phone', ownerPhone);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'dashboardLoginSaveCode',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('[DASHBOARD_LOGIN_MODEL] Error saving login code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a guess at a phone's code in one database call: a matching, unexpired code is
+   * used up so it works only once, and a wrong guess is counted, throwing the code away
+   * once there have been too many
+   * @returns {Promise<{businessId: string|null, attempts: number}>} The business the code
+   *   was sent for (null unless it matched) and the wrong guesses at the current code
+   */
+  async verifyCode(ownerPhone, codeHash, maxAttempts) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc(this.verifyFunction, {
+            p_owner_phone: ownerPhone,
+            p_code_hash: codeHash,
+            p_max_attempts: maxAttempts,
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'dashboardLoginVerify',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      const [result] = data || [];
+      return {
+        businessId: (result && result.verified_business_id) || null,
+        attempts: (result && result.failed_attempts) || 0,
+      };
+    } catch (error) {
+      logger.error('[DASHBOARD_LOGIN_MODEL] Error checking login code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a phone's request and code, so it can ask again straight away
+   */
+  async releaseRequest(ownerPhone) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).delete().eq('owner_phone', ownerPhone);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'dashboardLoginRelease',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error('[DASHBOARD_LOGIN_MODEL] Error releasing login code request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete rows whose code is gone or expired and that no longer hold back a new request
+   * @returns {Promise<number>} Rows deleted
+   */
+  async deleteStale(resendIntervalMs) {
+    try {
+      const client = database.getClient();
+      const now = new Date();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .delete()
+            .lt('requested_at', new Date(now.getTime() - resendIntervalMs).toISOString())
+            .or(`expires_at.is.null,expires_at.lt.${now.toISOString()}`)
+            .select('owner_phone');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'dashboardLoginDeleteStale',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length;
+    } catch (error) {
+      logger.error('[DASHBOARD_LOGIN_MODEL] Error deleting stale login codes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DashboardLoginRepository();
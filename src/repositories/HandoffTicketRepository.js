@@ -0,0 +1,325 @@
+/**
+ * Handoff Ticket Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+// An open ticket counts as open only while the owner has touched it within
+// `openTtlMs`; after that the assistant answers the customer again.
+const idleCutoff = openTtlMs => new Date(Date.now() - openTtlMs).toISOString();
+
+class HandoffTicketRepository {
+  constructor() {
+    this.tableName = 'handoff_tickets';
+    this.openFunction = 'open_handoff_ticket';
+  }
+
+  /**
+   * Open a ticket for a customer, or return the one they already have open
+   * @param {Object} ticketData - {businessId, customerPhone, customerAddress, customerName,
+   *   businessAddress, question, reason}
+   * @param {number} openTtlMs - An open ticket idle for longer is expired and replaced
+   */
+  async open(ticketData, openTtlMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc(this.openFunction, {
+            p_business_id: ticketData.businessId,
+            p_customer_phone: ticketData.customerPhone,
+            p_customer_address: ticketData.customerAddress,
+            p_customer_name: ticketData.customerName,
+            p_business_address: ticketData.businessAddress,
+            p_question: ticketData.question,
+            p_reason: ticketData.reason,
+            p_open_seconds: Math.ceil(openTtlMs / 1000),
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffOpen',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error('[HANDOFF_MODEL] Error opening handoff ticket:', error);
+      throw error;
+    }
+  }
+
+  async findOpenByCustomer(businessId, customerPhone, openTtlMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .eq('business_id', businessId)
+            .eq('customer_phone', customerPhone)
+            .eq('status', 'open')
+            .gte('last_activity_at', idleCutoff(openTtlMs))
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffFindOpenByCustomer',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // No rows returned
+          return null;
+        }
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error('[HANDOFF_MODEL] Error finding open handoff ticket:', error);
+      throw error;
+    }
+  }
+
+  async findOpenByBusiness(businessId, openTtlMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .eq('business_id', businessId)
+            .eq('status', 'open')
+            .gte('last_activity_at', idleCutoff(openTtlMs))
+            .order('ticket_number', { ascending: true });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffFindOpenByBusiness',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error(`[HANDOFF_MODEL] Error listing handoff tickets for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the owner replied on an open ticket, so it does not expire
+   * @returns {Promise<Object|null>} The ticket, or null if it is not open
+   */
+  touch(businessId, ticketNumber, openTtlMs) {
+    return this.updateOpen(
+      businessId,
+      ticketNumber,
+      openTtlMs,
+      { last_activity_at: new Date().toISOString() },
+      'handoffTouch'
+    );
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The resolved ticket, or null if it was not open
+   */
+  resolve(businessId, ticketNumber, openTtlMs) {
+    return this.updateOpen(
+      businessId,
+      ticketNumber,
+      openTtlMs,
+      { status: 'resolved', resolved_at: new Date().toISOString() },
+      'handoffResolve'
+    );
+  }
+
+  async updateOpen(businessId, ticketNumber, openTtlMs, updates, operationName) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update(updates)
+            .eq('business_id', businessId)
+            .eq('ticket_number', ticketNumber)
+            .eq('status', 'open')
+            .gte('last_activity_at', idleCutoff(openTtlMs))
+            .select();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName,
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length > 0 ? this.mapFromDatabase(data[0]) : null;
+    } catch (error) {
+      logger.error(`[HANDOFF_MODEL] Error updating handoff ticket #${ticketNumber}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all of a business's tickets. Its ticket counter is kept.
+   * @returns {Promise<number>} Tickets deleted
+   */
+  async deleteByBusiness(businessId) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .delete()
+            .eq('business_id', businessId)
+            .select('ticket_number');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffDeleteByBusiness',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length;
+    } catch (error) {
+      logger.error(`[HANDOFF_MODEL] Error deleting handoff tickets for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark open tickets the owner has left idle as expired
+   * @returns {Promise<number>} Tickets expired
+   */
+  async expireIdle(openTtlMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({ status: 'expired', expired_at: new Date().toISOString() })
+            .eq('status', 'open')
+            .lt('last_activity_at', idleCutoff(openTtlMs))
+            .select('ticket_number');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffExpireIdle',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length;
+    } catch (error) {
+      logger.error('[HANDOFF_MODEL] Error expiring idle handoff tickets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete tickets resolved or expired more than `closedTtlMs` ago
+   * @returns {Promise<number>} Tickets deleted
+   */
+  async deleteClosed(closedTtlMs) {
+    try {
+      const client = database.getClient();
+      const cutoff = new Date(Date.now() - closedTtlMs).toISOString();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .delete()
+            .neq('status', 'open')
+            .or(`resolved_at.lt.${cutoff},expired_at.lt.${cutoff}`)
+            .select('ticket_number');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'handoffDeleteClosed',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length;
+    } catch (error) {
+      logger.error('[HANDOFF_MODEL] Error deleting closed handoff tickets:', error);
+      throw error;
+    }
+  }
+
+  mapFromDatabase(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ticketId: String(row.ticket_number),
+      businessId: row.business_id,
+      customerPhone: row.customer_phone,
+      customerAddress: row.customer_address,
+      customerName: row.customer_name,
+      businessAddress: row.business_address,
+      question: row.question,
+      reason: row.reason,
+      status: row.status,
+      createdAt: row.created_at,
+      lastActivityAt: row.last_activity_at,
+      resolvedAt: row.resolved_at,
+      expiredAt: row.expired_at,
+    };
+  }
+}
+
+module.exports = new HandoffTicketRepository();
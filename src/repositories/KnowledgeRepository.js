@@ -10,6 +10,7 @@ const RetryManager = require('../utils/retry');
 class KnowledgeRepository {
   constructor() {
     this.tableName = 'knowledge_entries';
+    this.filesTableName = 'knowledge_files';
   }
 
   async create(knowledgeData) {
@@ -20,18 +21,7 @@ class KnowledgeRepository {
         async () => {
           return await client
             .from(this.tableName)
-            .insert([
-              {
-                knowledge_id: knowledgeData.knowledgeId,
-                business_id: knowledgeData.businessId,
-                business_name: knowledgeData.businessName,
-                type: knowledgeData.type,
-                filename: knowledgeData.filename,
-                file_type: knowledgeData.fileType,
-                content_preview: knowledgeData.contentPreview,
-                metadata: knowledgeData.metadata || {},
-              },
-            ])
+            .insert([this.mapToDatabase(knowledgeData)])
             .select()
             .single();
         },
@@ -55,6 +45,42 @@ class KnowledgeRepository {
     }
   }
 
+  /**
+   * Insert several entries in one statement; none are created if any insert fails
+   * @returns {Promise<Array<Object>>} The created entries, in the order given
+   */
+  async createMany(entries) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .insert(entries.map(entry => this.mapToDatabase(entry)))
+            .select();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 1000,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeCreateMany',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[KNOWLEDGE_MODEL] Created ${data.length} knowledge entries`);
+      const created = new Map(data.map(row => [row.knowledge_id, this.mapFromDatabase(row)]));
+      return entries.map(entry => created.get(entry.knowledgeId));
+    } catch (error) {
+      logger.error('[KNOWLEDGE_MODEL] Error creating knowledge entries:', error);
+      throw error;
+    }
+  }
+
   async findByBusinessId(businessId) {
     try {
       const client = database.getClient();
@@ -154,6 +180,333 @@ class KnowledgeRepository {
     }
   }
 
+  /**
+   * Replace an entry's text (owner edits), bumping updated_at
+   * @param {Object} updates - {content, contentPreview, metadata}
+   * @returns {Promise<Object|null>} The updated entry, or null if the business has no such entry
+   */
+  async updateKnowledge(knowledgeId, businessId, updates) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({
+              content: updates.content,
+              content_preview: updates.contentPreview,
+              metadata: updates.metadata,
+              updated_at: new Date().toISOString(),
+            })
+            .eq('knowledge_id', knowledgeId)
+            .eq('business_id', businessId)
+            .select();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeUpdate',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[KNOWLEDGE_MODEL] Updated knowledge entry: ${knowledgeId}`);
+      return data.length > 0 ? this.mapFromDatabase(data[0]) : null;
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error updating knowledge ${knowledgeId}:`, error);
+      throw error;
+    }
+  }
+
+  async updateContent(knowledgeId, content) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).update({ content }).eq('knowledge_id', knowledgeId);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeUpdateContent',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(`[KNOWLEDGE_MODEL] Updated content for knowledge entry: ${knowledgeId}`);
+      return true;
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error updating content for ${knowledgeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keyset page of a business's entries in insertion order, for re-indexing
+   * @param {number} afterRowId - Only entries with a larger row id (0 to start)
+   */
+  async findBatchAfter(businessId, afterRowId = 0, limit = 100) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .eq('business_id', businessId)
+            .gt('id', afterRowId)
+            .order('id', { ascending: true })
+            .limit(limit);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeFindBatchAfter',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error finding knowledge batch for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  async countByBusinessId(businessId) {
+    try {
+      const client = database.getClient();
+
+      const { count, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('id', { count: 'exact', head: true })
+            .eq('business_id', businessId);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeCount',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error counting knowledge for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Entries of every business created or changed after a point in time, for incremental backups
+   * @param {string} since - ISO timestamp
+   */
+  async findUpdatedSince(since) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .gt('updated_at', since)
+            .order('updated_at', { ascending: true });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeFindUpdatedSince',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error finding knowledge updated since ${since}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of every entry, so an incremental backup can tell which entries were deleted
+   * @returns {Promise<Array<{knowledgeId: string, businessId: string}>>}
+   */
+  async listKnowledgeIds() {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).select('knowledge_id, business_id');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeListIds',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => ({ knowledgeId: row.knowledge_id, businessId: row.business_id }));
+    } catch (error) {
+      logger.error('[KNOWLEDGE_MODEL] Error listing knowledge IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Entries created before full content was stored in the database
+   */
+  async findMissingContent(limit = 100, offset = 0) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .is('content', null)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + limit - 1);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeFindMissingContent',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[KNOWLEDGE_MODEL] Error finding entries without content:', error);
+      throw error;
+    }
+  }
+
+  async saveOriginalFile(fileData) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.filesTableName).upsert(
+            [
+              {
+                knowledge_id: fileData.knowledgeId,
+                business_id: fileData.businessId,
+                filename: fileData.filename,
+                content_type: fileData.contentType || null,
+                size_bytes: fileData.buffer.length,
+                data_base64: fileData.buffer.toString('base64'),
+              },
+            ],
+            { onConflict: 'knowledge_id' }
+          );
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 1000,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeSaveOriginalFile',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(
+        `[KNOWLEDGE_MODEL] Stored original file for ${fileData.knowledgeId} (${fileData.buffer.length} bytes)`
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `[KNOWLEDGE_MODEL] Error storing original file for ${fileData.knowledgeId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  async findOriginalFile(knowledgeId) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.filesTableName)
+            .select('*')
+            .eq('knowledge_id', knowledgeId)
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeFindOriginalFile',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // No rows returned
+          return null;
+        }
+        throw error;
+      }
+
+      return {
+        knowledgeId: data.knowledge_id,
+        businessId: data.business_id,
+        filename: data.filename,
+        contentType: data.content_type,
+        sizeBytes: data.size_bytes,
+        buffer: Buffer.from(data.data_base64, 'base64'),
+        createdAt: data.created_at,
+      };
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error finding original file for ${knowledgeId}:`, error);
+      throw error;
+    }
+  }
+
   async getKnowledgeStats(businessId) {
     try {
       const client = database.getClient();
@@ -183,9 +536,11 @@ class KnowledgeRepository {
         images: 0,
       };
 
+      // Entry types are singular ('document'), the counts plural ('documents')
+      const keys = { text: 'text', document: 'documents', image: 'images' };
       data.forEach(row => {
-        if (stats.hasOwnProperty(row.type)) {
-          stats[row.type]++;
+        if (keys[row.type]) {
+          stats[keys[row.type]]++;
         }
       });
 
@@ -221,22 +576,116 @@ class KnowledgeRepository {
         throw error;
       }
 
-      return data.map(row => ({
-        id: row.knowledge_id,
-        type: row.type,
-        preview:
-          row.type === 'text'
-            ? (row.content_preview || '').substring(0, 100) +
-              ((row.content_preview || '').length > 100 ? '...' : '')
-            : row.filename,
-        addedAt: row.created_at,
-      }));
+      return data.map(row => this.mapToPreview(row));
     } catch (error) {
       logger.error(`[KNOWLEDGE_MODEL] Error getting knowledge preview for ${businessId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * One page of a business's entry previews, newest first
+   * @param {Object} [options]
+   * @param {number} [options.page] - 1-based
+   * @param {number} [options.pageSize]
+   * @param {string} [options.type] - Only entries of this type (text, document, image)
+   * @param {string} [options.keyword] - Only entries whose text or filename contains it
+   * @param {Date} [options.createdAfter] - Only entries created at or after this time
+   * @param {Date} [options.createdBefore] - Only entries created before this time
+   * @returns {Promise<{entries: Array, total: number, page: number, pageSize: number, totalPages: number}>}
+   */
+  async findKnowledgePage(businessId, options = {}) {
+    const page = Math.max(1, options.page || 1);
+    const pageSize = options.pageSize || 10;
+    const from = (page - 1) * pageSize;
+
+    try {
+      const client = database.getClient();
+
+      const { data, error, count } = await RetryManager.withRetry(
+        () => {
+          const query = client
+            .from(this.tableName)
+            .select('knowledge_id, type, filename, content_preview, created_at', {
+              count: 'exact',
+            });
+
+          return this.applyPageFilters(query, businessId, options)
+            .order('created_at', { ascending: false })
+            .range(from, from + pageSize - 1);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'knowledgeFindPage',
+        }
+      );
+
+      let entries = data;
+      let total = count;
+
+      // PostgREST rejects a range that starts past the last row (PGRST103) without a count
+      if (error && error.code === 'PGRST103') {
+        const counted = await RetryManager.withRetry(
+          () => {
+            const query = client.from(this.tableName).select('id', { count: 'exact', head: true });
+            return this.applyPageFilters(query, businessId, options);
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 500,
+            retryCondition: RetryManager.isRetryableError,
+            operationName: 'knowledgeCountPage',
+          }
+        );
+
+        if (counted.error) {
+          throw counted.error;
+        }
+
+        entries = [];
+        total = counted.count;
+      } else if (error) {
+        throw error;
+      }
+
+      total = total || 0;
+      return {
+        entries: entries.map(row => this.mapToPreview(row)),
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+      };
+    } catch (error) {
+      logger.error(`[KNOWLEDGE_MODEL] Error finding knowledge page for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  applyPageFilters(query, businessId, options) {
+    let filtered = query.eq('business_id', businessId);
+
+    if (options.type) {
+      filtered = filtered.eq('type', options.type);
+    }
+    if (options.keyword) {
+      const pattern = `"*${options.keyword}*"`;
+      filtered = filtered.or(
+        `content.ilike.${pattern},content_preview.ilike.${pattern},filename.ilike.${pattern}`
+      );
+    }
+    if (options.createdAfter) {
+      filtered = filtered.gte('created_at', options.createdAfter.toISOString());
+    }
+    if (options.createdBefore) {
+      filtered = filtered.lt('created_at', options.createdBefore.toISOString());
+    }
+
+    return filtered;
+  }
+
   async deleteByBusinessId(businessId) {
     try {
       const client = database.getClient();
@@ -271,6 +720,36 @@ class KnowledgeRepository {
     }
   }
 
+  // Map application format to a database row for inserts
+  mapToDatabase(knowledgeData) {
+    return {
+      knowledge_id: knowledgeData.knowledgeId,
+      business_id: knowledgeData.businessId,
+      business_name: knowledgeData.businessName,
+      type: knowledgeData.type,
+      filename: knowledgeData.filename,
+      file_type: knowledgeData.fileType,
+      content_preview: knowledgeData.contentPreview,
+      content: knowledgeData.content || null,
+      metadata: knowledgeData.metadata || {},
+    };
+  }
+
+  // Map a preview row to the shape the !list command shows
+  mapToPreview(row) {
+    return {
+      id: row.knowledge_id,
+      type: row.type,
+      preview:
+        row.type === 'text'
+          ? (row.content_preview || '').substring(0, 100) +
+            ((row.content_preview || '').length > 100 ? '...' : '')
+          : row.filename,
+      filename: row.filename,
+      addedAt: row.created_at,
+    };
+  }
+
   // Map database row to application format
   mapFromDatabase(row) {
     if (!row) {
@@ -279,6 +758,7 @@ class KnowledgeRepository {
 
     return {
       id: row.knowledge_id,
+      rowId: row.id,
       knowledgeId: row.knowledge_id,
       businessId: row.business_id,
       businessName: row.business_name,
@@ -286,6 +766,7 @@ class KnowledgeRepository {
       filename: row.filename,
       fileType: row.file_type,
       contentPreview: row.content_preview,
+      content: row.content || null,
       metadata: row.metadata || {},
       createdAt: row.created_at,
       updatedAt: row.updated_at,
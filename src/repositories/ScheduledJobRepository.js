@@ -0,0 +1,180 @@
+/**
+ * Scheduled Job Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+class ScheduledJobRepository {
+  constructor() {
+    this.tableName = 'scheduled_jobs';
+    this.claimFunction = 'claim_scheduled_job';
+  }
+
+  /**
+   * Claim a scheduled run so no other instance runs it too
+   * @param {string} jobName
+   * @param {string} owner - This instance's ID
+   * @param {Date} scheduledFor - The run's scheduled time, shared by every instance
+   * @param {number} leaseMs - How long the claim holds unless renewed
+   * @returns {Promise<boolean>} False if another instance claimed it or is still running
+   */
+  async claimRun(jobName, owner, scheduledFor, leaseMs) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.rpc(this.claimFunction, {
+            p_job_name: jobName,
+            p_owner: owner,
+            p_scheduled_for: scheduledFor.toISOString(),
+            p_lease_seconds: Math.ceil(leaseMs / 1000),
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'scheduledJobClaim',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data === true;
+    } catch (error) {
+      logger.error(`[SCHEDULED_JOB_MODEL] Error claiming run of ${jobName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease of a run this instance is still working on
+   */
+  async renewLease(jobName, owner, leaseMs) {
+    try {
+      const client = database.getClient();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({
+              locked_until: new Date(Date.now() + leaseMs).toISOString(),
+              updated_at: new Date().toISOString(),
+            })
+            .eq('job_name', jobName)
+            .eq('owner', owner);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'scheduledJobRenew',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`[SCHEDULED_JOB_MODEL] Error renewing lease of ${jobName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a run and release its lease
+   * @param {Object} outcome
+   * @param {string} outcome.status - succeeded | failed
+   * @param {string} [outcome.error]
+   */
+  async finishRun(jobName, owner, { status, error: runError = null }) {
+    try {
+      const client = database.getClient();
+      const now = new Date().toISOString();
+
+      const { error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({
+              locked_until: null,
+              last_finished_at: now,
+              last_status: status,
+              last_error: runError,
+              updated_at: now,
+            })
+            .eq('job_name', jobName)
+            .eq('owner', owner);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'scheduledJobFinish',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+    } catch (error) {
+      logger.error(`[SCHEDULED_JOB_MODEL] Error finishing run of ${jobName}:`, error);
+      throw error;
+    }
+  }
+
+  async findAll() {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).select('*').order('job_name');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'scheduledJobFindAll',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[SCHEDULED_JOB_MODEL] Error listing scheduled jobs:', error);
+      throw error;
+    }
+  }
+
+  // Map database row to application format
+  mapFromDatabase(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      jobName: row.job_name,
+      owner: row.owner,
+      lastScheduledFor: row.last_scheduled_for,
+      lockedUntil: row.locked_until,
+      lastStartedAt: row.last_started_at,
+      lastFinishedAt: row.last_finished_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = new ScheduledJobRepository();
@@ -0,0 +1,160 @@
+/**
+ * Unanswered Question Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+class UnansweredQuestionRepository {
+  constructor() {
+    this.tableName = 'unanswered_questions';
+  }
+
+  async create(questionData) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .insert([
+              {
+                business_id: questionData.businessId,
+                question: questionData.question,
+                normalized_question: questionData.normalizedQuestion,
+                customer_hash: questionData.customerHash,
+                reason: questionData.reason,
+                confidence: questionData.confidence,
+              },
+            ])
+            .select()
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'unansweredCreate',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(
+        `[UNANSWERED_MODEL] Recorded unanswered question for business ${questionData.businessId}`
+      );
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error('[UNANSWERED_MODEL] Error recording unanswered question:', error);
+      throw error;
+    }
+  }
+
+  async findOpenByBusinessId(businessId, limit = 500) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .select('*')
+            .eq('business_id', businessId)
+            .eq('status', 'open')
+            .order('asked_at', { ascending: false })
+            .limit(limit);
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'unansweredFindOpen',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error(
+        `[UNANSWERED_MODEL] Error finding unanswered questions for ${businessId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Close every open question with the same normalized wording
+   * @returns {Promise<number>} Number of questions closed
+   */
+  async markAnswered(businessId, normalizedQuestion, knowledgeId) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .update({
+              status: 'answered',
+              knowledge_id: knowledgeId,
+              answered_at: new Date().toISOString(),
+            })
+            .eq('business_id', businessId)
+            .eq('normalized_question', normalizedQuestion)
+            .eq('status', 'open')
+            .select('id');
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'unansweredMarkAnswered',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      logger.debug(
+        `[UNANSWERED_MODEL] Marked ${data.length} question(s) answered for business ${businessId}`
+      );
+      return data.length;
+    } catch (error) {
+      logger.error(`[UNANSWERED_MODEL] Error marking question answered for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  // Map database row to application format
+  mapFromDatabase(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      businessId: row.business_id,
+      question: row.question,
+      normalizedQuestion: row.normalized_question,
+      customerHash: row.customer_hash,
+      reason: row.reason,
+      confidence: row.confidence,
+      status: row.status,
+      knowledgeId: row.knowledge_id,
+      askedAt: row.asked_at,
+      answeredAt: row.answered_at,
+    };
+  }
+}
+
+module.exports = new UnansweredQuestionRepository();
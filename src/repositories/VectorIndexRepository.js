@@ -0,0 +1,153 @@
+/**
+ * Vector Index State Repository - Data Access Layer for Supabase
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const RetryManager = require('../utils/retry');
+
+class VectorIndexRepository {
+  constructor() {
+    this.tableName = 'vector_index_state';
+  }
+
+  async findByBusinessId(businessId) {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).select('*').eq('business_id', businessId).single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'vectorIndexFindById',
+        }
+      );
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // Never re-indexed: served from the default namespace
+          return null;
+        }
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error(`[VECTOR_INDEX_MODEL] Error finding index state for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  async findAll() {
+    try {
+      const client = database.getClient();
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client.from(this.tableName).select('*').order('updated_at', { ascending: false });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'vectorIndexFindAll',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return data.map(row => this.mapFromDatabase(row));
+    } catch (error) {
+      logger.error('[VECTOR_INDEX_MODEL] Error listing index states:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update a business's index state (only the given fields change)
+   */
+  async save(businessId, changes) {
+    try {
+      const client = database.getClient();
+      const row = { business_id: businessId, updated_at: new Date().toISOString() };
+
+      const columns = {
+        activeNamespace: 'active_namespace',
+        buildingNamespace: 'building_namespace',
+        previousNamespace: 'previous_namespace',
+        status: 'status',
+        lastRowId: 'last_row_id',
+        processed: 'processed',
+        total: 'total',
+        failedKnowledgeIds: 'failed_knowledge_ids',
+        embeddingModel: 'embedding_model',
+        error: 'error',
+        startedAt: 'started_at',
+        completedAt: 'completed_at',
+      };
+      for (const [key, column] of Object.entries(columns)) {
+        if (changes[key] !== undefined) {
+          row[column] = changes[key];
+        }
+      }
+
+      const { data, error } = await RetryManager.withRetry(
+        () => {
+          return client
+            .from(this.tableName)
+            .upsert(row, { onConflict: 'business_id' })
+            .select()
+            .single();
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'vectorIndexSave',
+        }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      return this.mapFromDatabase(data);
+    } catch (error) {
+      logger.error(`[VECTOR_INDEX_MODEL] Error saving index state for ${businessId}:`, error);
+      throw error;
+    }
+  }
+
+  // Map database row to application format
+  mapFromDatabase(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      businessId: row.business_id,
+      activeNamespace: row.active_namespace || '',
+      buildingNamespace: row.building_namespace || null,
+      previousNamespace: row.previous_namespace || null,
+      status: row.status,
+      lastRowId: Number(row.last_row_id) || 0,
+      processed: row.processed || 0,
+      total: row.total || 0,
+      failedKnowledgeIds: row.failed_knowledge_ids || [],
+      embeddingModel: row.embedding_model,
+      error: row.error,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = new VectorIndexRepository();
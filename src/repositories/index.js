@@ -3,10 +3,22 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
+const ApiKeyRepository = require('./ApiKeyRepository');
 const BusinessRepository = require('./BusinessRepository');
+const DashboardLoginRepository = require('./DashboardLoginRepository');
+const HandoffTicketRepository = require('./HandoffTicketRepository');
 const KnowledgeRepository = require('./KnowledgeRepository');
+const ScheduledJobRepository = require('./ScheduledJobRepository');
+const UnansweredQuestionRepository = require('./UnansweredQuestionRepository');
+const VectorIndexRepository = require('./VectorIndexRepository');
 
 module.exports = {
+  ApiKeyRepository,
   BusinessRepository,
+  DashboardLoginRepository,
+  HandoffTicketRepository,
   KnowledgeRepository,
+  ScheduledJobRepository,
+  UnansweredQuestionRepository,
+  VectorIndexRepository,
 };
@@ -7,10 +7,7 @@ const express = require('express');
 const router = express.Router();
 const BackupController = require('../controllers/BackupController');
 const CacheController = require('../controllers/CacheController');
-const { basicAuth } = require('../middleware/security');
-
-// Apply basic auth to all admin routes
-router.use(basicAuth);
+const KnowledgeAdminController = require('../controllers/KnowledgeAdminController');
 
 /**
  * @swagger
@@ -18,9 +15,13 @@ router.use(basicAuth);
  *   post:
  *     tags: [Admin]
  *     summary: Create a backup
- *     description: Create a new backup of the system data
+ *     description: |
+ *       Create a new gzip-compressed backup (format 2.1) of every business regardless of status
+ *       and all knowledge entries with their full content, optionally including the embeddings.
+ *       It is written to the configured storage target (BACKUP_STORAGE: local directory or
+ *       S3-compatible bucket) together with a manifest holding its SHA-256 checksum.
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       content:
  *         application/json:
@@ -31,8 +32,13 @@ router.use(basicAuth);
  *                 type: string
  *                 enum: [full, incremental, data-only]
  *                 default: full
- *                 description: Type of backup to create
+ *                 description: |
+ *                   Type of backup to create. An incremental backup holds only what changed since
+ *                   the newest backup (a full backup is made if there is none yet)
  *                 example: "full"
+ *               includeEmbeddings:
+ *                 type: boolean
+ *                 description: Include each business's vectors so a restore doesn't need to re-embed (defaults to BACKUP_INCLUDE_EMBEDDINGS)
  *     responses:
  *       200:
  *         description: Backup created successfully
@@ -59,9 +65,9 @@ router.post('/backup/create', BackupController.createBackup);
  *   get:
  *     tags: [Admin]
  *     summary: List all backups
- *     description: Retrieve a list of all available backups
+ *     description: Retrieve a list of all available backups and the next scheduled backup runs
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Backup list retrieved successfully
@@ -80,14 +86,60 @@ router.post('/backup/create', BackupController.createBackup);
  *                     properties:
  *                       filename:
  *                         type: string
- *                         example: "backup_2023-12-24_12-30-45.json"
+ *                         example: "backup_full_2023-12-24T12-30-45-000Z.json.gz"
  *                       size:
  *                         type: integer
- *                         description: File size in bytes
+ *                         description: Stored (compressed) size in bytes
  *                         example: 1024000
  *                       created:
  *                         type: string
  *                         format: date-time
+ *                       compressed:
+ *                         type: boolean
+ *                         description: False for uncompressed backups made before format 2.1
+ *                       checksum:
+ *                         type: object
+ *                         properties:
+ *                           algorithm:
+ *                             type: string
+ *                             example: "sha256"
+ *                           value:
+ *                             type: string
+ *                       metadata:
+ *                         type: object
+ *                         description: Type, format version, record counts and, for incremental backups, the backup it builds on (baseBackup)
+ *                       status:
+ *                         type: string
+ *                         description: Set to corrupted when the backup or its manifest can't be read
+ *                 schedule:
+ *                   type: array
+ *                   description: Scheduled backup jobs (empty when scheduled backups are off)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "backup-full"
+ *                       schedule:
+ *                         type: string
+ *                         description: Cron expression (BACKUP_SCHEDULE / BACKUP_INCREMENTAL_SCHEDULE)
+ *                         example: "0 2 * * *"
+ *                       nextRun:
+ *                         type: string
+ *                         format: date-time
+ *                       lastRun:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       lastStatus:
+ *                         type: string
+ *                         enum: [succeeded, failed]
+ *                         nullable: true
+ *                       running:
+ *                         type: boolean
+ *                       skippedRuns:
+ *                         type: integer
+ *                         description: Runs skipped because the previous one was still going or another instance ran them
  *       401:
  *         description: Authentication required
  */
@@ -101,7 +153,7 @@ router.get('/backup/list', BackupController.listBackups);
  *     summary: Restore from backup
  *     description: Restore system data from a backup file
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -113,8 +165,10 @@ router.get('/backup/list', BackupController.listBackups);
  *             properties:
  *               backupPath:
  *                 type: string
- *                 description: Path to the backup file
- *                 example: "backup_2023-12-24_12-30-45.json"
+ *                 description: |
+ *                   Name of the backup, as returned by /api/admin/backup/list. Its checksum is verified
+ *                   first; an incremental backup is restored together with the backups it builds on
+ *                 example: "backup_full_2023-12-24T12-30-45-000Z.json.gz"
  *               dryRun:
  *                 type: boolean
  *                 default: false
@@ -123,9 +177,15 @@ router.get('/backup/list', BackupController.listBackups);
  *                 type: boolean
  *                 default: true
  *                 description: Skip records that already exist
+ *               restoreVectors:
+ *                 type: boolean
+ *                 default: true
+ *                 description: |
+ *                   Put restored knowledge back in the vector store, from the backed-up embeddings
+ *                   when they match the current model, otherwise by re-embedding the content
  *     responses:
  *       200:
- *         description: Restore completed successfully
+ *         description: Restore completed; `verification` lists anything from the backup still missing
  *         content:
  *           application/json:
  *             schema:
@@ -147,9 +207,29 @@ router.post('/backup/restore', BackupController.restoreBackup);
  *   post:
  *     tags: [Admin]
  *     summary: Export to SQL dump
- *     description: Export system data to SQL dump format
+ *     description: |
+ *       Export every business and knowledge entry as a SQL script that loads them in a single
+ *       transaction. The script records the schema version (newest migration) it was made from
+ *       and is written to the backup storage target.
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [insert, skip, upsert]
+ *                 default: insert
+ *                 description: |
+ *                   What happens to rows that already exist in the target database: insert aborts
+ *                   the whole import, skip keeps the existing rows, upsert overwrites them
+ *               copy:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Use COPY blocks instead of INSERTs (faster for large tenants; load with psql)
  *     responses:
  *       200:
  *         description: SQL export completed successfully
@@ -157,6 +237,12 @@ router.post('/backup/restore', BackupController.restoreBackup);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid mode or copy flag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Authentication required
  *       500:
@@ -172,7 +258,7 @@ router.post('/backup/export-sql', BackupController.exportToSql);
  *     summary: Clear cache
  *     description: Clear cache entries by type or business ID
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       content:
  *         application/json:
@@ -214,7 +300,7 @@ router.post('/cache/clear', CacheController.clearCache);
  *     summary: Get cache statistics
  *     description: Retrieve cache usage statistics
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Cache statistics retrieved successfully
@@ -263,7 +349,7 @@ router.get('/cache/stats', CacheController.getCacheStats);
  *     summary: Inspect cache contents
  *     description: Inspect cache entries for debugging
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: type
@@ -317,4 +403,146 @@ router.get('/cache/stats', CacheController.getCacheStats);
  */
 router.get('/cache/inspect', CacheController.inspectCache);
 
+/**
+ * @swagger
+ * /api/admin/knowledge/backfill-content:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Backfill knowledge content
+ *     description: Copy the full text of knowledge entries created before content was stored in the database from the vector store into Supabase
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               batchSize:
+ *                 type: integer
+ *                 default: 100
+ *                 description: Entries fetched per database query
+ *     responses:
+ *       200:
+ *         description: Backfill finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recovered:
+ *                   type: integer
+ *                   example: 42
+ *                 unrecoverable:
+ *                   type: array
+ *                   description: Entries with no chunks left in the vector store
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid batch size
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/knowledge/backfill-content', KnowledgeAdminController.backfillContent);
+
+/**
+ * @swagger
+ * /api/admin/knowledge/reindex:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Re-index knowledge vectors
+ *     description: |
+ *       Re-embed every knowledge entry from the database into a new vector namespace, for one
+ *       business or all active businesses. Customers keep being answered from the current index
+ *       until a business's new namespace is complete; the old one is deleted afterwards.
+ *       Runs in the background - poll GET /api/admin/knowledge/reindex for progress.
+ *       Also available as `npm run reindex`.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessId:
+ *                 type: string
+ *                 description: Re-index only this business (default all active businesses)
+ *               batchSize:
+ *                 type: integer
+ *                 default: 50
+ *                 description: Entries embedded between progress checkpoints
+ *               restart:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Discard an interrupted build instead of resuming it
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Take over a build another process still appears to be running
+ *               allowMissing:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Switch over even if some entries have no stored content
+ *     responses:
+ *       202:
+ *         description: Re-index job started
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Authentication required
+ *       409:
+ *         description: A re-index job is already running
+ *   get:
+ *     tags: [Admin]
+ *     summary: Re-index status
+ *     description: Progress of the current re-index job and the stored index state per business
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: businessId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Re-index status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Job started by this server process, with per-business progress
+ *                 indexes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       businessId:
+ *                         type: string
+ *                       activeNamespace:
+ *                         type: string
+ *                       buildingNamespace:
+ *                         type: string
+ *                         nullable: true
+ *                       status:
+ *                         type: string
+ *                         enum: [idle, building, completed, failed]
+ *                       processed:
+ *                         type: integer
+ *                       total:
+ *                         type: integer
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/knowledge/reindex', KnowledgeAdminController.startReindex);
+router.get('/knowledge/reindex', KnowledgeAdminController.getReindexStatus);
+
 module.exports = router;
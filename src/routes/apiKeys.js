@@ -0,0 +1,310 @@
+/**
+ * API Key Management Routes
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const express = require('express');
+const router = express.Router();
+const ApiKeyController = require('../controllers/ApiKeyController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       description: An API key's details. The key itself is only returned when it is created or rotated.
+ *       properties:
+ *         keyId:
+ *           type: string
+ *           example: "3f9a1c0b7d2e4a68"
+ *         name:
+ *           type: string
+ *           example: "Pizza Palace POS integration"
+ *         role:
+ *           type: string
+ *           enum: [platform_admin, business_owner, read_only]
+ *         businessId:
+ *           type: string
+ *           nullable: true
+ *           example: "pizza_1234"
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *         rotatedFrom:
+ *           type: string
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Create an API key
+ *     description: Platform admins can create any key. Business owners can create business_owner and read_only keys for their own business.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Pizza Palace POS integration"
+ *               role:
+ *                 type: string
+ *                 enum: [platform_admin, business_owner, read_only]
+ *               businessId:
+ *                 type: string
+ *                 description: Required for business_owner keys; limits read_only keys to one business
+ *                 example: "pizza_1234"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                   description: The key to send in requests. It is not stored and cannot be retrieved again.
+ *                   example: "sbc_3f9a1c0b7d2e4a68_..."
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The calling key cannot create this key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     tags: [API Keys]
+ *     summary: List API keys
+ *     description: Platform admins see every key (or one business's with businessId). Business owners see their own business's keys.
+ *     parameters:
+ *       - in: query
+ *         name: businessId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: The calling key cannot list these keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', ApiKeyController.createKey);
+router.get('/', ApiKeyController.listKeys);
+
+/**
+ * @swagger
+ * /api/keys/{keyId}:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: Get an API key's details
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: The calling key cannot manage this key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags: [API Keys]
+ *     summary: Revoke an API key
+ *     description: The key stops working at once. Revoking the key making the request is allowed.
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "API key revoked"
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: API key is already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The calling key cannot manage this key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:keyId', ApiKeyController.getKey);
+router.delete('/:keyId', ApiKeyController.revokeKey);
+
+/**
+ * @swagger
+ * /api/keys/{keyId}/rotate:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Rotate an API key
+ *     description: Issue a replacement with the same name, role and business, and retire the old key - at once, or after a grace period so clients can switch over.
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               graceSeconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 604800
+ *                 description: How long the old key keeps working
+ *                 example: 3600
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry of the new key
+ *     responses:
+ *       200:
+ *         description: API key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                   description: The new key. It is not stored and cannot be retrieved again.
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error, or the key is no longer active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The calling key cannot manage this key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:keyId/rotate', ApiKeyController.rotateKey);
+
+module.exports = router;
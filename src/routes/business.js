@@ -4,15 +4,31 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const config = require('../../config');
 const router = express.Router();
 const BusinessController = require('../controllers/BusinessController');
+const KnowledgeController = require('../controllers/KnowledgeController');
+const { requirePlatformAccess, requireBusinessAccess } = require('../middleware/apiKeyAuth');
 const {
   validateRequiredFields,
+  validateIfPresent,
   validateBusinessName,
   validateWhatsAppNumber,
   validatePhoneNumber,
 } = require('../middleware/validation');
 
+// Uploaded documents and FAQ files are parsed in memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.get('media').maxFileSizeBytes, files: 1 },
+});
+
+// Routes under /:businessId are limited to keys for that business (or platform-wide keys)
+router.param('businessId', (req, res, next, businessId) =>
+  requireBusinessAccess(() => businessId)(req, res, next)
+);
+
 /**
  * @swagger
  * /api/businesses:
@@ -78,6 +94,7 @@ const {
  */
 router.post(
   '/',
+  requirePlatformAccess,
   validateRequiredFields(['businessName', 'whatsappNumber', 'ownerPhone']),
   validateBusinessName,
   validateWhatsAppNumber,
@@ -126,6 +143,7 @@ router.post(
  */
 router.post(
   '/register',
+  requirePlatformAccess,
   validateRequiredFields(['businessName', 'whatsappNumber', 'ownerPhone']),
   validateBusinessName,
   validateWhatsAppNumber,
@@ -139,7 +157,15 @@ router.post(
  *   get:
  *     tags: [Business]
  *     summary: Get all businesses
- *     description: Retrieve a list of all registered businesses
+ *     description: Retrieve the registered businesses. Deleted (inactive) businesses are only listed when asked for by status.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, inactive]
+ *         description: Only businesses with this status (active and suspended by default)
  *     responses:
  *       200:
  *         description: List of businesses retrieved successfully
@@ -154,7 +180,19 @@ router.post(
  *                 businesses:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Business'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Business'
+ *                       - type: object
+ *                         properties:
+ *                           usage:
+ *                             type: object
+ *                             description: Same as the usage returned by GET /api/businesses/{businessId}/stats
+ *       400:
+ *         description: Unknown status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Failed to retrieve businesses
  *         content:
@@ -162,6 +200,1019 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', BusinessController.getAllBusinesses);
+router.get('/', requirePlatformAccess, BusinessController.getAllBusinesses);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}:
+ *   get:
+ *     tags: [Business]
+ *     summary: Get a business
+ *     description: One active or suspended business, with its AI settings and any suspension details
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     responses:
+ *       200:
+ *         description: Business retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 business:
+ *                   $ref: '#/components/schemas/Business'
+ *       404:
+ *         description: Business not found (or deleted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     tags: [Business]
+ *     summary: Update a business
+ *     description: Change the business name, owner phone and/or WhatsApp number. Fields left out are unchanged; message routing picks up a new WhatsApp number straight away. Business owner keys can only change the name.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessName:
+ *                 type: string
+ *                 example: "Pizza Palace Downtown"
+ *               ownerPhone:
+ *                 type: string
+ *                 example: "+15551234567"
+ *               whatsappNumber:
+ *                 type: string
+ *                 example: "whatsapp:+15557654321"
+ *     responses:
+ *       200:
+ *         description: Business updated (or nothing needed changing)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 changed:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["businessName"]
+ *                 business:
+ *                   $ref: '#/components/schemas/Business'
+ *       400:
+ *         description: No fields given, or a field is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only platform keys can change the owner phone or WhatsApp number; business owners can change the name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The owner phone or WhatsApp number belongs to another business
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags: [Business]
+ *     summary: Delete a business
+ *     description: Soft delete (platform keys only). The business is marked inactive and stops receiving messages; its data is kept.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     responses:
+ *       200:
+ *         description: Business deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: The API key is not a platform key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:businessId', BusinessController.getBusiness);
+router.patch(
+  '/:businessId',
+  validateIfPresent('businessName', validateBusinessName),
+  validateIfPresent('ownerPhone', validatePhoneNumber),
+  validateIfPresent('whatsappNumber', validateWhatsAppNumber),
+  BusinessController.updateBusiness
+);
+router.delete('/:businessId', requirePlatformAccess, BusinessController.deleteBusiness);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/suspend:
+ *   post:
+ *     tags: [Business]
+ *     summary: Suspend a business
+ *     description: |
+ *       Stop the business answering customers (platform keys only). Customers are told the
+ *       business isn't available, the owner is told it is suspended, and open conversations
+ *       and handoff tickets are closed.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Kept with the business for platform admins (up to 500 characters)
+ *                 example: "Unpaid invoice"
+ *     responses:
+ *       200:
+ *         description: Business suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 business:
+ *                   $ref: '#/components/schemas/Business'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The business is already suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:businessId/suspend', requirePlatformAccess, BusinessController.suspendBusiness);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/reactivate:
+ *   post:
+ *     tags: [Business]
+ *     summary: Reactivate a suspended business
+ *     description: The business starts answering customers again (platform keys only)
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     responses:
+ *       200:
+ *         description: Business reactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 business:
+ *                   $ref: '#/components/schemas/Business'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The business is not suspended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:businessId/reactivate',
+  requirePlatformAccess,
+  BusinessController.reactivateBusiness
+);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/stats:
+ *   get:
+ *     tags: [Business]
+ *     summary: Get business statistics
+ *     description: Knowledge entry counts and usage (questions answered, fallbacks, uploads) for one business
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 businessId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 knowledge:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     text:
+ *                       type: integer
+ *                     documents:
+ *                       type: integer
+ *                     images:
+ *                       type: integer
+ *                 usage:
+ *                   type: object
+ *                   properties:
+ *                     totalQueries:
+ *                       type: integer
+ *                     totalFallbacks:
+ *                       type: integer
+ *                     fallbackRate:
+ *                       type: integer
+ *                       description: Percentage of questions with no good knowledge match
+ *                     totalUploads:
+ *                       type: integer
+ *                     lastQuery:
+ *                       type: string
+ *                       format: date-time
+ *                     lastUpload:
+ *                       type: string
+ *                       format: date-time
+ *                     lastActivity:
+ *                       type: string
+ *                       format: date-time
+ *                     recentFallbacks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:businessId/stats', BusinessController.getBusinessStats);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/ask:
+ *   post:
+ *     tags: [Business]
+ *     summary: Ask the business's assistant a question
+ *     description: Get the answer a customer would get, with the knowledge it was based on. Not counted in the business's stats.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question
+ *             properties:
+ *               question:
+ *                 type: string
+ *                 example: "Do you deliver on Sundays?"
+ *     responses:
+ *       200:
+ *         description: The assistant's answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 question:
+ *                   type: string
+ *                 answer:
+ *                   type: string
+ *                 confidence:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Best knowledge match score (0-1)
+ *                 fallback:
+ *                   type: boolean
+ *                   description: True when no knowledge matched well enough and the fallback message was used
+ *                 sources:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       knowledgeId:
+ *                         type: string
+ *                       filename:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *       400:
+ *         description: Missing or invalid question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:businessId/ask', BusinessController.askQuestion);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/conversations:
+ *   get:
+ *     tags: [Business]
+ *     summary: Get recent customer conversations
+ *     description: Conversations with the business's customers that haven't expired yet, most recent first. Conversations are held in memory, so only those handled by the server instance answering the request are listed. Customer numbers are masked. Requires a platform key.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 businessId:
+ *                   type: string
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       customer:
+ *                         type: string
+ *                         example: "***4567"
+ *                       lastActivity:
+ *                         type: string
+ *                         format: date-time
+ *                       turns:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             role:
+ *                               type: string
+ *                               enum: [user, assistant]
+ *                             content:
+ *                               type: string
+ *                             timestamp:
+ *                               type: string
+ *                               format: date-time
+ *       400:
+ *         description: Invalid limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not a platform key
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/:businessId/conversations',
+  requirePlatformAccess,
+  BusinessController.getConversations
+);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/ai-settings:
+ *   put:
+ *     tags: [Business]
+ *     summary: Update per-business AI model settings
+ *     description: Override the platform model, token limit, temperature or weak-match handling for one business. Send null to reset a setting to the platform default.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "pizza_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Model name (or Azure deployment name)
+ *                 example: "gpt-4o-mini"
+ *               maxTokens:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 300
+ *               temperature:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 0.3
+ *               minSimilarity:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Knowledge matches scoring below this (0-1) are ignored
+ *                 example: 0.35
+ *               fallbackMessage:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Sent instead of an AI answer when no match reaches minSimilarity
+ *                 example: "Please call us at (555) 123-4567 and we'll be happy to help."
+ *     responses:
+ *       200:
+ *         description: AI settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 businessId:
+ *                   type: string
+ *                 aiSettings:
+ *                   type: object
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:businessId/ai-settings', BusinessController.updateAISettings);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/knowledge:
+ *   get:
+ *     tags: [Knowledge]
+ *     summary: List knowledge entries
+ *     description: One page of the business's knowledge entries, newest first (what the owner's !list and !find commands show)
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [text, document, image]
+ *       - in: query
+ *         name: keyword
+ *         description: Only entries whose text or filename contains this (at least 2 characters)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdAfter
+ *         description: Only entries added at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         description: Only entries added before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: A page of entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       knowledgeId:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       preview:
+ *                         type: string
+ *                         description: Start of the text, or the filename of a document or image
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pageSize:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid page, type, keyword or date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     tags: [Knowledge]
+ *     summary: Add a text knowledge entry
+ *     description: Add text to the knowledge base, the same way as the owner's !add command
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: "We deliver within 5 miles for orders over $20."
+ *     responses:
+ *       201:
+ *         description: Entry added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 knowledgeId:
+ *                   type: string
+ *       400:
+ *         description: Invalid content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:businessId/knowledge', KnowledgeController.listKnowledge);
+router.post('/:businessId/knowledge', KnowledgeController.createKnowledge);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/knowledge/documents:
+ *   post:
+ *     tags: [Knowledge]
+ *     summary: Upload a document
+ *     description: |
+ *       Add a PDF, TXT or DOCX document to the knowledge base, the same way as a document
+ *       the owner sends over WhatsApp. An image (JPG or PNG) is searchable through its
+ *       `description`, which is required for images.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               description:
+ *                 type: string
+ *                 description: What an uploaded image shows
+ *                 example: "Our lunch specials board"
+ *     responses:
+ *       201:
+ *         description: Document added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 knowledgeId:
+ *                   type: string
+ *       400:
+ *         description: No file, an unsupported or unreadable file, or invalid content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:businessId/knowledge/documents',
+  upload.single('file'),
+  KnowledgeController.uploadDocument
+);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/knowledge/import:
+ *   post:
+ *     tags: [Knowledge]
+ *     summary: Import FAQ question/answer pairs
+ *     description: |
+ *       Create one knowledge entry per question/answer pair, from a CSV file (a header row
+ *       naming `question` and `answer` columns is optional), a JSON file, or a JSON body.
+ *       Each row is validated on its own; valid rows are saved and embedded together and
+ *       the response reports every row.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv or .json file
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - faqs
+ *             properties:
+ *               faqs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                       example: "Do you deliver?"
+ *                     answer:
+ *                       type: string
+ *                       example: "Yes, within 5 miles for orders over $20."
+ *     responses:
+ *       200:
+ *         description: Import report; `success` is false when no row could be imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Imported 58 of 60 FAQ rows from faq.csv"
+ *                 imported:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 vectorsUpdated:
+ *                   type: boolean
+ *                   description: False if the entries are saved but not yet searchable (a re-index catches them up)
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: CSV line, or position in the JSON array
+ *                       status:
+ *                         type: string
+ *                         enum: [imported, failed]
+ *                       question:
+ *                         type: string
+ *                       knowledgeId:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *                         example: "Answer is missing"
+ *       400:
+ *         description: No file, an unreadable file, or more rows than `faqImport.maxRows`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Business not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/:businessId/knowledge/import',
+  upload.single('file'),
+  KnowledgeController.importKnowledge
+);
+
+/**
+ * @swagger
+ * /api/businesses/{businessId}/knowledge/{knowledgeId}:
+ *   get:
+ *     tags: [Knowledge]
+ *     summary: Get a knowledge entry
+ *     description: The full text and details of one of the business's knowledge entries (what the owner's !show command displays)
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *       - in: path
+ *         name: knowledgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "kb_restaurant_1234_1234567890_abc"
+ *     responses:
+ *       200:
+ *         description: Knowledge entry retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 knowledge:
+ *                   $ref: '#/components/schemas/Knowledge'
+ *                 complete:
+ *                   type: boolean
+ *                   description: False when only a preview of an older entry could be found
+ *       404:
+ *         description: The business has no such knowledge entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     tags: [Knowledge]
+ *     summary: Edit a knowledge entry
+ *     description: |
+ *       Replace the text of a knowledge entry, keeping its ID (what the owner's !edit command does).
+ *       The entry is re-embedded in the vector store and the business's cached answers are cleared.
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *       - in: path
+ *         name: knowledgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "kb_restaurant_1234_1234567890_abc"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: The new text (5 to 10,000 characters)
+ *                 example: "We are open Monday-Saturday 9AM-6PM."
+ *     responses:
+ *       200:
+ *         description: Knowledge entry updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 vectorsUpdated:
+ *                   type: boolean
+ *                   description: False if search could not be refreshed yet (a re-index catches it up)
+ *                 knowledge:
+ *                   $ref: '#/components/schemas/Knowledge'
+ *       400:
+ *         description: Invalid knowledge ID or content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: The business has no such knowledge entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags: [Knowledge]
+ *     summary: Delete a knowledge entry
+ *     description: Remove the entry and its vectors (what the owner's !delete command does); the business's cached answers are cleared
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "restaurant_1234"
+ *       - in: path
+ *         name: knowledgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "kb_restaurant_1234_1234567890_abc"
+ *     responses:
+ *       200:
+ *         description: Knowledge entry deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: The business has no such knowledge entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:businessId/knowledge/:knowledgeId', KnowledgeController.getKnowledge);
+router.put('/:businessId/knowledge/:knowledgeId', KnowledgeController.updateKnowledge);
+router.delete('/:businessId/knowledge/:knowledgeId', KnowledgeController.deleteKnowledge);
 
 module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * Owner Dashboard Login Routes
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const express = require('express');
+const router = express.Router();
+const DashboardController = require('../controllers/DashboardController');
+const { authenticateApiKey } = require('../middleware/apiKeyAuth');
+const { strictRateLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * /api/dashboard/login/code:
+ *   post:
+ *     tags: [Dashboard]
+ *     summary: Send a dashboard login code
+ *     description: |
+ *       Send a 6-digit one-time code to the business owner's WhatsApp. The response is the
+ *       same whether or not the number owns an active business. One code per number per minute.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ownerPhone
+ *             properties:
+ *               ownerPhone:
+ *                 type: string
+ *                 example: "+15551234567"
+ *     responses:
+ *       200:
+ *         description: Code sent if the number owns a business
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid phone number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: A code was sent to this number less than a minute ago
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/code', strictRateLimiter, DashboardController.requestCode);
+
+/**
+ * @swagger
+ * /api/dashboard/login/verify:
+ *   post:
+ *     tags: [Dashboard]
+ *     summary: Log in with a dashboard code
+ *     description: |
+ *       Exchange the code for a business_owner API key for the owner's business. The key
+ *       expires after `dashboard.sessionTtlMs` (12 hours by default). A code works once and
+ *       is thrown away after 5 wrong guesses.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ownerPhone
+ *               - code
+ *             properties:
+ *               ownerPhone:
+ *                 type: string
+ *                 example: "+15551234567"
+ *               code:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 key:
+ *                   type: string
+ *                   description: Send as "Authorization Bearer" on later requests
+ *                 businessId:
+ *                   type: string
+ *                   example: "pizza_1234"
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Invalid or expired code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many login requests from this IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/verify', strictRateLimiter, DashboardController.verifyCode);
+
+/**
+ * @swagger
+ * /api/dashboard/logout:
+ *   post:
+ *     tags: [Dashboard]
+ *     summary: Log out of the dashboard
+ *     description: Revoke the API key the request is made with. Only keys issued by a dashboard login can be revoked this way.
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The key was not issued by a dashboard login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', authenticateApiKey, DashboardController.logout);
+
+module.exports = router;
@@ -14,6 +14,7 @@ const HealthController = require('../controllers/HealthController');
  *     tags: [Health]
  *     summary: Get API information
  *     description: Returns basic information about the API including version, uptime, and environment
+ *     security: []
  *     responses:
  *       200:
  *         description: API information retrieved successfully
@@ -57,6 +58,7 @@ router.get('/', HealthController.getRoot);
  *     tags: [Health]
  *     summary: Health check endpoint
  *     description: Returns the health status of all system components
+ *     security: []
  *     responses:
  *       200:
  *         description: System health status
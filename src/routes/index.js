@@ -14,14 +14,22 @@ const adminRoutes = require('./admin');
 const webhookRoutes = require('./webhooks');
 const loggingRoutes = require('./logging');
 const performanceRoutes = require('./performance');
+const apiKeyRoutes = require('./apiKeys');
+const dashboardRoutes = require('./dashboard');
+const { authenticateApiKey, requirePlatformAccess } = require('../middleware/apiKeyAuth');
+
+// Every API router needs an API key; business and key routes check the key's business themselves
+const platformOnly = [authenticateApiKey, requirePlatformAccess];
 
 // Mount route modules
 router.use('/', healthRoutes); // Root and health endpoints
-router.use('/api/businesses', businessRoutes); // Business management
-router.use('/api/twilio', twilioRoutes); // Twilio integration
-router.use('/api/admin', adminRoutes); // Admin functions (backup, cache)
-router.use('/api/logging', loggingRoutes); // Logging management
-router.use('/api/performance', performanceRoutes); // Performance monitoring
-router.use('/webhooks', webhookRoutes); // Webhook handlers
+router.use('/api/businesses', authenticateApiKey, businessRoutes); // Business management
+router.use('/api/keys', authenticateApiKey, apiKeyRoutes); // API key management
+router.use('/api/dashboard', dashboardRoutes); // Owner dashboard login (issues API keys)
+router.use('/api/twilio', platformOnly, twilioRoutes); // Twilio integration
+router.use('/api/admin', platformOnly, adminRoutes); // Admin functions (backup, cache)
+router.use('/api/logging', platformOnly, loggingRoutes); // Logging management
+router.use('/api/performance', platformOnly, performanceRoutes); // Performance monitoring
+router.use('/webhooks', webhookRoutes); // Webhook handlers (the Twilio callback checks its own signature)
 
 module.exports = router;
@@ -6,10 +6,6 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { basicAuth } = require('../middleware/security');
-
-// Apply basic auth to all logging management routes
-router.use(basicAuth);
 
 /**
  * @swagger
@@ -19,7 +15,7 @@ router.use(basicAuth);
  *     summary: Get logging metrics
  *     description: Retrieve current logging system metrics and statistics
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Logging metrics retrieved successfully
@@ -94,7 +90,7 @@ router.get('/metrics', (req, res) => {
  *     summary: Set log level
  *     description: Change the current logging level
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -185,7 +181,7 @@ router.put('/level', (req, res) => {
  *     summary: Clear logging metrics
  *     description: Reset all logging metrics and counters
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Logging metrics cleared successfully
@@ -233,7 +229,7 @@ router.post('/clear-metrics', (req, res) => {
  *     summary: Test logging functionality
  *     description: Generate test log entries at different levels
  *     security:
- *       - BasicAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       content:
  *         application/json:
@@ -5,13 +5,32 @@
 
 const express = require('express');
 const router = express.Router();
+const config = require('../../config');
 const logger = require('../utils/logger');
+const DocumentParser = require('../utils/documentParser');
+const FaqParser = require('../utils/faqParser');
+const MessageChunker = require('../utils/messageChunker');
 const rateLimiter = require('../utils/rateLimiter');
 const validator = require('../utils/validator');
 const twilioWhatsAppService = require('../services/twilioWhatsAppService');
 const businessService = require('../services/businessService');
 const knowledgeService = require('../services/knowledgeService');
 const aiService = require('../services/aiService');
+const conversationService = require('../services/conversationService');
+const handoffService = require('../services/handoffService');
+const unansweredService = require('../services/unansweredService');
+const { validateTwilioSignature } = require('../middleware/security');
+
+// !show splits long entries over several messages, up to this many; each leaves room
+// under WhatsApp's 1600-character limit for the footer
+const SHOW_MAX_MESSAGES = 3;
+const SHOW_MESSAGE_LENGTH = 1400;
+
+// Entries per !list / !find page; ten full previews would overrun the 1600-character limit
+const LIST_PAGE_SIZE = 8;
+
+// Failed rows listed in the reply to an FAQ file; the rest are only counted
+const FAQ_REPORT_MAX_ERRORS = 10;
 
 class WebhookHandler {
   constructor() {
@@ -26,6 +45,7 @@ class WebhookHandler {
      *     tags: [Webhooks]
      *     summary: Twilio WhatsApp webhook handler
      *     description: Handles incoming WhatsApp messages from Twilio and routes them to appropriate business handlers
+     *     security: []
      *     requestBody:
      *       required: true
      *       content:
@@ -65,13 +85,12 @@ class WebhookHandler {
      *             schema:
      *               type: string
      *               example: "OK"
-     *       403:
-     *         description: Invalid webhook signature
+     *       401:
+     *         description: Missing or invalid X-Twilio-Signature header
      *         content:
-     *           text/plain:
+     *           application/json:
      *             schema:
-     *               type: string
-     *               example: "Forbidden"
+     *               $ref: '#/components/schemas/Error'
      *       500:
      *         description: Internal server error
      *         content:
@@ -80,7 +99,7 @@ class WebhookHandler {
      *               type: string
      *               example: "Internal Server Error"
      */
-    router.post('/twilio/whatsapp', this.handleTwilioWebhook.bind(this));
+    router.post('/twilio/whatsapp', validateTwilioSignature, this.handleTwilioWebhook.bind(this));
 
     /**
      * @swagger
@@ -89,6 +108,7 @@ class WebhookHandler {
      *     tags: [Webhooks]
      *     summary: Get webhook service status
      *     description: Retrieve the current status of webhook endpoints and Twilio integration
+     *     security: []
      *     responses:
      *       200:
      *         description: Webhook status retrieved successfully
@@ -142,6 +162,7 @@ class WebhookHandler {
      *     tags: [Webhooks]
      *     summary: Test webhook endpoint
      *     description: Test endpoint to verify webhook functionality
+     *     security: []
      *     requestBody:
      *       content:
      *         application/json:
@@ -186,18 +207,6 @@ class WebhookHandler {
     try {
       logger.debug('[WEBHOOK] Received Twilio WhatsApp webhook');
 
-      // Validate webhook signature for security
-      const signature = req.headers['x-twilio-signature'];
-      const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-
-      if (
-        process.env.NODE_ENV === 'production' &&
-        !twilioWhatsAppService.validateWebhookSignature(signature, url, req.body)
-      ) {
-        logger.warn('[WEBHOOK] Invalid webhook signature');
-        return res.status(403).send('Forbidden');
-      }
-
       // Extract message data from Twilio webhook
       const {
         From: from,
@@ -212,6 +221,18 @@ class WebhookHandler {
 
       logger.info(`[WEBHOOK] Message from ${from} to ${to}: "${body || '[Media]'}"`);
 
+      // Collect every attachment (MediaUrl0..N) - WhatsApp can send several at once
+      const mediaCount = parseInt(numMedia, 10) || 0;
+      const media = [];
+      for (let i = 0; i < mediaCount; i++) {
+        if (req.body[`MediaUrl${i}`]) {
+          media.push({
+            url: req.body[`MediaUrl${i}`],
+            contentType: req.body[`MediaContentType${i}`],
+          });
+        }
+      }
+
       // Global rate limiting
       const phoneNumber = from.replace('whatsapp:', '');
       if (!rateLimiter.checkGlobal()) {
@@ -230,9 +251,10 @@ class WebhookHandler {
         to,
         body,
         messageSid,
-        numMedia: parseInt(numMedia) || 0,
+        numMedia: mediaCount,
         mediaUrl,
         mediaContentType,
+        media,
         profileName,
         phoneNumber,
       });
@@ -249,7 +271,7 @@ class WebhookHandler {
 
     try {
       // Find business by WhatsApp number (the 'to' field)
-      const business = twilioWhatsAppService.getBusinessByWhatsAppNumber(to);
+      const business = await twilioWhatsAppService.resolveBusiness(to);
 
       if (!business) {
         logger.warn(`[WEBHOOK] No business found for WhatsApp number ${to}`);
@@ -265,8 +287,25 @@ class WebhookHandler {
         `[WEBHOOK] Routing message to business: ${business.businessName} (${business.businessId})`
       );
 
+      const isOwner = phoneNumber === business.ownerPhone.replace('+', '');
+
+      // A suspended business answers no one until the platform reactivates it
+      if (business.status !== 'active') {
+        logger.info(
+          `[WEBHOOK] Not answering ${isOwner ? 'owner' : 'customer'} of ${business.status} business ${business.businessId}`
+        );
+        await this.sendResponse(
+          from,
+          to,
+          isOwner
+            ? `⏸️ ${business.businessName} is suspended, so customers aren't being answered and commands are paused. Please contact support to reactivate it.`
+            : `Sorry, ${business.businessName} isn't answering messages here right now. Please try again later.`
+        );
+        return;
+      }
+
       // Check if sender is the business owner
-      if (phoneNumber === business.ownerPhone.replace('+', '')) {
+      if (isOwner) {
         await this.handleBusinessOwnerMessage(messageData, business);
       } else {
         await this.handleCustomerMessage(messageData, business);
@@ -329,6 +368,17 @@ class WebhookHandler {
         return;
       }
 
+      // Customer command to start a fresh conversation
+      if (body && body.trim().toLowerCase() === '!reset') {
+        conversationService.reset(business.businessId, phoneNumber);
+        await this.sendResponse(
+          from,
+          to,
+          '🔄 Conversation cleared. Feel free to ask a new question!'
+        );
+        return;
+      }
+
       // Validate and sanitize customer query
       const queryValidation = validator.validateAndSanitize('customerQuery', body);
       if (!queryValidation.valid) {
@@ -339,17 +389,113 @@ class WebhookHandler {
 
       const query = queryValidation.sanitized;
 
+      // While a handoff is open the owner answers, so relay instead of using the AI
+      const openTicket = await handoffService.getOpenTicketForCustomer(
+        business.businessId,
+        phoneNumber
+      );
+      if (openTicket) {
+        await this.notifyOwner(
+          business,
+          to,
+          `💬 Ticket #${openTicket.ticketId} - ${this.formatCustomerLabel(openTicket)}:\n"${query}"\n\nReply with: !reply ${openTicket.ticketId} [message]`
+        );
+        return;
+      }
+
+      // Customer explicitly asked for a person
+      if (handoffService.isHumanRequest(query)) {
+        await this.escalateToOwner(messageData, business, query, 'customer_request');
+        await this.sendResponse(
+          from,
+          to,
+          "👤 I've asked a member of our team to help you. They'll reply here shortly."
+        );
+        return;
+      }
+
       // Record the query in business stats
       await businessService.recordQuery(business.businessId);
 
-      // Send "thinking" message
-      await this.sendResponse(from, to, '🤔 Let me search our knowledge base...');
+      const streamingConfig = config.get('messaging.streaming');
+      const history = conversationService.getHistory(business.businessId, phoneNumber);
+      const handoffNotice =
+        "👤 I've forwarded your question to our team. They'll reply here shortly.";
+      let answer;
+      let response;
+
+      if (streamingConfig.enabled) {
+        // Send the answer sentence by sentence as it is generated
+        const chunker = new MessageChunker({
+          onChunk: chunk => this.sendResponse(from, to, chunk),
+          minChunkLength: streamingConfig.minChunkLength,
+          maxChunkLength: streamingConfig.maxChunkLength,
+          chunkDelayMs: streamingConfig.chunkDelayMs,
+        });
+
+        answer = await aiService.generateResponse(query, business.businessId, {
+          history,
+          business,
+          includeSources: true,
+          onToken: token => chunker.push(token),
+        });
+        response = answer.response;
+        await chunker.flush();
+      } else {
+        // Send "thinking" message
+        await this.sendResponse(from, to, '🤔 Let me search our knowledge base...');
+
+        // Generate AI response with recent conversation context
+        answer = await aiService.generateResponse(query, business.businessId, {
+          history,
+          business,
+          includeSources: true,
+        });
+        response = answer.response;
+      }
 
-      // Generate AI response
-      const response = await aiService.generateResponse(query, business.businessId);
+      // The business's fallback message can be anything, so trust the flag over the wording
+      const unanswerable = answer.fallback || handoffService.isUnanswerable(response);
 
-      // Send response to customer
-      await this.sendResponse(from, to, response);
+      // Escalate questions the knowledge base couldn't answer
+      if (unanswerable) {
+        await this.escalateToOwner(messageData, business, query, 'unanswered');
+      }
+      if (streamingConfig.enabled) {
+        // The answer itself has already been streamed
+        if (unanswerable) {
+          await this.sendResponse(from, to, handoffNotice);
+        }
+      } else {
+        await this.sendResponse(
+          from,
+          to,
+          unanswerable ? `${response}\n\n${handoffNotice}` : response
+        );
+      }
+
+      // Count questions the knowledge base couldn't answer so the owner can fill the gaps
+      if (answer.fallback) {
+        await businessService.recordFallback(business.businessId, query);
+      }
+
+      const unansweredReason = unansweredService.getReason(answer, unanswerable);
+      if (unansweredReason) {
+        await unansweredService.recordQuestion(
+          business.businessId,
+          phoneNumber,
+          query,
+          answer,
+          unansweredReason
+        );
+      }
+
+      conversationService.recordExchange(business.businessId, phoneNumber, query, response);
+      conversationService.recordAnswer(business.businessId, {
+        customerPhone: phoneNumber,
+        question: query,
+        ...answer,
+      });
 
       logger.success(`[WEBHOOK] Customer query processed for ${business.businessName}`);
     } catch (error) {
@@ -388,13 +534,25 @@ class WebhookHandler {
           break;
 
         case 'list':
-          await this.handleListKnowledge(messageData, business);
+          await this.handleListKnowledge(args, messageData, business);
+          break;
+
+        case 'find':
+          await this.handleFindKnowledge(args, messageData, business);
           break;
 
         case 'delete':
           await this.handleDeleteKnowledge(args, messageData, business);
           break;
 
+        case 'show':
+          await this.handleShowKnowledge(args, messageData, business);
+          break;
+
+        case 'edit':
+          await this.handleEditKnowledge(args, messageData, business);
+          break;
+
         case 'help':
           await this.handleHelp(messageData, business);
           break;
@@ -407,6 +565,34 @@ class WebhookHandler {
           await this.handleInspectCache(messageData, business);
           break;
 
+        case 'reply':
+          await this.handleReplyToCustomer(args, messageData, business);
+          break;
+
+        case 'resolve':
+          await this.handleResolveHandoff(args, messageData, business);
+          break;
+
+        case 'tickets':
+          await this.handleListHandoffs(messageData, business);
+          break;
+
+        case 'why':
+          await this.handleExplainLastAnswer(messageData, business);
+          break;
+
+        case 'stats':
+          await this.handleStats(messageData, business);
+          break;
+
+        case 'unanswered':
+          await this.handleListUnanswered(messageData, business);
+          break;
+
+        case 'answer':
+          await this.handleAnswerUnanswered(args, messageData, business);
+          break;
+
         default:
           await this.sendResponse(
             from,
@@ -470,33 +656,117 @@ class WebhookHandler {
     }
   }
 
-  async handleListKnowledge(messageData, business) {
+  async handleListKnowledge(args, messageData, business) {
+    const { from, to } = messageData;
+    const options = {};
+
+    for (const token of args.trim().split(' ').filter(Boolean)) {
+      const typeMatch = token.match(/^type:(\S+)$/i);
+      if (/^\d+$/.test(token)) {
+        options.page = parseInt(token, 10);
+      } else if (typeMatch) {
+        options.type = typeMatch[1];
+      } else {
+        await this.sendResponse(
+          from,
+          to,
+          'Format: !list [page] [type:text|document|image]\nExample: !list 2 type:document'
+        );
+        return;
+      }
+    }
+
+    await this.sendKnowledgePage(options, messageData, business);
+  }
+
+  async handleFindKnowledge(args, messageData, business) {
+    const { from, to } = messageData;
+    const options = {};
+    const words = [];
+
+    for (const token of args.trim().split(' ').filter(Boolean)) {
+      const pageMatch = token.match(/^page:(\d+)$/i);
+      if (pageMatch) {
+        options.page = parseInt(pageMatch[1], 10);
+      } else {
+        words.push(token);
+      }
+    }
+
+    if (words.length === 0) {
+      await this.sendResponse(
+        from,
+        to,
+        'Please provide a keyword. Format: !find [keyword] [page:n]\nExample: !find delivery'
+      );
+      return;
+    }
+
+    options.keyword = words.join(' ');
+    await this.sendKnowledgePage(options, messageData, business);
+  }
+
+  /**
+   * Reply with one page of entries for !list or !find, and how to get the next one
+   */
+  async sendKnowledgePage(options, messageData, business) {
     const { from, to } = messageData;
 
     try {
-      const entries = await knowledgeService.getBusinessKnowledge(business.businessId);
-      const stats = await knowledgeService.getKnowledgeStats(business.businessId);
+      const result = await knowledgeService.listKnowledge(business.businessId, {
+        ...options,
+        pageSize: LIST_PAGE_SIZE,
+      });
 
-      if (entries.length === 0) {
+      if (!result.success) {
+        await this.sendResponse(from, to, `❌ ${result.message}`);
+        return;
+      }
+
+      const { type, keyword } = result;
+      if (result.total === 0) {
+        let empty = `📚 Your Knowledge Base (${business.businessName}):\n\nNo entries yet. Use !add [text] or send documents to get started!`;
+        if (keyword) {
+          empty = `🔍 No entries match "${keyword}". Try a shorter or different word.`;
+        } else if (type) {
+          empty = `📚 No ${type} entries yet. Send !list to see everything.`;
+        }
+        await this.sendResponse(from, to, empty);
+        return;
+      }
+
+      if (result.page > result.totalPages) {
         await this.sendResponse(
           from,
           to,
-          `📚 Your Knowledge Base (${business.businessName}):\n\nNo entries yet. Use !add [text] or send documents to get started!`
+          `❌ There is no page ${result.page}. Pages go up to ${result.totalPages}.`
         );
         return;
       }
 
-      let response = `📚 Your Knowledge Base (${business.businessName}):\n\n`;
-      entries.slice(0, 10).forEach(entry => {
+      let response = keyword
+        ? `🔍 Entries matching "${keyword}" (${business.businessName})`
+        : `📚 Your Knowledge Base (${business.businessName})${type ? ` - ${type} entries` : ''}`;
+      response += ` - page ${result.page} of ${result.totalPages}:\n\n`;
+
+      result.entries.forEach(entry => {
         const date = new Date(entry.addedAt).toLocaleDateString();
         response += `${entry.id}: ${entry.preview} (${entry.type}) - ${date}\n`;
       });
 
-      if (entries.length > 10) {
-        response += `\n... and ${entries.length - 10} more entries`;
+      if (result.page < result.totalPages) {
+        const next = keyword
+          ? `!find ${keyword} page:${result.page + 1}`
+          : `!list ${result.page + 1}${type ? ` type:${type}` : ''}`;
+        response += `\n➡️ Send ${next} for more`;
       }
 
-      response += `\n📊 Total: ${stats.total} entries (${stats.text} text, ${stats.documents} documents)`;
+      if (keyword || type) {
+        response += `\n📊 ${result.total} matching entries`;
+      } else {
+        const stats = await knowledgeService.getKnowledgeStats(business.businessId);
+        response += `\n📊 Total: ${stats.total} entries (${stats.text} text, ${stats.documents} documents, ${stats.images} images)`;
+      }
 
       await this.sendResponse(from, to, response);
     } catch (error) {
@@ -541,6 +811,123 @@ class WebhookHandler {
     }
   }
 
+  async handleShowKnowledge(args, messageData, business) {
+    const { from, to } = messageData;
+
+    try {
+      if (!args.trim()) {
+        await this.sendResponse(
+          from,
+          to,
+          'Please provide a knowledge ID. Format: !show [knowledge-id]'
+        );
+        return;
+      }
+
+      const idValidation = validator.validateAndSanitize('knowledgeId', args.trim());
+      if (!idValidation.valid) {
+        await this.sendResponse(from, to, `❌ ${idValidation.error}`);
+        return;
+      }
+
+      const result = await knowledgeService.getKnowledgeContent(
+        business.businessId,
+        idValidation.sanitized
+      );
+
+      if (!result.success) {
+        await this.sendResponse(from, to, `❌ ${result.message}`);
+        return;
+      }
+
+      const { entry } = result;
+      let header = `📄 ${entry.knowledgeId}\n`;
+      header += `Type: ${entry.type}${entry.filename ? ` (${entry.filename})` : ''}\n`;
+      header += `Added: ${new Date(entry.createdAt).toLocaleDateString()}\n`;
+      if (entry.metadata.editedAt) {
+        header += `Edited: ${new Date(entry.metadata.editedAt).toLocaleDateString()}\n`;
+      }
+      if (!result.complete) {
+        header += '⚠️ Only a preview of this entry is available\n';
+      }
+
+      const messages = MessageChunker.split(`${header}\n${result.content}`, SHOW_MESSAGE_LENGTH);
+      const shown = messages.slice(0, SHOW_MAX_MESSAGES);
+
+      if (messages.length > shown.length) {
+        const hidden = messages
+          .slice(shown.length)
+          .reduce((total, message) => total + message.length, 0);
+        shown[shown.length - 1] += `\n\n... (${hidden} more characters not shown)`;
+      }
+      shown[shown.length - 1] += `\n\nUse !edit ${entry.knowledgeId} [new text] to change it.`;
+
+      for (const message of shown) {
+        await this.sendResponse(from, to, message);
+      }
+    } catch (error) {
+      logger.error(`[WEBHOOK] Error showing knowledge for ${business.businessName}:`, error);
+      await this.sendResponse(from, to, '❌ Error retrieving knowledge entry.');
+    }
+  }
+
+  async handleEditKnowledge(args, messageData, business) {
+    const { from, to } = messageData;
+
+    try {
+      const [, knowledgeId, content] = args.trim().match(/^(\S+)(?:\s+(.*))?$/) || [];
+
+      if (!knowledgeId || !content) {
+        await this.sendResponse(
+          from,
+          to,
+          'Please provide a knowledge ID and the new text. Format: !edit [knowledge-id] [new text]'
+        );
+        return;
+      }
+
+      const idValidation = validator.validateAndSanitize('knowledgeId', knowledgeId);
+      if (!idValidation.valid) {
+        await this.sendResponse(from, to, `❌ ${idValidation.error}`);
+        return;
+      }
+
+      const contentValidation = validator.validateAndSanitize('knowledgeContent', content);
+      if (!contentValidation.valid) {
+        await this.sendResponse(from, to, `❌ ${contentValidation.error}`);
+        return;
+      }
+
+      if (validator.detectSuspiciousContent(contentValidation.sanitized)) {
+        await this.sendResponse(
+          from,
+          to,
+          '❌ Content contains suspicious elements and cannot be processed.'
+        );
+        return;
+      }
+
+      const result = await knowledgeService.updateKnowledge(
+        business.businessId,
+        idValidation.sanitized,
+        contentValidation.sanitized
+      );
+
+      if (result.success) {
+        await this.sendResponse(
+          from,
+          to,
+          `✅ ${result.message}\n"${contentValidation.sanitized.substring(0, 100)}${contentValidation.sanitized.length > 100 ? '...' : ''}"`
+        );
+      } else {
+        await this.sendResponse(from, to, `❌ ${result.message}`);
+      }
+    } catch (error) {
+      logger.error(`[WEBHOOK] Error editing knowledge for ${business.businessName}:`, error);
+      await this.sendResponse(from, to, '❌ Failed to update knowledge. Please try again.');
+    }
+  }
+
   async handleHelp(messageData, business) {
     const { from, to } = messageData;
 
@@ -548,23 +935,316 @@ class WebhookHandler {
 
 📝 *Knowledge Management:*
 • !add [text] - Add text knowledge
-• Send documents - Upload files (coming soon)
-• !list - View your knowledge base
+• Send documents - Upload PDF, TXT, DOCX (images need a caption)
+• Send a CSV or JSON FAQ file - Adds one entry per question/answer pair
+• !list [page] - View your knowledge base, a page at a time
+• !list type:document - Only text, document or image entries
+• !find [keyword] - Search your entries' text and filenames
+• !show [id] - View the full text of an entry
+• !edit [id] [text] - Replace an entry's text (keeps its ID)
 • !delete [id] - Remove knowledge entry
+• !unanswered - Questions the assistant couldn't answer
+• !answer [n] [text] - Add an answer for question n to your knowledge base
+
+👤 *Customer Handoff:*
+• !tickets - View open handoff tickets
+• !reply [ticket] [text] - Reply to a customer
+• !resolve [ticket] - Close a ticket and hand back to the assistant
 
 📊 *Information:*
 • !help - Show this help message
 • !clearcache - Clear cached responses
 • !inspect - View cache status
+• !why - See which knowledge entries the last answer used
+• !stats - Query counts and questions the assistant couldn't answer
 
 💡 *Tips:*
 - Customers can message this WhatsApp number directly
+- Customers can send !reset to start a fresh conversation
 - All content is processed and made searchable
 - Use descriptive text for better customer responses`;
 
     await this.sendResponse(from, to, help);
   }
 
+  async escalateToOwner(messageData, business, question, reason) {
+    const ticket = await handoffService.openTicket(business, messageData, question, reason);
+    const heading =
+      reason === 'customer_request' ? 'Customer asked to talk to a person' : "Bot couldn't answer";
+
+    await this.notifyOwner(
+      business,
+      messageData.to,
+      `🙋 *${heading}* (ticket #${ticket.ticketId})
+From: ${this.formatCustomerLabel(ticket)}
+Question: "${question}"
+
+The assistant will stay silent for this customer until you resolve the ticket, or until it expires after you stop replying.
+• !reply ${ticket.ticketId} [message] - Reply to the customer
+• !resolve ${ticket.ticketId} - Hand back to the assistant`
+    );
+
+    return ticket;
+  }
+
+  async notifyOwner(business, businessAddress, message) {
+    const ownerAddress = `whatsapp:+${business.ownerPhone.replace('+', '')}`;
+    await this.sendResponse(ownerAddress, businessAddress, message);
+  }
+
+  formatCustomerLabel(ticket) {
+    return ticket.customerName
+      ? `${ticket.customerName} (+${ticket.customerPhone})`
+      : `+${ticket.customerPhone}`;
+  }
+
+  async handleReplyToCustomer(args, messageData, business) {
+    const { from, to } = messageData;
+
+    const replyMatch = args.trim().match(/^#?(\d+)\s+([\s\S]+)$/);
+    if (!replyMatch) {
+      await this.sendResponse(
+        from,
+        to,
+        'Please provide a ticket and message. Format: !reply [ticket] [message]'
+      );
+      return;
+    }
+
+    const [, ticketId, replyText] = replyMatch;
+    const ticket = await handoffService.replyToTicket(business.businessId, ticketId);
+    if (!ticket) {
+      await this.sendResponse(
+        from,
+        to,
+        `❌ No open ticket #${ticketId}. Send !tickets to see open tickets.`
+      );
+      return;
+    }
+
+    await this.sendResponse(ticket.customerAddress, ticket.businessAddress, replyText.trim());
+    conversationService.addTurn(
+      business.businessId,
+      ticket.customerPhone,
+      'assistant',
+      replyText.trim()
+    );
+
+    logger.info(`[WEBHOOK] Owner replied on ticket #${ticketId} for ${business.businessName}`);
+    await this.sendResponse(
+      from,
+      to,
+      `✅ Sent to ${this.formatCustomerLabel(ticket)} on ticket #${ticketId}.`
+    );
+  }
+
+  async handleResolveHandoff(args, messageData, business) {
+    const { from, to } = messageData;
+    const ticketId = args.trim();
+
+    if (!ticketId) {
+      await this.sendResponse(from, to, 'Please provide a ticket. Format: !resolve [ticket]');
+      return;
+    }
+
+    const ticket = await handoffService.resolveTicket(business.businessId, ticketId);
+    if (!ticket) {
+      await this.sendResponse(
+        from,
+        to,
+        `❌ No open ticket #${ticketId}. Send !tickets to see open tickets.`
+      );
+      return;
+    }
+
+    await this.sendResponse(
+      ticket.customerAddress,
+      ticket.businessAddress,
+      `✅ Thanks for your patience! You're chatting with the ${business.businessName} assistant again.`
+    );
+    await this.sendResponse(
+      from,
+      to,
+      `✅ Ticket #${ticket.ticketId} resolved. The assistant will answer this customer again.`
+    );
+  }
+
+  async handleListHandoffs(messageData, business) {
+    const { from, to } = messageData;
+    const openTickets = await handoffService.getOpenTickets(business.businessId);
+
+    if (openTickets.length === 0) {
+      await this.sendResponse(from, to, '✅ No open handoff tickets.');
+      return;
+    }
+
+    let response = `👤 *Open Tickets (${openTickets.length}):*\n\n`;
+    openTickets.forEach(ticket => {
+      response += `#${ticket.ticketId} - ${this.formatCustomerLabel(ticket)}\n"${ticket.question}"\n\n`;
+    });
+    response += 'Reply with: !reply [ticket] [message]';
+
+    await this.sendResponse(from, to, response);
+  }
+
+  async handleListUnanswered(messageData, business) {
+    const { from, to } = messageData;
+
+    try {
+      const questions = await unansweredService.getTopQuestions(business.businessId);
+
+      if (questions.length === 0) {
+        await this.sendResponse(from, to, '✅ No unanswered questions. Nice work!');
+        return;
+      }
+
+      let response = `❓ *Unanswered Questions (${business.businessName}):*\n\n`;
+      questions.forEach((question, i) => {
+        const date = new Date(question.lastAskedAt).toLocaleDateString();
+        const customers =
+          question.customers === 1 ? '1 customer' : `${question.customers} customers`;
+        response += `${i + 1}. "${question.question}"\n   Asked ${question.count}x by ${customers}, last ${date}\n`;
+      });
+      response += '\nReply with: !answer [n] [answer text]';
+
+      await this.sendResponse(from, to, response);
+    } catch (error) {
+      logger.error(
+        `[WEBHOOK] Error listing unanswered questions for ${business.businessName}:`,
+        error
+      );
+      await this.sendResponse(from, to, '❌ Error retrieving unanswered questions.');
+    }
+  }
+
+  async handleAnswerUnanswered(args, messageData, business) {
+    const { from, to } = messageData;
+
+    const answerMatch = args.trim().match(/^#?(\d+)\s+([\s\S]+)$/);
+    if (!answerMatch) {
+      await this.sendResponse(
+        from,
+        to,
+        'Please provide a question number and answer. Format: !answer [n] [answer text]'
+      );
+      return;
+    }
+
+    const contentValidation = validator.validateAndSanitize('knowledgeContent', answerMatch[2]);
+    if (!contentValidation.valid) {
+      await this.sendResponse(from, to, `❌ ${contentValidation.error}`);
+      return;
+    }
+
+    if (validator.detectSuspiciousContent(contentValidation.sanitized)) {
+      await this.sendResponse(
+        from,
+        to,
+        '❌ Content contains suspicious elements and cannot be processed.'
+      );
+      return;
+    }
+
+    const position = parseInt(answerMatch[1], 10);
+    const result = await unansweredService.answerQuestion(
+      business,
+      position,
+      contentValidation.sanitized
+    );
+
+    if (!result.success) {
+      await this.sendResponse(
+        from,
+        to,
+        `❌ ${result.message}. Send !unanswered to see the current list.`
+      );
+      return;
+    }
+
+    await businessService.updateKnowledgeCount(business.ownerPhone);
+    await this.sendResponse(
+      from,
+      to,
+      `✅ Added to knowledge base (ID: ${result.knowledgeId})\n"${result.question}" is now answered.`
+    );
+  }
+
+  async handleExplainLastAnswer(messageData, business) {
+    const { from, to } = messageData;
+    const lastAnswer = conversationService.getLastAnswer(business.businessId);
+
+    if (!lastAnswer) {
+      await this.sendResponse(from, to, "ℹ️ The assistant hasn't answered any customers yet.");
+      return;
+    }
+
+    const preview =
+      lastAnswer.response.length > 200
+        ? `${lastAnswer.response.substring(0, 200)}...`
+        : lastAnswer.response;
+
+    let response = `🔎 *Last Answer* (to +${lastAnswer.customerPhone}, ${new Date(lastAnswer.answeredAt).toLocaleString()})\n\n`;
+    response += `Question: "${lastAnswer.question}"\n`;
+    response += `Answer: "${preview}"\n\n`;
+    response += `📈 Confidence: ${this.formatConfidence(lastAnswer.confidence)}\n\n`;
+
+    if (!lastAnswer.sources || lastAnswer.sources.length === 0) {
+      response += '📚 No knowledge entries were used for this answer.';
+    } else {
+      response += '📚 *Sources:*\n';
+      lastAnswer.sources.forEach((source, i) => {
+        const entry = source.knowledgeId ? `${source.knowledgeId}: ` : '';
+        response += `${i + 1}. ${entry}${source.filename} (match ${Math.round(source.score * 100)}%)\n`;
+      });
+      response += '\nUse !delete [id] to remove an entry that gave a wrong answer.';
+    }
+
+    await this.sendResponse(from, to, response);
+  }
+
+  formatConfidence(confidence) {
+    if (typeof confidence !== 'number') {
+      return 'unknown';
+    }
+
+    let level = 'low';
+    if (confidence >= 0.75) {
+      level = 'high';
+    } else if (confidence >= 0.5) {
+      level = 'medium';
+    }
+    return `${Math.round(confidence * 100)}% (${level})`;
+  }
+
+  async handleStats(messageData, business) {
+    const { from, to } = messageData;
+
+    try {
+      // Read fresh metadata; the routing cache doesn't track counters
+      const current = (await businessService.getBusinessById(business.businessId)) || business;
+      const { totalQueries, totalFallbacks, fallbackRate, recentFallbacks } =
+        businessService.getUsageStats(current);
+
+      let response = `📊 *Stats for ${business.businessName}:*\n\n`;
+      response += `• Customer questions: ${totalQueries}\n`;
+      response += `• Answered with fallback: ${totalFallbacks} (${fallbackRate}%)\n`;
+
+      if (recentFallbacks.length > 0) {
+        response += `\n❓ *Recently unanswered:*\n`;
+        recentFallbacks.forEach(fallback => {
+          const date = new Date(fallback.askedAt).toLocaleDateString();
+          response += `• "${fallback.question}" - ${date}\n`;
+        });
+        response += `\nSend !unanswered to review and answer them.`;
+      }
+
+      await this.sendResponse(from, to, response);
+    } catch (error) {
+      logger.error(`[WEBHOOK] Error getting stats for ${business.businessName}:`, error);
+      await this.sendResponse(from, to, '❌ Error retrieving stats. Please try again.');
+    }
+  }
+
   async handleClearCache(messageData, business) {
     const { from, to } = messageData;
 
@@ -609,13 +1289,171 @@ class WebhookHandler {
   }
 
   async handleMediaUpload(messageData, business) {
-    const { from, to } = messageData;
-    // TODO: Implement media upload handling for Twilio
-    await this.sendResponse(
-      from,
-      to,
-      '📄 Media upload support coming soon! For now, please use !add [text] to add knowledge.'
+    const { from, to, media = [] } = messageData;
+
+    try {
+      if (!rateLimiter.checkBusinessOwner(business.ownerPhone, 'upload')) {
+        const remaining = rateLimiter.getRemainingRequests(
+          'businessOwner',
+          business.ownerPhone,
+          'upload'
+        );
+        const resetTime = new Date(rateLimiter.getResetTime('businessOwner', business.ownerPhone));
+        await this.sendResponse(
+          from,
+          to,
+          `⚠️ Upload rate limit exceeded. You can upload ${remaining} more documents. Limit resets at ${resetTime.toLocaleTimeString()}.`
+        );
+        return;
+      }
+
+      if (media.length === 0) {
+        await this.sendResponse(from, to, '❌ No media attachment found in your message.');
+        return;
+      }
+
+      logger.info(
+        `[WEBHOOK] Processing ${media.length} media file(s) for ${business.businessName}`
+      );
+      await this.sendResponse(from, to, '📄 Processing your document...');
+
+      const replies = [];
+      for (let i = 0; i < media.length; i++) {
+        replies.push(await this.ingestMediaItem(media[i], i, messageData, business));
+      }
+
+      await this.sendResponse(from, to, replies.join('\n'));
+    } catch (error) {
+      logger.error(`[WEBHOOK] Error handling media upload for ${business.businessName}:`, error);
+      await this.sendResponse(from, to, '❌ Failed to process document. Please try again.');
+    }
+  }
+
+  async ingestMediaItem(mediaItem, index, messageData, business) {
+    const { body, messageSid } = messageData;
+    const mediaConfig = config.get('media');
+
+    try {
+      const extension = DocumentParser.getExtensionForContentType(mediaItem.contentType);
+      if (!extension) {
+        return `❌ Unsupported file type: ${mediaItem.contentType || 'unknown'}`;
+      }
+
+      // A caption that looks like a filename with the same extension is used as the filename
+      const caption = (body || '').trim();
+      const filename =
+        caption && caption.toLowerCase().endsWith(extension) && !caption.includes(' ')
+          ? caption
+          : `whatsapp_${messageSid || Date.now()}_${index}${extension}`;
+
+      const fileTypeValidation = validator.validateFileType(filename, mediaConfig.allowedTypes);
+      if (!fileTypeValidation.valid) {
+        return `❌ ${fileTypeValidation.error}`;
+      }
+
+      const download = await twilioWhatsAppService.downloadMedia(mediaItem.url, {
+        maxBytes: mediaConfig.maxFileSizeBytes,
+        timeoutMs: mediaConfig.downloadTimeoutMs,
+      });
+
+      const fileSizeValidation = validator.validateFileSize(
+        download.buffer.length,
+        mediaConfig.maxFileSizeBytes
+      );
+      if (!fileSizeValidation.valid) {
+        return `❌ ${fileSizeValidation.error}`;
+      }
+
+      if (FaqParser.isFaqFile(extension)) {
+        return await this.importFaqFile(
+          download.buffer,
+          extension,
+          fileTypeValidation.sanitized,
+          messageData,
+          business
+        );
+      }
+
+      let content;
+      if (DocumentParser.isImage(extension)) {
+        // Images are searchable through the owner's caption describing them
+        if (!caption || caption === filename) {
+          return '🖼️ Image received! Please resend it with a caption describing what it shows.';
+        }
+        content = caption;
+      } else {
+        content = await DocumentParser.extractText(download.buffer, extension);
+      }
+
+      if (!content.trim()) {
+        return `❌ Could not extract text from ${filename}`;
+      }
+
+      const contentValidation = validator.validateAndSanitize('knowledgeContent', content);
+      if (!contentValidation.valid) {
+        return `❌ Document content validation failed: ${contentValidation.error}`;
+      }
+
+      if (validator.detectSuspiciousContent(contentValidation.sanitized)) {
+        return '❌ Document contains suspicious content and cannot be processed.';
+      }
+
+      const result = await knowledgeService.addDocumentKnowledge(
+        business.businessId,
+        business.businessName,
+        fileTypeValidation.sanitized,
+        contentValidation.sanitized,
+        extension,
+        {
+          originalSize: download.buffer.length,
+          mediaContentType: mediaItem.contentType,
+          messageSid,
+        },
+        { buffer: download.buffer, contentType: mediaItem.contentType }
+      );
+
+      if (!result.success) {
+        return `❌ ${result.message}`;
+      }
+
+      await businessService.updateKnowledgeCount(business.ownerPhone);
+      logger.success(`[WEBHOOK] Stored media ${result.knowledgeId} for ${business.businessName}`);
+      return `✅ ${result.message}`;
+    } catch (error) {
+      logger.error(`[WEBHOOK] Error ingesting media for ${business.businessName}:`, error);
+      return `❌ Failed to process attachment ${index + 1}: ${error.message}`;
+    }
+  }
+
+  /**
+   * Import a CSV or JSON attachment as question/answer entries
+   * @returns {Promise<string>} Reply summarising the import, with the rows that failed
+   */
+  async importFaqFile(buffer, extension, filename, messageData, business) {
+    const result = await knowledgeService.importFaq(
+      business.businessId,
+      business.businessName,
+      { content: buffer.toString('utf8'), extension, filename },
+      { messageSid: messageData.messageSid }
     );
+
+    if (result.imported) {
+      await businessService.updateKnowledgeCount(business.ownerPhone, result.imported);
+    }
+
+    let reply = `${result.success ? '✅' : '❌'} ${result.message}`;
+    const failed = (result.rows || []).filter(row => row.status === 'failed');
+    if (failed.length > 0) {
+      reply += `\n⚠️ Skipped ${failed.length} row(s):\n`;
+      reply += failed
+        .slice(0, FAQ_REPORT_MAX_ERRORS)
+        .map(row => `Row ${row.row}: ${row.error}`)
+        .join('\n');
+      if (failed.length > FAQ_REPORT_MAX_ERRORS) {
+        reply += `\n... and ${failed.length - FAQ_REPORT_MAX_ERRORS} more`;
+      }
+    }
+    return reply;
   }
 
   parseCommand(messageBody) {
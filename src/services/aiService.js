@@ -3,51 +3,205 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
-const { OpenAI } = require('openai');
+const config = require('../../config');
 const logger = require('../utils/logger');
 const RetryManager = require('../utils/retry');
 const cache = require('../utils/cache');
 const vectorService = require('./vectorService');
+const { createLLMProvider } = require('./llmProvider');
+
+const DEFAULT_FALLBACK_MESSAGE =
+  "I don't have specific information about that in the business knowledge base. Please contact the business directly or try asking a different question.";
 
 class AIService {
   constructor() {
-    this.isTestEnvironment =
-      process.env.NODE_ENV === 'test' ||
-      !process.env.OPENAI_API_KEY ||
-      process.env.OPENAI_API_KEY === 'test-key';
+    const aiConfig = config.get('ai');
+    this.defaults = {
+      maxTokens: aiConfig.openai.maxTokens,
+      temperature: aiConfig.openai.temperature,
+      minSimilarity: aiConfig.minSimilarity || 0,
+    };
+
+    this.provider = createLLMProvider(aiConfig);
+    this.isTestEnvironment = !this.provider;
 
     if (this.isTestEnvironment) {
       logger.info('[AI] Running in test mode - AI responses will be mocked');
-      this.openai = null;
     } else {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+      logger.info(
+        `[AI] Using ${this.provider.name} provider (default model: ${this.provider.defaultModel})`
+      );
+    }
+  }
+
+  /**
+   * Resolve generation settings, applying per-business overrides from `business.metadata.ai`
+   * @param {Object} [business] - Business record
+   * @returns {{model: string|undefined, maxTokens: number, temperature: number}}
+   */
+  getModelSettings(business) {
+    const overrides = (business && business.metadata && business.metadata.ai) || {};
+
+    return {
+      model: overrides.model || undefined, // Provider default when not overridden
+      maxTokens: overrides.maxTokens || this.defaults.maxTokens,
+      temperature:
+        typeof overrides.temperature === 'number'
+          ? overrides.temperature
+          : this.defaults.temperature,
+    };
+  }
+
+  /**
+   * Resolve how weak matches are handled, applying per-business overrides from `business.metadata.ai`
+   * @param {Object} [business] - Business record
+   * @returns {{minSimilarity: number, fallbackMessage: string}}
+   */
+  getAnswerPolicy(business) {
+    const overrides = (business && business.metadata && business.metadata.ai) || {};
+
+    return {
+      minSimilarity:
+        typeof overrides.minSimilarity === 'number'
+          ? overrides.minSimilarity
+          : this.defaults.minSimilarity,
+      fallbackMessage: overrides.fallbackMessage || DEFAULT_FALLBACK_MESSAGE,
+    };
+  }
+
+  complete(messages, settings, operationName) {
+    return RetryManager.withCircuitBreaker(
+      () => {
+        return RetryManager.withRetry(
+          () => {
+            return this.provider.createChatCompletion({ ...settings, messages });
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 1000,
+            retryCondition: RetryManager.isRetryableError,
+            operationName,
+          }
+        );
+      },
+      {
+        operationName: `llm:${this.provider.name}`,
+        failureThreshold: 5,
+        resetTimeoutMs: 60000,
+      }
+    );
+  }
+
+  completeStreaming(messages, settings, onToken, operationName) {
+    let delivered = false;
+    const onDelta = async delta => {
+      delivered = true;
+      await onToken(delta);
+    };
+
+    return RetryManager.withCircuitBreaker(
+      () => {
+        return RetryManager.withRetry(
+          () => {
+            return this.provider.streamChatCompletion({ ...settings, messages }, onDelta);
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 1000,
+            // Text already sent to the customer can't be taken back, so only retry before the first delta
+            retryCondition: error => !delivered && RetryManager.isRetryableError(error),
+            operationName,
+          }
+        );
+      },
+      {
+        operationName: `llm:${this.provider.name}`,
+        failureThreshold: 5,
+        resetTimeoutMs: 60000,
+      }
+    );
+  }
+
+  async deliver(text, onToken) {
+    if (onToken) {
+      await onToken(text);
     }
+    return text;
+  }
+
+  /**
+   * Generate an answer for a customer query
+   * @param {string} query - Customer question
+   * @param {string} businessId - Business the question is addressed to
+   * @param {Object} [options]
+   * @param {Array<{role: string, content: string}>} [options.history] - Recent conversation turns, oldest first
+   * @param {Object} [options.business] - Business record, used for per-business model overrides
+   * @param {function(string): Promise<void>} [options.onToken] - When set, the whole response is also
+   *   delivered through this callback, streamed from the provider where possible
+   * @param {boolean} [options.includeSources] - Resolve to `{response, sources, confidence, fallback}`
+   *   instead of the text; `fallback` is true when no match was good enough and the fallback message was used
+   * @returns {Promise<string|{response: string, sources: Array, confidence: number|null, fallback: boolean}>}
+   */
+  async generateResponse(query, businessId, options = {}) {
+    const answer = await this.generateAnswer(query, businessId, options);
+    return options.includeSources ? answer : answer.response;
   }
 
-  async generateResponse(query, businessId) {
+  async generateAnswer(query, businessId, options = {}) {
+    const history = Array.isArray(options.history) ? options.history : [];
+    const settings = this.getModelSettings(options.business);
+    const onToken = typeof options.onToken === 'function' ? options.onToken : null;
+
     try {
-      logger.info(`[AI] Generating response for business ${businessId}: "${query}"`);
+      logger.info(
+        `[AI] Generating response for business ${businessId}: "${query}" (${history.length} prior turns)`
+      );
 
       if (this.isTestEnvironment) {
         logger.info(`[AI] Test mode - returning mock response for query: "${query}"`);
-        return `Test AI response for business ${businessId}: This is a mock response to the query "${query}".`;
+        const response = await this.deliver(
+          `Test AI response for business ${businessId}: This is a mock response to the query "${query}".`,
+          onToken
+        );
+        return { response, sources: [], confidence: null, fallback: false };
       }
 
+      // Resolve follow-ups like "and on Sundays?" into a standalone question
+      const searchQuery = await this.rewriteFollowUpQuery(query, history, settings);
+
       // Check cache first
-      const cachedResponse = cache.getCachedResponse(businessId, query);
-      if (cachedResponse) {
+      const cachedAnswer = cache.getCachedResponse(businessId, searchQuery);
+      if (cachedAnswer) {
         logger.info(`[AI] Using cached response for business ${businessId}`);
-        return cachedResponse;
+        const answer =
+          typeof cachedAnswer === 'string'
+            ? { response: cachedAnswer, sources: [], confidence: null, fallback: false }
+            : cachedAnswer;
+        await this.deliver(answer.response, onToken);
+        return answer;
       }
 
       logger.debug(`[AI] Searching for relevant documents...`);
-      const relevantDocs = await vectorService.searchSimilar(query, businessId, 3);
+      const policy = this.getAnswerPolicy(options.business);
+      const matches = await vectorService.searchSimilar(searchQuery, businessId, 3);
+      const relevantDocs = matches.filter(doc => doc.score >= policy.minSimilarity);
 
+      // Weak matches make the LLM guess, so answer with the business's fallback instead
       if (relevantDocs.length === 0) {
-        logger.warn(`[AI] No relevant documents found for business ${businessId}`);
-        return "I don't have specific information about that in the business knowledge base. Please contact the business directly or try asking a different question.";
+        if (matches.length === 0) {
+          logger.warn(`[AI] No relevant documents found for business ${businessId}`);
+        } else {
+          logger.warn(
+            `[AI] No matches above similarity ${policy.minSimilarity} for business ${businessId} (best ${matches[0].score.toFixed(3)})`
+          );
+        }
+        const response = await this.deliver(policy.fallbackMessage, onToken);
+        return {
+          response,
+          sources: [],
+          confidence: this.computeConfidence(matches),
+          fallback: true,
+        };
       }
 
       logger.info(`[AI] Found ${relevantDocs.length} relevant documents for context`);
@@ -66,7 +220,7 @@ class AIService {
 Context from business knowledge base:
 ${context}
 
-Customer question: ${query}
+Customer question: ${searchQuery}
 
 CRITICAL Instructions:
 - ONLY answer based on information explicitly mentioned in the provided context
@@ -79,73 +233,164 @@ CRITICAL Instructions:
 
 Response:`;
 
-      logger.debug(`[AI] Sending request to OpenAI with prompt (${prompt.length} characters)`);
-      const completion = await RetryManager.withCircuitBreaker(
-        async () => {
-          return await RetryManager.withRetry(
-            async () => {
-              return await this.openai.chat.completions.create({
-                model: 'gpt-3.5-turbo',
-                messages: [
-                  {
-                    role: 'system',
-                    content: 'You are a helpful customer service AI for a small business.',
-                  },
-                  { role: 'user', content: prompt },
-                ],
-                max_tokens: 300,
-                temperature: 0.7,
-              });
-            },
-            {
-              maxAttempts: 3,
-              delayMs: 1000,
-              retryCondition: RetryManager.isRetryableError,
-              operationName: 'openaiChatCompletion',
-            }
-          );
-        },
-        {
-          operationName: 'openaiService',
-          failureThreshold: 5,
-          resetTimeoutMs: 60000,
-        }
+      logger.debug(
+        `[AI] Sending request to ${this.provider.name} with prompt (${prompt.length} characters)`
       );
+      const messages = [
+        {
+          role: 'system',
+          content: 'You are a helpful customer service AI for a small business.',
+        },
+        ...history,
+        { role: 'user', content: prompt },
+      ];
+      const completion = onToken
+        ? await this.completeStreaming(messages, settings, onToken, 'llmChatCompletionStream')
+        : await this.complete(messages, settings, 'llmChatCompletion');
 
-      const response = completion.choices[0].message.content.trim();
+      const response = completion.content;
       logger.info(
-        `[AI] Generated response for business ${businessId}: ${response.length} characters`
+        `[AI] Generated response for business ${businessId} using ${completion.model}: ${response.length} characters`
       );
       logger.debug(`[AI] Response preview: "${response.substring(0, 100)}..."`);
 
-      // Cache the response
-      cache.cacheResponse(businessId, query, response);
+      const answer = {
+        response,
+        sources: this.summarizeSources(relevantDocs),
+        confidence: this.computeConfidence(relevantDocs),
+        fallback: false,
+      };
+
+      // Cache the response together with the sources that produced it
+      cache.cacheResponse(businessId, searchQuery, answer);
 
-      return response;
+      return answer;
     } catch (error) {
       logger.error(`[AI] Error generating response for business ${businessId}:`, error);
       throw new Error('Failed to generate response');
     }
   }
 
-  async summarizeDocument(content) {
+  /**
+   * Knowledge entries behind a set of matches, best match first
+   * @param {Array<{score: number, filename: string, knowledgeId: string|null}>} docs - searchSimilar results
+   * @returns {Array<{knowledgeId: string|null, filename: string, score: number}>}
+   */
+  summarizeSources(docs) {
+    const sources = new Map();
+
+    for (const doc of docs) {
+      const key = doc.knowledgeId || doc.filename;
+      const existing = sources.get(key);
+      if (!existing || doc.score > existing.score) {
+        sources.set(key, {
+          knowledgeId: doc.knowledgeId || null,
+          filename: doc.filename,
+          score: doc.score,
+        });
+      }
+    }
+
+    return Array.from(sources.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Confidence between 0 and 1, weighted towards the best match with
+   * supporting matches pulling it up or down
+   * @param {Array<{score: number}>} docs - searchSimilar results
+   * @returns {number}
+   */
+  computeConfidence(docs) {
+    if (!docs || docs.length === 0) {
+      return 0;
+    }
+
+    const scores = docs.map(doc => doc.score);
+    const top = Math.max(...scores);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const confidence = Math.min(1, Math.max(0, 0.7 * top + 0.3 * mean));
+
+    return Math.round(confidence * 100) / 100;
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone one using recent conversation turns
+   * @param {string} query - Latest customer message
+   * @param {Array<{role: string, content: string}>} history - Recent conversation turns, oldest first
+   * @param {Object} [settings] - Model settings from getModelSettings
+   * @returns {Promise<string>} Standalone query, or the original query if no rewrite was possible
+   */
+  async rewriteFollowUpQuery(query, history, settings = this.getModelSettings()) {
+    if (!history || history.length === 0 || this.isTestEnvironment) {
+      return query;
+    }
+
+    const transcript = history
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'Customer'}: ${turn.content}`)
+      .join('\n');
+
+    try {
+      const completion = await RetryManager.withRetry(
+        () => {
+          return this.provider.createChatCompletion({
+            model: settings.model,
+            messages: [
+              {
+                role: 'system',
+                content:
+                  "Rewrite the customer's latest message as a standalone question using the conversation for context. If it is already standalone, return it unchanged. Reply with the question only.",
+              },
+              {
+                role: 'user',
+                content: `Conversation:\n${transcript}\n\nLatest message: ${query}`,
+              },
+            ],
+            maxTokens: 100,
+            temperature: 0,
+          });
+        },
+        {
+          maxAttempts: 2,
+          delayMs: 500,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'llmQueryRewrite',
+        }
+      );
+
+      const rewritten = completion.content;
+      if (!rewritten) {
+        return query;
+      }
+
+      logger.debug(`[AI] Rewrote follow-up "${query}" as "${rewritten}"`);
+      return rewritten;
+    } catch (error) {
+      logger.warn(`[AI] Failed to rewrite follow-up query, using original: ${error.message}`);
+      return query;
+    }
+  }
+
+  async summarizeDocument(content, business = null) {
     try {
       logger.info(`[AI] Summarizing document: ${content.length} characters`);
 
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
+      if (this.isTestEnvironment) {
+        throw new Error('No AI provider configured');
+      }
+
+      const completion = await this.complete(
+        [
           { role: 'system', content: 'You are a helpful AI that summarizes business documents.' },
           {
             role: 'user',
             content: `Please provide a brief summary of the following document:\n\n${content}`,
           },
         ],
-        max_tokens: 150,
-        temperature: 0.5,
-      });
+        { ...this.getModelSettings(business), maxTokens: 150, temperature: 0.5 },
+        'llmSummarize'
+      );
 
-      const summary = completion.choices[0].message.content.trim();
+      const summary = completion.content;
       logger.info(`[AI] Generated summary: ${summary.length} characters`);
       return summary;
     } catch (error) {
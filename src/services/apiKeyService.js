@@ -0,0 +1,256 @@
+/**
+ * REST API Key Service
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+
+/**
+ * platform_admin: every route. business_owner: its own business's routes.
+ * read_only: GET requests, for one business or (without a businessId) all of them.
+ */
+const ROLES = {
+  PLATFORM_ADMIN: 'platform_admin',
+  BUSINESS_OWNER: 'business_owner',
+  READ_ONLY: 'read_only',
+};
+
+// sbc_<16 hex key ID>_<43 base64url characters of secret>
+const KEY_FORMAT = /^sbc_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+class ApiKeyService {
+  constructor() {
+    const apiKeyConfig = config.get('apiKeys');
+    this.cacheTtlMs = apiKeyConfig.cacheTtlMs;
+    this.lastUsedIntervalMs = apiKeyConfig.lastUsedIntervalMs;
+
+    // keyId -> { apiKey, loadedAt }. A key revoked on another instance keeps working
+    // here for up to cacheTtlMs.
+    this.cache = new Map();
+    // keyId -> when last_used_at was last written, so busy keys don't write every request
+    this.lastUsedWrites = new Map();
+  }
+
+  generateKey() {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { keyId, secret, key: `sbc_${keyId}_${secret}` };
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * @returns {string|null} Why a key can't be issued with these options
+   */
+  validateKeyOptions({ name, role, businessId, expiresAt }) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return 'Key name is required (up to 100 characters)';
+    }
+    if (!Object.values(ROLES).includes(role)) {
+      return `Role must be one of: ${Object.values(ROLES).join(', ')}`;
+    }
+    if (role === ROLES.BUSINESS_OWNER && !businessId) {
+      return 'A business_owner key needs a businessId';
+    }
+    if (role === ROLES.PLATFORM_ADMIN && businessId) {
+      return 'A platform_admin key cannot be limited to one business';
+    }
+    return this.validateExpiry(expiresAt);
+  }
+
+  /**
+   * @returns {string|null} Why this can't be used as a key's expiry
+   */
+  validateExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null) {
+      return null;
+    }
+    const expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+      return 'expiresAt must be a date in the future';
+    }
+    return null;
+  }
+
+  /**
+   * Create a key. Only its hash is stored, so the returned `key` is the one chance to
+   * see it.
+   * @param {Object} options
+   * @param {string} options.name - What the key is for
+   * @param {string} options.role - One of ROLES
+   * @param {string} [options.businessId] - Required for business_owner keys
+   * @param {string|Date} [options.expiresAt]
+   * @param {string} [options.createdBy] - keyId of the key issuing it
+   * @param {string} [options.rotatedFrom] - keyId of the key it replaces
+   * @returns {Promise<{key: string, apiKey: Object}>}
+   */
+  async issueKey(options) {
+    const { keyId, secret, key } = this.generateKey();
+
+    const apiKey = await ApiKeyRepository.create({
+      keyId,
+      keyHash: this.hashSecret(secret),
+      name: options.name.trim(),
+      role: options.role,
+      businessId: options.businessId || null,
+      createdBy: options.createdBy || null,
+      rotatedFrom: options.rotatedFrom || null,
+      expiresAt: options.expiresAt ? new Date(options.expiresAt).toISOString() : null,
+    });
+
+    logger.info(
+      `[API_KEY] Issued ${apiKey.role} key ${keyId}${apiKey.businessId ? ` for ${apiKey.businessId}` : ''}`
+    );
+    return { key, apiKey: this.toPublic(apiKey) };
+  }
+
+  /**
+   * The key a request presented, if it is valid, active and unexpired
+   * @returns {Promise<Object|null>}
+   */
+  async verify(key) {
+    const match = KEY_FORMAT.exec(typeof key === 'string' ? key.trim() : '');
+    if (!match) {
+      return null;
+    }
+
+    const [, keyId, secret] = match;
+    const apiKey = await this.loadKey(keyId);
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      logger.warn(`[API_KEY] Wrong secret presented for key ${keyId}`);
+      return null;
+    }
+    if (!this.isActive(apiKey)) {
+      return null;
+    }
+
+    this.recordUse(keyId);
+    return this.toPublic(apiKey);
+  }
+
+  isActive(apiKey) {
+    return (
+      !apiKey.revokedAt && (!apiKey.expiresAt || new Date(apiKey.expiresAt).getTime() > Date.now())
+    );
+  }
+
+  async loadKey(keyId) {
+    const cached = this.cache.get(keyId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      return cached.apiKey;
+    }
+
+    // Unknown key IDs aren't cached, so guessing them can't fill the cache
+    const apiKey = await ApiKeyRepository.findByKeyId(keyId);
+    if (apiKey) {
+      this.cache.set(keyId, { apiKey, loadedAt: Date.now() });
+    } else {
+      this.cache.delete(keyId);
+    }
+    return apiKey;
+  }
+
+  recordUse(keyId) {
+    const lastWrite = this.lastUsedWrites.get(keyId) || 0;
+    if (Date.now() - lastWrite < this.lastUsedIntervalMs) {
+      return;
+    }
+
+    this.lastUsedWrites.set(keyId, Date.now());
+    // Logged by the repository; a missed timestamp shouldn't fail the request
+    ApiKeyRepository.touchLastUsed(keyId).catch(() => null);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async getKey(keyId) {
+    const apiKey = await ApiKeyRepository.findByKeyId(keyId);
+    return apiKey ? this.toPublic(apiKey) : null;
+  }
+
+  /**
+   * @param {string|null} [businessId] - Only this business's keys
+   */
+  async listKeys(businessId = null) {
+    const keys = await ApiKeyRepository.findAll(businessId);
+    return keys.map(apiKey => this.toPublic(apiKey));
+  }
+
+  /**
+   * Replace a key with a new one with the same name, role and business
+   * @param {Object} [options]
+   * @param {number} [options.graceSeconds] - Keep the old key working this long, so
+   *   clients can switch over; it stops working immediately by default
+   * @param {string|Date} [options.expiresAt] - Expiry of the new key
+   * @param {string} [options.createdBy]
+   * @returns {Promise<{key: string, apiKey: Object}|null>} Null if the key doesn't exist
+   *   or no longer works
+   */
+  async rotateKey(keyId, options = {}) {
+    const current = await ApiKeyRepository.findByKeyId(keyId);
+    if (!current || !this.isActive(current)) {
+      return null;
+    }
+
+    const issued = await this.issueKey({
+      name: current.name,
+      role: current.role,
+      businessId: current.businessId,
+      expiresAt: options.expiresAt,
+      createdBy: options.createdBy,
+      rotatedFrom: keyId,
+    });
+
+    let graceEnd = null;
+    if (options.graceSeconds > 0) {
+      graceEnd = new Date(Date.now() + options.graceSeconds * 1000);
+      if (current.expiresAt && new Date(current.expiresAt) < graceEnd) {
+        graceEnd = new Date(current.expiresAt);
+      }
+    }
+    await ApiKeyRepository.revoke(keyId, graceEnd);
+    this.cache.delete(keyId);
+
+    logger.info(`[API_KEY] Rotated key ${keyId} to ${issued.apiKey.keyId}`);
+    return issued;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The revoked key, or null if it doesn't exist or was
+   *   already revoked
+   */
+  async revokeKey(keyId) {
+    const revoked = await ApiKeyRepository.revoke(keyId);
+    this.cache.delete(keyId);
+
+    if (revoked) {
+      logger.info(`[API_KEY] Revoked key ${keyId}`);
+    }
+    return revoked ? this.toPublic(revoked) : null;
+  }
+
+  // Never hand out the hash
+  toPublic(apiKey) {
+    const publicKey = { ...apiKey, active: this.isActive(apiKey) };
+    delete publicKey.keyHash;
+    delete publicKey.id;
+    return publicKey;
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+apiKeyService.ROLES = ROLES;
+
+module.exports = apiKeyService;
@@ -4,7 +4,14 @@
  */
 
 const logger = require('../utils/logger');
+const cache = require('../utils/cache');
 const BusinessRepository = require('../repositories/BusinessRepository');
+const twilioWhatsAppService = require('./twilioWhatsAppService');
+const conversationService = require('./conversationService');
+const handoffService = require('./handoffService');
+
+// Statuses a business can be managed in; 'inactive' is a deleted business
+const MANAGEABLE_STATUSES = ['active', 'suspended'];
 
 class BusinessService {
   constructor() {
@@ -20,7 +27,7 @@ class BusinessService {
     return `${prefix}_${timestamp}`;
   }
 
-  async registerBusiness(phoneNumber, businessName) {
+  async registerBusiness(phoneNumber, businessName, requestedWhatsAppNumber = null) {
     logger.info(`[BUSINESS] Registration attempt: ${businessName} for ${phoneNumber}`);
 
     try {
@@ -31,6 +38,21 @@ class BusinessService {
         return { success: false, message: 'You already have a registered business' };
       }
 
+      const whatsappNumber = requestedWhatsAppNumber
+        ? twilioWhatsAppService.normalizeWhatsAppNumber(requestedWhatsAppNumber)
+        : null;
+
+      if (whatsappNumber) {
+        const numberOwner = await BusinessRepository.findByWhatsAppNumber(whatsappNumber);
+        if (numberOwner) {
+          logger.warn(`[BUSINESS] Registration failed: ${whatsappNumber} is already in use`);
+          return {
+            success: false,
+            message: 'This WhatsApp number is already assigned to another business',
+          };
+        }
+      }
+
       const businessId = this.generateBusinessId(businessName);
       logger.debug(`[BUSINESS] Generated business ID: ${businessId} for ${businessName}`);
 
@@ -38,11 +60,13 @@ class BusinessService {
         businessId,
         businessName,
         ownerPhone: phoneNumber,
+        whatsappNumber,
         knowledgeCount: 0,
         status: 'active',
         metadata: {
           totalUploads: 0,
           totalQueries: 0,
+          totalFallbacks: 0,
           lastUpload: null,
           lastQuery: null,
         },
@@ -50,6 +74,15 @@ class BusinessService {
 
       const createdBusiness = await BusinessRepository.create(businessData);
 
+      if (whatsappNumber) {
+        await twilioWhatsAppService.registerBusiness(
+          businessId,
+          businessName,
+          whatsappNumber,
+          phoneNumber
+        );
+      }
+
       logger.success(
         `[BUSINESS] Successfully registered: ${businessName} (${businessId}) for ${phoneNumber}`
       );
@@ -57,6 +90,7 @@ class BusinessService {
         success: true,
         businessId,
         businessName,
+        whatsappNumber,
         message: `Business "${businessName}" registered successfully with ID: ${businessId}`,
       };
     } catch (error) {
@@ -67,10 +101,15 @@ class BusinessService {
         // PostgreSQL unique violation
         if (error.message.includes('owner_phone')) {
           return { success: false, message: 'You already have a registered business' };
+        } else if (error.message.includes('whatsapp_number')) {
+          return {
+            success: false,
+            message: 'This WhatsApp number is already assigned to another business',
+          };
         } else if (error.message.includes('business_id')) {
           // Retry with different ID
           logger.warn(`[BUSINESS] Business ID conflict, retrying for ${phoneNumber}`);
-          return await this.registerBusiness(phoneNumber, businessName);
+          return this.registerBusiness(phoneNumber, businessName, requestedWhatsAppNumber);
         }
       }
 
@@ -106,6 +145,33 @@ class BusinessService {
     }
   }
 
+  /**
+   * An active or suspended business (deleted ones are not returned)
+   */
+  async getBusiness(businessId) {
+    try {
+      return await BusinessRepository.findByBusinessId(businessId, MANAGEABLE_STATUSES);
+    } catch (error) {
+      logger.error(`[BUSINESS] Error getting business ${businessId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} [status] - Only businesses with this status; all but deleted ones by default
+   */
+  async listBusinesses(status = null) {
+    try {
+      const businesses = await BusinessRepository.findAll();
+      return businesses.filter(business =>
+        status ? business.status === status : MANAGEABLE_STATUSES.includes(business.status)
+      );
+    } catch (error) {
+      logger.error('[BUSINESS] Error listing businesses:', error);
+      return null;
+    }
+  }
+
   async updateKnowledgeCount(phoneNumber, increment = 1) {
     try {
       const result = await BusinessRepository.updateKnowledgeCount(phoneNumber, increment);
@@ -138,6 +204,19 @@ class BusinessService {
     }
   }
 
+  async recordFallback(businessId, question) {
+    try {
+      const result = await BusinessRepository.recordFallback(businessId, question);
+      if (result) {
+        logger.debug(`[BUSINESS] Recorded fallback answer for business ${result.businessName}`);
+      }
+      return result;
+    } catch (error) {
+      logger.error(`[BUSINESS] Error recording fallback for ${businessId}:`, error);
+      return null;
+    }
+  }
+
   async getAllBusinesses() {
     try {
       return await BusinessRepository.getActiveBusinesses();
@@ -147,11 +226,292 @@ class BusinessService {
     }
   }
 
+  async updateAISettings(businessId, settings) {
+    try {
+      const business = await BusinessRepository.findByBusinessId(businessId);
+      if (!business) {
+        return { success: false, message: 'Business not found' };
+      }
+
+      const validationError = this.validateAISettings(settings);
+      if (validationError) {
+        return { success: false, message: validationError };
+      }
+
+      // Merge overrides; null clears a setting back to the platform default
+      const aiSettings = { ...(business.metadata.ai || {}) };
+      for (const key of ['model', 'maxTokens', 'temperature', 'minSimilarity', 'fallbackMessage']) {
+        if (settings[key] === null) {
+          delete aiSettings[key];
+        } else if (settings[key] !== undefined) {
+          aiSettings[key] = settings[key];
+        }
+      }
+
+      const updated = await BusinessRepository.updateMetadata(businessId, { ai: aiSettings });
+
+      if (updated && updated.whatsappNumber) {
+        twilioWhatsAppService.cacheBusiness(updated);
+      }
+
+      // Cached answers were produced under the old settings
+      cache.clearBusinessCaches(businessId);
+
+      logger.info(
+        `[BUSINESS] Updated AI settings for ${businessId}: ${JSON.stringify(aiSettings)}`
+      );
+      return { success: true, aiSettings };
+    } catch (error) {
+      logger.error(`[BUSINESS] Error updating AI settings for ${businessId}:`, error);
+      return { success: false, message: 'Failed to update AI settings' };
+    }
+  }
+
+  validateAISettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return 'AI settings must be an object';
+    }
+
+    const { model, maxTokens, temperature, minSimilarity, fallbackMessage } = settings;
+
+    if (model !== undefined && model !== null) {
+      if (typeof model !== 'string' || !model.trim() || model.length > 100) {
+        return 'model must be a non-empty string of at most 100 characters';
+      }
+    }
+
+    if (maxTokens !== undefined && maxTokens !== null) {
+      if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 4000) {
+        return 'maxTokens must be an integer between 1 and 4000';
+      }
+    }
+
+    if (temperature !== undefined && temperature !== null) {
+      if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+        return 'temperature must be a number between 0 and 2';
+      }
+    }
+
+    if (minSimilarity !== undefined && minSimilarity !== null) {
+      if (typeof minSimilarity !== 'number' || minSimilarity < 0 || minSimilarity > 1) {
+        return 'minSimilarity must be a number between 0 and 1';
+      }
+    }
+
+    if (fallbackMessage !== undefined && fallbackMessage !== null) {
+      if (
+        typeof fallbackMessage !== 'string' ||
+        !fallbackMessage.trim() ||
+        fallbackMessage.length > 1000
+      ) {
+        return 'fallbackMessage must be a non-empty string of at most 1000 characters';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Change a business's name, owner phone and/or WhatsApp number
+   * @param {Object} updates - Only the fields present are changed
+   */
+  async updateBusiness(businessId, updates) {
+    try {
+      const business = await BusinessRepository.findByBusinessId(businessId, MANAGEABLE_STATUSES);
+      if (!business) {
+        return { success: false, message: 'Business not found' };
+      }
+
+      const changes = {};
+      if (updates.businessName !== undefined && updates.businessName !== business.businessName) {
+        changes.businessName = updates.businessName;
+      }
+      if (updates.ownerPhone !== undefined && updates.ownerPhone !== business.ownerPhone) {
+        const phoneOwner = await BusinessRepository.findByOwner(updates.ownerPhone);
+        if (phoneOwner) {
+          return { success: false, message: 'This phone number already owns a business' };
+        }
+        changes.ownerPhone = updates.ownerPhone;
+      }
+      if (updates.whatsappNumber !== undefined) {
+        const normalized = twilioWhatsAppService.normalizeWhatsAppNumber(updates.whatsappNumber);
+        if (normalized !== business.whatsappNumber) {
+          const numberOwner = await BusinessRepository.findByWhatsAppNumber(normalized);
+          if (numberOwner && numberOwner.businessId !== businessId) {
+            return {
+              success: false,
+              message: 'This WhatsApp number is already assigned to another business',
+            };
+          }
+          changes.whatsappNumber = normalized;
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return { success: true, business, changed: [] };
+      }
+
+      const updated = await BusinessRepository.update(businessId, changes);
+
+      twilioWhatsAppService.unregisterBusiness(business.whatsappNumber);
+      if (updated.whatsappNumber) {
+        twilioWhatsAppService.cacheBusiness(updated);
+      }
+      if (changes.businessName) {
+        // Cached answers were written with the old name
+        cache.clearBusinessCaches(businessId);
+      }
+
+      logger.info(`[BUSINESS] Updated ${businessId}: ${Object.keys(changes).join(', ')}`);
+      return { success: true, business: updated, changed: Object.keys(changes) };
+    } catch (error) {
+      logger.error(`[BUSINESS] Error updating business ${businessId}:`, error);
+
+      if (error.code === '23505') {
+        // Unique violation against a deleted business that still holds the value
+        return error.message.includes('whatsapp_number')
+          ? {
+              success: false,
+              message: 'This WhatsApp number is already assigned to another business',
+            }
+          : { success: false, message: 'This phone number already owns a business' };
+      }
+      return { success: false, message: 'Failed to update business' };
+    }
+  }
+
+  /**
+   * Stop a business from answering customers until it is reactivated
+   * @param {string} [reason] - Kept in the business's metadata for the platform admin
+   */
+  async suspendBusiness(businessId, reason = null) {
+    try {
+      const business = await BusinessRepository.findByBusinessId(businessId, MANAGEABLE_STATUSES);
+      if (!business) {
+        return { success: false, message: 'Business not found' };
+      }
+      if (business.status === 'suspended') {
+        return { success: false, message: 'Business is already suspended' };
+      }
+
+      const updated = await BusinessRepository.updateStatus(businessId, 'suspended', 'active', {
+        suspension: { reason, suspendedAt: new Date().toISOString() },
+      });
+      if (!updated) {
+        return { success: false, message: 'Business status changed, please try again' };
+      }
+
+      if (updated.whatsappNumber) {
+        twilioWhatsAppService.cacheBusiness(updated);
+      }
+      conversationService.clearBusinessSessions(businessId);
+      await handoffService.clearBusinessTickets(businessId);
+
+      logger.info(`[BUSINESS] Suspended ${businessId}${reason ? `: ${reason}` : ''}`);
+      return { success: true, business: updated };
+    } catch (error) {
+      logger.error(`[BUSINESS] Error suspending business ${businessId}:`, error);
+      return { success: false, message: 'Failed to suspend business' };
+    }
+  }
+
+  async reactivateBusiness(businessId) {
+    try {
+      const business = await BusinessRepository.findByBusinessId(businessId, MANAGEABLE_STATUSES);
+      if (!business) {
+        return { success: false, message: 'Business not found' };
+      }
+      if (business.status !== 'suspended') {
+        return { success: false, message: 'Business is not suspended' };
+      }
+
+      const { suspension } = business.metadata;
+      const updated = await BusinessRepository.updateStatus(businessId, 'active', 'suspended', {
+        suspension: null,
+      });
+      if (!updated) {
+        return { success: false, message: 'Business status changed, please try again' };
+      }
+
+      if (updated.whatsappNumber) {
+        twilioWhatsAppService.cacheBusiness(updated);
+      }
+
+      logger.info(
+        `[BUSINESS] Reactivated ${businessId} (suspended since ${suspension ? suspension.suspendedAt : 'unknown'})`
+      );
+      return { success: true, business: updated };
+    } catch (error) {
+      logger.error(`[BUSINESS] Error reactivating business ${businessId}:`, error);
+      return { success: false, message: 'Failed to reactivate business' };
+    }
+  }
+
+  /**
+   * Soft delete: the business is marked inactive and stops receiving messages, while
+   * its data stays in the database
+   */
+  async deleteBusinessById(businessId) {
+    try {
+      const business = await BusinessRepository.findByBusinessId(businessId, MANAGEABLE_STATUSES);
+      if (!business) {
+        return { success: false, message: 'Business not found' };
+      }
+
+      const deleted = await BusinessRepository.updateStatus(
+        businessId,
+        'inactive',
+        business.status
+      );
+      if (!deleted) {
+        return { success: false, message: 'Business status changed, please try again' };
+      }
+
+      twilioWhatsAppService.unregisterBusiness(business.whatsappNumber);
+      conversationService.clearBusinessSessions(businessId);
+      await handoffService.clearBusinessTickets(businessId);
+      cache.clearBusinessCaches(businessId);
+
+      logger.info(`[BUSINESS] Soft deleted business ${businessId}`);
+      return { success: true, business: deleted };
+    } catch (error) {
+      logger.error(`[BUSINESS] Error deleting business ${businessId}:`, error);
+      return { success: false, message: 'Failed to delete business' };
+    }
+  }
+
+  /**
+   * Usage counters for one business
+   * @returns {Object} Counts, rates and recent unanswered questions
+   */
+  getUsageStats(business) {
+    const metadata = business.metadata || {};
+    const totalQueries = metadata.totalQueries || 0;
+    const totalFallbacks = metadata.totalFallbacks || 0;
+
+    return {
+      totalQueries,
+      totalFallbacks,
+      fallbackRate: totalQueries > 0 ? Math.round((totalFallbacks / totalQueries) * 100) : 0,
+      totalUploads: metadata.totalUploads || 0,
+      lastQuery: metadata.lastQuery || null,
+      lastUpload: metadata.lastUpload || null,
+      lastActivity: business.lastActivity || null,
+      recentFallbacks: metadata.recentFallbacks || [],
+    };
+  }
+
   async deleteBusiness(phoneNumber) {
     try {
+      const business = await BusinessRepository.findByOwner(phoneNumber);
       const success = await BusinessRepository.delete(phoneNumber);
       if (success) {
         logger.info(`[BUSINESS] Soft deleted business for ${phoneNumber}`);
+        if (business) {
+          twilioWhatsAppService.unregisterBusiness(business.whatsappNumber);
+          conversationService.clearBusinessSessions(business.businessId);
+          await handoffService.clearBusinessTickets(business.businessId);
+        }
       }
       return success;
     } catch (error) {
@@ -0,0 +1,170 @@
+/**
+ * Customer Conversation Session Store
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+
+class ConversationService {
+  constructor() {
+    this.sessions = new Map(); // businessId:customerPhone -> { turns, lastActivity }
+    this.lastAnswers = new Map(); // businessId -> most recent AI answer with its sources
+
+    const conversationConfig = config.get('conversation');
+    this.config = {
+      maxTurns: conversationConfig.maxTurns,
+      ttlMs: conversationConfig.ttlMs,
+    };
+
+    this.startCleanupTimer();
+  }
+
+  getKey(businessId, customerPhone) {
+    return `${businessId}:${customerPhone}`;
+  }
+
+  getSession(businessId, customerPhone) {
+    const key = this.getKey(businessId, customerPhone);
+    const session = this.sessions.get(key);
+
+    if (!session) {
+      return null;
+    }
+
+    // Expired sessions start a fresh conversation
+    if (Date.now() - session.lastActivity > this.config.ttlMs) {
+      this.sessions.delete(key);
+      logger.debug(`[CONVERSATION] Session expired for ${key}`);
+      return null;
+    }
+
+    return session;
+  }
+
+  getHistory(businessId, customerPhone) {
+    const session = this.getSession(businessId, customerPhone);
+    return session ? session.turns.map(turn => ({ role: turn.role, content: turn.content })) : [];
+  }
+
+  addTurn(businessId, customerPhone, role, content) {
+    const key = this.getKey(businessId, customerPhone);
+    const session = this.getSession(businessId, customerPhone) || { turns: [], lastActivity: 0 };
+
+    session.turns.push({ role, content, timestamp: new Date().toISOString() });
+
+    // Keep only the most recent window of turns (one turn = one message)
+    if (session.turns.length > this.config.maxTurns) {
+      session.turns = session.turns.slice(-this.config.maxTurns);
+    }
+
+    session.lastActivity = Date.now();
+    this.sessions.set(key, session);
+  }
+
+  recordExchange(businessId, customerPhone, query, response) {
+    this.addTurn(businessId, customerPhone, 'user', query);
+    this.addTurn(businessId, customerPhone, 'assistant', response);
+    logger.debug(
+      `[CONVERSATION] Recorded exchange for ${businessId}:${customerPhone} (${this.getHistory(businessId, customerPhone).length} turns)`
+    );
+  }
+
+  /**
+   * Remember the latest AI answer for a business so the owner can ask where it came from
+   * @param {string} businessId
+   * @param {Object} answer - { customerPhone, question, response, sources, confidence }
+   */
+  recordAnswer(businessId, answer) {
+    this.lastAnswers.set(businessId, { ...answer, answeredAt: new Date().toISOString() });
+  }
+
+  getLastAnswer(businessId) {
+    return this.lastAnswers.get(businessId) || null;
+  }
+
+  /**
+   * A business's unexpired conversations on this server, most recent first, with
+   * customer numbers masked down to their last four digits
+   * @param {string} businessId
+   * @param {number} [limit=20]
+   * @returns {Array<{customer: string, turns: Array, lastActivity: string}>}
+   */
+  getRecentConversations(businessId, limit = 20) {
+    const conversations = [];
+
+    for (const key of this.sessions.keys()) {
+      if (!key.startsWith(`${businessId}:`)) {
+        continue;
+      }
+      const customerPhone = key.substring(businessId.length + 1);
+      const session = this.getSession(businessId, customerPhone);
+      if (session) {
+        conversations.push({
+          customer: `***${customerPhone.slice(-4)}`,
+          turns: session.turns.map(turn => ({ ...turn })),
+          lastActivity: new Date(session.lastActivity).toISOString(),
+        });
+      }
+    }
+
+    return conversations
+      .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity))
+      .slice(0, limit);
+  }
+
+  reset(businessId, customerPhone) {
+    const cleared = this.sessions.delete(this.getKey(businessId, customerPhone));
+    logger.info(`[CONVERSATION] Reset conversation for ${businessId}:${customerPhone}`);
+    return cleared;
+  }
+
+  clearBusinessSessions(businessId) {
+    let clearedCount = 0;
+    for (const key of this.sessions.keys()) {
+      if (key.startsWith(`${businessId}:`)) {
+        this.sessions.delete(key);
+        clearedCount++;
+      }
+    }
+    this.lastAnswers.delete(businessId);
+    return clearedCount;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const [key, session] of this.sessions.entries()) {
+      if (now - session.lastActivity > this.config.ttlMs) {
+        this.sessions.delete(key);
+        expired++;
+      }
+    }
+
+    if (expired > 0) {
+      logger.debug(`[CONVERSATION] Cleanup removed ${expired} expired session(s)`);
+    }
+  }
+
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanup();
+    }, 300000); // Cleanup every 5 minutes
+
+    // Don't keep the process alive just for session cleanup
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  getStats() {
+    return {
+      activeSessions: this.sessions.size,
+      maxTurns: this.config.maxTurns,
+      ttlMs: this.config.ttlMs,
+    };
+  }
+}
+
+module.exports = new ConversationService();
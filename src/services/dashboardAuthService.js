@@ -0,0 +1,147 @@
+/**
+ * Owner Dashboard Login Service
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const DashboardLoginRepository = require('../repositories/DashboardLoginRepository');
+const apiKeyService = require('./apiKeyService');
+const businessService = require('./businessService');
+const twilioWhatsAppService = require('./twilioWhatsAppService');
+
+const CODE_SENT_MESSAGE =
+  'If this number owns a business, a login code is on its way over WhatsApp';
+const INVALID_CODE_MESSAGE = 'Invalid or expired code';
+const DASHBOARD_KEY_NAME = 'Dashboard login';
+
+class DashboardAuthService {
+  constructor() {
+    const dashboardConfig = config.get('dashboard');
+    this.config = {
+      codeTtlMs: dashboardConfig.codeTtlMs,
+      maxCodeAttempts: dashboardConfig.maxCodeAttempts,
+      resendIntervalMs: dashboardConfig.resendIntervalMs,
+      sessionTtlMs: dashboardConfig.sessionTtlMs,
+    };
+
+    this.startCleanupTimer();
+  }
+
+  hashCode(ownerPhone, code) {
+    return crypto.createHash('sha256').update(`${ownerPhone}:${code}`).digest('hex');
+  }
+
+  /**
+   * Send a one-time login code to the owner's WhatsApp. The reply is the same whether
+   * or not the number owns a business, so it can't be used to look owners up.
+   * @param {string} ownerPhone - E.164, e.g. +15551234567
+   */
+  async requestCode(ownerPhone) {
+    const claimed = await DashboardLoginRepository.claimRequest(
+      ownerPhone,
+      this.config.resendIntervalMs
+    );
+    if (!claimed) {
+      return { success: false, message: 'Please wait a minute before asking for another code' };
+    }
+
+    const business = await businessService.getBusinessByOwner(ownerPhone);
+    if (!business) {
+      logger.info(`[DASHBOARD] Login code asked for ${ownerPhone}, which owns no business`);
+      return { success: true, message: CODE_SENT_MESSAGE };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await DashboardLoginRepository.saveCode(ownerPhone, {
+      businessId: business.businessId,
+      codeHash: this.hashCode(ownerPhone, code),
+      expiresAt: new Date(Date.now() + this.config.codeTtlMs),
+    });
+
+    const minutes = Math.round(this.config.codeTtlMs / 60000);
+    const sent = await twilioWhatsAppService.sendMessage(
+      ownerPhone,
+      `🔐 Your ${business.businessName} dashboard login code is ${code}. It expires in ${minutes} minutes. If you didn't ask for it, ignore this message.`,
+      business.whatsappNumber
+    );
+    if (!sent.success) {
+      await DashboardLoginRepository.releaseRequest(ownerPhone);
+      return { success: false, message: 'Could not send the login code, please try again' };
+    }
+
+    logger.info(`[DASHBOARD] Sent login code for ${business.businessId}`);
+    return { success: true, message: CODE_SENT_MESSAGE };
+  }
+
+  /**
+   * Exchange a login code for a business_owner API key that expires after the
+   * dashboard session lifetime
+   * @returns {Promise<Object>} {success, key, apiKey, businessId} or {success: false, message}
+   */
+  async verifyCode(ownerPhone, code) {
+    const { businessId, attempts } = await DashboardLoginRepository.verifyCode(
+      ownerPhone,
+      this.hashCode(ownerPhone, code),
+      this.config.maxCodeAttempts
+    );
+    if (!businessId) {
+      if (attempts >= this.config.maxCodeAttempts) {
+        logger.warn(`[DASHBOARD] Too many wrong login codes for ${ownerPhone}`);
+      }
+      return { success: false, message: INVALID_CODE_MESSAGE };
+    }
+
+    // The business may have been deleted or handed to another owner since the code was sent
+    const business = await businessService.getBusinessByOwner(ownerPhone);
+    if (!business || business.businessId !== businessId) {
+      return { success: false, message: INVALID_CODE_MESSAGE };
+    }
+
+    const { key, apiKey } = await apiKeyService.issueKey({
+      name: DASHBOARD_KEY_NAME,
+      role: apiKeyService.ROLES.BUSINESS_OWNER,
+      businessId: business.businessId,
+      expiresAt: new Date(Date.now() + this.config.sessionTtlMs),
+    });
+
+    logger.info(`[DASHBOARD] Owner of ${business.businessId} logged in (key ${apiKey.keyId})`);
+    return { success: true, key, apiKey, businessId: business.businessId };
+  }
+
+  /**
+   * Whether a key was issued by a dashboard login, as opposed to one made for an integration
+   */
+  isDashboardKey(apiKey) {
+    return (
+      apiKey.name === DASHBOARD_KEY_NAME &&
+      apiKey.role === apiKeyService.ROLES.BUSINESS_OWNER &&
+      Boolean(apiKey.expiresAt)
+    );
+  }
+
+  async cleanup() {
+    try {
+      const deleted = await DashboardLoginRepository.deleteStale(this.config.resendIntervalMs);
+      if (deleted > 0) {
+        logger.debug(`[DASHBOARD] Cleanup removed ${deleted} stale login code(s)`);
+      }
+    } catch (error) {
+      logger.warn(`[DASHBOARD] Login code cleanup failed: ${error.message}`);
+    }
+  }
+
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanup();
+    }, 300000); // Cleanup every 5 minutes
+
+    // Don't keep the process alive just for code cleanup
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+}
+
+module.exports = new DashboardAuthService();
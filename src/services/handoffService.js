@@ -0,0 +1,162 @@
+/**
+ * Human Handoff Ticket Service
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const HandoffTicketRepository = require('../repositories/HandoffTicketRepository');
+
+// Explicit requests from a customer to speak to a person
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|your|some)?\s*(human|person|agent|representative|owner|manager|staff|someone|somebody)\b/i,
+  /\b(real|live)\s+(person|human|agent)\b/i,
+  /\bhuman\s+(please|agent)\b/i,
+  /^\s*(human|agent|operator|representative)\s*[.!?]*\s*$/i,
+];
+
+// AI answers that indicate the knowledge base could not answer the question
+const UNANSWERABLE_PATTERNS = [
+  /I don't have specific information about that/i,
+  /I don't have information about/i,
+  /I don't see .* specifically mentioned/i,
+];
+
+class HandoffService {
+  constructor() {
+    this.config = {
+      openTtlMs: config.get('handoff').openTtlMs,
+      resolvedTtlMs: config.get('handoff').resolvedTtlMs,
+    };
+
+    this.startCleanupTimer();
+  }
+
+  isHumanRequest(message) {
+    if (!message || typeof message !== 'string') {
+      return false;
+    }
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  isUnanswerable(response) {
+    if (!response || typeof response !== 'string') {
+      return false;
+    }
+    return UNANSWERABLE_PATTERNS.some(pattern => pattern.test(response));
+  }
+
+  // Ticket numbers as owners type them, e.g. "#12" or "12"; null if it isn't one
+  parseTicketNumber(ticketId) {
+    const normalized = String(ticketId || '')
+      .trim()
+      .replace(/^#/, '');
+    return /^\d+$/.test(normalized) ? parseInt(normalized, 10) : null;
+  }
+
+  /**
+   * Open a ticket for a customer, or return the one they already have open
+   */
+  async openTicket(business, customer, question, reason) {
+    const ticket = await HandoffTicketRepository.open(
+      {
+        businessId: business.businessId,
+        customerPhone: customer.phoneNumber,
+        customerAddress: customer.from,
+        customerName: customer.profileName || null,
+        businessAddress: customer.to,
+        question,
+        reason,
+      },
+      this.config.openTtlMs
+    );
+
+    logger.info(
+      `[HANDOFF] Ticket #${ticket.ticketId} open for business ${business.businessId} (${reason})`
+    );
+    return ticket;
+  }
+
+  getOpenTicketForCustomer(businessId, customerPhone) {
+    return HandoffTicketRepository.findOpenByCustomer(
+      businessId,
+      customerPhone,
+      this.config.openTtlMs
+    );
+  }
+
+  getOpenTickets(businessId) {
+    return HandoffTicketRepository.findOpenByBusiness(businessId, this.config.openTtlMs);
+  }
+
+  /**
+   * Note an owner reply on a ticket, which keeps it from expiring
+   * @returns {Promise<Object|null>} The ticket, or null if it is not open
+   */
+  replyToTicket(businessId, ticketId) {
+    const ticketNumber = this.parseTicketNumber(ticketId);
+    if (ticketNumber === null) {
+      return null;
+    }
+    return HandoffTicketRepository.touch(businessId, ticketNumber, this.config.openTtlMs);
+  }
+
+  async resolveTicket(businessId, ticketId) {
+    const ticketNumber = this.parseTicketNumber(ticketId);
+    if (ticketNumber === null) {
+      return null;
+    }
+
+    const ticket = await HandoffTicketRepository.resolve(
+      businessId,
+      ticketNumber,
+      this.config.openTtlMs
+    );
+    if (ticket) {
+      logger.info(`[HANDOFF] Resolved ticket #${ticket.ticketId} for business ${businessId}`);
+    }
+    return ticket;
+  }
+
+  /**
+   * Close all of a business's tickets, e.g. when it is suspended or deleted
+   * @returns {Promise<number>} Tickets removed
+   */
+  async clearBusinessTickets(businessId) {
+    try {
+      // The counter stays so a ticket number is never handed out twice
+      return await HandoffTicketRepository.deleteByBusiness(businessId);
+    } catch (error) {
+      logger.error(`[HANDOFF] Failed to clear tickets for business ${businessId}:`, error);
+      return 0;
+    }
+  }
+
+  async cleanup() {
+    try {
+      const expired = await HandoffTicketRepository.expireIdle(this.config.openTtlMs);
+      const pruned = await HandoffTicketRepository.deleteClosed(this.config.resolvedTtlMs);
+
+      if (expired > 0 || pruned > 0) {
+        logger.debug(
+          `[HANDOFF] Cleanup expired ${expired} idle ticket(s) and removed ${pruned} closed ticket(s)`
+        );
+      }
+    } catch (error) {
+      logger.error('[HANDOFF] Ticket cleanup failed:', error);
+    }
+  }
+
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanup();
+    }, 300000); // Cleanup every 5 minutes
+
+    // Don't keep the process alive just for ticket cleanup
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+}
+
+module.exports = new HandoffService();
@@ -3,10 +3,42 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
+const config = require('../../config');
 const logger = require('../utils/logger');
 const KnowledgeRepository = require('../repositories/KnowledgeRepository');
+const DocumentParser = require('../utils/documentParser');
+const FaqParser = require('../utils/faqParser');
+const Validator = require('../utils/validator');
 const vectorService = require('./vectorService');
 
+const PREVIEW_LENGTH = 500;
+
+function createPreview(content) {
+  return content.substring(0, PREVIEW_LENGTH) + (content.length > PREVIEW_LENGTH ? '...' : '');
+}
+
+// What owners may type after `type:` in !list, mapped to the stored entry type
+const TYPE_ALIASES = {
+  text: 'text',
+  texts: 'text',
+  document: 'document',
+  documents: 'document',
+  doc: 'document',
+  docs: 'document',
+  image: 'image',
+  images: 'image',
+  photo: 'image',
+  photos: 'image',
+};
+
+// Quotes, commas, parentheses and wildcards have meaning inside a PostgREST `or` filter
+function sanitizeKeyword(keyword) {
+  return keyword
+    .replace(/["\\,()*%_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 class KnowledgeService {
   constructor() {
     // No need to load from files anymore - data is in Supabase
@@ -34,11 +66,12 @@ class KnowledgeService {
         type: 'text',
         filename: null,
         fileType: null,
-        contentPreview: content.substring(0, 500) + (content.length > 500 ? '...' : ''),
+        contentPreview: createPreview(content),
+        content,
         metadata: {
+          source: 'whatsapp',
           ...metadata,
           addedAt: new Date().toISOString(),
-          source: 'whatsapp',
           fullContentLength: content.length,
         },
       };
@@ -53,9 +86,11 @@ class KnowledgeService {
         businessName,
         filename: `text_${knowledgeId}`,
         content,
-        metadata: knowledgeData.metadata,
+        metadata: { ...knowledgeData.metadata, knowledgeId },
       });
 
+      this.clearBusinessCaches(businessId);
+
       logger.success(
         `[KNOWLEDGE] Successfully added text knowledge: ${knowledgeId} for ${businessName}`
       );
@@ -73,7 +108,170 @@ class KnowledgeService {
     }
   }
 
-  async addDocumentKnowledge(businessId, businessName, filename, content, fileType, metadata = {}) {
+  /**
+   * Create one text entry per question/answer pair of a CSV or JSON FAQ file. Rows
+   * that fail validation are reported and skipped; the rest are saved together and
+   * embedded in one batch.
+   * @param {Object} file - {content: string, extension: '.csv'|'.json', filename}
+   * @returns {Promise<Object>} {success, imported, failed, vectorsStored, rows, message}
+   *   where each row is {row, status: 'imported'|'failed', question, knowledgeId|error},
+   *   or {success: false, invalidFile, message} if nothing could be imported: `invalidFile`
+   *   is set when the file itself was unreadable or too long
+   */
+  async importFaq(businessId, businessName, file, metadata = {}) {
+    let parsed;
+    try {
+      parsed = FaqParser.parse(file.content, file.extension);
+    } catch (error) {
+      return {
+        success: false,
+        invalidFile: true,
+        message: `Could not read ${file.filename}: ${error.message}`,
+      };
+    }
+
+    const { maxRows } = config.get('faqImport');
+    if (parsed.length > maxRows) {
+      return {
+        success: false,
+        invalidFile: true,
+        message: `${file.filename} has ${parsed.length} rows; import at most ${maxRows} at a time`,
+      };
+    }
+
+    logger.info(
+      `[KNOWLEDGE] Importing ${parsed.length} FAQ rows from ${file.filename} for ${businessName}`
+    );
+
+    const addedAt = new Date().toISOString();
+    const rows = [];
+    const entries = [];
+    const questions = new Map(); // lower-cased question -> row it first appeared on
+    const knowledgeIds = new Set();
+
+    for (const { row, question, answer } of parsed) {
+      const check = this.validateFaqRow(question, answer, questions.get(question.toLowerCase()));
+      if (check.error) {
+        rows.push({ row, status: 'failed', question, error: check.error });
+        continue;
+      }
+      questions.set(question.toLowerCase(), row);
+
+      let knowledgeId = this.generateKnowledgeId(businessId);
+      while (knowledgeIds.has(knowledgeId)) {
+        knowledgeId = this.generateKnowledgeId(businessId);
+      }
+      knowledgeIds.add(knowledgeId);
+
+      const { content } = check;
+      entries.push({
+        knowledgeId,
+        businessId,
+        businessName,
+        type: 'text',
+        filename: null,
+        fileType: null,
+        contentPreview: createPreview(content),
+        content,
+        metadata: {
+          ...metadata,
+          addedAt,
+          source: 'import',
+          importFile: file.filename,
+          importRow: row,
+          fullContentLength: content.length,
+        },
+      });
+      rows.push({ row, status: 'imported', question, knowledgeId });
+    }
+
+    const failed = rows.length - entries.length;
+    if (entries.length === 0) {
+      return {
+        success: false,
+        imported: 0,
+        failed,
+        vectorsStored: false,
+        rows,
+        message: `None of the ${rows.length} rows in ${file.filename} could be imported`,
+      };
+    }
+
+    try {
+      await KnowledgeRepository.createMany(entries);
+    } catch (error) {
+      logger.error(`[KNOWLEDGE] Error saving FAQ import for ${businessName}:`, error);
+      return { success: false, message: 'Failed to save imported knowledge entries' };
+    }
+
+    let vectorsStored = true;
+    try {
+      await vectorService.storeDocuments(
+        entries.map(entry => ({
+          businessId,
+          businessName,
+          filename: `text_${entry.knowledgeId}`,
+          content: entry.content,
+          metadata: { ...entry.metadata, knowledgeId: entry.knowledgeId },
+        }))
+      );
+    } catch (error) {
+      // The entries are saved; a re-index embeds them
+      logger.error(`[KNOWLEDGE] Error embedding FAQ import for ${businessName}:`, error);
+      vectorsStored = false;
+    }
+
+    this.clearBusinessCaches(businessId);
+
+    logger.success(
+      `[KNOWLEDGE] Imported ${entries.length} of ${rows.length} FAQ rows for ${businessName}`
+    );
+    let message = `Imported ${entries.length} of ${rows.length} FAQ rows from ${file.filename}`;
+    if (!vectorsStored) {
+      message +=
+        '. They are saved but not yet searchable; customers will get them after a re-index';
+    }
+    return { success: true, imported: entries.length, failed, vectorsStored, rows, message };
+  }
+
+  /**
+   * @param {number} [duplicateOf] - Row where the same question already appeared
+   * @returns {{error: string}|{content: string}} Why the row can't be imported, or the entry text
+   */
+  validateFaqRow(question, answer, duplicateOf) {
+    if (!question) {
+      return { error: 'Question is missing' };
+    }
+    if (!answer) {
+      return { error: 'Answer is missing' };
+    }
+    if (duplicateOf) {
+      return { error: `Same question as row ${duplicateOf}` };
+    }
+
+    const validation = Validator.validateKnowledgeContent(`Q: ${question}\nA: ${answer}`);
+    if (!validation.valid) {
+      return { error: validation.error };
+    }
+    if (Validator.detectSuspiciousContent(validation.sanitized)) {
+      return { error: 'Contains suspicious content' };
+    }
+    return { content: validation.sanitized };
+  }
+
+  /**
+   * @param {Object} [originalFile] - Uploaded file ({buffer, contentType}), kept when
+   *   `media.storeOriginalFiles` is enabled
+   */
+  async addDocumentKnowledge(
+    businessId,
+    businessName,
+    filename,
+    content,
+    fileType,
+    metadata = {},
+    originalFile = null
+  ) {
     try {
       logger.info(`[KNOWLEDGE] Adding document knowledge for ${businessName}: ${filename}`);
 
@@ -84,14 +282,15 @@ class KnowledgeService {
         knowledgeId,
         businessId,
         businessName,
-        type: 'document',
+        type: DocumentParser.isImage(fileType) ? 'image' : 'document',
         filename,
         fileType,
-        contentPreview: content.substring(0, 500) + (content.length > 500 ? '...' : ''),
+        contentPreview: createPreview(content),
+        content,
         metadata: {
+          source: 'whatsapp',
           ...metadata,
           addedAt: new Date().toISOString(),
-          source: 'whatsapp',
           fullContentStored: true,
           fullContentLength: content.length,
         },
@@ -100,6 +299,10 @@ class KnowledgeService {
       // Store in Supabase database
       await KnowledgeRepository.create(knowledgeData);
 
+      if (originalFile && config.get('media').storeOriginalFiles) {
+        await this.storeOriginalFile(knowledgeData, originalFile);
+      }
+
       // Store full content in vector database
       logger.debug(`[KNOWLEDGE] Storing document in vector database: ${knowledgeId}`);
       await vectorService.storeDocument({
@@ -107,9 +310,11 @@ class KnowledgeService {
         businessName,
         filename,
         content,
-        metadata: knowledgeData.metadata,
+        metadata: { ...knowledgeData.metadata, knowledgeId },
       });
 
+      this.clearBusinessCaches(businessId);
+
       logger.success(
         `[KNOWLEDGE] Successfully added document knowledge: ${knowledgeId} for ${businessName}`
       );
@@ -127,6 +332,23 @@ class KnowledgeService {
     }
   }
 
+  async storeOriginalFile(knowledgeData, originalFile) {
+    try {
+      await KnowledgeRepository.saveOriginalFile({
+        knowledgeId: knowledgeData.knowledgeId,
+        businessId: knowledgeData.businessId,
+        filename: knowledgeData.filename,
+        contentType: originalFile.contentType,
+        buffer: originalFile.buffer,
+      });
+    } catch (error) {
+      // The extracted text is what answers questions, so keep the entry without the file
+      logger.warn(
+        `[KNOWLEDGE] Could not store original file for ${knowledgeData.knowledgeId}: ${error.message}`
+      );
+    }
+  }
+
   async getBusinessKnowledge(businessId) {
     try {
       return await KnowledgeRepository.getBusinessKnowledgePreview(businessId);
@@ -136,6 +358,62 @@ class KnowledgeService {
     }
   }
 
+  /**
+   * One page of entry previews, optionally filtered by type or keyword
+   * @param {Object} [options]
+   * @param {number} [options.page] - 1-based
+   * @param {number} [options.pageSize]
+   * @param {string} [options.type] - text, document or image (plurals and doc/photo work too)
+   * @param {string} [options.keyword] - Matched case-insensitively against text and filenames
+   * @param {Date} [options.createdAfter] - Only entries added at or after this time
+   * @param {Date} [options.createdBefore] - Only entries added before this time
+   * @returns {Promise<Object>} {success, entries, total, page, pageSize, totalPages, type, keyword}
+   *   or {success: false, message}
+   */
+  async listKnowledge(businessId, options = {}) {
+    let type = null;
+    if (options.type) {
+      type = TYPE_ALIASES[options.type.toLowerCase()];
+      if (!type) {
+        return {
+          success: false,
+          message: `Unknown type "${options.type}". Use text, document or image.`,
+        };
+      }
+    }
+
+    let keyword = null;
+    if (options.keyword !== undefined) {
+      keyword = sanitizeKeyword(options.keyword);
+      if (keyword.length < 2) {
+        return { success: false, message: 'Search for a word of at least 2 characters.' };
+      }
+    }
+
+    try {
+      const page = await KnowledgeRepository.findKnowledgePage(businessId, {
+        page: options.page,
+        pageSize: options.pageSize,
+        type,
+        keyword,
+        createdAfter: options.createdAfter,
+        createdBefore: options.createdBefore,
+      });
+      return { success: true, ...page, type, keyword };
+    } catch (error) {
+      logger.error(`[KNOWLEDGE] Error listing knowledge for ${businessId}:`, error);
+      return { success: false, message: 'Error retrieving knowledge list.' };
+    }
+  }
+
+  /**
+   * Chunks of a business's knowledge closest in meaning to a query, best match first
+   * @returns {Promise<Array<{content: string, score: number, filename: string, knowledgeId: string|null}>>}
+   */
+  searchKnowledge(businessId, query, topK) {
+    return vectorService.searchSimilar(query, businessId, topK);
+  }
+
   async deleteKnowledge(businessId, knowledgeId) {
     try {
       // Verify the knowledge entry exists and belongs to the business
@@ -161,7 +439,7 @@ class KnowledgeService {
       // Delete from vector database
       logger.debug(`[KNOWLEDGE] Deleting vectors for knowledge ${knowledgeId}`);
       try {
-        const vectorResult = await vectorService.deleteByKnowledgeId(knowledgeId);
+        const vectorResult = await vectorService.deleteByKnowledgeId(knowledgeId, businessId);
         if (vectorResult.success) {
           logger.success(
             `[KNOWLEDGE] Deleted ${vectorResult.deletedCount} vector chunks for ${knowledgeId}`
@@ -176,15 +454,7 @@ class KnowledgeService {
         // Don't fail the overall operation if vector deletion fails
       }
 
-      // Clear related caches to prevent stale responses
-      logger.debug(`[KNOWLEDGE] Clearing caches for business ${businessId}`);
-      try {
-        const cache = require('../utils/cache');
-        cache.clearBusinessCaches(businessId);
-        logger.success(`[KNOWLEDGE] Cleared caches for business ${businessId}`);
-      } catch (cacheError) {
-        logger.warn(`[KNOWLEDGE] Error clearing caches: ${cacheError.message}`);
-      }
+      this.clearBusinessCaches(businessId);
 
       logger.success(`[KNOWLEDGE] Successfully deleted knowledge entry: ${knowledgeId}`);
       return {
@@ -200,6 +470,81 @@ class KnowledgeService {
     }
   }
 
+  /**
+   * Replace the text of a knowledge entry, keeping its ID
+   * @returns {Promise<{success: boolean, entry?: Object, vectorsUpdated?: boolean, message: string}>}
+   */
+  async updateKnowledge(businessId, knowledgeId, content) {
+    try {
+      const entry = await KnowledgeRepository.findByKnowledgeId(knowledgeId);
+
+      if (!entry || entry.businessId !== businessId) {
+        return {
+          success: false,
+          message: 'Knowledge entry not found or access denied',
+        };
+      }
+
+      const metadata = {
+        ...entry.metadata,
+        editedAt: new Date().toISOString(),
+        fullContentLength: content.length,
+      };
+
+      const updated = await KnowledgeRepository.updateKnowledge(knowledgeId, businessId, {
+        content,
+        contentPreview: createPreview(content),
+        metadata,
+      });
+
+      if (!updated) {
+        return {
+          success: false,
+          message: 'Knowledge entry not found or access denied',
+        };
+      }
+
+      // The database keeps the new text either way; a re-index catches the vectors up
+      let vectorsUpdated = true;
+      try {
+        await vectorService.replaceKnowledgeVectors(updated, content, metadata);
+      } catch (vectorError) {
+        logger.error(`[KNOWLEDGE] Error re-embedding ${knowledgeId}:`, vectorError);
+        vectorsUpdated = false;
+      }
+
+      this.clearBusinessCaches(businessId);
+
+      logger.success(`[KNOWLEDGE] Successfully updated knowledge entry: ${knowledgeId}`);
+      return {
+        success: true,
+        entry: updated,
+        vectorsUpdated,
+        message: vectorsUpdated
+          ? `Updated knowledge entry ${knowledgeId}`
+          : `Updated knowledge entry ${knowledgeId}, but search could not be refreshed yet; answers may use the old text until the next re-index`,
+      };
+    } catch (error) {
+      logger.error(`[KNOWLEDGE] Error updating knowledge ${knowledgeId}:`, error);
+      return {
+        success: false,
+        message: 'Failed to update knowledge entry',
+      };
+    }
+  }
+
+  // Clear related caches to prevent stale responses
+  clearBusinessCaches(businessId) {
+    logger.debug(`[KNOWLEDGE] Clearing caches for business ${businessId}`);
+    try {
+      const cache = require('../utils/cache');
+      cache.clearBusinessCaches(businessId);
+      logger.success(`[KNOWLEDGE] Cleared caches for business ${businessId}`);
+    } catch (cacheError) {
+      logger.warn(`[KNOWLEDGE] Error clearing caches: ${cacheError.message}`);
+    }
+  }
+
   async getKnowledgeStats(businessId) {
     try {
       return await KnowledgeRepository.getKnowledgeStats(businessId);
@@ -225,6 +570,81 @@ class KnowledgeService {
     }
   }
 
+  /**
+   * Full text of a knowledge entry, recovering it from the vector store for
+   * entries created before content was stored in the database
+   * @returns {Promise<{success: boolean, entry?: Object, content?: string, complete?: boolean, message?: string}>}
+   */
+  async getKnowledgeContent(businessId, knowledgeId) {
+    try {
+      const entry = await KnowledgeRepository.findByKnowledgeId(knowledgeId);
+
+      if (!entry || entry.businessId !== businessId) {
+        return { success: false, message: 'Knowledge entry not found or access denied' };
+      }
+
+      if (entry.content) {
+        return { success: true, entry, content: entry.content, complete: true };
+      }
+
+      const recovered = await this.recoverContent(entry);
+      if (recovered) {
+        return { success: true, entry, content: recovered, complete: true };
+      }
+
+      logger.warn(`[KNOWLEDGE] Only a preview is available for ${knowledgeId}`);
+      return { success: true, entry, content: entry.contentPreview || '', complete: false };
+    } catch (error) {
+      logger.error(`[KNOWLEDGE] Error getting content for ${knowledgeId}:`, error);
+      return { success: false, message: 'Failed to get knowledge content' };
+    }
+  }
+
+  async recoverContent(entry) {
+    try {
+      const content = await vectorService.recoverContent(entry);
+      if (!content) {
+        return null;
+      }
+
+      await KnowledgeRepository.updateContent(entry.knowledgeId, content);
+      logger.info(`[KNOWLEDGE] Recovered content for ${entry.knowledgeId} from vector store`);
+      return content;
+    } catch (error) {
+      logger.error(`[KNOWLEDGE] Error recovering content for ${entry.knowledgeId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy the full text of older entries from the vector store into the database
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Entries fetched per database query
+   * @returns {Promise<{recovered: number, unrecoverable: string[]}>}
+   */
+  async backfillContent({ batchSize = 100 } = {}) {
+    const unrecoverable = [];
+    let recovered = 0;
+
+    // Recovered entries drop out of the result set, so only skip past the failures
+    let batch = await KnowledgeRepository.findMissingContent(batchSize, unrecoverable.length);
+    while (batch.length > 0) {
+      for (const entry of batch) {
+        if (await this.recoverContent(entry)) {
+          recovered++;
+        } else {
+          unrecoverable.push(entry.knowledgeId);
+        }
+      }
+      batch = await KnowledgeRepository.findMissingContent(batchSize, unrecoverable.length);
+    }
+
+    logger.info(
+      `[KNOWLEDGE] Content backfill finished: ${recovered} recovered, ${unrecoverable.length} unrecoverable`
+    );
+    return { recovered, unrecoverable };
+  }
+
   async deleteAllBusinessKnowledge(businessId) {
     try {
       const deletedIds = await KnowledgeRepository.deleteByBusinessId(businessId);
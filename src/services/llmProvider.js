@@ -0,0 +1,179 @@
+/**
+ * LLM Provider Abstraction (OpenAI, Azure OpenAI, OpenAI-compatible servers)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+const logger = require('../utils/logger');
+
+class LLMProvider {
+  constructor(name, defaultModel) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+
+  /**
+   * Create a chat completion
+   * @param {Object} request
+   * @param {string} [request.model] - Model (or Azure deployment) name, defaults to the provider default
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {number} [request.maxTokens] - Completion token limit
+   * @param {number} [request.temperature] - Sampling temperature
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+   */
+  createChatCompletion(_request) {
+    return Promise.reject(
+      new Error(`createChatCompletion not implemented for provider ${this.name}`)
+    );
+  }
+
+  /**
+   * Create a chat completion, passing text deltas to onDelta as they arrive.
+   * Providers without streaming support deliver the whole completion as one delta.
+   * @param {Object} request - Same as createChatCompletion
+   * @param {function(string): Promise<void>} onDelta - Awaited for each delta, in order
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+   */
+  async streamChatCompletion(request, onDelta) {
+    const completion = await this.createChatCompletion(request);
+    if (completion.content) {
+      await onDelta(completion.content);
+    }
+    return completion;
+  }
+}
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options, name = 'openai') {
+    super(name, options.model);
+    this.client = this.createClient(options);
+  }
+
+  createClient(options) {
+    return new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL || undefined,
+      timeout: options.timeoutMs,
+      maxRetries: 0, // Retries are handled by RetryManager
+    });
+  }
+
+  async createChatCompletion({ model, messages, maxTokens, temperature }) {
+    const completion = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    });
+
+    const choice = completion.choices && completion.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error(`Empty completion returned by provider ${this.name}`);
+    }
+
+    return {
+      content: (choice.message.content || '').trim(),
+      model: completion.model || model || this.defaultModel,
+      usage: completion.usage || null,
+    };
+  }
+
+  async streamChatCompletion({ model, messages, maxTokens, temperature }, onDelta) {
+    const stream = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+    });
+
+    let content = '';
+    let streamedModel = null;
+
+    for await (const chunk of stream) {
+      streamedModel = chunk.model || streamedModel;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) {
+        content += delta.content;
+        await onDelta(delta.content);
+      }
+    }
+
+    return {
+      content: content.trim(),
+      model: streamedModel || model || this.defaultModel,
+      usage: null,
+    };
+  }
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options) {
+    // Azure routes requests by deployment name, which is passed as the model
+    super({ ...options, model: options.deployment }, 'azure');
+  }
+
+  createClient(options) {
+    return new AzureOpenAI({
+      apiKey: options.apiKey,
+      endpoint: options.endpoint,
+      apiVersion: options.apiVersion,
+      deployment: options.deployment,
+      timeout: options.timeoutMs,
+      maxRetries: 0,
+    });
+  }
+}
+
+/**
+ * Build the provider selected by `ai.provider`
+ * @param {Object} aiConfig - The `ai` configuration section
+ * @returns {LLMProvider|null} Provider, or null when credentials are missing (responses are mocked)
+ */
+function createLLMProvider(aiConfig) {
+  const providerName = aiConfig.provider || 'openai';
+  const openaiConfig = aiConfig.openai || {};
+  const isTestEnvironment = process.env.NODE_ENV === 'test';
+
+  switch (providerName) {
+    case 'openai':
+      if (
+        isTestEnvironment ||
+        !openaiConfig.apiKey ||
+        openaiConfig.apiKey === 'test-key' ||
+        openaiConfig.apiKey === 'test-openai-key'
+      ) {
+        return null;
+      }
+      return new OpenAIProvider(openaiConfig);
+
+    case 'azure': {
+      const azureConfig = aiConfig.azure || {};
+      if (isTestEnvironment || !azureConfig.apiKey || !azureConfig.endpoint) {
+        return null;
+      }
+      return new AzureOpenAIProvider({ ...azureConfig, timeoutMs: openaiConfig.timeoutMs });
+    }
+
+    case 'openai-compatible':
+      // Local servers (llama.cpp, Ollama, test stubs) usually don't check the key
+      if (!openaiConfig.baseURL) {
+        logger.warn('[AI] openai-compatible provider selected but ai.openai.baseURL is not set');
+        return null;
+      }
+      return new OpenAIProvider(
+        { ...openaiConfig, apiKey: openaiConfig.apiKey || 'not-needed' },
+        'openai-compatible'
+      );
+
+    default:
+      throw new Error(`Unknown AI provider: ${providerName}`);
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  createLLMProvider,
+};
@@ -0,0 +1,436 @@
+/**
+ * Vector Re-index Service
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const BusinessRepository = require('../repositories/BusinessRepository');
+const KnowledgeRepository = require('../repositories/KnowledgeRepository');
+const VectorIndexRepository = require('../repositories/VectorIndexRepository');
+const vectorService = require('./vectorService');
+const knowledgeService = require('./knowledgeService');
+const { VectorStore } = require('./vectorStores');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Rebuilds a business's vectors from the knowledge entries in the database.
+ * Entries are re-embedded into a fresh namespace while customers keep querying
+ * the current one; the business is switched over only once every entry is in,
+ * and the old namespace is deleted after `retireDelayMs`.
+ */
+class ReindexService {
+  constructor() {
+    const reindexConfig = config.get('vector.reindex');
+    this.config = {
+      batchSize: reindexConfig.batchSize,
+      stateCacheTtlMs: reindexConfig.stateCacheTtlMs,
+      retireDelayMs: reindexConfig.retireDelayMs,
+      staleAfterMs: reindexConfig.staleAfterMs,
+    };
+
+    this.running = new Set(); // businessIds being re-indexed by this process
+    this.currentJob = null; // Background job started from the admin API
+    this.pendingRetirements = new Set();
+  }
+
+  generateNamespace(businessId) {
+    return `${businessId}-${Date.now()}`;
+  }
+
+  /**
+   * @param {Object} state - Stored index state
+   * @returns {boolean} A build is recorded and made progress recently
+   */
+  isBuildInProgress(state) {
+    return (
+      state.status === 'building' &&
+      Date.now() - new Date(state.updatedAt).getTime() < this.config.staleAfterMs
+    );
+  }
+
+  isRetirementPending(state) {
+    return Date.now() - new Date(state.completedAt).getTime() < this.config.retireDelayMs;
+  }
+
+  /**
+   * Re-embed every knowledge entry of a business into a new namespace and switch to it
+   * @param {string} businessId
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - Entries embedded between progress saves
+   * @param {boolean} [options.restart] - Discard an interrupted build instead of resuming it
+   * @param {boolean} [options.force] - Take over a build another process appears to be running
+   * @param {boolean} [options.allowMissing] - Switch over even if some entries have no content
+   * @param {Function} [options.onProgress] - Called with the progress after every batch
+   * @returns {Promise<Object>} Outcome with the final progress
+   */
+  async reindexBusiness(businessId, options = {}) {
+    const batchSize = options.batchSize || this.config.batchSize;
+
+    if (this.running.has(businessId)) {
+      return { success: false, businessId, message: `Re-index already running for ${businessId}` };
+    }
+
+    const state = await VectorIndexRepository.findByBusinessId(businessId);
+    if (state && this.isBuildInProgress(state) && !options.force) {
+      return {
+        success: false,
+        businessId,
+        message: `Re-index already in progress for ${businessId} (last progress at ${state.updatedAt})`,
+      };
+    }
+
+    if (state && state.previousNamespace && this.isRetirementPending(state)) {
+      return {
+        success: false,
+        businessId,
+        message: `The previous re-index of ${businessId} finished at ${state.completedAt}; try again once its old namespace is deleted`,
+      };
+    }
+
+    this.running.add(businessId);
+    const activeNamespace = state ? state.activeNamespace : VectorStore.DEFAULT_NAMESPACE;
+    let progress = null;
+
+    try {
+      // Old namespace left behind by a process that stopped before deleting it
+      if (state && state.previousNamespace) {
+        await this.retireNamespace(businessId, state.previousNamespace, activeNamespace);
+      }
+
+      const resuming = state && state.status === 'building' && state.buildingNamespace;
+      if (resuming && !options.restart) {
+        progress = {
+          businessId,
+          namespace: state.buildingNamespace,
+          lastRowId: state.lastRowId,
+          processed: state.processed,
+          total: state.total,
+          failed: [...state.failedKnowledgeIds],
+        };
+        logger.info(
+          `[REINDEX] Resuming ${businessId} in ${progress.namespace} after ${progress.processed}/${progress.total} entries`
+        );
+      } else {
+        if (resuming) {
+          await vectorService.deleteBusinessNamespace(businessId, state.buildingNamespace);
+        }
+        progress = await this.startBuild(businessId, activeNamespace);
+      }
+
+      progress.status = 'building';
+      this.reportProgress(progress, options.onProgress);
+
+      await this.copyEntries(progress, batchSize, options.onProgress);
+
+      if (progress.failed.length > 0 && !options.allowMissing) {
+        return await this.abandonBuild(progress);
+      }
+
+      await this.swap(progress, activeNamespace);
+
+      // Entries added after the last batch by processes that hadn't seen the build yet
+      await this.copyEntries(progress, batchSize);
+
+      progress.status = 'completed';
+      this.reportProgress(progress, options.onProgress);
+      logger.success(
+        `[REINDEX] Re-indexed ${progress.processed} entries for ${businessId} into ${progress.namespace}`
+      );
+
+      this.scheduleRetirement(businessId, activeNamespace, progress.namespace);
+
+      return {
+        success: true,
+        businessId,
+        namespace: progress.namespace,
+        previousNamespace: activeNamespace,
+        processed: progress.processed,
+        failed: progress.failed,
+      };
+    } catch (error) {
+      // The build stays 'building' so the next run resumes from the last saved batch
+      logger.error(`[REINDEX] Re-index of ${businessId} stopped:`, error);
+      await VectorIndexRepository.save(businessId, { error: error.message }).catch(saveError =>
+        logger.error(`[REINDEX] Could not record failure for ${businessId}:`, saveError)
+      );
+      return {
+        success: false,
+        businessId,
+        message: `Re-index of ${businessId} stopped: ${error.message}. Run it again to resume.`,
+        processed: progress ? progress.processed : 0,
+      };
+    } finally {
+      this.running.delete(businessId);
+    }
+  }
+
+  async startBuild(businessId, activeNamespace) {
+    const namespace = this.generateNamespace(businessId);
+    const total = await KnowledgeRepository.countByBusinessId(businessId);
+
+    await VectorIndexRepository.save(businessId, {
+      activeNamespace,
+      buildingNamespace: namespace,
+      status: 'building',
+      lastRowId: 0,
+      processed: 0,
+      total,
+      failedKnowledgeIds: [],
+      error: null,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+    });
+    vectorService.invalidateIndexState(businessId);
+    logger.info(`[REINDEX] Building ${namespace} for ${businessId} (${total} entries)`);
+
+    // Other processes cache the index state; once they've reloaded it, knowledge
+    // they add or delete is applied to the new namespace as well
+    await sleep(this.config.stateCacheTtlMs);
+
+    return { businessId, namespace, lastRowId: 0, processed: 0, total, failed: [] };
+  }
+
+  /**
+   * Embed entries after progress.lastRowId into progress.namespace, saving progress per batch
+   */
+  async copyEntries(progress, batchSize, onProgress) {
+    let batch = await KnowledgeRepository.findBatchAfter(
+      progress.businessId,
+      progress.lastRowId,
+      batchSize
+    );
+
+    while (batch.length > 0) {
+      for (const entry of batch) {
+        if (!(await this.reindexEntry(entry, progress.namespace))) {
+          progress.failed.push(entry.knowledgeId);
+        }
+      }
+
+      progress.lastRowId = batch[batch.length - 1].rowId;
+      progress.processed += batch.length;
+      progress.total = Math.max(progress.total, progress.processed);
+
+      await VectorIndexRepository.save(progress.businessId, {
+        lastRowId: progress.lastRowId,
+        processed: progress.processed,
+        total: progress.total,
+        failedKnowledgeIds: progress.failed,
+      });
+      this.reportProgress(progress, onProgress);
+
+      batch = await KnowledgeRepository.findBatchAfter(
+        progress.businessId,
+        progress.lastRowId,
+        batchSize
+      );
+    }
+  }
+
+  /**
+   * Rebuild one entry's vectors from its stored content
+   * @param {Object} entry - Knowledge entry
+   * @param {string} [namespace] - Defaults to the business's live (and building) namespaces
+   * @returns {Promise<boolean>} False if the entry's text couldn't be found
+   */
+  async reindexEntry(entry, namespace) {
+    // Entries from before content was stored are recovered from the live namespace
+    const content = entry.content || (await knowledgeService.recoverContent(entry));
+    if (!content) {
+      logger.warn(`[REINDEX] No content for ${entry.knowledgeId}, skipping`);
+      return false;
+    }
+
+    await vectorService.storeDocument(
+      {
+        businessId: entry.businessId,
+        businessName: entry.businessName,
+        filename: entry.type === 'text' ? `text_${entry.knowledgeId}` : entry.filename,
+        content,
+        metadata: { ...entry.metadata, knowledgeId: entry.knowledgeId },
+      },
+      { namespace }
+    );
+    return true;
+  }
+
+  async swap(progress, activeNamespace) {
+    await VectorIndexRepository.save(progress.businessId, {
+      activeNamespace: progress.namespace,
+      buildingNamespace: null,
+      previousNamespace: activeNamespace,
+      status: 'completed',
+      embeddingModel: vectorService.embeddingModel,
+      error: null,
+      completedAt: new Date().toISOString(),
+    });
+    vectorService.invalidateIndexState(progress.businessId);
+
+    // Cached answers and search results came from the old namespace
+    cache.clearBusinessCaches(progress.businessId);
+    logger.info(`[REINDEX] ${progress.businessId} now served from ${progress.namespace}`);
+  }
+
+  async abandonBuild(progress) {
+    const message = `${progress.failed.length} entries have no content to re-index; the current index was kept`;
+
+    await vectorService.deleteBusinessNamespace(progress.businessId, progress.namespace);
+    await VectorIndexRepository.save(progress.businessId, {
+      buildingNamespace: null,
+      status: 'failed',
+      failedKnowledgeIds: progress.failed,
+      error: message,
+    });
+    vectorService.invalidateIndexState(progress.businessId);
+
+    progress.status = 'failed';
+    logger.warn(`[REINDEX] ${progress.businessId}: ${message}`);
+    return {
+      success: false,
+      businessId: progress.businessId,
+      message,
+      processed: progress.processed,
+      failed: progress.failed,
+    };
+  }
+
+  /**
+   * Delete the old namespace once every process has stopped querying it
+   */
+  scheduleRetirement(businessId, namespace, activeNamespace) {
+    const retirement = sleep(this.config.retireDelayMs)
+      .then(() => this.retireNamespace(businessId, namespace, activeNamespace))
+      .catch(error => {
+        // Left in previousNamespace, so the next re-index retries the cleanup
+        logger.error(`[REINDEX] Failed to delete old namespace for ${businessId}:`, error);
+      })
+      .finally(() => this.pendingRetirements.delete(retirement));
+
+    this.pendingRetirements.add(retirement);
+  }
+
+  /**
+   * Resolves once every scheduled old-namespace deletion has run (for the CLI)
+   */
+  async waitForRetirements() {
+    await Promise.all(Array.from(this.pendingRetirements));
+  }
+
+  async retireNamespace(businessId, namespace, activeNamespace) {
+    if (namespace !== activeNamespace) {
+      await vectorService.deleteBusinessNamespace(businessId, namespace);
+    }
+    await VectorIndexRepository.save(businessId, { previousNamespace: null });
+    vectorService.invalidateIndexState(businessId);
+  }
+
+  reportProgress(progress, onProgress) {
+    const report = {
+      businessId: progress.businessId,
+      namespace: progress.namespace,
+      status: progress.status,
+      processed: progress.processed,
+      total: progress.total,
+      failed: progress.failed.length,
+    };
+
+    logger.info(
+      `[REINDEX] ${report.businessId}: ${report.processed}/${report.total} entries (${report.status})`
+    );
+    if (onProgress) {
+      onProgress(report);
+    }
+  }
+
+  /**
+   * Re-index one business, or every active business one after another
+   * @param {Object} [options] - reindexBusiness options plus an optional businessId
+   * @returns {Promise<Object[]>} One outcome per business
+   */
+  async reindexAll({ businessId, ...options } = {}) {
+    let businessIds;
+
+    if (businessId) {
+      const business = await BusinessRepository.findByBusinessId(businessId);
+      if (!business) {
+        return [{ success: false, businessId, message: `Business ${businessId} not found` }];
+      }
+      businessIds = [businessId];
+    } else {
+      const businesses = await BusinessRepository.getActiveBusinesses();
+      businessIds = businesses.map(business => business.businessId);
+    }
+
+    logger.info(`[REINDEX] Re-indexing ${businessIds.length} business(es)`);
+
+    const results = [];
+    for (const id of businessIds) {
+      results.push(await this.reindexBusiness(id, options));
+    }
+    return results;
+  }
+
+  /**
+   * Run reindexAll in the background (admin API); progress is kept on the job
+   */
+  startJob(options = {}) {
+    if (this.currentJob && this.currentJob.status === 'running') {
+      return {
+        success: false,
+        message: `Re-index job ${this.currentJob.id} is already running`,
+      };
+    }
+
+    const job = {
+      id: `reindex_${Date.now()}`,
+      status: 'running',
+      businessId: options.businessId || null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: {},
+      results: [],
+    };
+    this.currentJob = job;
+
+    this.reindexAll({
+      ...options,
+      onProgress: report => {
+        job.progress[report.businessId] = report;
+      },
+    })
+      .then(results => {
+        job.results = results;
+        job.status = results.every(result => result.success) ? 'completed' : 'failed';
+      })
+      .catch(error => {
+        logger.error(`[REINDEX] Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return { success: true, job };
+  }
+
+  getCurrentJob() {
+    return this.currentJob;
+  }
+
+  /**
+   * Stored index state for one business or all re-indexed businesses
+   */
+  async getStatus(businessId = null) {
+    if (businessId) {
+      const state = await VectorIndexRepository.findByBusinessId(businessId);
+      return state ? [state] : [];
+    }
+    return VectorIndexRepository.findAll();
+  }
+}
+
+module.exports = new ReindexService();
@@ -3,10 +3,16 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
+const https = require('https');
 const twilio = require('twilio');
 const logger = require('../utils/logger');
 const rateLimiter = require('../utils/rateLimiter');
 const RetryManager = require('../utils/retry');
+const scheduler = require('../utils/scheduler');
+const BusinessRepository = require('../repositories/BusinessRepository');
+
+// MediaUrlN values point at api.twilio.com (or a regional *.twilio.com edge)
+const TWILIO_MEDIA_HOST = /^([a-z0-9-]+\.)*twilio\.com$/;
 
 class TwilioWhatsAppService {
   constructor() {
@@ -34,6 +40,10 @@ class TwilioWhatsAppService {
       await this.testConnection();
 
       this.isInitialized = true;
+
+      // Restore WhatsApp number -> business routing persisted in the database
+      await this.loadRegisteredBusinesses();
+
       logger.success('[TWILIO] Twilio WhatsApp service initialized successfully');
     } catch (error) {
       logger.error('[TWILIO] Failed to initialize Twilio service:', error);
@@ -68,9 +78,7 @@ class TwilioWhatsAppService {
       );
 
       // Validate WhatsApp number format
-      if (!whatsappNumber.startsWith('whatsapp:+')) {
-        whatsappNumber = `whatsapp:${whatsappNumber}`;
-      }
+      whatsappNumber = this.normalizeWhatsAppNumber(whatsappNumber);
 
       const businessData = {
         businessId,
@@ -93,6 +101,96 @@ class TwilioWhatsAppService {
     }
   }
 
+  async loadRegisteredBusinesses() {
+    try {
+      logger.info('[TWILIO] Loading WhatsApp number routing from database...');
+
+      await this.refreshRouting();
+
+      logger.success(`[TWILIO] Loaded routing for ${this.businesses.size} business(es)`);
+      return { success: true, count: this.businesses.size };
+    } catch (error) {
+      // Routing falls back to per-message database lookups in resolveBusiness()
+      logger.warn('[TWILIO] Failed to load WhatsApp number routing:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async refreshRouting() {
+    const businesses = (await BusinessRepository.getRoutableBusinesses()) || [];
+    this.businesses.clear();
+
+    for (const business of businesses) {
+      this.cacheBusiness(business);
+    }
+  }
+
+  /**
+   * Reload routing every minute on every instance, so the fallback used during a database
+   * outage stays close to what other instances have changed
+   */
+  scheduleRoutingRefresh() {
+    scheduler.schedule('routing-refresh', '* * * * *', () => this.refreshRouting(), {
+      singleRunner: false,
+    });
+  }
+
+  unregisterBusiness(whatsappNumber) {
+    if (!whatsappNumber) {
+      return false;
+    }
+
+    const removed = this.businesses.delete(this.normalizeWhatsAppNumber(whatsappNumber));
+    if (removed) {
+      logger.info(`[TWILIO] Unregistered WhatsApp number ${whatsappNumber}`);
+    }
+    return removed;
+  }
+
+  /**
+   * The business a message to this number is for. The database decides, so suspensions,
+   * deletions and number changes made through another instance apply straight away; the
+   * routing cache is only used while the database can't be reached.
+   */
+  async resolveBusiness(whatsappNumber) {
+    const normalized = this.normalizeWhatsAppNumber(whatsappNumber);
+
+    try {
+      const business = await BusinessRepository.findByWhatsAppNumber(normalized);
+      if (!business) {
+        this.businesses.delete(normalized);
+        return null;
+      }
+      return this.cacheBusiness(business);
+    } catch (error) {
+      logger.error(`[TWILIO] Error resolving business for ${whatsappNumber}:`, error);
+      return this.getBusinessByWhatsAppNumber(normalized) || null;
+    }
+  }
+
+  cacheBusiness(business) {
+    const whatsappNumber = this.normalizeWhatsAppNumber(business.whatsappNumber);
+    const businessData = {
+      businessId: business.businessId,
+      businessName: business.businessName,
+      whatsappNumber,
+      ownerPhone: business.ownerPhone,
+      registeredAt: business.registeredAt,
+      status: business.status || 'active',
+      metadata: business.metadata || {},
+    };
+
+    this.businesses.set(whatsappNumber, businessData);
+    return businessData;
+  }
+
+  normalizeWhatsAppNumber(whatsappNumber) {
+    if (!whatsappNumber.startsWith('whatsapp:+')) {
+      return `whatsapp:${whatsappNumber}`;
+    }
+    return whatsappNumber;
+  }
+
   async sendMessage(to, message, fromNumber = null) {
     try {
       if (!this.isInitialized) {
@@ -175,13 +273,128 @@ class TwilioWhatsAppService {
     }
   }
 
-  getBusinessByWhatsAppNumber(whatsappNumber) {
-    // Normalize the number format
-    if (!whatsappNumber.startsWith('whatsapp:+')) {
-      whatsappNumber = `whatsapp:${whatsappNumber}`;
+  /**
+   * Whether a URL is safe to send the account credentials to: https on a Twilio host
+   */
+  isTwilioMediaUrl(mediaUrl) {
+    try {
+      const url = new URL(mediaUrl);
+      return url.protocol === 'https:' && TWILIO_MEDIA_HOST.test(url.hostname);
+    } catch (error) {
+      return false;
     }
+  }
+
+  downloadMedia(mediaUrl, options = {}) {
+    const { maxBytes = 10 * 1024 * 1024, maxRedirects = 3, timeoutMs = 30000 } = options;
 
-    return this.businesses.get(whatsappNumber);
+    if (!this.isTwilioMediaUrl(mediaUrl)) {
+      logger.warn(`[TWILIO] Refusing to download media from ${mediaUrl}`);
+      return Promise.reject(new Error('Media URL is not a Twilio https media URL'));
+    }
+
+    logger.debug(`[TWILIO] Downloading media: ${mediaUrl}`);
+
+    return RetryManager.withRetry(
+      () => {
+        return this.fetchMedia(mediaUrl, { maxBytes, maxRedirects, timeoutMs });
+      },
+      {
+        maxAttempts: 3,
+        delayMs: 1000,
+        retryCondition: RetryManager.isRetryableError,
+        operationName: 'twilioDownloadMedia',
+      }
+    );
+  }
+
+  fetchMedia(mediaUrl, { maxBytes, maxRedirects, timeoutMs }, withAuth = true) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(mediaUrl);
+      const headers = {};
+
+      if (url.protocol !== 'https:') {
+        reject(new Error('Media can only be downloaded over https'));
+        return;
+      }
+
+      // Twilio media URLs require account credentials; redirect targets (S3) must not get them
+      if (withAuth && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+        const credentials = `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      }
+
+      const request = https.get(url, { headers, timeout: timeoutMs }, response => {
+        const { statusCode } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+          response.resume();
+          if (maxRedirects <= 0) {
+            reject(new Error('Too many redirects while downloading media'));
+            return;
+          }
+          const nextUrl = new URL(response.headers.location, url);
+          const sameHost = nextUrl.host === url.host;
+          this.fetchMedia(
+            nextUrl.toString(),
+            { maxBytes, maxRedirects: maxRedirects - 1, timeoutMs },
+            withAuth && sameHost
+          ).then(resolve, reject);
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          const error = new Error(`Media download failed with status ${statusCode}`);
+          error.status = statusCode;
+          reject(error);
+          return;
+        }
+
+        const declaredLength = parseInt(response.headers['content-length'] || '0', 10);
+        if (declaredLength > maxBytes) {
+          response.destroy();
+          reject(new Error(`Media exceeds maximum size of ${maxBytes} bytes`));
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+
+        response.on('data', chunk => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            response.destroy();
+            reject(new Error(`Media exceeds maximum size of ${maxBytes} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+
+        response.on('end', () => {
+          resolve({
+            buffer: Buffer.concat(chunks),
+            contentType: response.headers['content-type'] || null,
+            size: received,
+          });
+        });
+
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => {
+        const error = new Error('Media download timed out');
+        error.code = 'ETIMEDOUT';
+        request.destroy(error);
+      });
+
+      request.on('error', reject);
+    });
+  }
+
+  getBusinessByWhatsAppNumber(whatsappNumber) {
+    // Normalize the number format
+    return this.businesses.get(this.normalizeWhatsAppNumber(whatsappNumber));
   }
 
   getBusinessByOwnerPhone(ownerPhone) {
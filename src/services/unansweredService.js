@@ -0,0 +1,169 @@
+/**
+ * Unanswered Question Inbox Service
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const UnansweredQuestionRepository = require('../repositories/UnansweredQuestionRepository');
+const knowledgeService = require('./knowledgeService');
+
+class UnansweredService {
+  constructor() {
+    const unansweredConfig = config.get('unanswered');
+    this.config = {
+      lowConfidence: unansweredConfig.lowConfidence,
+      customerHashSalt: unansweredConfig.customerHashSalt || '',
+      listLimit: unansweredConfig.listLimit,
+    };
+
+    // businessId -> groups from the last !unanswered, so !answer numbers stay stable
+    this.lastListings = new Map();
+  }
+
+  /**
+   * Why an answer belongs in the inbox, or null if it doesn't
+   * @param {Object} answer - Result of aiService.generateResponse with includeSources
+   * @param {boolean} [unanswerable] - The response text admits it couldn't answer
+   * @returns {'fallback'|'unanswered'|'low_confidence'|null}
+   */
+  getReason(answer, unanswerable = false) {
+    if (answer.fallback) {
+      return 'fallback';
+    }
+    if (unanswerable) {
+      return 'unanswered';
+    }
+    if (typeof answer.confidence === 'number' && answer.confidence < this.config.lowConfidence) {
+      return 'low_confidence';
+    }
+    return null;
+  }
+
+  normalizeQuestion(question) {
+    return question
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Stable per-business customer reference that doesn't reveal the phone number
+   */
+  anonymizeCustomer(businessId, customerPhone) {
+    return crypto
+      .createHash('sha256')
+      .update(`${this.config.customerHashSalt}:${businessId}:${customerPhone}`)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  async recordQuestion(businessId, customerPhone, question, answer, reason) {
+    try {
+      const record = await UnansweredQuestionRepository.create({
+        businessId,
+        question,
+        normalizedQuestion: this.normalizeQuestion(question),
+        customerHash: this.anonymizeCustomer(businessId, customerPhone),
+        reason,
+        confidence: typeof answer.confidence === 'number' ? answer.confidence : null,
+      });
+      logger.info(`[UNANSWERED] Recorded ${reason} question for business ${businessId}`);
+      return record;
+    } catch (error) {
+      logger.error(`[UNANSWERED] Error recording question for ${businessId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Open questions grouped by wording, most frequently asked first
+   * @returns {Promise<Array<{question: string, normalizedQuestion: string, count: number, customers: number, lastAskedAt: string}>>}
+   */
+  async getTopQuestions(businessId, limit = this.config.listLimit) {
+    const questions = await UnansweredQuestionRepository.findOpenByBusinessId(businessId);
+    const groups = new Map();
+
+    // Rows arrive newest first, so the first wording seen is the latest one
+    for (const row of questions) {
+      const group = groups.get(row.normalizedQuestion);
+      if (group) {
+        group.count++;
+        group.customerHashes.add(row.customerHash);
+      } else {
+        groups.set(row.normalizedQuestion, {
+          question: row.question,
+          normalizedQuestion: row.normalizedQuestion,
+          count: 1,
+          customerHashes: new Set([row.customerHash]),
+          lastAskedAt: row.askedAt,
+        });
+      }
+    }
+
+    const topQuestions = Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || new Date(b.lastAskedAt) - new Date(a.lastAskedAt))
+      .slice(0, limit)
+      .map(({ customerHashes, ...group }) => ({ ...group, customers: customerHashes.size }));
+
+    this.lastListings.set(businessId, topQuestions);
+    return topQuestions;
+  }
+
+  /**
+   * Turn a listed question into a text knowledge entry and close it
+   * @param {Object} business - Business record
+   * @param {number} position - 1-based position from the last getTopQuestions listing
+   * @param {string} answerText - Owner's answer
+   */
+  async answerQuestion(business, position, answerText) {
+    try {
+      const listing =
+        this.lastListings.get(business.businessId) ||
+        (await this.getTopQuestions(business.businessId));
+      const entry = listing[position - 1];
+
+      if (!entry) {
+        return { success: false, message: `No unanswered question #${position}` };
+      }
+
+      const result = await knowledgeService.addTextKnowledge(
+        business.businessId,
+        business.businessName,
+        `Q: ${entry.question}\nA: ${answerText}`,
+        { answeredQuestion: entry.question }
+      );
+      if (!result.success) {
+        return result;
+      }
+
+      const closedCount = await UnansweredQuestionRepository.markAnswered(
+        business.businessId,
+        entry.normalizedQuestion,
+        result.knowledgeId
+      );
+      this.lastListings.delete(business.businessId);
+
+      // Cached low-confidence answers would otherwise keep being served
+      cache.clearBusinessCaches(business.businessId);
+
+      logger.info(
+        `[UNANSWERED] Answered "${entry.question}" for ${business.businessId} as ${result.knowledgeId}`
+      );
+      return {
+        success: true,
+        knowledgeId: result.knowledgeId,
+        question: entry.question,
+        closedCount,
+      };
+    } catch (error) {
+      logger.error(`[UNANSWERED] Error answering question for ${business.businessId}:`, error);
+      return { success: false, message: 'Failed to answer question' };
+    }
+  }
+}
+
+module.exports = new UnansweredService();
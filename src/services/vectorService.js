@@ -3,52 +3,75 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
-const { Pinecone } = require('@pinecone-database/pinecone');
 const { OpenAI } = require('openai');
+const config = require('../../config');
 const logger = require('../utils/logger');
 const RetryManager = require('../utils/retry');
 const cache = require('../utils/cache');
+const VectorIndexRepository = require('../repositories/VectorIndexRepository');
+const { createVectorStore, VectorStore } = require('./vectorStores');
+
+const { DEFAULT_NAMESPACE } = VectorStore;
+const UPSERT_BATCH_SIZE = 100;
+const EMBEDDING_BATCH_SIZE = 100; // Texts per embeddings request
+
+// Vector filename of a knowledge entry's chunks; text entries have no file of their own
+function knowledgeFilename(entry) {
+  return entry.type === 'text' ? `text_${entry.knowledgeId}` : entry.filename;
+}
 
 class VectorService {
   constructor() {
+    const vectorConfig = config.get('vector');
+    this.dimension = vectorConfig.dimension || 1536;
+    this.embeddingModel = vectorConfig.embeddingModel || 'text-embedding-3-small';
+
+    // businessId -> { state, loadedAt }; see getIndexState
+    this.indexStates = new Map();
+    this.indexStateTtlMs = (vectorConfig.reindex || {}).stateCacheTtlMs || 0;
+
+    // Embeddings are computed locally (deterministic hashing) when OpenAI isn't available
     this.isTestEnvironment =
       process.env.NODE_ENV === 'test' ||
-      !process.env.PINECONE_API_KEY ||
-      process.env.PINECONE_API_KEY === 'test-key';
+      !process.env.OPENAI_API_KEY ||
+      process.env.OPENAI_API_KEY === 'test-key';
 
     if (this.isTestEnvironment) {
-      logger.info('[VECTOR] Running in test mode - vector operations will be mocked');
-      this.pinecone = null;
+      logger.info('[VECTOR] Running in test mode - embeddings will be generated locally');
       this.openai = null;
     } else {
-      this.pinecone = new Pinecone({
-        apiKey: process.env.PINECONE_API_KEY,
-      });
       this.openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY,
       });
     }
-    this.indexName = process.env.PINECONE_INDEX_NAME || 'small-business-kb';
+
+    this.store = createVectorStore(vectorConfig);
+    logger.info(`[VECTOR] Using ${this.store.name} vector store`);
   }
 
   async initialize() {
     try {
-      if (this.isTestEnvironment) {
-        logger.info('[VECTOR] Test mode - skipping real vector service initialization');
-        return;
-      }
-      this.index = this.pinecone.index(this.indexName);
-      logger.success('Vector service initialized successfully');
+      await this.store.initialize();
+      logger.success(`Vector service initialized successfully (${this.store.name})`);
     } catch (error) {
       logger.error('Failed to initialize vector service:', error);
     }
   }
 
+  async ensureInitialized() {
+    if (!this.store.initialized) {
+      await this.initialize();
+    }
+  }
+
+  isHealthy() {
+    return this.store.isHealthy();
+  }
+
   async generateEmbedding(text) {
-    // Return mock embedding in test mode
     if (this.isTestEnvironment) {
-      logger.debug(`[VECTOR] Test mode - returning mock embedding for ${text.length} characters`);
-      return new Array(1536).fill(0).map(() => Math.random() - 0.5);
+      logger.debug(`[VECTOR] Test mode - generating local embedding for ${text.length} characters`);
+      return this.generateLocalEmbedding(text);
     }
 
     // Check cache first
@@ -62,7 +85,7 @@ class VectorService {
       async () => {
         logger.debug(`[VECTOR] Generating embedding for ${text.length} characters`);
         const response = await this.openai.embeddings.create({
-          model: 'text-embedding-3-small',
+          model: this.embeddingModel,
           input: text,
         });
         logger.debug(
@@ -83,80 +106,216 @@ class VectorService {
     return embedding;
   }
 
-  async storeDocument({ businessId, businessName, filename, content, metadata }) {
+  /**
+   * Embed several texts with as few embeddings requests as possible
+   * @returns {Promise<number[][]>} One embedding per text, in the same order
+   */
+  async generateEmbeddings(texts) {
+    if (this.isTestEnvironment) {
+      return texts.map(text => this.generateLocalEmbedding(text));
+    }
+
+    const embeddings = texts.map(text => cache.getCachedEmbedding(text) || null);
+    const missing = [];
+    embeddings.forEach((embedding, index) => {
+      if (!embedding) {
+        missing.push(index);
+      }
+    });
+
+    for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const response = await RetryManager.withRetry(
+        () => {
+          logger.debug(`[VECTOR] Generating ${batch.length} embeddings in one request`);
+          return this.openai.embeddings.create({
+            model: this.embeddingModel,
+            input: batch.map(index => texts[index]),
+          });
+        },
+        {
+          maxAttempts: 3,
+          delayMs: 1000,
+          retryCondition: RetryManager.isRetryableError,
+          operationName: 'generateEmbeddings',
+        }
+      );
+
+      for (const item of response.data) {
+        const index = batch[item.index];
+        embeddings[index] = item.embedding;
+        cache.cacheEmbedding(texts[index], item.embedding);
+      }
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Deterministic bag-of-words embedding (feature hashing), so offline runs
+   * rank documents that share words with the query above those that don't
+   */
+  generateLocalEmbedding(text) {
+    const embedding = new Array(this.dimension).fill(0);
+    const words = (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => word.length > 1);
+
+    for (const word of words) {
+      // FNV-1a hash
+      let hash = 2166136261;
+      for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 16777619) >>> 0;
+      }
+      embedding[hash % this.dimension] += 1;
+    }
+
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? embedding : embedding.map(value => value / norm);
+  }
+
+  /**
+   * Namespace a business is served from and, while a re-index is running, the
+   * namespace being built. Cached for `vector.reindex.stateCacheTtlMs`.
+   * @returns {Promise<{namespace: string, buildingNamespace: string|null, previousNamespace: string|null}>}
+   */
+  async getIndexState(businessId) {
+    const cached = this.indexStates.get(businessId);
+    if (cached && Date.now() - cached.loadedAt < this.indexStateTtlMs) {
+      return cached.state;
+    }
+
+    try {
+      const stored = await VectorIndexRepository.findByBusinessId(businessId);
+      const state = {
+        namespace: (stored && stored.activeNamespace) || DEFAULT_NAMESPACE,
+        buildingNamespace:
+          stored && stored.status === 'building' ? stored.buildingNamespace || null : null,
+        previousNamespace: (stored && stored.previousNamespace) || null,
+      };
+      this.indexStates.set(businessId, { state, loadedAt: Date.now() });
+      return state;
+    } catch (error) {
+      // Keep answering from the last known namespace rather than failing the query
+      logger.warn(
+        `[VECTOR] Could not load index state for ${businessId}, using ${cached ? 'cached' : 'default'} namespace: ${error.message}`
+      );
+      return cached
+        ? cached.state
+        : { namespace: DEFAULT_NAMESPACE, buildingNamespace: null, previousNamespace: null };
+    }
+  }
+
+  invalidateIndexState(businessId) {
+    this.indexStates.delete(businessId);
+  }
+
+  /**
+   * New knowledge goes to the live namespace and to any namespace being rebuilt,
+   * so entries added during a re-index aren't lost at the swap
+   */
+  async getWriteNamespaces(businessId) {
+    const { namespace, buildingNamespace } = await this.getIndexState(businessId);
+    return buildingNamespace && buildingNamespace !== namespace
+      ? [namespace, buildingNamespace]
+      : [namespace];
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Write only to this namespace (used by re-indexing)
+   * @returns {Promise<string[]>} IDs of the stored chunks
+   */
+  async storeDocument(document, options = {}) {
+    const { businessId, businessName, filename, content } = document;
     try {
       logger.info(
         `[VECTOR] Storing document: ${filename} for business ${businessId} (${businessName})`
       );
       logger.debug(`[VECTOR] Document content: ${content.length} characters`);
 
-      if (this.isTestEnvironment) {
-        logger.info(`[VECTOR] Test mode - simulating document storage for ${filename}`);
-        return;
-      }
+      const [ids] = await this.storeDocuments([document], options);
+      logger.success(`[VECTOR] Successfully stored ${ids.length} chunks for ${filename}`);
+      return ids;
+    } catch (error) {
+      logger.error(`[VECTOR] Error storing document ${filename}:`, error);
+      throw error;
+    }
+  }
 
-      if (!this.index) {
-        await this.initialize();
-      }
+  /**
+   * Store several documents of one business, embedding all their chunks in batched
+   * requests and upserting them together
+   * @param {Array<{businessId, businessName, filename, content, metadata}>} documents
+   * @param {Object} [options]
+   * @param {string} [options.namespace] - Write only here instead of the business's write namespaces
+   * @returns {Promise<string[][]>} Each document's chunk IDs
+   */
+  async storeDocuments(documents, options = {}) {
+    if (documents.length === 0) {
+      return [];
+    }
 
-      const chunks = this.chunkText(content, 1000);
-      logger.info(`[VECTOR] Split document into ${chunks.length} chunks`);
+    await this.ensureInitialized();
 
-      const vectors = [];
+    const { businessId } = documents[0];
+    const chunked = documents.map(document => this.chunkText(document.content, 1000));
+    const embeddings = await this.generateEmbeddings(chunked.flat());
+    logger.info(
+      `[VECTOR] Embedded ${embeddings.length} chunks from ${documents.length} document(s)`
+    );
 
-      for (let i = 0; i < chunks.length; i++) {
-        logger.debug(
-          `[VECTOR] Processing chunk ${i + 1}/${chunks.length} (${chunks[i].length} chars)`
-        );
-        const embedding = await this.generateEmbedding(chunks[i]);
+    const vectors = [];
+    let next = 0;
+    const ids = documents.map(({ businessName, filename, metadata }, documentIndex) =>
+      chunked[documentIndex].map((chunk, i) => {
+        const id = `${businessId}-${filename}-${i}`;
         vectors.push({
-          id: `${businessId}-${filename}-${i}`,
-          values: embedding,
+          id,
+          values: embeddings[next++],
           metadata: {
             businessId,
             businessName,
             filename,
-            content: chunks[i],
+            content: chunk,
             chunkIndex: i,
             ...metadata,
           },
         });
-      }
+        return id;
+      })
+    );
 
-      logger.info(`[VECTOR] Upserting ${vectors.length} vectors to Pinecone index`);
-      await RetryManager.withRetry(
-        async () => {
-          return await this.index.upsert(vectors);
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 2000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeUpsert',
-        }
+    const namespaces =
+      options.namespace !== undefined
+        ? [options.namespace]
+        : await this.getWriteNamespaces(businessId);
+
+    for (const namespace of namespaces) {
+      logger.info(
+        `[VECTOR] Upserting ${vectors.length} vectors to ${this.store.name} store${namespace ? ` (namespace ${namespace})` : ''}`
       );
-      logger.success(`[VECTOR] Successfully stored ${vectors.length} chunks for ${filename}`);
-    } catch (error) {
-      logger.error(`[VECTOR] Error storing document ${filename}:`, error);
-      throw error;
+      for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+        await RetryManager.withRetry(
+          () => {
+            return this.store.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE), namespace);
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 2000,
+            retryCondition: RetryManager.isRetryableError,
+            operationName: 'vectorUpsert',
+          }
+        );
+      }
     }
+
+    return ids;
   }
 
   async searchSimilar(query, businessId, topK = 5) {
     try {
       logger.info(`[VECTOR] Searching for "${query}" in business ${businessId} (top ${topK})`);
 
-      if (this.isTestEnvironment) {
-        logger.info(`[VECTOR] Test mode - returning mock search results for "${query}"`);
-        return [
-          {
-            content: `Mock search result for query: ${query}`,
-            score: 0.85,
-            filename: 'test-document.txt',
-          },
-        ];
-      }
-
       // Check cache first
       const cachedResults = cache.getCachedSearchResults(businessId, query);
       if (cachedResults) {
@@ -164,35 +323,36 @@ class VectorService {
         return cachedResults;
       }
 
-      if (!this.index) {
-        await this.initialize();
-      }
+      await this.ensureInitialized();
 
       logger.debug(`[VECTOR] Generating query embedding for: "${query.substring(0, 50)}..."`);
       const queryEmbedding = await this.generateEmbedding(query);
+      const { namespace } = await this.getIndexState(businessId);
 
-      logger.debug(`[VECTOR] Querying Pinecone index with filter: businessId=${businessId}`);
-      const searchResponse = await RetryManager.withRetry(
-        async () => {
-          return await this.index.query({
+      logger.debug(
+        `[VECTOR] Querying ${this.store.name} store with filter: businessId=${businessId}`
+      );
+      const matches = await RetryManager.withRetry(
+        () => {
+          return this.store.query({
             vector: queryEmbedding,
             topK,
             filter: { businessId },
-            includeMetadata: true,
+            namespace,
           });
         },
         {
           maxAttempts: 3,
           delayMs: 1000,
           retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeQuery',
+          operationName: 'vectorQuery',
         }
       );
 
-      logger.info(`[VECTOR] Found ${searchResponse.matches.length} similar documents`);
+      logger.info(`[VECTOR] Found ${matches.length} similar documents`);
 
-      if (searchResponse.matches.length > 0) {
-        searchResponse.matches.forEach((match, i) => {
+      if (matches.length > 0) {
+        matches.forEach((match, i) => {
           logger.debug(
             `[VECTOR] Match ${i + 1}: Score=${match.score.toFixed(3)}, File=${match.metadata.filename}, Content="${match.metadata.content?.substring(0, 100)}..."`
           );
@@ -201,10 +361,11 @@ class VectorService {
         logger.warn(`[VECTOR] No matching documents found for business ${businessId}`);
       }
 
-      const results = searchResponse.matches.map(match => ({
+      const results = matches.map(match => ({
         content: match.metadata.content,
         score: match.score,
         filename: match.metadata.filename,
+        knowledgeId: match.metadata.knowledgeId || null,
       }));
 
       // Cache the results
@@ -220,28 +381,16 @@ class VectorService {
     try {
       logger.info(`[VECTOR] Fetching all documents for business ${businessId}`);
 
-      if (this.isTestEnvironment) {
-        logger.info(`[VECTOR] Test mode - returning mock documents for business ${businessId}`);
-        return ['test-document.txt', 'sample-file.pdf'];
-      }
+      await this.ensureInitialized();
 
-      if (!this.index) {
-        await this.initialize();
-      }
-
-      const response = await this.index.query({
-        vector: new Array(1536).fill(0),
-        topK: 1000,
-        filter: { businessId },
-        includeMetadata: true,
-      });
-
-      logger.debug(`[VECTOR] Retrieved ${response.matches.length} document chunks`);
+      const { namespace } = await this.getIndexState(businessId);
+      const chunks = await this.store.listByFilter({ businessId }, namespace);
+      logger.debug(`[VECTOR] Retrieved ${chunks.length} document chunks`);
 
       const uniqueFiles = new Set();
-      response.matches.forEach(match => {
-        if (match.metadata.filename) {
-          uniqueFiles.add(match.metadata.filename);
+      chunks.forEach(chunk => {
+        if (chunk.metadata.filename) {
+          uniqueFiles.add(chunk.metadata.filename);
         }
       });
 
@@ -253,156 +402,183 @@ class VectorService {
     }
   }
 
-  async deleteDocument(businessId, filename) {
-    try {
-      logger.info(`[VECTOR] Deleting document: ${filename} for business ${businessId}`);
+  /**
+   * Rebuild a knowledge entry's text from its stored chunks, for entries
+   * created before full content was kept in the database
+   * @param {Object} entry - Knowledge entry ({knowledgeId, businessId, type, filename})
+   * @returns {Promise<string|null>} Joined chunk text, or null if no chunks were found
+   */
+  async recoverContent(entry) {
+    await this.ensureInitialized();
+
+    const { namespace } = await this.getIndexState(entry.businessId);
+    const chunks = await this.listKnowledgeChunks(entry, namespace);
+
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    return chunks
+      .sort((a, b) => (a.metadata.chunkIndex || 0) - (b.metadata.chunkIndex || 0))
+      .map(chunk => chunk.metadata.content || '')
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Stored chunks of a knowledge entry in one namespace
+   */
+  async listKnowledgeChunks(entry, namespace) {
+    const chunks = await this.store.listByFilter({ knowledgeId: entry.knowledgeId }, namespace);
+    if (chunks.length > 0) {
+      return chunks;
+    }
+
+    // Older chunks don't carry knowledgeId; documents are matched by filename,
+    // so two uploads with the same name can't be told apart
+    const filename = knowledgeFilename(entry);
+    return filename
+      ? await this.store.listByFilter({ businessId: entry.businessId, filename }, namespace)
+      : [];
+  }
+
+  /**
+   * Re-embed an edited knowledge entry in every namespace it is written to. The new
+   * chunks are stored first, so the entry stays searchable if anything fails; chunks
+   * the new text no longer has are removed afterwards.
+   * @param {Object} entry - Knowledge entry ({knowledgeId, businessId, businessName, type, filename})
+   * @param {string} content - The new full text
+   * @param {Object} [metadata] - Stored with every chunk
+   * @returns {Promise<{storedCount: number, deletedCount: number}>}
+   */
+  async replaceKnowledgeVectors(entry, content, metadata = {}) {
+    await this.ensureInitialized();
+
+    const previous = new Map(); // namespace -> chunk IDs
+    for (const namespace of await this.getWriteNamespaces(entry.businessId)) {
+      const chunks = await this.listKnowledgeChunks(entry, namespace);
+      previous.set(
+        namespace,
+        chunks.map(chunk => chunk.id)
+      );
+    }
 
-      if (this.isTestEnvironment) {
-        logger.info(`[VECTOR] Test mode - simulating document deletion for ${filename}`);
-        return { success: true, deletedCount: 3 };
+    const ids = await this.storeDocument({
+      businessId: entry.businessId,
+      businessName: entry.businessName,
+      filename: knowledgeFilename(entry),
+      content,
+      metadata: { ...metadata, knowledgeId: entry.knowledgeId },
+    });
+
+    let deletedCount = 0;
+    for (const [namespace, previousIds] of previous) {
+      const stale = previousIds.filter(id => !ids.includes(id));
+      if (stale.length > 0) {
+        deletedCount += await RetryManager.withRetry(
+          () => {
+            return this.store.deleteByIds(stale, namespace);
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 2000,
+            retryCondition: RetryManager.isRetryableError,
+            operationName: 'vectorDeleteStaleChunks',
+          }
+        );
       }
+    }
+
+    logger.success(
+      `[VECTOR] Re-embedded ${entry.knowledgeId}: ${ids.length} chunks stored, ${deletedCount} stale chunks removed`
+    );
+    return { storedCount: ids.length, deletedCount };
+  }
 
-      if (!this.index) {
-        await this.initialize();
+  async deleteByFilter(filter, operationName, namespace = DEFAULT_NAMESPACE) {
+    await this.ensureInitialized();
+
+    return RetryManager.withRetry(
+      () => {
+        return this.store.deleteByFilter(filter, namespace);
+      },
+      {
+        maxAttempts: 3,
+        delayMs: 2000,
+        retryCondition: RetryManager.isRetryableError,
+        operationName,
       }
+    );
+  }
 
-      // Find all vector IDs that match the business and filename pattern
-      // Vector IDs are formatted as: ${businessId}-${filename}-${chunkIndex}
-      const vectorIds = [];
-
-      // Query to find matching vectors
-      const searchResponse = await RetryManager.withRetry(
-        async () => {
-          return await this.index.query({
-            vector: new Array(1536).fill(0), // Dummy vector for search
-            topK: 10000, // Large number to get all matches
-            filter: {
-              businessId,
-              filename,
-            },
-            includeMetadata: false, // We only need IDs
-          });
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 1000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeQueryForDelete',
-        }
-      );
+  async deleteDocument(businessId, filename) {
+    try {
+      logger.info(`[VECTOR] Deleting document: ${filename} for business ${businessId}`);
 
-      // Extract vector IDs
-      searchResponse.matches.forEach(match => {
-        vectorIds.push(match.id);
-      });
+      let deletedCount = 0;
+      for (const namespace of await this.getWriteNamespaces(businessId)) {
+        deletedCount += await this.deleteByFilter(
+          { businessId, filename },
+          'vectorDeleteDocument',
+          namespace
+        );
+      }
 
-      if (vectorIds.length === 0) {
+      if (deletedCount === 0) {
         logger.warn(
           `[VECTOR] No vectors found to delete for ${filename} in business ${businessId}`
         );
-        return { success: true, deletedCount: 0 };
+      } else {
+        logger.success(
+          `[VECTOR] Successfully deleted ${deletedCount} vector chunks for ${filename}`
+        );
       }
-
-      logger.info(`[VECTOR] Found ${vectorIds.length} vector chunks to delete for ${filename}`);
-
-      // Delete the vectors
-      await RetryManager.withRetry(
-        async () => {
-          return await this.index.deleteMany(vectorIds);
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 2000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeDelete',
-        }
-      );
-
-      logger.success(
-        `[VECTOR] Successfully deleted ${vectorIds.length} vector chunks for ${filename}`
-      );
-      return { success: true, deletedCount: vectorIds.length };
+      return { success: true, deletedCount };
     } catch (error) {
       logger.error(`[VECTOR] Error deleting document ${filename}:`, error);
       return { success: false, error: error.message };
     }
   }
 
-  async deleteByKnowledgeId(knowledgeId) {
+  /**
+   * @param {string} knowledgeId
+   * @param {string} [businessId] - Needed to find the business's re-indexed namespaces
+   */
+  async deleteByKnowledgeId(knowledgeId, businessId = null) {
     try {
       logger.info(`[VECTOR] Deleting vectors for knowledge ID: ${knowledgeId}`);
 
-      if (this.isTestEnvironment) {
-        logger.info(`[VECTOR] Test mode - simulating knowledge deletion for ${knowledgeId}`);
-        return { success: true, deletedCount: 2 };
-      }
-
-      if (!this.index) {
-        await this.initialize();
-      }
-
-      // Find all vector IDs that contain the knowledge ID
-      // For text knowledge: filename is `text_${knowledgeId}`
-      // For documents: we need to search by metadata or use a different approach
+      const namespaces = businessId
+        ? await this.getWriteNamespaces(businessId)
+        : [DEFAULT_NAMESPACE];
+      let deletedCount = 0;
 
-      const vectorIds = [];
-
-      // Query to find matching vectors by metadata or filename pattern
-      const searchResponse = await RetryManager.withRetry(
-        async () => {
-          return await this.index.query({
-            vector: new Array(1536).fill(0), // Dummy vector for search
-            topK: 10000, // Large number to get all matches
-            filter: {}, // No filter, we'll check metadata
-            includeMetadata: true,
-          });
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 1000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeQueryForKnowledgeDelete',
-        }
-      );
+      for (const namespace of namespaces) {
+        let namespaceCount = await this.deleteByFilter(
+          { knowledgeId },
+          'vectorDeleteKnowledge',
+          namespace
+        );
 
-      // Filter matches that contain our knowledge ID
-      searchResponse.matches.forEach(match => {
-        if (
-          match.id.includes(knowledgeId) ||
-          (match.metadata &&
-            match.metadata.filename &&
-            match.metadata.filename.includes(knowledgeId))
-        ) {
-          vectorIds.push(match.id);
+        // Entries stored before knowledgeId was kept in metadata are found by filename
+        if (namespaceCount === 0) {
+          namespaceCount = await this.deleteByFilter(
+            { filename: `text_${knowledgeId}` },
+            'vectorDeleteKnowledgeLegacy',
+            namespace
+          );
         }
-      });
+        deletedCount += namespaceCount;
+      }
 
-      if (vectorIds.length === 0) {
+      if (deletedCount === 0) {
         logger.warn(`[VECTOR] No vectors found to delete for knowledge ID ${knowledgeId}`);
-        return { success: true, deletedCount: 0 };
+      } else {
+        logger.success(
+          `[VECTOR] Successfully deleted ${deletedCount} vector chunks for knowledge ${knowledgeId}`
+        );
       }
-
-      logger.info(
-        `[VECTOR] Found ${vectorIds.length} vector chunks to delete for knowledge ${knowledgeId}`
-      );
-
-      // Delete the vectors
-      await RetryManager.withRetry(
-        async () => {
-          return await this.index.deleteMany(vectorIds);
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 2000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeDeleteKnowledge',
-        }
-      );
-
-      logger.success(
-        `[VECTOR] Successfully deleted ${vectorIds.length} vector chunks for knowledge ${knowledgeId}`
-      );
-      return { success: true, deletedCount: vectorIds.length };
+      return { success: true, deletedCount };
     } catch (error) {
       logger.error(`[VECTOR] Error deleting knowledge ${knowledgeId}:`, error);
       return { success: false, error: error.message };
@@ -413,33 +589,95 @@ class VectorService {
     try {
       logger.info(`[VECTOR] Deleting all vectors for business: ${businessId}`);
 
-      if (!this.index) {
-        await this.initialize();
+      const { namespace, buildingNamespace, previousNamespace } =
+        await this.getIndexState(businessId);
+      const namespaces = new Set([DEFAULT_NAMESPACE, namespace]);
+      [buildingNamespace, previousNamespace].filter(Boolean).forEach(ns => namespaces.add(ns));
+
+      let deletedCount = 0;
+      for (const ns of namespaces) {
+        deletedCount += await this.deleteByFilter({ businessId }, 'vectorDeleteAllBusiness', ns);
       }
+      this.invalidateIndexState(businessId);
 
-      // Delete all vectors for the business using filter
-      await RetryManager.withRetry(
-        async () => {
-          return await this.index.deleteMany({
-            filter: { businessId },
-          });
-        },
-        {
-          maxAttempts: 3,
-          delayMs: 2000,
-          retryCondition: RetryManager.isRetryableError,
-          operationName: 'pineconeDeleteAllBusiness',
-        }
+      logger.success(
+        `[VECTOR] Successfully deleted ${deletedCount} vectors for business ${businessId}`
       );
-
-      logger.success(`[VECTOR] Successfully deleted all vectors for business ${businessId}`);
-      return { success: true };
+      return { success: true, deletedCount };
     } catch (error) {
       logger.error(`[VECTOR] Error deleting all vectors for business ${businessId}:`, error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * A business's live vectors with their embeddings, for backups
+   * @returns {Promise<Array<{id: string, values: number[], metadata: Object}>>}
+   */
+  async exportBusinessVectors(businessId) {
+    await this.ensureInitialized();
+
+    const { namespace } = await this.getIndexState(businessId);
+    const vectors = await this.store.listByFilter({ businessId }, namespace, {
+      includeValues: true,
+    });
+
+    logger.info(`[VECTOR] Exported ${vectors.length} vectors for business ${businessId}`);
+    return vectors.map(({ id, values, metadata }) => ({ id, values, metadata }));
+  }
+
+  /**
+   * Write previously exported vectors back (backup restore). They must have been
+   * produced by the current embedding model.
+   * @returns {Promise<number>} Number of vectors imported
+   */
+  async importVectors(businessId, vectors) {
+    await this.ensureInitialized();
+
+    for (const namespace of await this.getWriteNamespaces(businessId)) {
+      for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+        await RetryManager.withRetry(
+          () => {
+            return this.store.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE), namespace);
+          },
+          {
+            maxAttempts: 3,
+            delayMs: 2000,
+            retryCondition: RetryManager.isRetryableError,
+            operationName: 'vectorImport',
+          }
+        );
+      }
+    }
+
+    logger.debug(`[VECTOR] Imported ${vectors.length} vectors for business ${businessId}`);
+    return vectors.length;
+  }
+
+  async countBusinessVectors(businessId) {
+    await this.ensureInitialized();
+
+    const { namespace } = await this.getIndexState(businessId);
+    const vectors = await this.store.listByFilter({ businessId }, namespace);
+    return vectors.length;
+  }
+
+  /**
+   * Drop one of a business's namespaces, e.g. the old index after a re-index swap
+   * @returns {Promise<number>} Number of vectors deleted
+   */
+  async deleteBusinessNamespace(businessId, namespace) {
+    const deletedCount = await this.deleteByFilter(
+      { businessId },
+      'vectorDeleteNamespace',
+      namespace
+    );
+    logger.info(
+      `[VECTOR] Deleted ${deletedCount} vectors in namespace "${namespace}" for business ${businessId}`
+    );
+    return deletedCount;
+  }
+
   chunkText(text, maxChunkSize) {
     const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
     const chunks = [];
@@ -0,0 +1,106 @@
+/**
+ * In-Process Vector Store (cosine similarity)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const VectorStore = require('./VectorStore');
+
+class MemoryVectorStore extends VectorStore {
+  constructor() {
+    super('memory');
+    this.vectors = new Map(); // id -> { id, values, metadata, norm }
+    this.namespaces = new Map([[VectorStore.DEFAULT_NAMESPACE, this.vectors]]);
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  upsert(vectors, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    const stored = this.getNamespace(namespace);
+    for (const vector of vectors) {
+      stored.set(vector.id, {
+        id: vector.id,
+        values: vector.values,
+        metadata: { ...vector.metadata },
+        norm: MemoryVectorStore.norm(vector.values),
+      });
+    }
+    return Promise.resolve();
+  }
+
+  query({ vector, topK, filter, namespace = VectorStore.DEFAULT_NAMESPACE }) {
+    const queryNorm = MemoryVectorStore.norm(vector);
+    const matches = [];
+
+    for (const stored of this.getNamespace(namespace).values()) {
+      if (!VectorStore.matchesFilter(stored.metadata, filter)) {
+        continue;
+      }
+
+      const denominator = queryNorm * stored.norm;
+      const score =
+        denominator === 0 ? 0 : MemoryVectorStore.dot(vector, stored.values) / denominator;
+      matches.push({ id: stored.id, score, metadata: { ...stored.metadata } });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return Promise.resolve(matches.slice(0, topK));
+  }
+
+  listByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE, options = {}) {
+    const results = [];
+    for (const stored of this.getNamespace(namespace).values()) {
+      if (VectorStore.matchesFilter(stored.metadata, filter)) {
+        const result = { id: stored.id, metadata: { ...stored.metadata } };
+        if (options.includeValues) {
+          result.values = [...stored.values];
+        }
+        results.push(result);
+      }
+    }
+    return Promise.resolve(results);
+  }
+
+  deleteByIds(ids, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    const stored = this.getNamespace(namespace);
+    let deletedCount = 0;
+    for (const id of ids) {
+      if (stored.delete(id)) {
+        deletedCount++;
+      }
+    }
+    return Promise.resolve(deletedCount);
+  }
+
+  async deleteByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    VectorStore.assertFilter(filter);
+    const matches = await this.listByFilter(filter, namespace);
+    return this.deleteByIds(
+      matches.map(match => match.id),
+      namespace
+    );
+  }
+
+  isHealthy() {
+    return true;
+  }
+
+  static dot(a, b) {
+    let sum = 0;
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+
+  static norm(values) {
+    return Math.sqrt(MemoryVectorStore.dot(values, values));
+  }
+}
+
+module.exports = MemoryVectorStore;
@@ -0,0 +1,138 @@
+/**
+ * Postgres pgvector Store (Supabase)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const database = require('../../config/database');
+const VectorStore = require('./VectorStore');
+
+const DELETE_BATCH_SIZE = 500;
+
+class PgVectorStore extends VectorStore {
+  constructor({ tableName, matchFunction }) {
+    super('pgvector');
+    this.tableName = tableName;
+    this.matchFunction = matchFunction;
+  }
+
+  async upsert(vectors, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    const rows = vectors.map(vector => this.mapToDatabase(vector, namespace));
+    const { error } = await database
+      .getClient()
+      .from(this.tableName)
+      .upsert(rows, { onConflict: 'namespace,id' });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  async query({ vector, topK, filter, namespace = VectorStore.DEFAULT_NAMESPACE }) {
+    // The match function searches one business through its indexed business_id column
+    // (see migrations/011_vector_search_by_business.sql); the rest of the filter is
+    // matched against metadata
+    const { businessId, ...metadataFilter } = filter || {};
+    if (!businessId) {
+      throw new Error('pgvector searches must be limited to a businessId');
+    }
+
+    const { data, error } = await database.getClient().rpc(this.matchFunction, {
+      query_embedding: vector,
+      match_business_id: businessId,
+      match_count: topK,
+      filter: metadataFilter,
+      match_namespace: namespace,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(row => ({
+      id: row.id,
+      score: row.similarity,
+      metadata: row.metadata || {},
+    }));
+  }
+
+  async listByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE, options = {}) {
+    const { data, error } = await database
+      .getClient()
+      .from(this.tableName)
+      .select(options.includeValues ? 'id, metadata, embedding' : 'id, metadata')
+      .eq('namespace', namespace)
+      .contains('metadata', filter || {});
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(row => {
+      const result = { id: row.id, metadata: row.metadata || {} };
+      if (options.includeValues) {
+        // PostgREST returns vector columns in their text form, e.g. "[0.1,0.2]"
+        result.values =
+          typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding;
+      }
+      return result;
+    });
+  }
+
+  async deleteByIds(ids, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    let deletedCount = 0;
+
+    for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+      const { count, error } = await database
+        .getClient()
+        .from(this.tableName)
+        .delete({ count: 'exact' })
+        .eq('namespace', namespace)
+        .in('id', ids.slice(i, i + DELETE_BATCH_SIZE));
+
+      if (error) {
+        throw error;
+      }
+      deletedCount += count || 0;
+    }
+
+    return deletedCount;
+  }
+
+  async deleteByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    VectorStore.assertFilter(filter);
+
+    const { count, error } = await database
+      .getClient()
+      .from(this.tableName)
+      .delete({ count: 'exact' })
+      .eq('namespace', namespace)
+      .contains('metadata', filter);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  isHealthy() {
+    return this.initialized && database.isHealthy();
+  }
+
+  mapToDatabase(vector, namespace) {
+    const metadata = vector.metadata || {};
+    return {
+      id: vector.id,
+      namespace,
+      business_id: metadata.businessId,
+      knowledge_id: metadata.knowledgeId || null,
+      filename: metadata.filename || null,
+      chunk_index: metadata.chunkIndex || 0,
+      content: metadata.content || null,
+      metadata,
+      embedding: vector.values,
+    };
+  }
+}
+
+module.exports = PgVectorStore;
@@ -0,0 +1,96 @@
+/**
+ * Pinecone Vector Store
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const { Pinecone } = require('@pinecone-database/pinecone');
+const VectorStore = require('./VectorStore');
+
+const DELETE_BATCH_SIZE = 1000;
+const LIST_TOP_K = 10000; // Pinecone's maximum topK
+
+class PineconeVectorStore extends VectorStore {
+  constructor({ apiKey, indexName, dimension }) {
+    super('pinecone');
+    this.pinecone = new Pinecone({ apiKey });
+    this.indexName = indexName;
+    this.dimension = dimension;
+    this.index = null;
+  }
+
+  initialize() {
+    this.index = this.pinecone.index(this.indexName);
+    return super.initialize();
+  }
+
+  /**
+   * Pinecone namespaces live inside the same index; '' is the index's default namespace
+   */
+  getIndex(namespace) {
+    return namespace ? this.index.namespace(namespace) : this.index;
+  }
+
+  async upsert(vectors, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    await this.getIndex(namespace).upsert(vectors);
+  }
+
+  async query({ vector, topK, filter, namespace = VectorStore.DEFAULT_NAMESPACE }) {
+    const response = await this.getIndex(namespace).query({
+      vector,
+      topK,
+      filter: filter || undefined,
+      includeMetadata: true,
+    });
+
+    return response.matches.map(match => ({
+      id: match.id,
+      score: match.score,
+      metadata: match.metadata || {},
+    }));
+  }
+
+  async listByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE, options = {}) {
+    // Pinecone has no metadata scan, so query with a zero vector to collect matching IDs
+    const response = await this.getIndex(namespace).query({
+      vector: new Array(this.dimension).fill(0),
+      topK: LIST_TOP_K,
+      filter,
+      includeMetadata: true,
+      ...(options.includeValues && { includeValues: true }),
+    });
+
+    return response.matches.map(match => {
+      const result = { id: match.id, metadata: match.metadata || {} };
+      if (options.includeValues) {
+        result.values = match.values;
+      }
+      return result;
+    });
+  }
+
+  async deleteByIds(ids, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    const index = this.getIndex(namespace);
+    for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+      await index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+    }
+    return ids.length;
+  }
+
+  async deleteByFilter(filter, namespace = VectorStore.DEFAULT_NAMESPACE) {
+    VectorStore.assertFilter(filter);
+    const matches = await this.listByFilter(filter, namespace);
+    if (matches.length === 0) {
+      return 0;
+    }
+    return this.deleteByIds(
+      matches.map(match => match.id),
+      namespace
+    );
+  }
+
+  isHealthy() {
+    return Boolean(this.index);
+  }
+}
+
+module.exports = PineconeVectorStore;
@@ -0,0 +1,101 @@
+/**
+ * Vector Store Interface
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+/**
+ * Base class for vector store backends. Vectors are `{ id, values, metadata }`;
+ * filters are exact-match on metadata fields (e.g. `{ businessId, filename }`).
+ *
+ * Every method takes an optional namespace. Namespaces are isolated copies of
+ * the index, so a re-index can be built next to the live one and swapped in;
+ * the default namespace ('') holds everything written before re-indexing existed.
+ */
+const DEFAULT_NAMESPACE = '';
+
+class VectorStore {
+  constructor(name) {
+    this.name = name;
+    this.initialized = false;
+  }
+
+  initialize() {
+    this.initialized = true;
+    return Promise.resolve();
+  }
+
+  /**
+   * Insert or replace vectors by ID
+   * @param {Array<{id: string, values: number[], metadata: Object}>} _vectors
+   * @param {string} [_namespace]
+   * @returns {Promise<void>}
+   */
+  upsert(_vectors, _namespace = DEFAULT_NAMESPACE) {
+    return this.notImplemented('upsert');
+  }
+
+  /**
+   * Find the nearest vectors by cosine similarity
+   * @param {Object} _request
+   * @param {number[]} _request.vector - Query embedding
+   * @param {number} _request.topK - Maximum number of matches
+   * @param {Object} [_request.filter] - Metadata equality filter
+   * @param {string} [_request.namespace]
+   * @returns {Promise<Array<{id: string, score: number, metadata: Object}>>} Best match first
+   */
+  query(_request) {
+    return this.notImplemented('query');
+  }
+
+  /**
+   * List stored vectors matching a metadata filter
+   * @param {Object} _filter - Metadata equality filter
+   * @param {string} [_namespace]
+   * @param {Object} [_options]
+   * @param {boolean} [_options.includeValues] - Also return the embeddings (for backups)
+   * @returns {Promise<Array<{id: string, metadata: Object, values?: number[]}>>}
+   */
+  listByFilter(_filter, _namespace = DEFAULT_NAMESPACE, _options = {}) {
+    return this.notImplemented('listByFilter');
+  }
+
+  /**
+   * @param {string[]} _ids - Vector IDs to delete
+   * @param {string} [_namespace]
+   * @returns {Promise<number>} Number of vectors deleted
+   */
+  deleteByIds(_ids, _namespace = DEFAULT_NAMESPACE) {
+    return this.notImplemented('deleteByIds');
+  }
+
+  /**
+   * @param {Object} _filter - Metadata equality filter (must not be empty)
+   * @param {string} [_namespace]
+   * @returns {Promise<number>} Number of vectors deleted
+   */
+  deleteByFilter(_filter, _namespace = DEFAULT_NAMESPACE) {
+    return this.notImplemented('deleteByFilter');
+  }
+
+  isHealthy() {
+    return this.initialized;
+  }
+
+  notImplemented(method) {
+    return Promise.reject(new Error(`${method} not implemented for vector store ${this.name}`));
+  }
+
+  static matchesFilter(metadata, filter) {
+    return Object.keys(filter || {}).every(key => metadata && metadata[key] === filter[key]);
+  }
+
+  static assertFilter(filter) {
+    if (!filter || Object.keys(filter).length === 0) {
+      throw new Error('A non-empty filter is required');
+    }
+  }
+}
+
+VectorStore.DEFAULT_NAMESPACE = DEFAULT_NAMESPACE;
+
+module.exports = VectorStore;
@@ -0,0 +1,68 @@
+/**
+ * Vector Store Factory
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const logger = require('../../utils/logger');
+const VectorStore = require('./VectorStore');
+const MemoryVectorStore = require('./MemoryVectorStore');
+const PineconeVectorStore = require('./PineconeVectorStore');
+const PgVectorStore = require('./PgVectorStore');
+
+/**
+ * Build the vector store selected by `vector.store`
+ * @param {Object} vectorConfig - The `vector` configuration section
+ * @returns {VectorStore}
+ */
+function createVectorStore(vectorConfig) {
+  const storeName = vectorConfig.store || 'pinecone';
+
+  switch (storeName) {
+    case 'pinecone': {
+      const pineconeConfig = vectorConfig.pinecone || {};
+      const hasCredentials =
+        pineconeConfig.apiKey &&
+        pineconeConfig.apiKey !== 'test-key' &&
+        pineconeConfig.apiKey !== 'test-pinecone-key';
+
+      if (process.env.NODE_ENV === 'test') {
+        return new MemoryVectorStore();
+      }
+
+      // An in-memory store loses every business's knowledge on restart, so production
+      // refuses to start instead of quietly falling back to it
+      if (!hasCredentials) {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error(
+            'Pinecone is not configured: set PINECONE_API_KEY or choose VECTOR_STORE=pgvector'
+          );
+        }
+        logger.info('[VECTOR] Pinecone not configured - using in-memory vector store');
+        return new MemoryVectorStore();
+      }
+
+      return new PineconeVectorStore({
+        apiKey: pineconeConfig.apiKey,
+        indexName: pineconeConfig.indexName || 'small-business-kb',
+        dimension: vectorConfig.dimension,
+      });
+    }
+
+    case 'pgvector':
+      return new PgVectorStore(vectorConfig.pgvector || {});
+
+    case 'memory':
+      return new MemoryVectorStore();
+
+    default:
+      throw new Error(`Unknown vector store: ${storeName}`);
+  }
+}
+
+module.exports = {
+  VectorStore,
+  MemoryVectorStore,
+  PineconeVectorStore,
+  PgVectorStore,
+  createVectorStore,
+};
@@ -3,66 +3,154 @@
  * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
  */
 
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const logger = require('./logger');
 const database = require('../config/database');
+const config = require('../../config');
+const { createBackupStorage } = require('./backupStorage');
+const SqlExportWriter = require('./sqlExport');
+const Migrator = require('./migrator');
+const scheduler = require('./scheduler');
 const BusinessRepository = require('../repositories/BusinessRepository');
 const KnowledgeRepository = require('../repositories/KnowledgeRepository');
+const vectorService = require('../services/vectorService');
+const knowledgeService = require('../services/knowledgeService');
+const reindexService = require('../services/reindexService');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// 2.0: all businesses, full knowledge content, optional embeddings
+// 2.1: gzip-compressed with a checksummed manifest; incremental backups
+const BACKUP_FORMAT_VERSION = '2.1';
+const CHECKSUM_ALGORITHM = 'sha256';
+const MANIFEST_SUFFIX = '.manifest.json';
+
+function groupByBusiness(items, getBusinessId = item => item.businessId) {
+  const grouped = {};
+  for (const item of items) {
+    const businessId = getBusinessId(item);
+    grouped[businessId] = grouped[businessId] || [];
+    grouped[businessId].push(item);
+  }
+  return grouped;
+}
+
+// Column order of the SQL export
+function businessRow(business) {
+  return {
+    business_id: business.businessId,
+    business_name: business.businessName,
+    owner_phone: business.ownerPhone,
+    whatsapp_number: business.whatsappNumber,
+    registered_at: business.registeredAt,
+    knowledge_count: business.knowledgeCount,
+    status: business.status,
+    last_activity: business.lastActivity,
+    metadata: business.metadata,
+  };
+}
+
+function knowledgeRow(entry) {
+  return {
+    knowledge_id: entry.knowledgeId,
+    business_id: entry.businessId,
+    business_name: entry.businessName,
+    type: entry.type,
+    filename: entry.filename,
+    file_type: entry.fileType,
+    content_preview: entry.contentPreview,
+    content: entry.content,
+    metadata: entry.metadata,
+    created_at: entry.createdAt,
+  };
+}
 
 class BackupManager {
   constructor() {
-    this.backupDir = path.join(__dirname, '../../backups');
+    const backupConfig = config.get('backup');
+
     this.retentionDays = parseInt(process.env.BACKUP_RETENTION_DAYS) || 30;
+    this.includeEmbeddings = backupConfig.includeEmbeddings;
+    this.storage = createBackupStorage(backupConfig.storage);
   }
 
-  async createBackup(type = 'full') {
+  /**
+   * Write a gzip-compressed backup (format v2.1) to the storage target, followed by a
+   * manifest holding its metadata and checksum. Full backups hold every business
+   * regardless of status and knowledge entries with their full content; incremental
+   * backups hold only what changed (by `updated_at`) since the newest backup, which
+   * they build on. Embeddings are optional in both.
+   * @param {string} [type] - full | incremental | businesses | knowledge
+   * @param {Object} [options]
+   * @param {boolean} [options.includeEmbeddings] - Defaults to `backup.includeEmbeddings`
+   */
+  async createBackup(type = 'full', options = {}) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(this.backupDir, `backup_${type}_${timestamp}.json`);
+      const includeEmbeddings = options.includeEmbeddings ?? this.includeEmbeddings;
+      const startedAt = new Date().toISOString();
+
+      let backupType = type;
+      const base = backupType === 'incremental' ? await this.findIncrementalBase() : null;
+      if (backupType === 'incremental' && !base) {
+        logger.info('[BACKUP] No earlier backup to build on - creating a full backup instead');
+        backupType = 'full';
+      }
 
-      logger.info(`[BACKUP] Starting ${type} backup...`);
-      await fs.mkdir(this.backupDir, { recursive: true });
+      const filename = `backup_${backupType}_${startedAt.replace(/[:.]/g, '-')}.json.gz`;
+      logger.info(`[BACKUP] Starting ${backupType} backup...`);
 
       const backupData = {
         metadata: {
-          type,
-          timestamp: new Date().toISOString(),
-          version: '1.0',
+          type: backupType,
+          timestamp: startedAt,
+          version: BACKUP_FORMAT_VERSION,
           source: 'sbc-business-care',
+          includesEmbeddings: false,
         },
         data: {},
       };
 
-      if (type === 'full' || type === 'businesses') {
-        logger.debug('[BACKUP] Backing up business data...');
-        backupData.data.businesses = await BusinessRepository.getActiveBusinesses();
-        logger.info(`[BACKUP] Backed up ${backupData.data.businesses.length} businesses`);
+      const allBusinesses = await BusinessRepository.findAll();
+
+      if (base) {
+        Object.assign(backupData.metadata, {
+          baseBackup: base.filename,
+          since: base.metadata.timestamp,
+        });
+        await this.collectChanges(backupData, allBusinesses, base.metadata.timestamp);
+      } else {
+        await this.collectAll(backupData, backupType, allBusinesses);
       }
 
-      if (type === 'full' || type === 'knowledge') {
-        logger.debug('[BACKUP] Backing up knowledge data...');
-        const allBusinesses = await BusinessRepository.getActiveBusinesses();
-        backupData.data.knowledge = {};
+      if (includeEmbeddings && backupData.data.knowledge) {
+        await this.collectVectors(backupData);
+      }
 
-        for (const business of allBusinesses) {
-          const businessKnowledge = await KnowledgeRepository.findByBusinessId(business.businessId);
-          backupData.data.knowledge[business.businessId] = businessKnowledge;
-        }
+      backupData.metadata.recordCount = this.getRecordCount(backupData);
 
-        const totalKnowledge = Object.values(backupData.data.knowledge).reduce(
-          (sum, entries) => sum + entries.length,
-          0
-        );
-        logger.info(`[BACKUP] Backed up ${totalKnowledge} knowledge entries`);
-      }
+      const json = JSON.stringify(backupData);
+      const body = await gzip(json);
+      const manifest = {
+        filename,
+        metadata: backupData.metadata,
+        size: body.length,
+        uncompressedSize: Buffer.byteLength(json),
+        checksum: { algorithm: CHECKSUM_ALGORITHM, value: this.checksum(body) },
+      };
 
-      // Write backup file
-      await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2));
+      // The manifest goes last, so a backup without one is known to be incomplete
+      await this.storage.put(filename, body);
+      await this.storage.put(
+        this.getManifestName(filename),
+        Buffer.from(JSON.stringify(manifest, null, 2))
+      );
 
-      const stats = await fs.stat(backupPath);
       logger.success(
-        `[BACKUP] Backup completed: ${backupPath} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`
+        `[BACKUP] Backup completed: ${this.storage.describe(filename)} (${(body.length / 1024 / 1024).toFixed(2)} MB)`
       );
 
       // Cleanup old backups
@@ -70,15 +158,11 @@ class BackupManager {
 
       return {
         success: true,
-        backupPath,
-        size: stats.size,
-        recordCount: {
-          businesses: backupData.data.businesses?.length || 0,
-          knowledge: Object.values(backupData.data.knowledge || {}).reduce(
-            (sum, entries) => sum + entries.length,
-            0
-          ),
-        },
+        filename,
+        location: this.storage.describe(filename),
+        size: body.length,
+        checksum: manifest.checksum.value,
+        recordCount: backupData.metadata.recordCount,
       };
     } catch (error) {
       logger.error('[BACKUP] Backup failed:', error);
@@ -89,38 +173,342 @@ class BackupManager {
     }
   }
 
-  async restoreBackup(backupPath, options = {}) {
+  async collectAll(backupData, type, allBusinesses) {
+    if (type === 'full' || type === 'businesses') {
+      logger.debug('[BACKUP] Backing up business data...');
+      backupData.data.businesses = allBusinesses;
+      logger.info(`[BACKUP] Backed up ${backupData.data.businesses.length} businesses`);
+    }
+
+    if (type === 'full' || type === 'knowledge') {
+      logger.debug('[BACKUP] Backing up knowledge data...');
+      backupData.data.knowledge = {};
+
+      for (const business of allBusinesses) {
+        backupData.data.knowledge[business.businessId] = await this.getKnowledgeWithContent(
+          business.businessId
+        );
+      }
+
+      logger.info(
+        `[BACKUP] Backed up ${this.countEntries(backupData.data.knowledge)} knowledge entries`
+      );
+    }
+  }
+
+  /**
+   * Businesses and knowledge entries changed since `since`, plus the IDs of everything
+   * that still exists so a restore can drop what was deleted in the meantime
+   */
+  async collectChanges(backupData, allBusinesses, since) {
+    logger.debug(`[BACKUP] Backing up changes since ${since}...`);
+
+    backupData.data.businesses = allBusinesses.filter(
+      business => new Date(business.updatedAt) > new Date(since)
+    );
+
+    const changedEntries = await KnowledgeRepository.findUpdatedSince(since);
+    for (const entry of changedEntries) {
+      await this.ensureContent(entry);
+    }
+    backupData.data.knowledge = groupByBusiness(changedEntries);
+
+    const existingKnowledge = {};
+    for (const { businessId, knowledgeId } of await KnowledgeRepository.listKnowledgeIds()) {
+      existingKnowledge[businessId] = existingKnowledge[businessId] || [];
+      existingKnowledge[businessId].push(knowledgeId);
+    }
+    backupData.data.existing = {
+      businesses: allBusinesses.map(business => business.businessId),
+      knowledge: existingKnowledge,
+    };
+
+    logger.info(
+      `[BACKUP] Backed up ${backupData.data.businesses.length} changed businesses and ${changedEntries.length} changed knowledge entries`
+    );
+  }
+
+  /**
+   * Embeddings of the knowledge entries in the backup
+   */
+  async collectVectors(backupData) {
+    logger.debug('[BACKUP] Backing up embeddings...');
+    backupData.data.vectors = {};
+
+    for (const [businessId, entries] of Object.entries(backupData.data.knowledge)) {
+      if (entries.length === 0) {
+        backupData.data.vectors[businessId] = [];
+        continue;
+      }
+
+      const knowledgeIds = new Set(entries.map(entry => entry.knowledgeId));
+      const vectors = await vectorService.exportBusinessVectors(businessId);
+      backupData.data.vectors[businessId] = vectors.filter(
+        vector => vector.metadata && knowledgeIds.has(vector.metadata.knowledgeId)
+      );
+    }
+
+    Object.assign(backupData.metadata, {
+      includesEmbeddings: true,
+      embeddingModel: vectorService.embeddingModel,
+      dimension: vectorService.dimension,
+    });
+    logger.info(`[BACKUP] Backed up ${this.countEntries(backupData.data.vectors)} vectors`);
+  }
+
+  /**
+   * The newest readable full or incremental backup, for an incremental backup to build on
+   */
+  async findIncrementalBase() {
+    const backups = await this.listBackups();
+    return (
+      backups.find(
+        backup =>
+          backup.status !== 'corrupted' && ['full', 'incremental'].includes(backup.metadata.type)
+      ) || null
+    );
+  }
+
+  /**
+   * Knowledge entries with full content; entries from before content was stored
+   * in the database are recovered from the vector store
+   */
+  async getKnowledgeWithContent(businessId) {
+    const entries = await KnowledgeRepository.findByBusinessId(businessId);
+
+    for (const entry of entries) {
+      await this.ensureContent(entry);
+    }
+
+    return entries;
+  }
+
+  async ensureContent(entry) {
+    if (!entry.content) {
+      entry.content = await knowledgeService.recoverContent(entry);
+      if (!entry.content) {
+        logger.warn(`[BACKUP] Only a preview is available for ${entry.knowledgeId}`);
+      }
+    }
+  }
+
+  countEntries(byBusiness = {}) {
+    return Object.values(byBusiness).reduce((sum, entries) => sum + entries.length, 0);
+  }
+
+  getRecordCount(backupData) {
+    return {
+      businesses: backupData.data.businesses?.length || 0,
+      knowledge: this.countEntries(backupData.data.knowledge),
+      vectors: this.countEntries(backupData.data.vectors),
+    };
+  }
+
+  checksum(body, algorithm = CHECKSUM_ALGORITHM) {
+    return crypto.createHash(algorithm).update(body).digest('hex');
+  }
+
+  isBackupName(name) {
+    return (
+      name.startsWith('backup_') &&
+      (name.endsWith('.json.gz') || (name.endsWith('.json') && !name.endsWith(MANIFEST_SUFFIX)))
+    );
+  }
+
+  getManifestName(backupName) {
+    return backupName.replace(/\.json\.gz$/, MANIFEST_SUFFIX);
+  }
+
+  async readManifest(backupName) {
+    const body = await this.storage.get(this.getManifestName(backupName));
+    return JSON.parse(body.toString('utf8'));
+  }
+
+  /**
+   * Read and decompress a backup, checking it against the checksum in its manifest.
+   * Uncompressed backups from before format 2.1 have no manifest and are read as-is.
+   */
+  async readBackup(backupName) {
+    const body = await this.storage.get(backupName);
+
+    if (!backupName.endsWith('.gz')) {
+      return JSON.parse(body.toString('utf8'));
+    }
+
+    const { checksum } = await this.readManifest(backupName);
+    if (this.checksum(body, checksum.algorithm) !== checksum.value) {
+      throw new Error(`Checksum mismatch for ${backupName}: the backup is corrupted`);
+    }
+
+    return JSON.parse((await gunzip(body)).toString('utf8'));
+  }
+
+  /**
+   * A backup and every backup it builds on, oldest (the full backup) first
+   */
+  async loadBackupChain(backupName) {
+    const chain = [];
+    const seen = new Set();
+    let name = backupName;
+
+    while (name) {
+      if (seen.has(name)) {
+        throw new Error(`Backup ${name} builds on itself`);
+      }
+      seen.add(name);
+
+      let backupData;
+      try {
+        backupData = await this.readBackup(name);
+      } catch (error) {
+        if (chain.length === 0) {
+          throw error;
+        }
+        throw new Error(
+          `Cannot read ${name}, which ${chain[0].filename} builds on: ${error.message}`
+        );
+      }
+
+      backupData.filename = name;
+      chain.unshift(backupData);
+      name = backupData.metadata.baseBackup;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Collapse a full backup and the incremental backups on top of it into one backup.
+   * Embeddings are kept only if every backup in the chain has them from the same model.
+   */
+  mergeBackupChain(chain) {
+    if (chain.length === 1) {
+      return chain[0];
+    }
+
+    const latest = chain[chain.length - 1].metadata;
+    const embeddingsUsable = chain.every(
+      backupData =>
+        backupData.metadata.includesEmbeddings &&
+        backupData.metadata.embeddingModel === latest.embeddingModel &&
+        backupData.metadata.dimension === latest.dimension
+    );
+
+    const businesses = new Map();
+    const knowledge = new Map(); // knowledgeId -> entry
+    const vectors = new Map(); // knowledgeId -> vectors
+
+    for (const backupData of chain) {
+      for (const business of backupData.data.businesses || []) {
+        businesses.set(business.businessId, business);
+      }
+      for (const entries of Object.values(backupData.data.knowledge || {})) {
+        for (const entry of entries) {
+          knowledge.set(entry.knowledgeId, entry);
+        }
+      }
+      // A changed entry's vectors replace the old ones, which may have had more chunks
+      const changedVectors = groupByBusiness(
+        Object.values(backupData.data.vectors || {}).flat(),
+        vector => vector.metadata && vector.metadata.knowledgeId
+      );
+      for (const [knowledgeId, entryVectors] of Object.entries(changedVectors)) {
+        vectors.set(knowledgeId, entryVectors);
+      }
+
+      const { existing } = backupData.data;
+      if (existing) {
+        const businessIds = new Set(existing.businesses);
+        const knowledgeIds = new Set(Object.values(existing.knowledge).flat());
+        for (const businessId of businesses.keys()) {
+          if (!businessIds.has(businessId)) {
+            businesses.delete(businessId);
+          }
+        }
+        for (const knowledgeId of knowledge.keys()) {
+          if (!knowledgeIds.has(knowledgeId)) {
+            knowledge.delete(knowledgeId);
+          }
+        }
+      }
+    }
+
+    const merged = {
+      metadata: { ...latest, includesEmbeddings: embeddingsUsable },
+      data: {
+        businesses: [...businesses.values()],
+        knowledge: groupByBusiness([...knowledge.values()]),
+      },
+    };
+
+    if (embeddingsUsable) {
+      merged.data.vectors = {};
+      for (const entry of knowledge.values()) {
+        merged.data.vectors[entry.businessId] = [
+          ...(merged.data.vectors[entry.businessId] || []),
+          ...(vectors.get(entry.knowledgeId) || []),
+        ];
+      }
+    }
+
+    merged.metadata.recordCount = this.getRecordCount(merged);
+    return merged;
+  }
+
+  /**
+   * Restore a backup (format v1, v2 or v2.1). An incremental backup is restored
+   * together with the backups it builds on. Restored knowledge is put back in the
+   * vector store from the backed-up embeddings when they match the current model,
+   * otherwise re-embedded from its content; counts are verified afterwards.
+   * @param {string} backupName - Name from listBackups (a path's directory is ignored)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @param {boolean} [options.skipExisting]
+   * @param {boolean} [options.restoreVectors] - Rehydrate the vector store (default true)
+   */
+  async restoreBackup(backupName, options = {}) {
     try {
-      const { dryRun = false, skipExisting = true } = options;
+      const { dryRun = false, skipExisting = true, restoreVectors = true } = options;
+      const filename = path.basename(backupName);
 
-      logger.info(`[RESTORE] Starting restore from: ${backupPath}`);
+      logger.info(`[RESTORE] Starting restore from: ${this.storage.describe(filename)}`);
 
       if (dryRun) {
         logger.info('[RESTORE] DRY RUN MODE - No changes will be made');
       }
 
-      // Read backup file
-      const backupContent = await fs.readFile(backupPath, 'utf8');
-      const backupData = JSON.parse(backupContent);
+      const chain = await this.loadBackupChain(filename);
+      if (chain.length > 1) {
+        logger.info(
+          `[RESTORE] Applying ${chain.length - 1} incremental backup(s) on top of ${chain[0].filename}`
+        );
+      }
+      const backupData = this.mergeBackupChain(chain);
 
       logger.info(`[RESTORE] Backup metadata:`, backupData.metadata);
-
       const results = {
         businesses: { created: 0, skipped: 0, errors: 0 },
         knowledge: { created: 0, skipped: 0, errors: 0 },
+        vectors: { imported: 0, reembedded: 0, missing: 0, errors: 0 },
       };
+      const restoredKnowledge = {}; // businessId -> entries created by this restore
 
       // Restore businesses
       if (backupData.data.businesses) {
         logger.info(`[RESTORE] Restoring ${backupData.data.businesses.length} businesses...`);
 
+        const existing = dryRun ? [] : await BusinessRepository.findAll();
+        const existingIds = new Set(existing.map(business => business.businessId));
+        const existingPhones = new Set(existing.map(business => business.ownerPhone));
+
         for (const businessData of backupData.data.businesses) {
           try {
             if (!dryRun) {
-              // Check if business already exists
-              const existing = await BusinessRepository.findByOwner(businessData.ownerPhone);
+              const exists =
+                existingIds.has(businessData.businessId) ||
+                existingPhones.has(businessData.ownerPhone);
 
-              if (existing && skipExisting) {
+              if (exists && skipExisting) {
                 results.businesses.skipped++;
                 continue;
               }
@@ -128,8 +516,7 @@ class BackupManager {
               await BusinessRepository.create(businessData);
             }
             results.businesses.created++;
-
-                    } catch (error) {
+          } catch (error) {
             logger.error(`[RESTORE] Error restoring business ${businessData.businessId}:`, error);
             results.businesses.errors++;
           }
@@ -138,18 +525,20 @@ class BackupManager {
 
       // Restore knowledge
       if (backupData.data.knowledge) {
-        const totalKnowledge = Object.values(backupData.data.knowledge).reduce(
-          (sum, entries) => sum + entries.length,
-          0
+        logger.info(
+          `[RESTORE] Restoring ${this.countEntries(backupData.data.knowledge)} knowledge entries...`
         );
-        logger.info(`[RESTORE] Restoring ${totalKnowledge} knowledge entries...`);
 
         for (const [businessId, knowledgeEntries] of Object.entries(backupData.data.knowledge)) {
+          restoredKnowledge[businessId] = [];
+
           for (const knowledgeData of knowledgeEntries) {
             try {
               if (!dryRun) {
                 // Check if knowledge already exists
-                const existing = await KnowledgeRepository.findByKnowledgeId(knowledgeData.knowledgeId);
+                const existing = await KnowledgeRepository.findByKnowledgeId(
+                  knowledgeData.knowledgeId
+                );
 
                 if (existing && skipExisting) {
                   results.knowledge.skipped++;
@@ -157,10 +546,10 @@ class BackupManager {
                 }
 
                 await KnowledgeRepository.create(knowledgeData);
+                restoredKnowledge[businessId].push(knowledgeData);
               }
               results.knowledge.created++;
-
-                        } catch (error) {
+            } catch (error) {
               logger.error(
                 `[RESTORE] Error restoring knowledge ${knowledgeData.knowledgeId}:`,
                 error
@@ -171,11 +560,21 @@ class BackupManager {
         }
       }
 
+      if (restoreVectors && !dryRun) {
+        await this.restoreVectors(backupData, restoredKnowledge, results.vectors);
+      }
+
+      const verification = dryRun ? null : await this.verifyRestore(backupData, restoreVectors);
+
       logger.success(`[RESTORE] Restore completed:`, results);
+      if (verification && !verification.passed) {
+        logger.warn('[RESTORE] Verification found missing data:', verification);
+      }
 
       return {
         success: true,
         results,
+        verification,
         dryRun,
       };
     } catch (error) {
@@ -187,50 +586,96 @@ class BackupManager {
     }
   }
 
-  async listBackups() {
-    try {
-      await fs.mkdir(this.backupDir, { recursive: true });
-      const files = await fs.readdir(this.backupDir);
-      const backupFiles = files.filter(
-        file => file.startsWith('backup_') && file.endsWith('.json')
+  async restoreVectors(backupData, restoredKnowledge, counts) {
+    const { embeddingModel, dimension } = backupData.metadata;
+    const backupVectors = backupData.data.vectors || {};
+    const embeddingsUsable =
+      embeddingModel === vectorService.embeddingModel && dimension === vectorService.dimension;
+
+    if (Object.keys(backupVectors).length > 0 && !embeddingsUsable) {
+      logger.warn(
+        `[RESTORE] Backup embeddings (${embeddingModel}, ${dimension}d) don't match the current model; re-embedding from content`
       );
+    }
 
-      const backups = [];
-      for (const file of backupFiles) {
-        const filePath = path.join(this.backupDir, file);
-        const stats = await fs.stat(filePath);
+    for (const [businessId, entries] of Object.entries(restoredKnowledge)) {
+      const vectorsByKnowledgeId = new Map();
+      for (const vector of embeddingsUsable ? backupVectors[businessId] || [] : []) {
+        const knowledgeId = vector.metadata && vector.metadata.knowledgeId;
+        if (knowledgeId) {
+          vectorsByKnowledgeId.set(knowledgeId, [
+            ...(vectorsByKnowledgeId.get(knowledgeId) || []),
+            vector,
+          ]);
+        }
+      }
 
-        // Try to read metadata
+      for (const entry of entries) {
         try {
-          const content = await fs.readFile(filePath, 'utf8');
-          const data = JSON.parse(content);
-
-          backups.push({
-            filename: file,
-            path: filePath,
-            size: stats.size,
-            created: stats.birthtime,
-            metadata: data.metadata,
-            recordCount: {
-              businesses: data.data.businesses?.length || 0,
-              knowledge: Object.values(data.data.knowledge || {}).reduce(
-                (sum, entries) => sum + entries.length,
-                0
-              ),
-            },
-          });
+          const vectors = vectorsByKnowledgeId.get(entry.knowledgeId);
+          if (vectors) {
+            counts.imported += await vectorService.importVectors(businessId, vectors);
+          } else if (await reindexService.reindexEntry(entry)) {
+            counts.reembedded++;
+          } else {
+            counts.missing++;
+          }
         } catch (error) {
-          // File might be corrupted or incomplete
-          backups.push({
-            filename: file,
-            path: filePath,
-            size: stats.size,
-            created: stats.birthtime,
-            status: 'corrupted',
-            error: error.message,
-          });
+          logger.error(`[RESTORE] Error restoring vectors for ${entry.knowledgeId}:`, error);
+          counts.errors++;
         }
       }
+    }
+  }
+
+  /**
+   * Check that everything in the backup is now present (existing data may add more)
+   */
+  async verifyRestore(backupData, checkVectors) {
+    const mismatches = [];
+    const existingIds = new Set(
+      (await BusinessRepository.findAll()).map(business => business.businessId)
+    );
+
+    for (const business of backupData.data.businesses || []) {
+      if (!existingIds.has(business.businessId)) {
+        mismatches.push({ businessId: business.businessId, type: 'business' });
+      }
+    }
+
+    for (const [businessId, entries] of Object.entries(backupData.data.knowledge || {})) {
+      const knowledgeCount = await KnowledgeRepository.countByBusinessId(businessId);
+      if (knowledgeCount < entries.length) {
+        mismatches.push({
+          businessId,
+          type: 'knowledge',
+          expected: entries.length,
+          found: knowledgeCount,
+        });
+      }
+
+      if (checkVectors && entries.length > 0) {
+        // Without backed-up embeddings the chunk count isn't known, only that there are some
+        const expected = (backupData.data.vectors?.[businessId] || []).length || 1;
+        const vectorCount = await vectorService.countBusinessVectors(businessId);
+        if (vectorCount < expected) {
+          mismatches.push({ businessId, type: 'vectors', expected, found: vectorCount });
+        }
+      }
+    }
+
+    return { passed: mismatches.length === 0, mismatches };
+  }
+
+  async listBackups() {
+    try {
+      const objects = await this.storage.list();
+      const names = new Set(objects.map(object => object.name));
+
+      const backups = [];
+      for (const object of objects.filter(item => this.isBackupName(item.name))) {
+        backups.push(await this.describeBackup(object, names));
+      }
 
       // Sort by creation date (newest first)
       backups.sort((a, b) => new Date(b.created) - new Date(a.created));
@@ -242,23 +687,82 @@ class BackupManager {
     }
   }
 
+  /**
+   * A backup's listing entry, from its manifest (or, before format 2.1, the backup itself)
+   * @param {Object} object - Storage object
+   * @param {Set<string>} names - Every object name in the storage target
+   */
+  async describeBackup(object, names) {
+    const backup = {
+      filename: object.name,
+      size: object.size,
+      created: object.modifiedAt,
+      compressed: object.name.endsWith('.gz'),
+    };
+
+    try {
+      if (!backup.compressed) {
+        const data = JSON.parse((await this.storage.get(object.name)).toString('utf8'));
+        return Object.assign(backup, {
+          created: data.metadata.timestamp || object.modifiedAt,
+          metadata: data.metadata,
+          recordCount: this.getRecordCount(data),
+        });
+      }
+
+      if (!names.has(this.getManifestName(object.name))) {
+        throw new Error('No manifest found; the backup did not finish');
+      }
+
+      const manifest = await this.readManifest(object.name);
+      return Object.assign(backup, {
+        created: manifest.metadata.timestamp,
+        metadata: manifest.metadata,
+        recordCount: manifest.metadata.recordCount,
+        checksum: manifest.checksum,
+      });
+    } catch (error) {
+      // File might be corrupted or incomplete
+      return Object.assign(backup, { status: 'corrupted', error: error.message });
+    }
+  }
+
+  /**
+   * Delete backups past the retention period, except those a retained incremental
+   * backup still builds on
+   */
   async cleanupOldBackups() {
     try {
       const backups = await this.listBackups();
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays);
 
+      const byName = new Map(backups.map(backup => [backup.filename, backup]));
+      const keep = new Set(
+        backups
+          .filter(backup => backup.status === 'corrupted' || new Date(backup.created) >= cutoffDate)
+          .map(backup => backup.filename)
+      );
+      for (const name of [...keep]) {
+        let base = byName.get(name).metadata?.baseBackup;
+        while (base && !keep.has(base)) {
+          keep.add(base);
+          base = byName.get(base)?.metadata?.baseBackup;
+        }
+      }
+
       let deletedCount = 0;
 
-      for (const backup of backups) {
-        if (new Date(backup.created) < cutoffDate && backup.status !== 'corrupted') {
-          try {
-            await fs.unlink(backup.path);
-            deletedCount++;
-            logger.debug(`[BACKUP] Deleted old backup: ${backup.filename}`);
-          } catch (error) {
-            logger.warn(`[BACKUP] Failed to delete old backup ${backup.filename}:`, error);
+      for (const backup of backups.filter(item => !keep.has(item.filename))) {
+        try {
+          await this.storage.delete(backup.filename);
+          if (backup.compressed) {
+            await this.storage.delete(this.getManifestName(backup.filename));
           }
+          deletedCount++;
+          logger.debug(`[BACKUP] Deleted old backup: ${backup.filename}`);
+        } catch (error) {
+          logger.warn(`[BACKUP] Failed to delete old backup ${backup.filename}:`, error);
         }
       }
 
@@ -270,109 +774,97 @@ class BackupManager {
     }
   }
 
-  async scheduleBackups() {
-    // Create automatic backup every 24 hours
-    const backupInterval = parseInt(process.env.BACKUP_INTERVAL_HOURS) || 24;
+  /**
+   * Run full backups on `backup.schedule` and, if set, incremental backups on
+   * `backup.incrementalSchedule`. Each run happens on one instance only.
+   */
+  scheduleBackups() {
+    const { schedule, incrementalSchedule } = config.get('backup');
+
+    scheduler.schedule('backup-full', schedule, () => this.runScheduledBackup('full'));
+    if (incrementalSchedule) {
+      scheduler.schedule('backup-incremental', incrementalSchedule, () =>
+        this.runScheduledBackup('incremental')
+      );
+    }
+  }
 
-    logger.info(`[BACKUP] Scheduling automatic backups every ${backupInterval} hours`);
+  async runScheduledBackup(type) {
+    logger.info(`[BACKUP] Running scheduled ${type} backup...`);
+    const result = await this.createBackup(type);
 
-    setInterval(
-      async () => {
-        logger.info('[BACKUP] Running scheduled backup...');
-        const result = await this.createBackup('full');
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
-        if (result.success) {
-          logger.success(
-            `[BACKUP] Scheduled backup completed: ${result.recordCount.businesses} businesses, ${result.recordCount.knowledge} knowledge entries`
-          );
-        } else {
-          logger.error('[BACKUP] Scheduled backup failed:', result.error);
-        }
-      },
-      backupInterval * 60 * 60 * 1000
-    ); // Convert hours to milliseconds
-
-    // Create initial backup
-    setTimeout(async () => {
-      logger.info('[BACKUP] Creating initial backup...');
-      await this.createBackup('full');
-    }, 5000); // Wait 5 seconds after startup
+    logger.success(
+      `[BACKUP] Scheduled backup completed: ${result.recordCount.businesses} businesses, ${result.recordCount.knowledge} knowledge entries`
+    );
+  }
+
+  /**
+   * Scheduled backup jobs with their next run times (empty if backups aren't scheduled)
+   */
+  getSchedule() {
+    return scheduler.getJobs('backup-');
   }
 
-  async exportToSupabaseDump() {
+  /**
+   * Write a SQL script that loads every business and knowledge entry into a
+   * Postgres/Supabase database with the same schema, in one transaction
+   * @param {Object} [options]
+   * @param {string} [options.mode] - insert | skip | upsert (existing rows abort, stay or are overwritten)
+   * @param {boolean} [options.copy] - COPY format for large tenants (load with psql)
+   */
+  async exportToSupabaseDump(options = {}) {
     try {
+      const { mode = 'insert', copy = false } = options;
       logger.info('[BACKUP] Creating Supabase-compatible export...');
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const exportPath = path.join(this.backupDir, `supabase_export_${timestamp}.sql`);
-
-      // Get all data
-      const businesses = await BusinessRepository.getActiveBusinesses();
-      const allKnowledge = {};
-
+      const generatedAt = new Date();
+      const filename = `supabase_export_${generatedAt.toISOString().replace(/[:.]/g, '-')}.sql`;
+      const writer = new SqlExportWriter({
+        mode,
+        copy,
+        schemaVersion: await this.getSchemaVersion(),
+        generatedAt,
+      });
+
+      const businesses = await BusinessRepository.findAll();
+      const knowledgeEntries = [];
       for (const business of businesses) {
-        allKnowledge[business.businessId] = await KnowledgeRepository.findByBusinessId(
-          business.businessId
-        );
+        knowledgeEntries.push(...(await this.getKnowledgeWithContent(business.businessId)));
       }
 
-      // Generate SQL statements
-      let sqlContent = `-- Supabase Export for SBC Business Care System
--- Generated: ${new Date().toISOString()}
--- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
-
--- Clear existing data (optional - remove if you want to preserve data)
--- DELETE FROM knowledge_entries;
--- DELETE FROM businesses;
-
--- Business data
-`;
-
-      for (const business of businesses) {
-        const values = [
-          `'${business.businessId}'`,
-          `'${business.businessName.replace(/'/g, "''")}'`,
-          `'${business.ownerPhone}'`,
-          `'${business.registeredAt}'`,
-          business.knowledgeCount,
-          `'${business.status}'`,
-          `'${business.lastActivity}'`,
-          `'${JSON.stringify(business.metadata).replace(/'/g, "''")}'`,
-        ];
+      writer
+        .addTable({
+          name: 'businesses',
+          columns: Object.keys(businessRow({})),
+          conflictColumns: ['business_id'],
+          rows: businesses.map(businessRow),
+        })
+        .addTable({
+          name: 'knowledge_entries',
+          columns: Object.keys(knowledgeRow({})),
+          conflictColumns: ['knowledge_id'],
+          rows: knowledgeEntries.map(knowledgeRow),
+        });
+
+      const body = Buffer.from(writer.toString());
+      await this.storage.put(filename, body);
 
-        sqlContent += `INSERT INTO businesses (business_id, business_name, owner_phone, registered_at, knowledge_count, status, last_activity, metadata) VALUES (${values.join(', ')});\n`;
-      }
-
-      sqlContent += '\n-- Knowledge data\n';
-
-      for (const [businessId, knowledgeEntries] of Object.entries(allKnowledge)) {
-        for (const knowledge of knowledgeEntries) {
-          const values = [
-            `'${knowledge.knowledgeId}'`,
-            `'${knowledge.businessId}'`,
-            `'${knowledge.businessName.replace(/'/g, "''")}'`,
-            `'${knowledge.type}'`,
-            knowledge.filename ? `'${knowledge.filename.replace(/'/g, "''")}'` : 'NULL',
-            knowledge.fileType ? `'${knowledge.fileType}'` : 'NULL',
-            knowledge.contentPreview ? `'${knowledge.contentPreview.replace(/'/g, "''")}'` : 'NULL',
-            `'${JSON.stringify(knowledge.metadata).replace(/'/g, "''")}'`,
-          ];
-
-          sqlContent += `INSERT INTO knowledge_entries (knowledge_id, business_id, business_name, type, filename, file_type, content_preview, metadata) VALUES (${values.join(', ')});\n`;
-        }
-      }
-
-      await fs.writeFile(exportPath, sqlContent);
-
-      const stats = await fs.stat(exportPath);
       logger.success(
-        `[BACKUP] Supabase export created: ${exportPath} (${(stats.size / 1024).toFixed(2)} KB)`
+        `[BACKUP] Supabase export created: ${this.storage.describe(filename)} (${(body.length / 1024).toFixed(2)} KB)`
       );
 
       return {
         success: true,
-        exportPath,
-        size: stats.size,
+        filename,
+        location: this.storage.describe(filename),
+        size: body.length,
+        mode,
+        copy,
+        rowCount: writer.rowCount,
       };
     } catch (error) {
       logger.error('[BACKUP] Supabase export failed:', error);
@@ -382,6 +874,20 @@ class BackupManager {
       };
     }
   }
+
+  /**
+   * Name of the newest migration, i.e. the schema the exported data fits
+   */
+  async getSchemaVersion() {
+    try {
+      const migrations = await new Migrator().listMigrations();
+      const latest = migrations[migrations.length - 1];
+      return latest ? `${latest.version}_${latest.name}` : null;
+    } catch (error) {
+      logger.warn('[BACKUP] Could not read the migrations directory:', error.message);
+      return null;
+    }
+  }
 }
 
 module.exports = new BackupManager();
@@ -0,0 +1,70 @@
+/**
+ * Backup Storage Interface
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+/**
+ * Base class for places backups are kept. Backups are opaque byte objects
+ * addressed by a flat name (e.g. `backup_full_<timestamp>.json.gz`).
+ */
+class BackupStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store an object, replacing any existing one with the same name
+   * @param {string} _objectName
+   * @param {Buffer} _body
+   * @returns {Promise<void>}
+   */
+  put(_objectName, _body) {
+    return this.notImplemented('put');
+  }
+
+  /**
+   * @param {string} _objectName
+   * @returns {Promise<Buffer>}
+   */
+  get(_objectName) {
+    return this.notImplemented('get');
+  }
+
+  /**
+   * @returns {Promise<Array<{name: string, size: number, modifiedAt: Date}>>}
+   */
+  list() {
+    return this.notImplemented('list');
+  }
+
+  /**
+   * @param {string} _objectName
+   * @returns {Promise<void>}
+   */
+  delete(_objectName) {
+    return this.notImplemented('delete');
+  }
+
+  /**
+   * Human-readable location of an object (or of the storage itself), for logs
+   * @param {string} [_objectName]
+   */
+  describe(_objectName) {
+    return this.name;
+  }
+
+  notImplemented(method) {
+    return Promise.reject(new Error(`${method} not implemented for backup storage ${this.name}`));
+  }
+
+  /**
+   * Object names are flat; anything path-like is reduced to its last segment
+   */
+  static assertName(objectName) {
+    if (!objectName || /[/\\]/.test(objectName) || objectName.startsWith('.')) {
+      throw new Error(`Invalid backup name: ${objectName}`);
+    }
+  }
+}
+
+module.exports = BackupStorage;
@@ -0,0 +1,70 @@
+/**
+ * Local Directory Backup Storage
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const BackupStorage = require('./BackupStorage');
+
+class LocalBackupStorage extends BackupStorage {
+  constructor({ directory }) {
+    super('local');
+    this.directory = directory;
+  }
+
+  async put(objectName, body) {
+    BackupStorage.assertName(objectName);
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated backup under the final name
+    const target = path.join(this.directory, objectName);
+    const partial = `${target}.partial`;
+    await fs.writeFile(partial, body);
+    await fs.rename(partial, target);
+  }
+
+  async get(objectName) {
+    BackupStorage.assertName(objectName);
+    const body = await fs.readFile(path.join(this.directory, objectName));
+    return body;
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const file of files.filter(name => !name.endsWith('.partial'))) {
+      const stats = await fs.stat(path.join(this.directory, file));
+      if (stats.isFile()) {
+        objects.push({ name: file, size: stats.size, modifiedAt: stats.mtime });
+      }
+    }
+    return objects;
+  }
+
+  async delete(objectName) {
+    BackupStorage.assertName(objectName);
+    try {
+      await fs.unlink(path.join(this.directory, objectName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  describe(objectName) {
+    return objectName ? path.join(this.directory, objectName) : this.directory;
+  }
+}
+
+module.exports = LocalBackupStorage;
@@ -0,0 +1,242 @@
+/**
+ * S3-Compatible Backup Storage (AWS S3, MinIO, R2, ...)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const BackupStorage = require('./BackupStorage');
+
+const SERVICE = 's3';
+const EMPTY_BODY = Buffer.alloc(0);
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// RFC 3986 encoding, as required by Signature Version 4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function canonicalQueryString(query) {
+  return Object.keys(query)
+    .sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join('&');
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Talks to the S3 REST API directly (Signature Version 4), so no SDK is needed
+ */
+class S3BackupStorage extends BackupStorage {
+  constructor({
+    endpoint,
+    region = 'us-east-1',
+    bucket,
+    prefix = '',
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  }) {
+    super('s3');
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 backup storage needs a bucket, access key ID and secret access key');
+    }
+
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    // MinIO and most self-hosted endpoints only understand path-style URLs
+    this.forcePathStyle = forcePathStyle ?? Boolean(endpoint);
+    // A stalled connection fails the backup instead of leaving it hanging
+    this.timeoutMs = timeoutMs;
+  }
+
+  async put(objectName, body) {
+    BackupStorage.assertName(objectName);
+    await this.request('PUT', this.prefix + objectName, { body });
+  }
+
+  async get(objectName) {
+    BackupStorage.assertName(objectName);
+    const response = await this.request('GET', this.prefix + objectName);
+    return response.body;
+  }
+
+  async list() {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const response = await this.request('GET', '', { query });
+      const xml = response.body.toString('utf8');
+
+      for (const contents of xmlValues(xml, 'Contents')) {
+        const key = decodeXml(xmlValues(contents, 'Key')[0] || '');
+        const name = key.slice(this.prefix.length);
+        if (name && !name.includes('/')) {
+          objects.push({
+            name,
+            size: parseInt(xmlValues(contents, 'Size')[0], 10) || 0,
+            modifiedAt: new Date(xmlValues(contents, 'LastModified')[0]),
+          });
+        }
+      }
+
+      continuationToken =
+        xmlValues(xml, 'IsTruncated')[0] === 'true'
+          ? decodeXml(xmlValues(xml, 'NextContinuationToken')[0])
+          : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async delete(objectName) {
+    BackupStorage.assertName(objectName);
+    await this.request('DELETE', this.prefix + objectName);
+  }
+
+  describe(objectName) {
+    return `s3://${this.bucket}/${this.prefix}${objectName || ''}`;
+  }
+
+  /**
+   * Host and path of an object (or of the bucket when `key` is empty)
+   */
+  getLocation(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+
+    if (this.forcePathStyle) {
+      const basePath = this.endpoint.pathname.replace(/\/$/, '');
+      return { host: this.endpoint.host, path: `${basePath}/${this.bucket}/${encodedKey}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${encodedKey}` };
+  }
+
+  /**
+   * Signature Version 4 headers for a request
+   */
+  sign({ method, host, path, query, body, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+    const scope = `${dateStamp}/${this.region}/${SERVICE}/aws4_request`;
+
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalHeaders = Object.entries(headers)
+      .map(([name, value]) => `${name}:${value}\n`)
+      .join('');
+
+    const canonicalRequest = [
+      method,
+      path,
+      canonicalQueryString(query),
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join(
+      '\n'
+    );
+
+    const signingKey = [dateStamp, this.region, SERVICE, 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      `AWS4${this.secretAccessKey}`
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  request(method, key, { query = {}, body = EMPTY_BODY } = {}) {
+    const { host, path } = this.getLocation(key);
+    const headers = this.sign({ method, host, path, query, body });
+    const search = canonicalQueryString(query);
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          protocol: this.endpoint.protocol,
+          hostname: host.replace(/:\d+$/, ''),
+          port: this.endpoint.port || undefined,
+          method,
+          path: search ? `${path}?${search}` : path,
+          headers: { ...headers, 'content-length': body.length },
+        },
+        res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            const responseBody = Buffer.concat(chunks);
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve({ statusCode: res.statusCode, body: responseBody });
+              return;
+            }
+
+            const code = xmlValues(responseBody.toString('utf8'), 'Code')[0];
+            const error = new Error(
+              `S3 ${method} ${key || this.bucket} failed: ${res.statusCode}${code ? ` ${code}` : ''}`
+            );
+            error.statusCode = res.statusCode;
+            reject(error);
+          });
+          res.on('error', reject);
+        }
+      );
+
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(
+          new Error(`S3 ${method} ${key || this.bucket} timed out after ${this.timeoutMs}ms`)
+        );
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = S3BackupStorage;
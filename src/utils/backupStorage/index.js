@@ -0,0 +1,40 @@
+/**
+ * Backup Storage Factory
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const path = require('path');
+const BackupStorage = require('./BackupStorage');
+const LocalBackupStorage = require('./LocalBackupStorage');
+const S3BackupStorage = require('./S3BackupStorage');
+
+const PROJECT_ROOT = path.join(__dirname, '../../..');
+
+/**
+ * Build the storage target selected by `backup.storage.target`
+ * @param {Object} storageConfig - The `backup.storage` configuration section
+ * @returns {BackupStorage}
+ */
+function createBackupStorage(storageConfig = {}) {
+  const target = storageConfig.target || 'local';
+
+  switch (target) {
+    case 'local': {
+      const directory = (storageConfig.local && storageConfig.local.directory) || 'backups';
+      return new LocalBackupStorage({ directory: path.resolve(PROJECT_ROOT, directory) });
+    }
+
+    case 's3':
+      return new S3BackupStorage(storageConfig.s3 || {});
+
+    default:
+      throw new Error(`Unknown backup storage target: ${target}`);
+  }
+}
+
+module.exports = {
+  BackupStorage,
+  LocalBackupStorage,
+  S3BackupStorage,
+  createBackupStorage,
+};
@@ -5,6 +5,7 @@
 
 const crypto = require('crypto');
 const logger = require('./logger');
+const scheduler = require('./scheduler');
 
 class CacheManager {
   constructor() {
@@ -180,9 +181,10 @@ class CacheManager {
   }
 
   startCleanupTimer() {
-    setInterval(() => {
-      this.cleanup();
-    }, 300000); // Cleanup every 5 minutes
+    // Every instance cleans its own cache
+    scheduler.schedule('cache-cleanup', '*/5 * * * *', () => this.cleanup(), {
+      singleRunner: false,
+    });
   }
 
   getStats() {
@@ -0,0 +1,148 @@
+/**
+ * Cron Expression Parser
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+// minute hour day-of-month month day-of-week, evaluated in the server's local time
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Long enough to reach any valid date (e.g. 29 February on a Monday)
+const MAX_SEARCH_YEARS = 30;
+
+class CronExpression {
+  /**
+   * @param {string} expression - Five fields (`0 2 * * *`) or a macro (`@daily`)
+   * @throws {Error} If the expression is invalid
+   */
+  constructor(expression) {
+    const source = String(expression || '').trim();
+    const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${source}": expected 5 fields`);
+    }
+
+    this.expression = source;
+    FIELDS.forEach((field, index) => {
+      this[field.name] = CronExpression.parseField(fields[index], field, source);
+    });
+
+    // 7 is Sunday too
+    if (this.dayOfWeek.has(7)) {
+      this.dayOfWeek.add(0);
+    }
+
+    // Like cron: when both day fields are restricted, a day matching either one runs
+    this.dayOfMonthRestricted = fields[2] !== '*';
+    this.dayOfWeekRestricted = fields[4] !== '*';
+  }
+
+  static parseField(text, field, source) {
+    const values = new Set();
+
+    for (const part of text.toLowerCase().split(',')) {
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let start = field.min;
+      let end = field.max;
+
+      if (range !== '*') {
+        const [from, to] = range.split('-');
+        start = CronExpression.parseValue(from, field, source);
+        end = to === undefined ? start : CronExpression.parseValue(to, field, source);
+        if (to === undefined && stepText !== undefined) {
+          end = field.max; // `5/15` means from 5 to the end, every 15
+        }
+      }
+
+      if (!Number.isInteger(step) || step < 1 || start > end) {
+        throw new Error(`Invalid cron expression "${source}": bad ${field.name} "${part}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  static parseValue(text, field, source) {
+    const nameIndex = field.names ? field.names.indexOf(text) : -1;
+    const numeric = /^\d+$/.test(text) ? Number(text) : NaN;
+    const value = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : numeric;
+
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid cron expression "${source}": bad ${field.name} "${text}"`);
+    }
+    return value;
+  }
+
+  matchesDay(date) {
+    const dayOfMonth = this.dayOfMonth.has(date.getDate());
+    const dayOfWeek = this.dayOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * The first time after `from` (to the minute) that matches the expression
+   * @param {Date} [from]
+   * @returns {Date}
+   */
+  next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime()).setFullYear(date.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date.getTime() < limit) {
+      if (!this.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,65 @@
+/**
+ * Document Text Extraction
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const logger = require('./logger');
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'text/csv': '.csv',
+  'text/comma-separated-values': '.csv',
+  'application/json': '.json',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+class DocumentParser {
+  static getExtensionForContentType(contentType) {
+    if (typeof contentType !== 'string') {
+      return null;
+    }
+
+    // Strip parameters such as "; charset=utf-8"
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    return CONTENT_TYPE_EXTENSIONS[mimeType] || null;
+  }
+
+  static isImage(extension) {
+    return IMAGE_EXTENSIONS.includes((extension || '').toLowerCase());
+  }
+
+  static async extractText(buffer, extension) {
+    const fileExt = (extension || '').toLowerCase();
+    logger.debug(`[PARSER] Extracting text from ${fileExt} (${buffer.length} bytes)`);
+
+    switch (fileExt) {
+      case '.pdf': {
+        const pdfData = await pdfParse(buffer);
+        return pdfData.text || '';
+      }
+
+      case '.txt':
+        return buffer.toString('utf8');
+
+      case '.docx': {
+        const result = await mammoth.extractRawText({ buffer });
+        return result.value || '';
+      }
+
+      default:
+        throw new Error(`Text extraction is not supported for ${fileExt || 'unknown'} files`);
+    }
+  }
+}
+
+module.exports = DocumentParser;
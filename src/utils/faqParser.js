@@ -0,0 +1,172 @@
+/**
+ * FAQ File Parsing (question/answer pairs from CSV or JSON)
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const FAQ_EXTENSIONS = ['.csv', '.json'];
+
+// Column headers (CSV) and keys (JSON) recognised for each half of a pair
+const QUESTION_KEYS = ['question', 'questions', 'q', 'faq', 'query'];
+const ANSWER_KEYS = ['answer', 'answers', 'a', 'response', 'reply'];
+
+class FaqParser {
+  static isFaqFile(extension) {
+    return FAQ_EXTENSIONS.includes((extension || '').toLowerCase());
+  }
+
+  /**
+   * @param {string} text - File contents
+   * @param {string} extension - '.csv' or '.json'
+   * @returns {Array<{row: number, question: string, answer: string}>} `row` is the CSV
+   *   line or the 1-based position in the JSON array, for error reports
+   * @throws {Error} If the file can't be read as FAQ pairs or has none
+   */
+  static parse(text, extension) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const rows =
+      (extension || '').toLowerCase() === '.json'
+        ? FaqParser.parseJson(source)
+        : FaqParser.parseCsv(source);
+
+    if (rows.length === 0) {
+      throw new Error('No question/answer rows found');
+    }
+    return rows;
+  }
+
+  /**
+   * A header row naming the question and answer columns is optional; without one
+   * the first two columns are used
+   */
+  static parseCsv(text) {
+    const records = FaqParser.parseCsvRecords(text).filter(record =>
+      record.fields.some(field => field.trim())
+    );
+    if (records.length === 0) {
+      return [];
+    }
+
+    const header = records[0].fields.map(field => field.trim().toLowerCase());
+    let questionColumn = header.findIndex(name => QUESTION_KEYS.includes(name));
+    let answerColumn = header.findIndex(name => ANSWER_KEYS.includes(name));
+
+    let dataRecords = records.slice(1);
+    if (questionColumn === -1 || answerColumn === -1) {
+      questionColumn = 0;
+      answerColumn = 1;
+      dataRecords = records;
+    }
+
+    return dataRecords.map(({ line, fields }) => ({
+      row: line,
+      question: (fields[questionColumn] || '').trim(),
+      answer: (fields[answerColumn] || '').trim(),
+    }));
+  }
+
+  /**
+   * RFC 4180 records: quoted fields may hold delimiters, doubled quotes and line
+   * breaks. Semicolon-separated files (spreadsheet exports in many locales) are
+   * recognised from the first line.
+   * @returns {Array<{line: number, fields: string[]}>}
+   */
+  static parseCsvRecords(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`Unclosed quote in the row starting on line ${recordLine}`);
+    }
+    if (field || fields.length > 0) {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+    }
+    return records;
+  }
+
+  /**
+   * An array (or `{faqs: [...]}`) of `{question, answer}` objects or `[question, answer]` pairs
+   */
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data && data.faqs;
+    if (!Array.isArray(items)) {
+      throw new Error('Expected an array of {question, answer} objects or a "faqs" array');
+    }
+
+    return items.map((item, index) => {
+      let question = '';
+      let answer = '';
+
+      if (Array.isArray(item)) {
+        [question, answer] = item;
+      } else if (item && typeof item === 'object') {
+        for (const [key, value] of Object.entries(item)) {
+          const name = key.toLowerCase();
+          if (QUESTION_KEYS.includes(name)) {
+            question = value;
+          } else if (ANSWER_KEYS.includes(name)) {
+            answer = value;
+          }
+        }
+      }
+
+      return {
+        row: index + 1,
+        question: typeof question === 'string' ? question.trim() : '',
+        answer: typeof answer === 'string' ? answer.trim() : '',
+      };
+    });
+  }
+}
+
+module.exports = FaqParser;
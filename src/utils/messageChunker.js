@@ -0,0 +1,160 @@
+/**
+ * Sentence-Sized Message Chunking for Streamed Replies
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const TWILIO_MAX_MESSAGE_LENGTH = 1600;
+
+// End of a sentence or paragraph, confirmed by the whitespace that follows it
+const SENTENCE_BOUNDARY = /([.!?…]+["')\]]*\s+|\n{2,})/g;
+
+class MessageChunker {
+  /**
+   * @param {Object} options
+   * @param {function(string): Promise<void>} options.onChunk - Called in order with each chunk
+   * @param {number} [options.minChunkLength] - Shorter sentences are held back and joined with the next
+   * @param {number} [options.maxChunkLength] - Hard limit per chunk
+   * @param {number} [options.chunkDelayMs] - Pause between chunks so messages arrive in order
+   */
+  constructor({
+    onChunk,
+    minChunkLength = 80,
+    maxChunkLength = TWILIO_MAX_MESSAGE_LENGTH,
+    chunkDelayMs = 0,
+  }) {
+    this.onChunk = onChunk;
+    this.minChunkLength = minChunkLength;
+    this.maxChunkLength = Math.min(maxChunkLength, TWILIO_MAX_MESSAGE_LENGTH);
+    this.chunkDelayMs = chunkDelayMs;
+    this.buffer = '';
+    this.chunkCount = 0;
+  }
+
+  /**
+   * Append streamed text, sending every complete chunk it produces
+   * @param {string} text
+   */
+  async push(text) {
+    if (!text) {
+      return;
+    }
+
+    this.buffer += text;
+
+    let chunk = this.takeChunk();
+    while (chunk !== null) {
+      await this.emit(chunk);
+      chunk = this.takeChunk();
+    }
+  }
+
+  /**
+   * Send whatever is left in the buffer
+   */
+  async flush() {
+    const remaining = this.buffer;
+    this.buffer = '';
+
+    for (const chunk of MessageChunker.split(remaining, this.maxChunkLength)) {
+      await this.emit(chunk);
+    }
+  }
+
+  takeChunk() {
+    // Sentence boundary after the minimum length
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    let match = SENTENCE_BOUNDARY.exec(this.buffer);
+    while (match) {
+      const end = match.index + match[0].length;
+      if (end > this.maxChunkLength) {
+        break;
+      }
+      if (this.buffer.slice(0, end).trim().length >= this.minChunkLength) {
+        return this.cut(end);
+      }
+      match = SENTENCE_BOUNDARY.exec(this.buffer);
+    }
+
+    // No usable boundary but the buffer can't grow any further
+    if (this.buffer.length > this.maxChunkLength) {
+      return this.cut(MessageChunker.findSplitPoint(this.buffer, this.maxChunkLength));
+    }
+
+    return null;
+  }
+
+  cut(end) {
+    const chunk = this.buffer.slice(0, end);
+    this.buffer = this.buffer.slice(end);
+    return chunk;
+  }
+
+  async emit(text) {
+    const chunk = text.trim();
+    if (!chunk) {
+      return;
+    }
+
+    if (this.chunkCount > 0 && this.chunkDelayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+    }
+
+    this.chunkCount++;
+    await this.onChunk(chunk);
+  }
+
+  /**
+   * Split a complete message into pieces no longer than maxLength,
+   * preferring sentence, then line, then word boundaries
+   */
+  static split(text, maxLength = TWILIO_MAX_MESSAGE_LENGTH) {
+    const chunks = [];
+    let remaining = (text || '').trim();
+
+    while (remaining.length > maxLength) {
+      const end = MessageChunker.findSplitPoint(remaining, maxLength);
+      chunks.push(remaining.slice(0, end).trim());
+      remaining = remaining.slice(end).trim();
+    }
+
+    if (remaining) {
+      chunks.push(remaining);
+    }
+
+    return chunks;
+  }
+
+  static findSplitPoint(text, maxLength) {
+    const window = text.slice(0, maxLength);
+
+    let sentenceEnd = -1;
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    let match = SENTENCE_BOUNDARY.exec(window);
+    while (match) {
+      sentenceEnd = match.index + match[0].length;
+      match = SENTENCE_BOUNDARY.exec(window);
+    }
+
+    // Only accept boundaries that keep chunks reasonably full
+    const minimum = Math.floor(maxLength / 2);
+    if (sentenceEnd >= minimum) {
+      return sentenceEnd;
+    }
+
+    const lineEnd = window.lastIndexOf('\n');
+    if (lineEnd >= minimum) {
+      return lineEnd + 1;
+    }
+
+    const wordEnd = window.lastIndexOf(' ');
+    if (wordEnd > 0) {
+      return wordEnd + 1;
+    }
+
+    return maxLength;
+  }
+}
+
+MessageChunker.TWILIO_MAX_MESSAGE_LENGTH = TWILIO_MAX_MESSAGE_LENGTH;
+
+module.exports = MessageChunker;
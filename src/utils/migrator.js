@@ -0,0 +1,339 @@
+/**
+ * Database Migration Runner
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+
+// `007_scheduled_jobs.sql` applies a migration, `007_scheduled_jobs.down.sql` reverts it
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+?)(\.down)?\.sql$/i;
+
+// Held while migrating, so instances booting together don't apply the same migration twice
+const ADVISORY_LOCK_KEY = 720310017;
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)`;
+
+/**
+ * Applies the numbered SQL files in `migrations/` in order and records each one in
+ * the schema_migrations table. Every migration runs in its own transaction.
+ */
+class Migrator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Where the migration files are
+   * @param {string} [options.connectionString] - Defaults to database.postgres.url
+   * @param {Function} [options.createClient] - Returns an unconnected client with
+   *   connect/query/end (a `pg` Client by default)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.connectionString = options.connectionString || config.get('database.postgres').url;
+    this.createClient = options.createClient || (() => this.createPgClient());
+  }
+
+  createPgClient() {
+    if (!this.connectionString) {
+      throw new Error(
+        'Missing database connection string. Please set DATABASE_URL in your .env file'
+      );
+    }
+
+    const { Client } = require('pg');
+    return new Client({ connectionString: this.connectionString });
+  }
+
+  /**
+   * Migration files in version order
+   * @returns {Promise<Array<{version, name, file, downFile, checksum}>>}
+   */
+  async listMigrations() {
+    const files = await fs.readdir(this.directory);
+    const migrations = new Map(); // numeric version -> migration
+
+    for (const file of files) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, down] = match;
+      const migration = migrations.get(Number(version)) || {
+        version,
+        name,
+        file: null,
+        downFile: null,
+      };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names: ${file}`);
+      }
+      if (down) {
+        migration.downFile = file;
+      } else if (migration.file) {
+        throw new Error(`Duplicate migration ${version}: ${migration.file} and ${file}`);
+      } else {
+        migration.file = file;
+      }
+      migrations.set(Number(version), migration);
+    }
+
+    const ordered = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of ordered) {
+      if (!migration.file) {
+        throw new Error(`Migration ${migration.version} has a down file but no up file`);
+      }
+      migration.checksum = Migrator.checksum(await this.readFile(migration.file));
+    }
+    return ordered;
+  }
+
+  readFile(file) {
+    return fs.readFile(path.join(this.directory, file), 'utf8');
+  }
+
+  /**
+   * Every migration file and every recorded migration, and whether it has been applied
+   */
+  status() {
+    return this.withClient(async client => {
+      const migrations = await this.listMigrations();
+      const applied = await this.getApplied(client);
+      return Migrator.describe(migrations, applied);
+    });
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options]
+   * @param {string} [options.to] - Stop after this version
+   * @returns {Promise<string[]>} The applied migrations
+   */
+  up(options = {}) {
+    return this.withLock(async client => {
+      const migrations = await this.listMigrations();
+      const applied = await this.getApplied(client);
+      const target = options.to === undefined ? null : Number(options.to);
+
+      this.checkApplied(migrations, applied);
+
+      const pending = migrations.filter(
+        migration =>
+          !applied.has(migration.version) &&
+          (target === null || Number(migration.version) <= target)
+      );
+
+      const latestApplied = Math.max(0, ...[...applied.keys()].map(Number));
+      const outOfOrder = pending.find(migration => Number(migration.version) < latestApplied);
+      if (outOfOrder) {
+        throw new Error(
+          `Migration ${outOfOrder.file} is older than the latest applied migration; renumber it after ${latestApplied}`
+        );
+      }
+
+      if (pending.length === 0) {
+        logger.info('[MIGRATE] Database schema is up to date');
+        return [];
+      }
+
+      const done = [];
+      for (const migration of pending) {
+        await this.apply(client, migration, 'up');
+        done.push(migration.file);
+      }
+
+      logger.success(`[MIGRATE] Applied ${done.length} migration(s)`);
+      return done;
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} [options]
+   * @param {number} [options.steps] - How many to revert (default 1)
+   * @param {string} [options.to] - Revert everything after this version instead
+   * @returns {Promise<string[]>} The reverted migrations
+   */
+  down(options = {}) {
+    return this.withLock(async client => {
+      const migrations = await this.listMigrations();
+      const applied = await this.getApplied(client);
+      const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+      const versions = [...applied.keys()].sort((a, b) => Number(b) - Number(a));
+      const toRevert =
+        options.to === undefined
+          ? versions.slice(0, options.steps === undefined ? 1 : options.steps)
+          : versions.filter(version => Number(version) > Number(options.to));
+
+      // Check them all first so a missing down file doesn't leave a half-reverted schema
+      for (const version of toRevert) {
+        const migration = byVersion.get(version);
+        if (!migration) {
+          throw new Error(`Cannot revert ${version}: its migration file is missing`);
+        }
+        if (!migration.downFile) {
+          throw new Error(`Cannot revert ${migration.file}: it has no down migration`);
+        }
+      }
+
+      const done = [];
+      for (const version of toRevert) {
+        const migration = byVersion.get(version);
+        await this.apply(client, migration, 'down');
+        done.push(migration.downFile);
+      }
+
+      logger.success(`[MIGRATE] Reverted ${done.length} migration(s)`);
+      return done;
+    });
+  }
+
+  /**
+   * Record migrations up to `version` as applied without running them, for a database
+   * whose schema was created by hand before the runner existed
+   * @returns {Promise<string[]>} The migrations recorded
+   */
+  baseline(version) {
+    return this.withLock(async client => {
+      const migrations = await this.listMigrations();
+      const applied = await this.getApplied(client);
+
+      if (!migrations.some(migration => Number(migration.version) === Number(version))) {
+        throw new Error(`No migration with version ${version}`);
+      }
+
+      const done = [];
+      for (const migration of migrations) {
+        if (Number(migration.version) <= Number(version) && !applied.has(migration.version)) {
+          await this.record(client, migration);
+          done.push(migration.file);
+        }
+      }
+
+      logger.info(`[MIGRATE] Recorded ${done.length} migration(s) as already applied`);
+      return done;
+    });
+  }
+
+  async apply(client, migration, direction) {
+    const file = direction === 'up' ? migration.file : migration.downFile;
+    const sql = await this.readFile(file);
+
+    logger.info(`[MIGRATE] ${direction === 'up' ? 'Applying' : 'Reverting'} ${file}...`);
+
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      if (direction === 'up') {
+        await this.record(client, migration);
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${error.message}`);
+    }
+  }
+
+  record(client, migration) {
+    return client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  /**
+   * @returns {Promise<Map<string, Object>>} version -> schema_migrations row
+   */
+  async getApplied(client) {
+    await client.query(MIGRATIONS_TABLE);
+    const { rows } = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations'
+    );
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  checkApplied(migrations, applied) {
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      if (row && row.checksum !== migration.checksum) {
+        logger.warn(
+          `[MIGRATE] ${migration.file} was changed after it was applied; changes to applied migrations are not re-run`
+        );
+      }
+    }
+  }
+
+  async withClient(work) {
+    const client = this.createClient();
+    await client.connect();
+    try {
+      return await work(client);
+    } finally {
+      await client.end();
+    }
+  }
+
+  withLock(work) {
+    return this.withClient(async client => {
+      await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+      try {
+        return await work(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+      }
+    });
+  }
+
+  static describe(migrations, applied) {
+    const rows = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? new Date(row.applied_at) : null,
+        changed: Boolean(row) && row.checksum !== migration.checksum,
+        reversible: Boolean(migration.downFile),
+        missing: false,
+      };
+    });
+
+    // Applied on this database, but the file is gone (e.g. an older checkout)
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        rows.push({
+          version,
+          name: row.name,
+          applied: true,
+          appliedAt: new Date(row.applied_at),
+          changed: false,
+          reversible: false,
+          missing: true,
+        });
+      }
+    }
+
+    return rows.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  static checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+  }
+}
+
+Migrator.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = Migrator;
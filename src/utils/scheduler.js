@@ -0,0 +1,213 @@
+/**
+ * Cron Job Scheduler
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const os = require('os');
+const config = require('../../config');
+const logger = require('./logger');
+const CronExpression = require('./cron');
+const ScheduledJobRepository = require('../repositories/ScheduledJobRepository');
+
+// setTimeout can't wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+class Scheduler {
+  constructor() {
+    const schedulerConfig = config.get('scheduler');
+
+    this.instanceId = schedulerConfig.instanceId || `${os.hostname()}-${process.pid}`;
+    this.lockLeaseMs = schedulerConfig.lockLeaseMs;
+    this.jobs = new Map(); // name -> job
+  }
+
+  /**
+   * Run a task on a cron schedule. A run is skipped while the job's previous run is
+   * still going, and single-runner jobs run on only one of several deployed instances.
+   * @param {string} name - Unique job name (also names the lock)
+   * @param {string} expression - Cron expression, e.g. `0 2 * * *`
+   * @param {Function} task - Async; receives `{ scheduledFor }`. Throw to mark the run failed
+   * @param {Object} [options]
+   * @param {boolean} [options.singleRunner] - Claim each run in the database first (default true)
+   * @returns {Object} The job
+   */
+  schedule(name, expression, task, options = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already scheduled`);
+    }
+
+    const job = {
+      name,
+      cron: new CronExpression(expression),
+      task,
+      singleRunner: options.singleRunner !== false,
+      running: false,
+      timer: null,
+      nextRun: null,
+      lastRun: null,
+      lastStatus: null,
+      lastError: null,
+      skippedRuns: 0,
+    };
+
+    this.jobs.set(name, job);
+    this.arm(job);
+
+    logger.info(
+      `[SCHEDULER] Scheduled ${name} (${expression}), next run at ${job.nextRun.toISOString()}`
+    );
+    return job;
+  }
+
+  unschedule(name) {
+    const job = this.jobs.get(name);
+    if (job) {
+      clearTimeout(job.timer);
+      this.jobs.delete(name);
+    }
+  }
+
+  stop() {
+    for (const name of [...this.jobs.keys()]) {
+      this.unschedule(name);
+    }
+  }
+
+  /**
+   * @param {Date} [after] - Schedule the first run after this (and after now)
+   */
+  arm(job, after = new Date()) {
+    job.nextRun = job.cron.next(new Date(Math.max(after.getTime(), Date.now())));
+    this.setTimer(job);
+  }
+
+  setTimer(job) {
+    const delay = job.nextRun.getTime() - Date.now();
+
+    job.timer =
+      delay > MAX_TIMER_DELAY_MS
+        ? setTimeout(() => this.setTimer(job), MAX_TIMER_DELAY_MS)
+        : setTimeout(() => this.fire(job), Math.max(delay, 0));
+
+    // Scheduled jobs alone shouldn't keep the process alive
+    job.timer.unref();
+  }
+
+  fire(job) {
+    const scheduledFor = job.nextRun;
+
+    // Arm the next run first, so a slow run doesn't shift the schedule
+    this.arm(job, scheduledFor);
+    return this.runJob(job, scheduledFor);
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the task ran on this instance
+   */
+  async runJob(job, scheduledFor) {
+    if (job.running) {
+      job.skippedRuns++;
+      logger.warn(
+        `[SCHEDULER] Skipping ${job.name} run for ${scheduledFor.toISOString()}: the previous run is still going`
+      );
+      return false;
+    }
+
+    job.running = true;
+    let leaseTimer = null;
+
+    try {
+      if (job.singleRunner) {
+        if (!(await this.claimRun(job, scheduledFor))) {
+          return false;
+        }
+        leaseTimer = setInterval(() => this.renewLease(job), this.lockLeaseMs / 2);
+        leaseTimer.unref();
+      }
+
+      logger.debug(`[SCHEDULER] Running ${job.name}...`);
+      job.lastRun = new Date();
+
+      try {
+        await job.task({ scheduledFor });
+        job.lastStatus = 'succeeded';
+        job.lastError = null;
+      } catch (error) {
+        logger.error(`[SCHEDULER] ${job.name} failed:`, error);
+        job.lastStatus = 'failed';
+        job.lastError = error.message;
+      }
+
+      if (job.singleRunner) {
+        await this.finishRun(job);
+      }
+      return true;
+    } finally {
+      clearInterval(leaseTimer);
+      job.running = false;
+    }
+  }
+
+  async claimRun(job, scheduledFor) {
+    try {
+      const claimed = await ScheduledJobRepository.claimRun(
+        job.name,
+        this.instanceId,
+        scheduledFor,
+        this.lockLeaseMs
+      );
+
+      if (!claimed) {
+        job.skippedRuns++;
+        logger.info(
+          `[SCHEDULER] Skipping ${job.name} run for ${scheduledFor.toISOString()}: another instance has it`
+        );
+      }
+      return claimed;
+    } catch (error) {
+      logger.error(`[SCHEDULER] Could not claim ${job.name} run; skipping it:`, error);
+      return false;
+    }
+  }
+
+  async renewLease(job) {
+    try {
+      await ScheduledJobRepository.renewLease(job.name, this.instanceId, this.lockLeaseMs);
+    } catch (error) {
+      logger.warn(`[SCHEDULER] Could not renew the lease of ${job.name}:`, error);
+    }
+  }
+
+  async finishRun(job) {
+    try {
+      await ScheduledJobRepository.finishRun(job.name, this.instanceId, {
+        status: job.lastStatus,
+        error: job.lastError,
+      });
+    } catch (error) {
+      // The lease runs out on its own
+      logger.warn(`[SCHEDULER] Could not record the end of ${job.name}:`, error);
+    }
+  }
+
+  /**
+   * @param {string} [prefix] - Only jobs whose name starts with this
+   */
+  getJobs(prefix = '') {
+    return [...this.jobs.values()]
+      .filter(job => job.name.startsWith(prefix))
+      .map(job => ({
+        name: job.name,
+        schedule: job.cron.toString(),
+        nextRun: job.nextRun,
+        lastRun: job.lastRun,
+        lastStatus: job.lastStatus,
+        lastError: job.lastError,
+        running: job.running,
+        skippedRuns: job.skippedRuns,
+        singleRunner: job.singleRunner,
+      }));
+  }
+}
+
+module.exports = new Scheduler();
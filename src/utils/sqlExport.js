@@ -0,0 +1,208 @@
+/**
+ * SQL Dump Writer for Postgres/Supabase Exports
+ * Author: Ravi Kalla <ravi2523096+sbc@gmail.com>
+ */
+
+const MODES = ['insert', 'skip', 'upsert'];
+const INSERT_BATCH_SIZE = 100;
+
+/**
+ * Builds a SQL script that loads rows inside a single transaction. Every value is
+ * written as a properly escaped literal (or COPY text field), never spliced in raw.
+ *
+ * Modes: `insert` aborts the whole import on a conflicting row, `skip` keeps rows
+ * that already exist, `upsert` overwrites them.
+ */
+class SqlExportWriter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode] - insert | skip | upsert
+   * @param {boolean} [options.copy] - Load rows with COPY ... FROM stdin (faster, psql only)
+   * @param {string} [options.schemaVersion] - Latest migration the data was exported from
+   * @param {Date} [options.generatedAt]
+   */
+  constructor({
+    mode = 'insert',
+    copy = false,
+    schemaVersion = null,
+    generatedAt = new Date(),
+  } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown SQL export mode: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.copy = copy;
+    this.schemaVersion = schemaVersion;
+    this.generatedAt = generatedAt;
+    this.sections = [];
+    this.rowCount = 0;
+  }
+
+  /**
+   * Add a table's rows; tables are loaded in the order they are added
+   * @param {Object} table
+   * @param {string} table.name
+   * @param {string[]} table.columns
+   * @param {string[]} table.conflictColumns - Unique key used by skip and upsert modes
+   * @param {Array<Object>} table.rows - Objects keyed by column name
+   */
+  addTable({ name, columns, conflictColumns, rows }) {
+    const body = this.copy
+      ? this.copyStatements(name, columns, conflictColumns, rows)
+      : this.insertStatements(name, columns, conflictColumns, rows);
+
+    this.sections.push(`-- ${name}: ${rows.length} row(s)\n${body}`);
+    this.rowCount += rows.length;
+    return this;
+  }
+
+  toString() {
+    const header = [
+      '-- Supabase Export for SBC Business Care System',
+      `-- Generated: ${this.generatedAt.toISOString()}`,
+      `-- Schema version: ${this.schemaVersion || 'unknown'}`,
+      `-- Mode: ${this.mode}${this.copy ? ' (COPY format: load with psql)' : ''}`,
+      '-- Author: Ravi Kalla <ravi2523096+sbc@gmail.com>',
+      '',
+      "SET client_encoding = 'UTF8';",
+      'SET standard_conforming_strings = on;',
+      '',
+      'BEGIN;',
+    ].join('\n');
+
+    return `${header}\n\n${this.sections.join('\n')}\nCOMMIT;\n`;
+  }
+
+  insertStatements(name, columns, conflictColumns, rows) {
+    const statements = [];
+    const columnList = columns.map(SqlExportWriter.quoteIdentifier).join(', ');
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const values = rows
+        .slice(i, i + INSERT_BATCH_SIZE)
+        .map(
+          row =>
+            `  (${columns.map(column => SqlExportWriter.quoteLiteral(row[column])).join(', ')})`
+        )
+        .join(',\n');
+
+      statements.push(
+        `INSERT INTO ${SqlExportWriter.quoteIdentifier(name)} (${columnList}) VALUES\n${values}${this.conflictClause(columns, conflictColumns)};\n`
+      );
+    }
+
+    return statements.join('');
+  }
+
+  copyStatements(name, columns, conflictColumns, rows) {
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const columnList = columns.map(SqlExportWriter.quoteIdentifier).join(', ');
+    const data = rows
+      .map(row => columns.map(column => SqlExportWriter.copyField(row[column])).join('\t'))
+      .join('\n');
+
+    if (this.mode === 'insert') {
+      return `COPY ${SqlExportWriter.quoteIdentifier(name)} (${columnList}) FROM stdin;\n${data}\n\\.\n`;
+    }
+
+    // COPY can't skip or update conflicting rows, so load a staging table first
+    const staging = SqlExportWriter.quoteIdentifier(`import_${name}`);
+    return [
+      `CREATE TEMP TABLE ${staging} (LIKE ${SqlExportWriter.quoteIdentifier(name)} INCLUDING DEFAULTS) ON COMMIT DROP;`,
+      `COPY ${staging} (${columnList}) FROM stdin;\n${data}\n\\.`,
+      `INSERT INTO ${SqlExportWriter.quoteIdentifier(name)} (${columnList})\nSELECT ${columnList} FROM ${staging}${this.conflictClause(columns, conflictColumns)};`,
+      '',
+    ].join('\n');
+  }
+
+  conflictClause(columns, conflictColumns) {
+    if (this.mode === 'insert') {
+      return '';
+    }
+
+    const target = `\nON CONFLICT (${conflictColumns.map(SqlExportWriter.quoteIdentifier).join(', ')})`;
+    if (this.mode === 'skip') {
+      return `${target} DO NOTHING`;
+    }
+
+    const updates = columns
+      .filter(column => !conflictColumns.includes(column))
+      .map(column => {
+        const identifier = SqlExportWriter.quoteIdentifier(column);
+        return `${identifier} = EXCLUDED.${identifier}`;
+      });
+    return `${target} DO UPDATE SET ${updates.join(', ')}`;
+  }
+
+  static quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * A SQL literal for a value (assumes standard_conforming_strings, which the dump sets)
+   */
+  static quoteLiteral(value) {
+    if (value === null || value === undefined) {
+      return 'NULL';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+      return SqlExportWriter.formatNumber(value);
+    }
+    return `'${SqlExportWriter.toText(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * A field in COPY text format
+   */
+  static copyField(value) {
+    if (value === null || value === undefined) {
+      return '\\N';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 't' : 'f';
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+      return SqlExportWriter.formatNumber(value);
+    }
+    return SqlExportWriter.toText(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\t/g, '\\t')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+  }
+
+  static formatNumber(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Cannot export non-finite number ${value}`);
+    }
+    return String(value);
+  }
+
+  static toText(value) {
+    let text;
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    // Postgres text can't hold NUL, so a value containing one didn't come from the database
+    if (text.includes('\u0000')) {
+      throw new Error('Cannot export a value containing a NUL character');
+    }
+    return text;
+  }
+}
+
+SqlExportWriter.MODES = MODES;
+
+module.exports = SqlExportWriter;
@@ -263,6 +263,7 @@ class Validator {
         return this.validateKnowledgeContent(value);
 
       case 'query':
+      case 'customerQuery':
         return this.validateQuery(value);
 
       case 'businessId':
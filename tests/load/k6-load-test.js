@@ -41,6 +41,8 @@ export let options = {
 };
 
 const BASE_URL = envConfig.baseURL;
+// The API routes need a platform_admin key (the test registers businesses): k6 run --env API_KEY=...
+const AUTH_HEADERS = __ENV.API_KEY ? { Authorization: `Bearer ${__ENV.API_KEY}` } : {};
 
 // Weighted endpoint selection
 function selectEndpoint() {
@@ -84,11 +86,12 @@ export default function(data) {
     // Make request based on method
     if (endpoint.method === 'POST' && endpoint.body) {
       response = http.post(url, JSON.stringify(endpoint.body), {
-        headers: { 'Content-Type': 'application/json' },
+        headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
         tags: { name: endpoint.name }
       });
     } else {
       response = http.get(url, {
+        headers: AUTH_HEADERS,
         tags: { name: endpoint.name }
       });
     }
@@ -154,7 +157,7 @@ export function teardown(data) {
   console.log(`\nTest completed in ${duration} seconds`);
   
   // Get final performance metrics
-  const metricsResponse = http.get(`${BASE_URL}/api/performance/metrics`);
+  const metricsResponse = http.get(`${BASE_URL}/api/performance/metrics`, { headers: AUTH_HEADERS });
   if (metricsResponse.status === 200) {
     try {
       const metrics = JSON.parse(metricsResponse.body);
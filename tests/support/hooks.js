@@ -77,6 +77,17 @@ function setupTestRoutes() {
     });
   });
 
+  // Like the real API, everything but the webhook needs an API key
+  this.app.use('/api', (req, res, next) => {
+    if (req.path.startsWith('/webhook') || req.headers.authorization === `Bearer ${self.apiKey}`) {
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'API key required',
+    });
+  });
+
   // Business registration endpoint
   this.app.post('/api/businesses', (req, res) => {
     const { businessName, whatsappNumber, ownerPhone } = req.body;
@@ -26,6 +26,8 @@ class TestWorld {
     };
     this.startTime = null;
     this.endTime = null;
+    // Sent as a Bearer token with every request, as the real API routes require
+    this.apiKey = process.env.TEST_API_KEY || 'sbc_test_platform_admin_key';
   }
 
   // Helper methods for test data management
@@ -56,21 +58,22 @@ class TestWorld {
   // Helper methods for API testing
   async makeRequest(method, path, data = null) {
     const request = supertest(this.app);
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
     this.startTime = Date.now();
 
     try {
       switch (method.toLowerCase()) {
         case 'get':
-          this.response = await request.get(path);
+          this.response = await request.get(path).set(headers);
           break;
         case 'post':
-          this.response = await request.post(path).send(data);
+          this.response = await request.post(path).set(headers).send(data);
           break;
         case 'put':
-          this.response = await request.put(path).send(data);
+          this.response = await request.put(path).set(headers).send(data);
           break;
         case 'delete':
-          this.response = await request.delete(path);
+          this.response = await request.delete(path).set(headers);
           break;
         default:
           throw new Error(`Unsupported HTTP method: ${method}`);
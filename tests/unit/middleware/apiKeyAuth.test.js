@@ -0,0 +1,96 @@
+const apiKeyService = require('../../../src/services/apiKeyService');
+const {
+  authenticateApiKey,
+  requirePlatformAccess,
+  requireBusinessAccess,
+} = require('../../../src/middleware/apiKeyAuth');
+
+describe('API key middleware', () => {
+  const request = (method, headers = {}, apiKey) => ({
+    method,
+    headers,
+    apiKey,
+    ip: '127.0.0.1',
+    originalUrl: '/api/businesses',
+    get: name => headers[name.toLowerCase()],
+  });
+  const response = () => ({ set: jest.fn() });
+
+  const run = async (middleware, req) => {
+    const next = jest.fn();
+    await middleware(req, response(), next);
+    return next.mock.calls[0][0];
+  };
+
+  const keys = {
+    admin: { keyId: 'a', role: 'platform_admin', businessId: null },
+    owner: { keyId: 'o', role: 'business_owner', businessId: 'pizza_1234' },
+    reader: { keyId: 'r', role: 'read_only', businessId: null },
+    businessReader: { keyId: 'br', role: 'read_only', businessId: 'pizza_1234' },
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authenticateApiKey', () => {
+    test('should reject requests without a valid key', async () => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(null);
+
+      const missing = await run(authenticateApiKey, request('GET'));
+      expect(missing.statusCode).toBe(401);
+      expect(missing.message).toBe('API key required');
+
+      const invalid = await run(authenticateApiKey, request('GET', { 'x-api-key': 'nope' }));
+      expect(invalid.statusCode).toBe(401);
+      expect(apiKeyService.verify).toHaveBeenCalledWith('nope');
+    });
+
+    test('should accept a bearer key and attach it to the request', async () => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(keys.owner);
+      const req = request('POST', { authorization: 'Bearer sbc_key' });
+
+      await expect(run(authenticateApiKey, req)).resolves.toBeUndefined();
+      expect(apiKeyService.verify).toHaveBeenCalledWith('sbc_key');
+      expect(req.apiKey).toBe(keys.owner);
+    });
+
+    test('should only let read-only keys make GET requests', async () => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(keys.reader);
+
+      await expect(
+        run(authenticateApiKey, request('GET', { 'x-api-key': 'sbc_key' }))
+      ).resolves.toBeUndefined();
+
+      const denied = await run(authenticateApiKey, request('DELETE', { 'x-api-key': 'sbc_key' }));
+      expect(denied.statusCode).toBe(403);
+    });
+  });
+
+  describe('access checks', () => {
+    const businessAccess = requireBusinessAccess(() => 'pizza_1234');
+
+    test('should give platform admins and unscoped read-only keys every business', async () => {
+      for (const apiKey of [keys.admin, keys.reader]) {
+        await expect(run(businessAccess, request('GET', {}, apiKey))).resolves.toBeUndefined();
+        await expect(
+          run(requirePlatformAccess, request('GET', {}, apiKey))
+        ).resolves.toBeUndefined();
+      }
+    });
+
+    test('should limit business keys to their own business', async () => {
+      for (const apiKey of [keys.owner, keys.businessReader]) {
+        await expect(run(businessAccess, request('GET', {}, apiKey))).resolves.toBeUndefined();
+        const otherBusiness = await run(
+          requireBusinessAccess(() => 'other_1'),
+          request('GET', {}, apiKey)
+        );
+        expect(otherBusiness.statusCode).toBe(403);
+
+        const platform = await run(requirePlatformAccess, request('GET', {}, apiKey));
+        expect(platform.statusCode).toBe(403);
+      }
+    });
+  });
+});
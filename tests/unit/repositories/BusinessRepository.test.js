@@ -0,0 +1,88 @@
+const database = require('../../../src/config/database');
+const RetryManager = require('../../../src/utils/retry');
+
+describe('BusinessRepository', () => {
+  const BusinessRepository = jest.requireActual('../../../src/repositories/BusinessRepository');
+
+  const row = {
+    business_id: 'pizza_1234',
+    business_name: 'Pizza Palace',
+    owner_phone: '+15551234567',
+    status: 'active',
+    metadata: { totalQueries: 8 },
+  };
+
+  let rpc;
+
+  beforeEach(() => {
+    rpc = jest.fn().mockResolvedValue({ data: [row], error: null });
+    RetryManager.withRetry.mockImplementation(fn => fn());
+    jest.spyOn(database, 'getClient').mockReturnValue({ rpc });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Counters are incremented by the database, never written back from a copy read earlier
+  describe('usage counters', () => {
+    test('should count a query in the database', async () => {
+      const business = await BusinessRepository.recordQuery('pizza_1234');
+
+      expect(rpc).toHaveBeenCalledWith('record_business_query', { p_business_id: 'pizza_1234' });
+      expect(business.metadata).toEqual({ totalQueries: 8 });
+    });
+
+    test('should count a fallback answer and keep the latest questions', async () => {
+      await BusinessRepository.recordFallback('pizza_1234', 'Do you cater weddings?');
+
+      expect(rpc).toHaveBeenCalledWith('record_business_fallback', {
+        p_business_id: 'pizza_1234',
+        p_question: 'Do you cater weddings?',
+        p_max_recent: 10,
+      });
+    });
+
+    test('should fail for an unknown business', async () => {
+      rpc.mockResolvedValue({ data: [], error: null });
+
+      await expect(BusinessRepository.recordQuery('missing')).rejects.toThrow(
+        'Business not found for ID missing'
+      );
+    });
+  });
+
+  describe('metadata changes', () => {
+    test('should send only the changed keys', async () => {
+      await BusinessRepository.updateMetadata('pizza_1234', { ai: { temperature: 0.2 } });
+
+      expect(rpc).toHaveBeenCalledWith('update_business_metadata', {
+        p_business_id: 'pizza_1234',
+        p_changes: { ai: { temperature: 0.2 } },
+      });
+    });
+
+    test('should change the status and metadata together', async () => {
+      await BusinessRepository.updateStatus('pizza_1234', 'active', 'suspended', {
+        suspension: null,
+      });
+
+      expect(rpc).toHaveBeenCalledWith('change_business_status', {
+        p_business_id: 'pizza_1234',
+        p_status: 'active',
+        p_from_status: 'suspended',
+        p_metadata_changes: { suspension: null },
+      });
+    });
+
+    test('should return null when the status changed in the meantime', async () => {
+      rpc.mockResolvedValue({ data: [], error: null });
+
+      expect(await BusinessRepository.updateStatus('pizza_1234', 'inactive', 'active')).toBeNull();
+      expect(rpc).toHaveBeenCalledWith(
+        'change_business_status',
+        expect.objectContaining({ p_metadata_changes: {} })
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const database = require('../../../src/config/database');
+const RetryManager = require('../../../src/utils/retry');
+
+describe('KnowledgeRepository', () => {
+  const KnowledgeRepository = jest.requireActual('../../../src/repositories/KnowledgeRepository');
+
+  // A Supabase query builder that records its filters and resolves to a canned result
+  const mockQuery = (calls, result) => {
+    const query = {
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    ['select', 'eq', 'or', 'gte', 'lt', 'order', 'range'].forEach(method => {
+      query[method] = jest.fn((...args) => {
+        calls.push([method, ...args]);
+        return query;
+      });
+    });
+    return query;
+  };
+
+  let pageCalls;
+  let countCalls;
+
+  const useResults = (pageResult, countResult) => {
+    pageCalls = [];
+    countCalls = [];
+    const results = [mockQuery(pageCalls, pageResult), mockQuery(countCalls, countResult)];
+    RetryManager.withRetry.mockImplementation(fn => fn());
+    jest.spyOn(database, 'getClient').mockReturnValue({ from: () => results.shift() });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findKnowledgePage', () => {
+    test('should return a page of previews with the total', async () => {
+      useResults({
+        data: [
+          {
+            knowledge_id: 'kb_1',
+            type: 'text',
+            filename: null,
+            content_preview: 'We deliver.',
+            created_at: '2024-05-01T10:00:00.000Z',
+          },
+        ],
+        error: null,
+        count: 11,
+      });
+
+      const page = await KnowledgeRepository.findKnowledgePage('pizza_1234', {
+        page: 2,
+        pageSize: 10,
+      });
+
+      expect(page).toMatchObject({ total: 11, page: 2, pageSize: 10, totalPages: 2 });
+      expect(page.entries.map(entry => entry.id)).toEqual(['kb_1']);
+      expect(pageCalls).toContainEqual(['range', 10, 19]);
+    });
+
+    test('should return an empty page with the real total past the last page', async () => {
+      useResults(
+        { data: null, error: { code: 'PGRST103', message: 'Requested range not satisfiable' } },
+        { data: null, error: null, count: 12 }
+      );
+
+      const page = await KnowledgeRepository.findKnowledgePage('pizza_1234', {
+        page: 99,
+        pageSize: 8,
+        type: 'document',
+        keyword: 'menu',
+      });
+
+      expect(page).toEqual({ entries: [], total: 12, page: 99, pageSize: 8, totalPages: 2 });
+      expect(countCalls).toEqual(
+        expect.arrayContaining([
+          ['select', 'id', { count: 'exact', head: true }],
+          ['eq', 'business_id', 'pizza_1234'],
+          ['eq', 'type', 'document'],
+          ['or', expect.stringContaining('"*menu*"')],
+        ])
+      );
+    });
+
+    test('should still throw other database errors', async () => {
+      useResults({ data: null, error: { code: '42P01', message: 'relation does not exist' } });
+
+      await expect(KnowledgeRepository.findKnowledgePage('pizza_1234')).rejects.toMatchObject({
+        code: '42P01',
+      });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const express = require('express');
+const request = require('supertest');
+const apiKeyService = require('../../../src/services/apiKeyService');
+const businessService = require('../../../src/services/businessService');
+const routes = require('../../../src/routes');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+
+describe('Business routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use(routes);
+  app.use(globalErrorHandler);
+
+  const keys = {
+    admin: { keyId: 'a', role: 'platform_admin', businessId: null },
+    owner: { keyId: 'o', role: 'business_owner', businessId: 'pizza_1234' },
+    reader: { keyId: 'r', role: 'read_only', businessId: null },
+  };
+
+  const business = {
+    businessId: 'pizza_1234',
+    businessName: 'Pizza Place',
+    ownerPhone: '+15551234567',
+    whatsappNumber: '+15557654321',
+    status: 'active',
+    metadata: {},
+  };
+
+  const as = key => {
+    jest.spyOn(apiKeyService, 'verify').mockResolvedValue(key);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PATCH /api/businesses/:businessId', () => {
+    beforeEach(() => {
+      jest
+        .spyOn(businessService, 'updateBusiness')
+        .mockResolvedValue({ success: true, changed: ['businessName'], business });
+    });
+
+    test('should let a business owner rename their business', async () => {
+      as(keys.owner);
+
+      const response = await request(app)
+        .patch('/api/businesses/pizza_1234')
+        .set('x-api-key', 'sbc_owner')
+        .send({ businessName: 'Pizza Palace' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.changed).toEqual(['businessName']);
+      expect(businessService.updateBusiness).toHaveBeenCalledWith('pizza_1234', {
+        businessName: 'Pizza Palace',
+        ownerPhone: undefined,
+        whatsappNumber: undefined,
+      });
+    });
+
+    test.each([
+      ['whatsappNumber', 'whatsapp:+15550001111'],
+      ['ownerPhone', '+15550002222'],
+    ])('should not let a business owner change %s', async (field, value) => {
+      as(keys.owner);
+
+      const response = await request(app)
+        .patch('/api/businesses/pizza_1234')
+        .set('x-api-key', 'sbc_owner')
+        .send({ businessName: 'Pizza Palace', [field]: value });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe(
+        'Only a platform key can change the owner phone or WhatsApp number'
+      );
+      expect(businessService.updateBusiness).not.toHaveBeenCalled();
+    });
+
+    test('should let a platform key change the WhatsApp number and owner phone', async () => {
+      as(keys.admin);
+
+      const response = await request(app)
+        .patch('/api/businesses/pizza_1234')
+        .set('x-api-key', 'sbc_admin')
+        .send({ whatsappNumber: 'whatsapp:+15550001111', ownerPhone: '+15550002222' });
+
+      expect(response.status).toBe(200);
+      expect(businessService.updateBusiness).toHaveBeenCalledWith('pizza_1234', {
+        businessName: undefined,
+        ownerPhone: '+15550002222',
+        whatsappNumber: 'whatsapp:+15550001111',
+      });
+    });
+
+    test('should not let read-only keys update a business', async () => {
+      as(keys.reader);
+
+      const response = await request(app)
+        .patch('/api/businesses/pizza_1234')
+        .set('x-api-key', 'sbc_reader')
+        .send({ businessName: 'Pizza Palace' });
+
+      expect(response.status).toBe(403);
+      expect(businessService.updateBusiness).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('access control', () => {
+    test('should require an API key', async () => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(null);
+
+      const response = await request(app).get('/api/businesses/pizza_1234');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should keep business owners to their own business', async () => {
+      as(keys.owner);
+      jest.spyOn(businessService, 'getBusiness').mockResolvedValue(business);
+
+      const own = await request(app).get('/api/businesses/pizza_1234').set('x-api-key', 'k');
+      const other = await request(app).get('/api/businesses/taco_5678').set('x-api-key', 'k');
+
+      expect(own.status).toBe(200);
+      expect(own.body.business.businessId).toBe('pizza_1234');
+      expect(other.status).toBe(403);
+    });
+
+    test.each([
+      ['get', '/api/businesses'],
+      ['delete', '/api/businesses/pizza_1234'],
+      ['post', '/api/businesses/pizza_1234/suspend'],
+      ['post', '/api/businesses/pizza_1234/reactivate'],
+      ['get', '/api/businesses/pizza_1234/conversations'],
+    ])('should keep %s %s to platform keys', async (method, path) => {
+      as(keys.owner);
+      const listBusinesses = jest.spyOn(businessService, 'listBusinesses');
+      const deleteBusiness = jest.spyOn(businessService, 'deleteBusinessById');
+      const suspendBusiness = jest.spyOn(businessService, 'suspendBusiness');
+      const reactivateBusiness = jest.spyOn(businessService, 'reactivateBusiness');
+
+      const response = await request(app)[method](path).set('x-api-key', 'k');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('This API key cannot access platform-wide routes');
+      [listBusinesses, deleteBusiness, suspendBusiness, reactivateBusiness].forEach(spy =>
+        expect(spy).not.toHaveBeenCalled()
+      );
+    });
+
+    test('should let platform keys suspend a business with a reason', async () => {
+      as(keys.admin);
+      jest.spyOn(businessService, 'suspendBusiness').mockResolvedValue({
+        success: true,
+        business: { ...business, status: 'suspended' },
+      });
+
+      const response = await request(app)
+        .post('/api/businesses/pizza_1234/suspend')
+        .set('x-api-key', 'k')
+        .send({ reason: 'Unpaid invoice' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.business.status).toBe('suspended');
+      expect(businessService.suspendBusiness).toHaveBeenCalledWith('pizza_1234', 'Unpaid invoice');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const apiKeyService = require('../../../src/services/apiKeyService');
+const dashboardAuthService = require('../../../src/services/dashboardAuthService');
+const routes = require('../../../src/routes');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+
+describe('Dashboard routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use(routes);
+  app.use(globalErrorHandler);
+
+  const dashboardKey = {
+    keyId: 'd',
+    name: 'Dashboard login',
+    role: 'business_owner',
+    businessId: 'pizza_1234',
+    expiresAt: new Date(Date.now() + 60000).toISOString(),
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/dashboard/login/verify', () => {
+    test('should stop an IP address guessing codes after 5 requests', async () => {
+      jest
+        .spyOn(dashboardAuthService, 'verifyCode')
+        .mockResolvedValue({ success: false, message: 'Invalid or expired code' });
+
+      const guess = code =>
+        request(app).post('/api/dashboard/login/verify').send({ ownerPhone: '+15551234567', code });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await guess(`10000${i}`)).status).toBe(401);
+      }
+      const response = await guess('100005');
+
+      expect(response.status).toBe(429);
+      expect(dashboardAuthService.verifyCode).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('POST /api/dashboard/logout', () => {
+    beforeEach(() => {
+      jest.spyOn(apiKeyService, 'revokeKey').mockResolvedValue({ keyId: 'd' });
+    });
+
+    test('should revoke the key a dashboard login issued', async () => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(dashboardKey);
+
+      const response = await request(app).post('/api/dashboard/logout').set('x-api-key', 'k');
+
+      expect(response.status).toBe(200);
+      expect(apiKeyService.revokeKey).toHaveBeenCalledWith('d');
+    });
+
+    test.each([
+      [
+        'a platform admin key',
+        { keyId: 'a', name: 'Ops', role: 'platform_admin', businessId: null },
+      ],
+      ['an integration key', { ...dashboardKey, keyId: 'i', name: 'POS integration' }],
+      ['a key that never expires', { ...dashboardKey, expiresAt: null }],
+    ])('should not revoke %s', async (description, key) => {
+      jest.spyOn(apiKeyService, 'verify').mockResolvedValue(key);
+
+      const response = await request(app).post('/api/dashboard/logout').set('x-api-key', 'k');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('Only keys issued by a dashboard login');
+      expect(apiKeyService.revokeKey).not.toHaveBeenCalled();
+    });
+  });
+});
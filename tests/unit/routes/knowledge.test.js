@@ -0,0 +1,431 @@
+const express = require('express');
+const request = require('supertest');
+const apiKeyService = require('../../../src/services/apiKeyService');
+const businessService = require('../../../src/services/businessService');
+const knowledgeService = require('../../../src/services/knowledgeService');
+const routes = require('../../../src/routes');
+const knowledgeBaseModule = require('../../../src/modules/knowledgeBase');
+const { authenticateApiKey } = require('../../../src/middleware/apiKeyAuth');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+
+describe('Knowledge routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use(routes);
+  app.use('/api/knowledge', authenticateApiKey, knowledgeBaseModule);
+  app.use(globalErrorHandler);
+
+  const keys = {
+    admin: { keyId: 'a', role: 'platform_admin', businessId: null },
+    owner: { keyId: 'o', role: 'business_owner', businessId: 'pizza_1234' },
+  };
+
+  const business = {
+    businessId: 'pizza_1234',
+    businessName: 'Pizza Place',
+    ownerPhone: '+15551234567',
+    status: 'active',
+  };
+
+  const page = {
+    success: true,
+    entries: [
+      {
+        id: 'kb_1',
+        type: 'document',
+        preview: 'menu.pdf',
+        filename: 'menu.pdf',
+        addedAt: '2024-05-01T10:00:00.000Z',
+      },
+    ],
+    total: 1,
+    page: 1,
+    pageSize: 20,
+    totalPages: 1,
+    type: null,
+    keyword: null,
+  };
+
+  const as = key => {
+    jest.spyOn(apiKeyService, 'verify').mockResolvedValue(key);
+  };
+
+  beforeEach(() => {
+    as(keys.owner);
+    jest.spyOn(businessService, 'getBusiness').mockResolvedValue(business);
+    jest.spyOn(businessService, 'getBusinessById').mockResolvedValue(business);
+    jest.spyOn(businessService, 'updateKnowledgeCount').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/businesses/:businessId/knowledge', () => {
+    beforeEach(() => {
+      jest.spyOn(knowledgeService, 'listKnowledge').mockResolvedValue(page);
+    });
+
+    test('should return a page of entries with the default page size', async () => {
+      const response = await request(app)
+        .get('/api/businesses/pizza_1234/knowledge')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries).toEqual([
+        {
+          knowledgeId: 'kb_1',
+          type: 'document',
+          preview: 'menu.pdf',
+          createdAt: '2024-05-01T10:00:00.000Z',
+        },
+      ]);
+      expect(knowledgeService.listKnowledge).toHaveBeenCalledWith(
+        'pizza_1234',
+        expect.objectContaining({ page: 1, pageSize: 20 })
+      );
+    });
+
+    test('should pass filters through', async () => {
+      await request(app)
+        .get('/api/businesses/pizza_1234/knowledge')
+        .query({ page: 2, pageSize: 100, type: 'document', createdAfter: '2024-05-01' })
+        .set('x-api-key', 'k');
+
+      expect(knowledgeService.listKnowledge).toHaveBeenCalledWith('pizza_1234', {
+        page: 2,
+        pageSize: 100,
+        type: 'document',
+        keyword: undefined,
+        createdAfter: new Date('2024-05-01'),
+        createdBefore: undefined,
+      });
+    });
+
+    test.each([
+      [{ pageSize: 101 }, 'pageSize must be from 1 to 100'],
+      [{ pageSize: 0 }, 'pageSize must be from 1 to 100'],
+      [{ page: 0 }, 'page must be a whole number of 1 or more'],
+      [{ page: 1.5 }, 'page must be a whole number of 1 or more'],
+      [{ createdBefore: 'yesterday' }, 'createdBefore must be an ISO 8601 date'],
+    ])('should reject %p', async (query, message) => {
+      const response = await request(app)
+        .get('/api/businesses/pizza_1234/knowledge')
+        .query(query)
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(message);
+      expect(knowledgeService.listKnowledge).not.toHaveBeenCalled();
+    });
+
+    test("should keep business owners out of another business's knowledge", async () => {
+      const response = await request(app)
+        .get('/api/businesses/taco_5678/knowledge')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(403);
+      expect(knowledgeService.listKnowledge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET and PUT /api/businesses/:businessId/knowledge/:knowledgeId', () => {
+    const entry = {
+      knowledgeId: 'kb_pizza_1234_1',
+      businessId: 'pizza_1234',
+      type: 'text',
+      content: 'We now deliver within 10 miles.',
+      metadata: {},
+      createdAt: '2024-05-01T10:00:00.000Z',
+    };
+
+    test('should return the full text of an entry', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: true,
+        entry,
+        content: entry.content,
+        complete: true,
+      });
+
+      const response = await request(app)
+        .get('/api/businesses/pizza_1234/knowledge/kb_pizza_1234_1')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(200);
+      expect(response.body.complete).toBe(true);
+      expect(response.body.knowledge).toMatchObject({
+        knowledgeId: 'kb_pizza_1234_1',
+        content: 'We now deliver within 10 miles.',
+      });
+    });
+
+    test('should return 404 for an entry of another business', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: false,
+        message: 'Knowledge entry not found or access denied',
+      });
+
+      const response = await request(app)
+        .get('/api/businesses/pizza_1234/knowledge/kb_taco_5678_1')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should replace the text of an entry', async () => {
+      jest.spyOn(knowledgeService, 'updateKnowledge').mockResolvedValue({
+        success: true,
+        entry,
+        vectorsUpdated: true,
+        message: 'Updated knowledge entry kb_pizza_1234_1',
+      });
+
+      const response = await request(app)
+        .put('/api/businesses/pizza_1234/knowledge/kb_pizza_1234_1')
+        .set('x-api-key', 'k')
+        .send({ content: 'We now deliver within 10 miles.' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.vectorsUpdated).toBe(true);
+      expect(knowledgeService.updateKnowledge).toHaveBeenCalledWith(
+        'pizza_1234',
+        'kb_pizza_1234_1',
+        'We now deliver within 10 miles.'
+      );
+    });
+
+    test('should reject a malformed knowledge ID', async () => {
+      const updateKnowledge = jest.spyOn(knowledgeService, 'updateKnowledge');
+
+      const response = await request(app)
+        .put('/api/businesses/pizza_1234/knowledge/42')
+        .set('x-api-key', 'k')
+        .send({ content: 'We now deliver within 10 miles.' });
+
+      expect(response.status).toBe(400);
+      expect(updateKnowledge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/businesses/:businessId/knowledge/import', () => {
+    const rows = [
+      { row: 1, status: 'imported', question: 'Do you deliver?', knowledgeId: 'kb_1' },
+      { row: 2, status: 'failed', question: 'Open late?', error: 'Answer is required' },
+    ];
+
+    test('should report every row of the import', async () => {
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: true,
+        imported: 1,
+        failed: 1,
+        vectorsStored: true,
+        rows,
+        message: 'Imported 1 of 2 FAQ rows from faq.csv',
+      });
+
+      const response = await request(app)
+        .post('/api/businesses/pizza_1234/knowledge/import')
+        .set('x-api-key', 'k')
+        .attach(
+          'file',
+          Buffer.from('question,answer\nDo you deliver?,Yes\nOpen late?,\n'),
+          'faq.csv'
+        );
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Imported 1 of 2 FAQ rows from faq.csv',
+        imported: 1,
+        failed: 1,
+        vectorsUpdated: true,
+        rows,
+      });
+      expect(knowledgeService.importFaq).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Pizza Place',
+        {
+          content: 'question,answer\nDo you deliver?,Yes\nOpen late?,\n',
+          extension: '.csv',
+          filename: 'faq.csv',
+        },
+        { uploadedVia: 'api' }
+      );
+      expect(businessService.updateKnowledgeCount).toHaveBeenCalledWith('+15551234567', 1);
+    });
+
+    test('should accept FAQ pairs in a JSON body', async () => {
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: true,
+        imported: 1,
+        failed: 0,
+        vectorsStored: true,
+        rows: [rows[0]],
+        message: 'Imported 1 of 1 FAQ rows from request',
+      });
+      const faqs = [{ question: 'Do you deliver?', answer: 'Yes' }];
+
+      const response = await request(app)
+        .post('/api/businesses/pizza_1234/knowledge/import')
+        .set('x-api-key', 'k')
+        .send({ faqs });
+
+      expect(response.status).toBe(200);
+      expect(knowledgeService.importFaq).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Pizza Place',
+        { content: JSON.stringify(faqs), extension: '.json', filename: 'request' },
+        { uploadedVia: 'api' }
+      );
+    });
+
+    test('should return 400 for a file that cannot be read', async () => {
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: false,
+        invalidFile: true,
+        message: 'Could not read faq.json: Unexpected end of JSON input',
+      });
+
+      const response = await request(app)
+        .post('/api/businesses/pizza_1234/knowledge/import')
+        .set('x-api-key', 'k')
+        .attach('file', Buffer.from('[{'), 'faq.json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe(
+        'Could not read faq.json: Unexpected end of JSON input'
+      );
+      expect(businessService.updateKnowledgeCount).not.toHaveBeenCalled();
+    });
+
+    test('should only take CSV or JSON files', async () => {
+      const importFaq = jest.spyOn(knowledgeService, 'importFaq');
+
+      const response = await request(app)
+        .post('/api/businesses/pizza_1234/knowledge/import')
+        .set('x-api-key', 'k')
+        .attach('file', Buffer.from('Do you deliver? Yes'), 'faq.txt');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Upload a .csv or .json file');
+      expect(importFaq).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/knowledge (deprecated)', () => {
+    test('should add uploads through the knowledge service', async () => {
+      jest.spyOn(knowledgeService, 'addDocumentKnowledge').mockResolvedValue({
+        success: true,
+        knowledgeId: 'kb_2',
+        message: 'Document "hours.txt" added to knowledge base (ID: kb_2)',
+      });
+
+      const response = await request(app)
+        .post('/api/knowledge/upload')
+        .set('x-api-key', 'k')
+        .field('businessId', 'pizza_1234')
+        .attach('document', Buffer.from('Open every day from 11am to 10pm.'), 'hours.txt');
+
+      expect(response.status).toBe(201);
+      expect(response.body.knowledgeId).toBe('kb_2');
+      expect(knowledgeService.addDocumentKnowledge).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Pizza Place',
+        'hours.txt',
+        'Open every day from 11am to 10pm.',
+        '.txt',
+        expect.objectContaining({ source: 'api' }),
+        expect.objectContaining({ contentType: 'text/plain' })
+      );
+      expect(businessService.updateKnowledgeCount).toHaveBeenCalledWith('+15551234567');
+    });
+
+    test('should not take uploads for another business', async () => {
+      const addDocumentKnowledge = jest.spyOn(knowledgeService, 'addDocumentKnowledge');
+
+      const response = await request(app)
+        .post('/api/knowledge/upload')
+        .set('x-api-key', 'k')
+        .field('businessId', 'taco_5678')
+        .attach('document', Buffer.from('Open every day from 11am to 10pm.'), 'hours.txt');
+
+      expect(response.status).toBe(403);
+      expect(addDocumentKnowledge).not.toHaveBeenCalled();
+    });
+
+    test('should list the stored filenames from every page', async () => {
+      jest
+        .spyOn(knowledgeService, 'listKnowledge')
+        .mockResolvedValueOnce({ ...page, total: 101, pageSize: 100, totalPages: 2 })
+        .mockResolvedValueOnce({
+          ...page,
+          entries: [
+            { ...page.entries[0], id: 'kb_0', preview: 'Old menu', filename: 'old-menu.pdf' },
+            { ...page.entries[0], id: 'kb_00' },
+          ],
+          total: 101,
+          page: 2,
+          pageSize: 100,
+          totalPages: 2,
+        });
+
+      const response = await request(app)
+        .get('/api/knowledge/business/pizza_1234/documents')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ documents: ['menu.pdf', 'old-menu.pdf'] });
+      expect(knowledgeService.listKnowledge).toHaveBeenLastCalledWith('pizza_1234', {
+        type: 'document',
+        page: 2,
+        pageSize: 100,
+      });
+    });
+
+    test('should keep the old error response when documents cannot be listed', async () => {
+      jest
+        .spyOn(knowledgeService, 'listKnowledge')
+        .mockResolvedValue({ success: false, message: 'Error retrieving knowledge list.' });
+
+      const response = await request(app)
+        .get('/api/knowledge/business/pizza_1234/documents')
+        .set('x-api-key', 'k');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to fetch documents' });
+    });
+
+    test('should search through the knowledge service', async () => {
+      jest
+        .spyOn(knowledgeService, 'searchKnowledge')
+        .mockResolvedValue([
+          { content: 'We deliver.', score: 0.9, filename: 'text_input', knowledgeId: 'kb_1' },
+        ]);
+
+      const response = await request(app)
+        .post('/api/knowledge/search')
+        .set('x-api-key', 'k')
+        .send({ businessId: 'pizza_1234', query: 'Do you deliver?' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toHaveLength(1);
+      expect(response.body.sources[0].knowledgeId).toBe('kb_1');
+      expect(knowledgeService.searchKnowledge).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Do you deliver?'
+      );
+    });
+
+    test('should require a business ID', async () => {
+      as(keys.admin);
+
+      const response = await request(app)
+        .post('/api/knowledge/search')
+        .set('x-api-key', 'k')
+        .send({ query: 'Do you deliver?' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('Business ID is required');
+    });
+  });
+});
@@ -0,0 +1,643 @@
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+const config = require('../../../config');
+const BusinessRepository = require('../../../src/repositories/BusinessRepository');
+const KnowledgeRepository = require('../../../src/repositories/KnowledgeRepository');
+const HandoffTicketRepository = require('../../../src/repositories/HandoffTicketRepository');
+const twilioWhatsAppService = require('../../../src/services/twilioWhatsAppService');
+const aiService = require('../../../src/services/aiService');
+const businessService = require('../../../src/services/businessService');
+const knowledgeService = require('../../../src/services/knowledgeService');
+const unansweredService = require('../../../src/services/unansweredService');
+const rateLimiter = require('../../../src/utils/rateLimiter');
+const webhookRoutes = require('../../../src/routes/webhooks');
+const { globalErrorHandler } = require('../../../src/middleware/errorHandler');
+
+describe('WhatsApp webhook', () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/webhooks', webhookRoutes);
+  app.use(globalErrorHandler);
+
+  const business = {
+    businessId: 'pizza_1234',
+    businessName: 'Pizza Place',
+    ownerPhone: '+15551234567',
+    whatsappNumber: 'whatsapp:+15557654321',
+    status: 'active',
+    metadata: {},
+  };
+
+  // Owner messages are matched on the number without its leading +
+  const owner = '15551234567';
+
+  const send = (from, body) =>
+    request(app)
+      .post('/webhooks/twilio/whatsapp')
+      .type('form')
+      .send({
+        From: `whatsapp:${from}`,
+        To: business.whatsappNumber,
+        Body: body,
+        MessageSid: 'SM123',
+        NumMedia: '0',
+      });
+
+  const replies = () => twilioWhatsAppService.sendMessage.mock.calls.map(([, message]) => message);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    twilioWhatsAppService.businesses.clear();
+    rateLimiter.limits.clear();
+    jest.spyOn(twilioWhatsAppService, 'sendMessage').mockResolvedValue({ success: true });
+    BusinessRepository.findByWhatsAppNumber.mockResolvedValue(business);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Twilio signature', () => {
+    const { getExpectedTwilioSignature, validateRequest } = jest.requireActual('twilio');
+    const webhookUrl = 'http://bot.example.com/webhooks/twilio/whatsapp';
+    const params = {
+      From: `whatsapp:${owner}`,
+      To: business.whatsappNumber,
+      Body: 'hours.txt',
+      MessageSid: 'SM123',
+      NumMedia: '1',
+      MediaUrl0: 'https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media/ME1',
+      MediaContentType0: 'text/plain',
+    };
+
+    const post = signature => {
+      const req = request(app)
+        .post('/webhooks/twilio/whatsapp')
+        .set('Host', 'bot.example.com')
+        .type('form');
+      if (signature) {
+        req.set('X-Twilio-Signature', signature);
+      }
+      return req.send(params);
+    };
+
+    beforeEach(() => {
+      // Outside development and test every webhook has to be signed
+      jest.spyOn(config, 'is').mockReturnValue(false);
+      twilio.validateRequest = validateRequest;
+      jest.spyOn(twilioWhatsAppService, 'downloadMedia').mockResolvedValue({
+        buffer: Buffer.from('Open 9 to 5'),
+      });
+    });
+
+    afterEach(() => {
+      delete twilio.validateRequest;
+    });
+
+    test('should reject unsigned webhooks before downloading any media', async () => {
+      const response = await post();
+
+      expect(response.status).toBe(401);
+      expect(twilioWhatsAppService.downloadMedia).not.toHaveBeenCalled();
+      expect(replies()).toEqual([]);
+    });
+
+    test('should reject webhooks signed with another token', async () => {
+      const response = await post(getExpectedTwilioSignature('wrong-token', webhookUrl, params));
+
+      expect(response.status).toBe(401);
+      expect(twilioWhatsAppService.downloadMedia).not.toHaveBeenCalled();
+    });
+
+    test('should handle webhooks signed with the account token', async () => {
+      const response = await post(
+        getExpectedTwilioSignature('test-twilio-token', webhookUrl, params)
+      );
+
+      expect(response.status).toBe(200);
+      expect(twilioWhatsAppService.downloadMedia).toHaveBeenCalledWith(
+        'https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media/ME1',
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('suspended businesses', () => {
+    beforeEach(() => {
+      BusinessRepository.findByWhatsAppNumber.mockResolvedValue({
+        ...business,
+        status: 'suspended',
+      });
+    });
+
+    test('should tell customers the business is not answering', async () => {
+      const response = await send('+15550009999', 'Are you open today?');
+
+      expect(response.status).toBe(200);
+      expect(replies()).toEqual([
+        "Sorry, Pizza Place isn't answering messages here right now. Please try again later.",
+      ]);
+    });
+
+    test('should tell the owner their commands are paused', async () => {
+      await send(owner, '!list');
+
+      expect(replies()).toHaveLength(1);
+      expect(replies()[0]).toContain('Pizza Place is suspended');
+    });
+
+    test('should use the database status even when this server cached the business as active', async () => {
+      twilioWhatsAppService.businesses.set(business.whatsappNumber, { ...business });
+
+      await send('+15550009999', 'Are you open today?');
+
+      expect(replies()[0]).toContain("isn't answering messages here right now");
+    });
+  });
+
+  describe('customer questions', () => {
+    const customer = '+15550009999';
+
+    beforeEach(() => {
+      jest.spyOn(businessService, 'recordQuery').mockResolvedValue(undefined);
+      jest.spyOn(businessService, 'recordFallback').mockResolvedValue(undefined);
+      jest.spyOn(unansweredService, 'recordQuestion').mockResolvedValue(undefined);
+    });
+
+    test('should relay to the owner while the customer has an open ticket', async () => {
+      HandoffTicketRepository.findOpenByCustomer.mockResolvedValueOnce({
+        ticketId: '7',
+        customerPhone: '15550009999',
+        customerName: null,
+        status: 'open',
+      });
+      const generateResponse = jest.spyOn(aiService, 'generateResponse');
+
+      await send(customer, 'Any news on my refund?');
+
+      expect(HandoffTicketRepository.findOpenByCustomer).toHaveBeenCalledWith(
+        'pizza_1234',
+        customer,
+        config.get('handoff').openTtlMs
+      );
+      expect(twilioWhatsAppService.sendMessage).toHaveBeenCalledTimes(1);
+      expect(replies()[0]).toBe(
+        '💬 Ticket #7 - +15550009999:\n"Any news on my refund?"\n\nReply with: !reply 7 [message]'
+      );
+      expect(generateResponse).not.toHaveBeenCalled();
+    });
+
+    test('should hand off when the business answers with its own fallback message', async () => {
+      const answer = {
+        response: 'Please call us on 555-0100 and we will sort it out.',
+        sources: [],
+        confidence: null,
+        fallback: true,
+      };
+      jest.spyOn(aiService, 'generateResponse').mockResolvedValue(answer);
+
+      await send(customer, 'Do you cater weddings?');
+
+      const [, ownerAlert, customerReply] = twilioWhatsAppService.sendMessage.mock.calls;
+      expect(ownerAlert[0]).toBe('whatsapp:+15551234567');
+      expect(ownerAlert[1]).toContain("Bot couldn't answer");
+      expect(customerReply[0]).toBe(`whatsapp:${customer}`);
+      expect(customerReply[1]).toBe(
+        "Please call us on 555-0100 and we will sort it out.\n\n👤 I've forwarded your question to our team. They'll reply here shortly."
+      );
+      expect(HandoffTicketRepository.open).toHaveBeenCalledWith(
+        expect.objectContaining({
+          businessId: 'pizza_1234',
+          question: 'Do you cater weddings?',
+          reason: 'unanswered',
+        }),
+        config.get('handoff').openTtlMs
+      );
+      expect(businessService.recordFallback).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Do you cater weddings?'
+      );
+      expect(unansweredService.recordQuestion).toHaveBeenCalledWith(
+        'pizza_1234',
+        customer,
+        'Do you cater weddings?',
+        answer,
+        'fallback'
+      );
+    });
+
+    test('should answer without a handoff when the knowledge base has the answer', async () => {
+      jest.spyOn(aiService, 'generateResponse').mockResolvedValue({
+        response: 'We are open 9am-5pm.',
+        sources: [{ knowledgeId: 'k1' }],
+        confidence: 0.9,
+        fallback: false,
+      });
+
+      await send(customer, 'When are you open?');
+
+      expect(replies()).toEqual(['🤔 Let me search our knowledge base...', 'We are open 9am-5pm.']);
+      expect(HandoffTicketRepository.open).not.toHaveBeenCalled();
+      expect(unansweredService.recordQuestion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('!list and !find', () => {
+    const entries = [
+      { id: 'kb_1', type: 'text', preview: 'We deliver.', addedAt: '2024-05-01T10:00:00.000Z' },
+      { id: 'kb_2', type: 'document', preview: 'menu.pdf', addedAt: '2024-05-02T10:00:00.000Z' },
+    ];
+
+    beforeEach(() => {
+      jest
+        .spyOn(knowledgeService, 'getKnowledgeStats')
+        .mockResolvedValue({ total: 10, text: 9, documents: 1, images: 0 });
+    });
+
+    test('should list a page of entries and point to the next one', async () => {
+      KnowledgeRepository.findKnowledgePage.mockResolvedValue({
+        entries,
+        total: 10,
+        page: 1,
+        pageSize: 8,
+        totalPages: 2,
+      });
+
+      await send(owner, '!list');
+
+      const [reply] = replies();
+      expect(KnowledgeRepository.findKnowledgePage).toHaveBeenCalledWith(
+        'pizza_1234',
+        expect.objectContaining({ pageSize: 8, type: null, keyword: null })
+      );
+      expect(reply).toContain('Your Knowledge Base (Pizza Place) - page 1 of 2');
+      expect(reply).toContain('kb_1: We deliver. (text)');
+      expect(reply).toContain('➡️ Send !list 2 for more');
+      expect(reply).toContain('📊 Total: 10 entries');
+    });
+
+    test('should filter by type', async () => {
+      KnowledgeRepository.findKnowledgePage.mockResolvedValue({
+        entries: [entries[1]],
+        total: 1,
+        page: 1,
+        pageSize: 8,
+        totalPages: 1,
+      });
+
+      await send(owner, '!list type:docs');
+
+      expect(KnowledgeRepository.findKnowledgePage).toHaveBeenCalledWith(
+        'pizza_1234',
+        expect.objectContaining({ type: 'document' })
+      );
+      expect(replies()[0]).toContain('document entries - page 1 of 1');
+      expect(replies()[0]).toContain('📊 1 matching entries');
+    });
+
+    test('should say when a page is past the end', async () => {
+      KnowledgeRepository.findKnowledgePage.mockResolvedValue({
+        entries: [],
+        total: 10,
+        page: 99,
+        pageSize: 8,
+        totalPages: 2,
+      });
+
+      await send(owner, '!list 99');
+
+      expect(KnowledgeRepository.findKnowledgePage).toHaveBeenCalledWith(
+        'pizza_1234',
+        expect.objectContaining({ page: 99 })
+      );
+      expect(replies()).toEqual(['❌ There is no page 99. Pages go up to 2.']);
+    });
+
+    test('should explain the format for an unknown option', async () => {
+      await send(owner, '!list everything');
+
+      expect(replies()[0]).toContain('Format: !list [page] [type:text|document|image]');
+      expect(KnowledgeRepository.findKnowledgePage).not.toHaveBeenCalled();
+    });
+
+    test('should find entries by keyword', async () => {
+      KnowledgeRepository.findKnowledgePage.mockResolvedValue({
+        entries: [entries[0]],
+        total: 9,
+        page: 1,
+        pageSize: 8,
+        totalPages: 2,
+      });
+
+      await send(owner, '!find free delivery');
+
+      expect(KnowledgeRepository.findKnowledgePage).toHaveBeenCalledWith(
+        'pizza_1234',
+        expect.objectContaining({ keyword: 'free delivery' })
+      );
+      expect(replies()[0]).toContain('🔍 Entries matching "free delivery" (Pizza Place)');
+      expect(replies()[0]).toContain('➡️ Send !find free delivery page:2 for more');
+    });
+
+    test('should say when nothing matches', async () => {
+      KnowledgeRepository.findKnowledgePage.mockResolvedValue({
+        entries: [],
+        total: 0,
+        page: 1,
+        pageSize: 8,
+        totalPages: 0,
+      });
+
+      await send(owner, '!find parking');
+
+      expect(replies()).toEqual([
+        '🔍 No entries match "parking". Try a shorter or different word.',
+      ]);
+    });
+
+    test('should ask for a keyword', async () => {
+      await send(owner, '!find page:2');
+
+      expect(replies()[0]).toContain('Please provide a keyword.');
+      expect(KnowledgeRepository.findKnowledgePage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('!show and !edit', () => {
+    const entry = {
+      knowledgeId: 'kb_pizza_1234_1',
+      businessId: 'pizza_1234',
+      type: 'text',
+      createdAt: '2024-05-01T10:00:00.000Z',
+      metadata: {},
+    };
+
+    test('should show the full text of an entry', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: true,
+        entry,
+        content: 'We deliver within 5 miles.',
+        complete: true,
+      });
+
+      await send(owner, '!show kb_pizza_1234_1');
+
+      expect(knowledgeService.getKnowledgeContent).toHaveBeenCalledWith(
+        'pizza_1234',
+        'kb_pizza_1234_1'
+      );
+      expect(replies()).toHaveLength(1);
+      expect(replies()[0]).toContain('📄 kb_pizza_1234_1\nType: text\n');
+      expect(replies()[0]).toContain('We deliver within 5 miles.');
+      expect(replies()[0]).toContain('Use !edit kb_pizza_1234_1 [new text] to change it.');
+    });
+
+    test('should split long entries and say how much was left out', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: true,
+        entry,
+        content: 'Our menu changes every week. '.repeat(300),
+        complete: true,
+      });
+
+      await send(owner, '!show kb_pizza_1234_1');
+
+      expect(replies()).toHaveLength(3);
+      expect(replies()[2]).toMatch(/\.\.\. \(\d+ more characters not shown\)/);
+    });
+
+    test('should warn when only a preview is available', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: true,
+        entry,
+        content: 'We deliver...',
+        complete: false,
+      });
+
+      await send(owner, '!show kb_pizza_1234_1');
+
+      expect(replies()[0]).toContain('⚠️ Only a preview of this entry is available');
+    });
+
+    test('should reject a malformed knowledge ID', async () => {
+      const getKnowledgeContent = jest.spyOn(knowledgeService, 'getKnowledgeContent');
+
+      await send(owner, '!show 42');
+
+      expect(replies()).toEqual(['❌ Invalid knowledge ID format']);
+      expect(getKnowledgeContent).not.toHaveBeenCalled();
+    });
+
+    test('should pass on a missing entry', async () => {
+      jest.spyOn(knowledgeService, 'getKnowledgeContent').mockResolvedValue({
+        success: false,
+        message: 'Knowledge entry not found or access denied',
+      });
+
+      await send(owner, '!show kb_taco_5678_1');
+
+      expect(replies()).toEqual(['❌ Knowledge entry not found or access denied']);
+    });
+
+    test('should replace the text of an entry', async () => {
+      jest.spyOn(knowledgeService, 'updateKnowledge').mockResolvedValue({
+        success: true,
+        entry,
+        vectorsUpdated: true,
+        message: 'Updated knowledge entry kb_pizza_1234_1',
+      });
+
+      await send(owner, '!edit kb_pizza_1234_1 We now deliver within 10 miles.');
+
+      expect(knowledgeService.updateKnowledge).toHaveBeenCalledWith(
+        'pizza_1234',
+        'kb_pizza_1234_1',
+        'We now deliver within 10 miles.'
+      );
+      expect(replies()).toEqual([
+        '✅ Updated knowledge entry kb_pizza_1234_1\n"We now deliver within 10 miles."',
+      ]);
+    });
+
+    test('should explain the format when the new text is missing', async () => {
+      const updateKnowledge = jest.spyOn(knowledgeService, 'updateKnowledge');
+
+      await send(owner, '!edit kb_pizza_1234_1');
+
+      expect(replies()[0]).toContain('Format: !edit [knowledge-id] [new text]');
+      expect(updateKnowledge).not.toHaveBeenCalled();
+    });
+
+    test('should pass on a failed update', async () => {
+      jest.spyOn(knowledgeService, 'updateKnowledge').mockResolvedValue({
+        success: false,
+        message: 'Knowledge entry not found or access denied',
+      });
+
+      await send(owner, '!edit kb_taco_5678_1 We now deliver within 10 miles.');
+
+      expect(replies()).toEqual(['❌ Knowledge entry not found or access denied']);
+    });
+  });
+
+  describe('FAQ files', () => {
+    const csv = 'question,answer\nDo you deliver?,Yes within 5 miles\nOpen late?,\n';
+
+    const sendFile = (caption, contentType = 'text/csv') =>
+      request(app)
+        .post('/webhooks/twilio/whatsapp')
+        .type('form')
+        .send({
+          From: `whatsapp:${owner}`,
+          To: business.whatsappNumber,
+          Body: caption,
+          MessageSid: 'SM123',
+          NumMedia: '1',
+          MediaUrl0: 'https://api.twilio.com/media/ME1',
+          MediaContentType0: contentType,
+        });
+
+    const failedRow = row => ({ row, status: 'failed', error: 'Answer is required' });
+
+    beforeEach(() => {
+      jest
+        .spyOn(twilioWhatsAppService, 'downloadMedia')
+        .mockResolvedValue({ buffer: Buffer.from(csv) });
+      jest.spyOn(businessService, 'updateKnowledgeCount').mockResolvedValue(undefined);
+    });
+
+    test('should import the rows and list the ones that were skipped', async () => {
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: true,
+        imported: 1,
+        failed: 1,
+        rows: [
+          { row: 2, status: 'imported', question: 'Do you deliver?', knowledgeId: 'kb_1' },
+          failedRow(3),
+        ],
+        message: 'Imported 1 of 2 FAQ rows from faq.csv',
+      });
+
+      await sendFile('faq.csv');
+
+      expect(knowledgeService.importFaq).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Pizza Place',
+        { content: csv, extension: '.csv', filename: 'faq.csv' },
+        { messageSid: 'SM123' }
+      );
+      expect(businessService.updateKnowledgeCount).toHaveBeenCalledWith('+15551234567', 1);
+      expect(replies()).toEqual([
+        '📄 Processing your document...',
+        '✅ Imported 1 of 2 FAQ rows from faq.csv\n⚠️ Skipped 1 row(s):\nRow 3: Answer is required',
+      ]);
+    });
+
+    test('should only list the first failed rows of a long report', async () => {
+      const rows = Array.from({ length: 12 }, (_, index) => failedRow(index + 2));
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: false,
+        imported: 0,
+        failed: 12,
+        rows,
+        message: 'No FAQ rows could be imported from faq.csv',
+      });
+
+      await sendFile('faq.csv');
+
+      const report = replies()[1];
+      expect(report).toContain('⚠️ Skipped 12 row(s):');
+      expect(report).toContain('Row 11: Answer is required');
+      expect(report).not.toContain('Row 12:');
+      expect(report).toContain('... and 2 more');
+      expect(businessService.updateKnowledgeCount).not.toHaveBeenCalled();
+    });
+
+    test('should report a file that cannot be read', async () => {
+      jest.spyOn(knowledgeService, 'importFaq').mockResolvedValue({
+        success: false,
+        invalidFile: true,
+        message: 'Could not read faq.json: Unexpected end of JSON input',
+      });
+
+      await sendFile('faq.json', 'application/json');
+
+      expect(knowledgeService.importFaq).toHaveBeenCalledWith(
+        'pizza_1234',
+        'Pizza Place',
+        expect.objectContaining({ extension: '.json', filename: 'faq.json' }),
+        { messageSid: 'SM123' }
+      );
+      expect(replies()[1]).toBe('❌ Could not read faq.json: Unexpected end of JSON input');
+      expect(businessService.updateKnowledgeCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('!unanswered and !answer', () => {
+    test('should list the most asked unanswered questions', async () => {
+      jest.spyOn(unansweredService, 'getTopQuestions').mockResolvedValue([
+        { question: 'Do you deliver?', count: 3, customers: 2, lastAskedAt: '2024-05-01' },
+        { question: 'Is there parking?', count: 1, customers: 1, lastAskedAt: '2024-05-02' },
+      ]);
+
+      await send(owner, '!unanswered');
+
+      const [reply] = replies();
+      expect(unansweredService.getTopQuestions).toHaveBeenCalledWith('pizza_1234');
+      expect(reply).toContain('1. "Do you deliver?"\n   Asked 3x by 2 customers');
+      expect(reply).toContain('2. "Is there parking?"\n   Asked 1x by 1 customer,');
+      expect(reply).toContain('!answer [n] [answer text]');
+    });
+
+    test('should say when nothing is waiting', async () => {
+      jest.spyOn(unansweredService, 'getTopQuestions').mockResolvedValue([]);
+
+      await send(owner, '!unanswered');
+
+      expect(replies()).toEqual(['✅ No unanswered questions. Nice work!']);
+    });
+
+    test('should add the answer to the knowledge base', async () => {
+      jest.spyOn(unansweredService, 'answerQuestion').mockResolvedValue({
+        success: true,
+        knowledgeId: 'kb_1',
+        question: 'Do you deliver?',
+      });
+      jest.spyOn(businessService, 'updateKnowledgeCount').mockResolvedValue(undefined);
+
+      await send(owner, '!answer 1 Yes, within 5 miles.');
+
+      expect(unansweredService.answerQuestion).toHaveBeenCalledWith(
+        expect.objectContaining({ businessId: 'pizza_1234' }),
+        1,
+        'Yes, within 5 miles.'
+      );
+      expect(businessService.updateKnowledgeCount).toHaveBeenCalledWith('+15551234567');
+      expect(replies()).toEqual([
+        '✅ Added to knowledge base (ID: kb_1)\n"Do you deliver?" is now answered.',
+      ]);
+    });
+
+    test('should explain the format when the number or answer is missing', async () => {
+      const answerQuestion = jest.spyOn(unansweredService, 'answerQuestion');
+
+      await send(owner, '!answer Yes we do');
+
+      expect(replies()[0]).toContain('Format: !answer [n] [answer text]');
+      expect(answerQuestion).not.toHaveBeenCalled();
+    });
+
+    test('should point back to the list for an unknown question number', async () => {
+      jest
+        .spyOn(unansweredService, 'answerQuestion')
+        .mockResolvedValue({ success: false, message: 'No unanswered question #9' });
+
+      await send(owner, '!answer 9 Yes, we do.');
+
+      expect(replies()).toEqual([
+        '❌ No unanswered question #9. Send !unanswered to see the current list.',
+      ]);
+    });
+  });
+});
@@ -1,3 +1,5 @@
+const http = require('http');
+
 // Mock dependencies before requiring the service
 jest.mock('../../../src/utils/cache');
 jest.mock('../../../src/services/vectorService');
@@ -8,6 +10,7 @@ const cache = require('../../../src/utils/cache');
 const vectorService = require('../../../src/services/vectorService');
 const RetryManager = require('../../../src/utils/retry');
 const aiService = require('../../../src/services/aiService');
+const { OpenAIProvider } = require('../../../src/services/llmProvider');
 
 describe('AIService', () => {
   beforeEach(() => {
@@ -108,6 +111,376 @@ describe('AIService', () => {
     });
   });
 
+  describe('conversation history', () => {
+    const history = [
+      { role: 'user', content: 'What are your hours?' },
+      { role: 'assistant', content: 'We are open 9am-5pm Monday to Saturday.' },
+    ];
+
+    afterEach(() => {
+      aiService.isTestEnvironment = true;
+      aiService.provider = null;
+    });
+
+    test('should accept history without affecting test mode responses', async () => {
+      const result = await aiService.generateResponse('and on Sundays?', 'test_123', { history });
+
+      expect(result).toContain('Test AI response');
+      expect(result).toContain('and on Sundays?');
+    });
+
+    test('should return query unchanged when there is no history', async () => {
+      const result = await aiService.rewriteFollowUpQuery('What are your hours?', []);
+
+      expect(result).toBe('What are your hours?');
+    });
+
+    test('should rewrite follow-up and search with the standalone question', async () => {
+      const createChatCompletion = jest
+        .fn()
+        .mockResolvedValueOnce({ content: 'What are your hours on Sundays?', model: 'stub' })
+        .mockResolvedValueOnce({ content: 'We are closed on Sundays.', model: 'stub' });
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion };
+      vectorService.searchSimilar.mockResolvedValue([
+        { content: 'Closed on Sundays.', score: 0.9, filename: 'hours' },
+      ]);
+
+      const result = await aiService.generateResponse('and on Sundays?', 'test_123', { history });
+
+      expect(result).toBe('We are closed on Sundays.');
+      expect(vectorService.searchSimilar).toHaveBeenCalledWith(
+        'What are your hours on Sundays?',
+        'test_123',
+        3
+      );
+      expect(cache.cacheResponse).toHaveBeenCalledWith(
+        'test_123',
+        'What are your hours on Sundays?',
+        expect.objectContaining({ response: 'We are closed on Sundays.' })
+      );
+
+      const answerMessages = createChatCompletion.mock.calls[1][0].messages;
+      expect(answerMessages.slice(1, 3)).toEqual(history);
+    });
+
+    test('should fall back to the original query when rewriting fails', async () => {
+      const createChatCompletion = jest.fn().mockRejectedValue(new Error('Rate limited'));
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion };
+
+      const result = await aiService.rewriteFollowUpQuery('and on Sundays?', history);
+
+      expect(result).toBe('and on Sundays?');
+    });
+  });
+
+  describe('sources and confidence', () => {
+    const docs = [
+      { content: 'Open 9am-5pm.', score: 0.82, filename: 'text_kb_1', knowledgeId: 'kb_1' },
+      { content: 'Closed Sundays.', score: 0.6, filename: 'hours.pdf', knowledgeId: 'kb_2' },
+      { content: 'Holiday hours vary.', score: 0.7, filename: 'hours.pdf', knowledgeId: 'kb_2' },
+    ];
+
+    afterEach(() => {
+      aiService.isTestEnvironment = true;
+      aiService.provider = null;
+    });
+
+    test('should list each knowledge entry once with its best score', () => {
+      const sources = aiService.summarizeSources(docs);
+
+      expect(sources).toEqual([
+        { knowledgeId: 'kb_1', filename: 'text_kb_1', score: 0.82 },
+        { knowledgeId: 'kb_2', filename: 'hours.pdf', score: 0.7 },
+      ]);
+    });
+
+    test('should weight confidence towards the best match', () => {
+      expect(aiService.computeConfidence(docs)).toBe(0.79);
+      expect(aiService.computeConfidence([{ score: 0.5 }])).toBe(0.5);
+      expect(aiService.computeConfidence([])).toBe(0);
+    });
+
+    test('should return the response text unless sources are requested', async () => {
+      const answer = await aiService.generateResponse('What are your hours?', 'test_123', {
+        includeSources: true,
+      });
+
+      expect(answer).toEqual({
+        response: expect.stringContaining('Test AI response'),
+        sources: [],
+        confidence: null,
+        fallback: false,
+      });
+    });
+
+    test('should return and cache the sources behind a generated answer', async () => {
+      const createChatCompletion = jest
+        .fn()
+        .mockResolvedValue({ content: 'We are open 9am-5pm.', model: 'stub' });
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion };
+      vectorService.searchSimilar.mockResolvedValue(docs);
+
+      const answer = await aiService.generateResponse('What are your hours?', 'test_123', {
+        includeSources: true,
+      });
+
+      expect(answer.response).toBe('We are open 9am-5pm.');
+      expect(answer.sources.map(source => source.knowledgeId)).toEqual(['kb_1', 'kb_2']);
+      expect(answer.confidence).toBe(0.79);
+      expect(cache.cacheResponse).toHaveBeenCalledWith('test_123', 'What are your hours?', answer);
+    });
+
+    test('should keep sources when answering from the cache', async () => {
+      const cached = {
+        response: 'We are open 9am-5pm.',
+        sources: [{ knowledgeId: 'kb_1', filename: 'text_kb_1', score: 0.82 }],
+        confidence: 0.82,
+      };
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion: jest.fn() };
+      cache.getCachedResponse.mockReturnValue(cached);
+
+      const answer = await aiService.generateResponse('What are your hours?', 'test_123', {
+        includeSources: true,
+      });
+      const text = await aiService.generateResponse('What are your hours?', 'test_123');
+
+      expect(answer).toEqual(cached);
+      expect(text).toBe('We are open 9am-5pm.');
+      expect(vectorService.searchSimilar).not.toHaveBeenCalled();
+    });
+
+    test('should report zero confidence when nothing matches', async () => {
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion: jest.fn() };
+
+      const answer = await aiService.generateResponse('Do you sell cars?', 'test_123', {
+        includeSources: true,
+      });
+
+      expect(answer.sources).toEqual([]);
+      expect(answer.confidence).toBe(0);
+    });
+  });
+
+  describe('answer policy', () => {
+    const weakMatches = [
+      { content: 'We sell bicycles.', score: 0.31, filename: 'text_kb_1', knowledgeId: 'kb_1' },
+      { content: 'Open 9am-5pm.', score: 0.22, filename: 'text_kb_2', knowledgeId: 'kb_2' },
+    ];
+
+    afterEach(() => {
+      aiService.isTestEnvironment = true;
+      aiService.provider = null;
+    });
+
+    test('should use platform defaults when business has no overrides', () => {
+      const policy = aiService.getAnswerPolicy({ businessId: 'test_123', metadata: {} });
+
+      expect(policy.minSimilarity).toBe(0);
+      expect(policy.fallbackMessage).toContain("I don't have specific information");
+    });
+
+    test('should skip the LLM and use the business fallback below the threshold', async () => {
+      const createChatCompletion = jest.fn();
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion };
+      vectorService.searchSimilar.mockResolvedValue(weakMatches);
+      const business = {
+        businessId: 'test_123',
+        metadata: { ai: { minSimilarity: 0.5, fallbackMessage: 'Call us at 555-0100.' } },
+      };
+
+      const answer = await aiService.generateResponse('Do you rent boats?', 'test_123', {
+        business,
+        includeSources: true,
+      });
+
+      expect(answer).toEqual({
+        response: 'Call us at 555-0100.',
+        sources: [],
+        confidence: 0.3,
+        fallback: true,
+      });
+      expect(createChatCompletion).not.toHaveBeenCalled();
+      expect(cache.cacheResponse).not.toHaveBeenCalled();
+    });
+
+    test('should leave matches below the threshold out of the prompt', async () => {
+      const createChatCompletion = jest
+        .fn()
+        .mockResolvedValue({ content: 'Yes, we sell bicycles.', model: 'stub' });
+      aiService.isTestEnvironment = false;
+      aiService.provider = { name: 'stub', createChatCompletion };
+      vectorService.searchSimilar.mockResolvedValue(weakMatches);
+      const business = { businessId: 'test_123', metadata: { ai: { minSimilarity: 0.3 } } };
+
+      const answer = await aiService.generateResponse('Do you sell bicycles?', 'test_123', {
+        business,
+        includeSources: true,
+      });
+
+      const prompt = createChatCompletion.mock.calls[0][0].messages[1].content;
+      expect(prompt).toContain('We sell bicycles.');
+      expect(prompt).not.toContain('Open 9am-5pm.');
+      expect(answer.fallback).toBe(false);
+      expect(answer.sources).toEqual([{ knowledgeId: 'kb_1', filename: 'text_kb_1', score: 0.31 }]);
+    });
+  });
+
+  describe('model settings', () => {
+    test('should use configured defaults when business has no overrides', () => {
+      const settings = aiService.getModelSettings({ businessId: 'test_123', metadata: {} });
+
+      expect(settings).toEqual({ model: undefined, maxTokens: 50, temperature: 0.1 });
+    });
+
+    test('should apply per-business overrides', () => {
+      const settings = aiService.getModelSettings({
+        businessId: 'test_123',
+        metadata: { ai: { model: 'llama3', maxTokens: 200, temperature: 0 } },
+      });
+
+      expect(settings).toEqual({ model: 'llama3', maxTokens: 200, temperature: 0 });
+    });
+  });
+
+  describe('with a local OpenAI-compatible server', () => {
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          const payload = JSON.parse(body);
+          requests.push({ url: req.url, payload });
+
+          if (payload.stream) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            ['We open ', 'at 9am. ', 'See you soon!'].forEach(content => {
+              const chunk = {
+                id: 'chatcmpl-stub',
+                object: 'chat.completion.chunk',
+                model: payload.model,
+                choices: [{ index: 0, delta: { content }, finish_reason: null }],
+              };
+              res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            });
+            res.end('data: [DONE]\n\n');
+            return;
+          }
+
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({
+              id: 'chatcmpl-stub',
+              object: 'chat.completion',
+              model: payload.model,
+              choices: [
+                {
+                  index: 0,
+                  message: { role: 'assistant', content: ' We open at 9am. ' },
+                  finish_reason: 'stop',
+                },
+              ],
+            })
+          );
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      aiService.provider = new OpenAIProvider(
+        {
+          apiKey: 'not-needed',
+          baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+          model: 'local-model',
+        },
+        'openai-compatible'
+      );
+      aiService.isTestEnvironment = false;
+    });
+
+    afterEach(async () => {
+      aiService.isTestEnvironment = true;
+      aiService.provider = null;
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should generate a response through the provider', async () => {
+      vectorService.searchSimilar.mockResolvedValue([
+        { content: 'Open 9am-5pm.', score: 0.9, filename: 'hours' },
+      ]);
+
+      const result = await aiService.generateResponse('When do you open?', 'test_123', {
+        business: { businessId: 'test_123', metadata: { ai: { maxTokens: 120 } } },
+      });
+
+      expect(result).toBe('We open at 9am.');
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].payload).toMatchObject({
+        model: 'local-model',
+        max_tokens: 120,
+        temperature: 0.1,
+      });
+    });
+
+    test('should send the per-business model override', async () => {
+      vectorService.searchSimilar.mockResolvedValue([
+        { content: 'Open 9am-5pm.', score: 0.9, filename: 'hours' },
+      ]);
+
+      await aiService.generateResponse('When do you open?', 'test_123', {
+        business: { businessId: 'test_123', metadata: { ai: { model: 'llama3' } } },
+      });
+
+      expect(requests[0].payload.model).toBe('llama3');
+    });
+
+    test('should stream tokens in order when onToken is given', async () => {
+      vectorService.searchSimilar.mockResolvedValue([
+        { content: 'Open 9am-5pm.', score: 0.9, filename: 'hours' },
+      ]);
+      const tokens = [];
+
+      const result = await aiService.generateResponse('When do you open?', 'test_123', {
+        onToken: token => {
+          tokens.push(token);
+          return Promise.resolve();
+        },
+      });
+
+      expect(requests[0].payload.stream).toBe(true);
+      expect(tokens).toEqual(['We open ', 'at 9am. ', 'See you soon!']);
+      expect(result).toBe('We open at 9am. See you soon!');
+      expect(cache.cacheResponse).toHaveBeenCalledWith(
+        'test_123',
+        'When do you open?',
+        expect.objectContaining({ response: 'We open at 9am. See you soon!' })
+      );
+    });
+
+    test('should deliver fallback answers through onToken', async () => {
+      vectorService.searchSimilar.mockResolvedValue([]);
+      const onToken = jest.fn().mockResolvedValue(undefined);
+
+      const result = await aiService.generateResponse('Do you sell bikes?', 'test_123', {
+        onToken,
+      });
+
+      expect(onToken).toHaveBeenCalledWith(result);
+      expect(requests).toHaveLength(0);
+    });
+  });
+
   describe('summarizeDocument', () => {
     test('should handle summarizeDocument method in test mode', async () => {
       const content = 'This is a long document with lots of content about business operations...';
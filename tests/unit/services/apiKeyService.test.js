@@ -0,0 +1,187 @@
+const ApiKeyRepository = require('../../../src/repositories/ApiKeyRepository');
+const apiKeyService = require('../../../src/services/apiKeyService');
+
+describe('ApiKeyService', () => {
+  // Stores whatever issueKey writes, the way the repository would return it
+  const storeCreatedKeys = () => {
+    const rows = new Map();
+    ApiKeyRepository.create.mockImplementation(keyData => {
+      const row = { ...keyData, revokedAt: null, lastUsedAt: null, createdAt: 'now' };
+      rows.set(keyData.keyId, row);
+      return Promise.resolve(row);
+    });
+    ApiKeyRepository.findByKeyId.mockImplementation(keyId =>
+      Promise.resolve(rows.get(keyId) || null)
+    );
+    return rows;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiKeyService.cache.clear();
+    apiKeyService.lastUsedWrites.clear();
+  });
+
+  describe('issueKey', () => {
+    test('should store only a hash and return the key once', async () => {
+      const rows = storeCreatedKeys();
+
+      const { key, apiKey } = await apiKeyService.issueKey({
+        name: ' POS integration ',
+        role: 'business_owner',
+        businessId: 'pizza_1234',
+      });
+
+      expect(key).toMatch(/^sbc_[a-f0-9]{16}_[A-Za-z0-9_-]{43}$/);
+      expect(apiKey).toMatchObject({
+        name: 'POS integration',
+        role: 'business_owner',
+        businessId: 'pizza_1234',
+        active: true,
+      });
+      expect(apiKey.keyHash).toBeUndefined();
+
+      const stored = rows.get(apiKey.keyId);
+      expect(stored.keyHash).toHaveLength(64);
+      // The secret itself may contain underscores
+      const secret = key.slice(`sbc_${apiKey.keyId}_`.length);
+      expect(JSON.stringify(stored)).not.toContain(secret);
+    });
+  });
+
+  describe('validateKeyOptions', () => {
+    test('should require a business for business_owner keys and none for platform_admin', () => {
+      expect(apiKeyService.validateKeyOptions({ name: 'k', role: 'business_owner' })).toBe(
+        'A business_owner key needs a businessId'
+      );
+      expect(
+        apiKeyService.validateKeyOptions({ name: 'k', role: 'platform_admin', businessId: 'b' })
+      ).toBe('A platform_admin key cannot be limited to one business');
+      expect(apiKeyService.validateKeyOptions({ name: 'k', role: 'superuser' })).toContain(
+        'Role must be one of'
+      );
+      expect(apiKeyService.validateKeyOptions({ name: ' ', role: 'read_only' })).toContain(
+        'Key name is required'
+      );
+      expect(
+        apiKeyService.validateKeyOptions({ name: 'k', role: 'read_only', expiresAt: '2001-01-01' })
+      ).toBe('expiresAt must be a date in the future');
+      expect(apiKeyService.validateKeyOptions({ name: 'k', role: 'read_only' })).toBeNull();
+    });
+  });
+
+  describe('verify', () => {
+    test('should accept an issued key and reject a wrong secret or malformed key', async () => {
+      storeCreatedKeys();
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'k', role: 'platform_admin' });
+
+      await expect(apiKeyService.verify(key)).resolves.toMatchObject({
+        keyId: apiKey.keyId,
+        role: 'platform_admin',
+      });
+      expect(ApiKeyRepository.touchLastUsed).toHaveBeenCalledWith(apiKey.keyId);
+
+      const wrongSecret = `sbc_${apiKey.keyId}_${'A'.repeat(43)}`;
+      await expect(apiKeyService.verify(wrongSecret)).resolves.toBeNull();
+      await expect(apiKeyService.verify('password123')).resolves.toBeNull();
+      await expect(apiKeyService.verify(undefined)).resolves.toBeNull();
+    });
+
+    test('should reject revoked and expired keys', async () => {
+      const rows = storeCreatedKeys();
+      const revoked = await apiKeyService.issueKey({ name: 'old', role: 'read_only' });
+      const expired = await apiKeyService.issueKey({ name: 'temp', role: 'read_only' });
+
+      rows.get(revoked.apiKey.keyId).revokedAt = '2026-01-01T00:00:00Z';
+      rows.get(expired.apiKey.keyId).expiresAt = '2026-01-01T00:00:00Z';
+
+      await expect(apiKeyService.verify(revoked.key)).resolves.toBeNull();
+      await expect(apiKeyService.verify(expired.key)).resolves.toBeNull();
+    });
+
+    test('should write last use at most once per interval', async () => {
+      storeCreatedKeys();
+      const { key } = await apiKeyService.issueKey({ name: 'k', role: 'read_only' });
+
+      await apiKeyService.verify(key);
+      await apiKeyService.verify(key);
+
+      expect(ApiKeyRepository.touchLastUsed).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rotateKey', () => {
+    test('should issue a replacement and revoke the old key at once', async () => {
+      storeCreatedKeys();
+      const { apiKey } = await apiKeyService.issueKey({
+        name: 'POS',
+        role: 'business_owner',
+        businessId: 'pizza_1234',
+      });
+      ApiKeyRepository.revoke.mockResolvedValue({});
+
+      const rotated = await apiKeyService.rotateKey(apiKey.keyId, { createdBy: 'admin_key' });
+
+      expect(rotated.apiKey).toMatchObject({
+        name: 'POS',
+        role: 'business_owner',
+        businessId: 'pizza_1234',
+        rotatedFrom: apiKey.keyId,
+        createdBy: 'admin_key',
+      });
+      expect(rotated.key).not.toContain(apiKey.keyId);
+      expect(ApiKeyRepository.revoke).toHaveBeenCalledWith(apiKey.keyId, null);
+    });
+
+    test('should keep the old key working for the grace period, never past its expiry', async () => {
+      const rows = storeCreatedKeys();
+      const { apiKey } = await apiKeyService.issueKey({ name: 'POS', role: 'read_only' });
+      ApiKeyRepository.revoke.mockResolvedValue({});
+
+      const before = Date.now();
+      await apiKeyService.rotateKey(apiKey.keyId, { graceSeconds: 3600 });
+      const graceEnd = ApiKeyRepository.revoke.mock.calls[0][1];
+      expect(graceEnd.getTime()).toBeGreaterThanOrEqual(before + 3600 * 1000);
+
+      const soon = new Date(Date.now() + 60 * 1000).toISOString();
+      rows.get(apiKey.keyId).expiresAt = soon;
+      await apiKeyService.rotateKey(apiKey.keyId, { graceSeconds: 3600 });
+      expect(ApiKeyRepository.revoke.mock.calls[1][1].toISOString()).toBe(soon);
+    });
+
+    test('should not rotate a missing or revoked key', async () => {
+      ApiKeyRepository.findByKeyId.mockResolvedValueOnce(null).mockResolvedValueOnce({
+        keyId: 'abc',
+        revokedAt: '2026-01-01T00:00:00Z',
+      });
+
+      await expect(apiKeyService.rotateKey('missing')).resolves.toBeNull();
+      await expect(apiKeyService.rotateKey('abc')).resolves.toBeNull();
+      expect(ApiKeyRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeKey', () => {
+    test('should stop a cached key from working', async () => {
+      const rows = storeCreatedKeys();
+      const { key, apiKey } = await apiKeyService.issueKey({ name: 'k', role: 'read_only' });
+      apiKeyService.cacheTtlMs = 60000;
+
+      try {
+        await expect(apiKeyService.verify(key)).resolves.not.toBeNull();
+
+        ApiKeyRepository.revoke.mockImplementation(keyId => {
+          rows.get(keyId).revokedAt = new Date().toISOString();
+          return Promise.resolve(rows.get(keyId));
+        });
+        await expect(apiKeyService.revokeKey(apiKey.keyId)).resolves.toMatchObject({
+          active: false,
+        });
+
+        await expect(apiKeyService.verify(key)).resolves.toBeNull();
+      } finally {
+        apiKeyService.cacheTtlMs = 0;
+      }
+    });
+  });
+});
@@ -3,6 +3,8 @@ jest.mock('../../../src/models/Business');
 jest.mock('../../../src/utils/logger');
 
 const BusinessModel = require('../../../src/models/Business');
+const cache = require('../../../src/utils/cache');
+const twilioWhatsAppService = require('../../../src/services/twilioWhatsAppService');
 const businessService = require('../../../src/services/businessService');
 
 describe('BusinessService', () => {
@@ -15,9 +17,16 @@ describe('BusinessService', () => {
     BusinessModel.findByBusinessId.mockResolvedValue(null);
     BusinessModel.updateKnowledgeCount.mockResolvedValue(null);
     BusinessModel.recordQuery.mockResolvedValue(null);
+    BusinessModel.recordFallback.mockResolvedValue(null);
     BusinessModel.getActiveBusinesses.mockResolvedValue([]);
     BusinessModel.delete.mockResolvedValue(false);
     BusinessModel.getBusinessStats.mockResolvedValue([]);
+    BusinessModel.findByWhatsAppNumber.mockResolvedValue(null);
+    BusinessModel.update.mockResolvedValue(null);
+    BusinessModel.updateStatus.mockResolvedValue(null);
+    BusinessModel.findAll.mockResolvedValue([]);
+
+    twilioWhatsAppService.businesses.clear();
   });
 
   describe('generateBusinessId', () => {
@@ -137,6 +146,389 @@ describe('BusinessService', () => {
     });
   });
 
+  describe('WhatsApp number routing', () => {
+    test('should persist the WhatsApp number and register routing', async () => {
+      const result = await businessService.registerBusiness(
+        '+15559876543',
+        'Test Restaurant',
+        '+15551234567'
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.whatsappNumber).toBe('whatsapp:+15551234567');
+      expect(BusinessModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ whatsappNumber: 'whatsapp:+15551234567' })
+      );
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551234567')).toEqual(
+        expect.objectContaining({ businessId: result.businessId })
+      );
+    });
+
+    test('should reject a WhatsApp number already assigned to another business', async () => {
+      BusinessModel.findByWhatsAppNumber.mockResolvedValue({ businessId: 'other_1234' });
+
+      const result = await businessService.registerBusiness(
+        '+15559876543',
+        'Test Restaurant',
+        'whatsapp:+15551234567'
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('already assigned');
+      expect(BusinessModel.create).not.toHaveBeenCalled();
+    });
+
+    test('should remove routing when the business is deleted', async () => {
+      const business = {
+        businessId: 'test_123',
+        businessName: 'Test Restaurant',
+        ownerPhone: '+15559876543',
+        whatsappNumber: 'whatsapp:+15551234567',
+      };
+      await twilioWhatsAppService.registerBusiness(
+        business.businessId,
+        business.businessName,
+        business.whatsappNumber,
+        business.ownerPhone
+      );
+      BusinessModel.findByOwner.mockResolvedValue(business);
+      BusinessModel.delete.mockResolvedValue(true);
+
+      await businessService.deleteBusiness('+15559876543');
+
+      expect(twilioWhatsAppService.businesses.size).toBe(0);
+    });
+  });
+
+  describe('updateAISettings', () => {
+    const business = {
+      businessId: 'test_123',
+      businessName: 'Test Restaurant',
+      ownerPhone: '+15559876543',
+      whatsappNumber: null,
+      metadata: { source: 'api', ai: { model: 'gpt-4o-mini', temperature: 0.2 } },
+    };
+
+    test('should merge overrides into business metadata', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.updateMetadata.mockResolvedValue(business);
+
+      const result = await businessService.updateAISettings('test_123', {
+        maxTokens: 250,
+        temperature: null,
+      });
+
+      expect(result).toEqual({
+        success: true,
+        aiSettings: { model: 'gpt-4o-mini', maxTokens: 250 },
+      });
+      // Only the AI settings are written, so counters updated meanwhile are kept
+      expect(BusinessModel.updateMetadata).toHaveBeenCalledWith('test_123', {
+        ai: { model: 'gpt-4o-mini', maxTokens: 250 },
+      });
+    });
+
+    test('should reject invalid settings', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+
+      const result = await businessService.updateAISettings('test_123', { temperature: 5 });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('temperature');
+      expect(BusinessModel.updateMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should store the answer policy and drop cached answers', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.updateMetadata.mockResolvedValue(business);
+
+      const result = await businessService.updateAISettings('test_123', {
+        minSimilarity: 0.4,
+        fallbackMessage: 'Please call us at 555-0100.',
+      });
+
+      expect(result.aiSettings).toEqual({
+        model: 'gpt-4o-mini',
+        temperature: 0.2,
+        minSimilarity: 0.4,
+        fallbackMessage: 'Please call us at 555-0100.',
+      });
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+    });
+
+    test('should reject an out-of-range threshold or empty fallback message', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+
+      const threshold = await businessService.updateAISettings('test_123', { minSimilarity: 1.5 });
+      const fallback = await businessService.updateAISettings('test_123', {
+        fallbackMessage: '  ',
+      });
+
+      expect(threshold.message).toContain('minSimilarity');
+      expect(fallback.message).toContain('fallbackMessage');
+      expect(BusinessModel.updateMetadata).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown businesses', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(null);
+
+      const result = await businessService.updateAISettings('missing', { model: 'llama3' });
+
+      expect(result).toEqual({ success: false, message: 'Business not found' });
+    });
+  });
+
+  describe('updateBusiness', () => {
+    const business = {
+      businessId: 'test_123',
+      businessName: 'Test Restaurant',
+      ownerPhone: '+15559876543',
+      whatsappNumber: 'whatsapp:+15551111111',
+      status: 'active',
+      metadata: {},
+    };
+
+    test('should save only changed fields and move routing to a new number', async () => {
+      twilioWhatsAppService.cacheBusiness(business);
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.update.mockResolvedValue({
+        ...business,
+        businessName: 'Test Bistro',
+        whatsappNumber: 'whatsapp:+15552222222',
+      });
+
+      const result = await businessService.updateBusiness('test_123', {
+        businessName: 'Test Bistro',
+        ownerPhone: '+15559876543',
+        whatsappNumber: '+15552222222',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toEqual(['businessName', 'whatsappNumber']);
+      expect(BusinessModel.findByBusinessId).toHaveBeenCalledWith('test_123', [
+        'active',
+        'suspended',
+      ]);
+      expect(BusinessModel.update).toHaveBeenCalledWith('test_123', {
+        businessName: 'Test Bistro',
+        whatsappNumber: 'whatsapp:+15552222222',
+      });
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551111111')).toBeUndefined();
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15552222222')).toEqual(
+        expect.objectContaining({ businessName: 'Test Bistro' })
+      );
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+    });
+
+    test('should reject an owner phone or number that belongs to another business', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.findByOwner.mockResolvedValue({ businessId: 'other_1234' });
+      BusinessModel.findByWhatsAppNumber.mockResolvedValue({ businessId: 'other_1234' });
+
+      const phone = await businessService.updateBusiness('test_123', {
+        ownerPhone: '+15550000000',
+      });
+      const number = await businessService.updateBusiness('test_123', {
+        whatsappNumber: 'whatsapp:+15550000000',
+      });
+
+      expect(phone).toEqual({
+        success: false,
+        message: 'This phone number already owns a business',
+      });
+      expect(number.message).toContain('already assigned');
+      expect(BusinessModel.update).not.toHaveBeenCalled();
+    });
+
+    test('should keep routing when a deleted business still holds the new number', async () => {
+      twilioWhatsAppService.cacheBusiness(business);
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.update.mockRejectedValue({
+        code: '23505',
+        message: 'duplicate key value violates unique constraint "businesses_whatsapp_number_key"',
+      });
+
+      const result = await businessService.updateBusiness('test_123', {
+        whatsappNumber: '+15552222222',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'This WhatsApp number is already assigned to another business',
+      });
+      expect(BusinessModel.update).toHaveBeenCalledWith('test_123', {
+        whatsappNumber: 'whatsapp:+15552222222',
+      });
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551111111')).toEqual(
+        expect.objectContaining({ businessId: 'test_123' })
+      );
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15552222222')).toBeUndefined();
+    });
+
+    test('should not write anything when nothing changes', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+
+      const result = await businessService.updateBusiness('test_123', {
+        businessName: 'Test Restaurant',
+      });
+
+      expect(result).toEqual({ success: true, business, changed: [] });
+      expect(BusinessModel.update).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown businesses', async () => {
+      const result = await businessService.updateBusiness('missing', { businessName: 'New' });
+
+      expect(result).toEqual({ success: false, message: 'Business not found' });
+    });
+  });
+
+  describe('suspendBusiness and reactivateBusiness', () => {
+    const business = {
+      businessId: 'test_123',
+      businessName: 'Test Restaurant',
+      ownerPhone: '+15559876543',
+      whatsappNumber: 'whatsapp:+15551234567',
+      status: 'active',
+      metadata: { source: 'api' },
+    };
+
+    test('should suspend an active business and keep routing it', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.updateStatus.mockImplementation((businessId, status, fromStatus, changes) =>
+        Promise.resolve({ ...business, status, metadata: { ...business.metadata, ...changes } })
+      );
+
+      const result = await businessService.suspendBusiness('test_123', 'Unpaid invoice');
+
+      expect(result.success).toBe(true);
+      expect(BusinessModel.updateStatus).toHaveBeenCalledWith('test_123', 'suspended', 'active', {
+        suspension: { reason: 'Unpaid invoice', suspendedAt: expect.any(String) },
+      });
+      // Still routed, so customers are told the business is unavailable
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551234567')).toEqual(
+        expect.objectContaining({ status: 'suspended' })
+      );
+    });
+
+    test('should not suspend twice or reactivate an active business', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValueOnce({ ...business, status: 'suspended' });
+      BusinessModel.findByBusinessId.mockResolvedValueOnce(business);
+
+      const suspend = await businessService.suspendBusiness('test_123');
+      const reactivate = await businessService.reactivateBusiness('test_123');
+
+      expect(suspend.message).toBe('Business is already suspended');
+      expect(reactivate.message).toBe('Business is not suspended');
+      expect(BusinessModel.updateStatus).not.toHaveBeenCalled();
+    });
+
+    test('should reactivate and drop the suspension details', async () => {
+      const suspended = {
+        ...business,
+        status: 'suspended',
+        metadata: { source: 'api', suspension: { reason: null, suspendedAt: 'then' } },
+      };
+      BusinessModel.findByBusinessId.mockResolvedValue(suspended);
+      BusinessModel.updateStatus.mockResolvedValue({ ...business });
+
+      const result = await businessService.reactivateBusiness('test_123');
+
+      expect(result.success).toBe(true);
+      expect(BusinessModel.updateStatus).toHaveBeenCalledWith('test_123', 'active', 'suspended', {
+        suspension: null,
+      });
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551234567')).toEqual(
+        expect.objectContaining({ status: 'active' })
+      );
+    });
+
+    test('should report a status changed by someone else', async () => {
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.updateStatus.mockResolvedValue(null);
+
+      const result = await businessService.suspendBusiness('test_123');
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Business status changed, please try again',
+      });
+    });
+  });
+
+  describe('deleteBusinessById', () => {
+    test('should mark the business inactive and stop routing it', async () => {
+      const business = {
+        businessId: 'test_123',
+        businessName: 'Test Restaurant',
+        ownerPhone: '+15559876543',
+        whatsappNumber: 'whatsapp:+15551234567',
+        status: 'suspended',
+        metadata: {},
+      };
+      twilioWhatsAppService.cacheBusiness(business);
+      BusinessModel.findByBusinessId.mockResolvedValue(business);
+      BusinessModel.updateStatus.mockResolvedValue({ ...business, status: 'inactive' });
+
+      const result = await businessService.deleteBusinessById('test_123');
+
+      expect(result.success).toBe(true);
+      expect(BusinessModel.updateStatus).toHaveBeenCalledWith('test_123', 'inactive', 'suspended');
+      expect(twilioWhatsAppService.businesses.size).toBe(0);
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+    });
+
+    test('should report unknown businesses', async () => {
+      const result = await businessService.deleteBusinessById('missing');
+
+      expect(result).toEqual({ success: false, message: 'Business not found' });
+    });
+  });
+
+  describe('listBusinesses', () => {
+    const businesses = [
+      { businessId: 'a_1', status: 'active' },
+      { businessId: 'b_2', status: 'suspended' },
+      { businessId: 'c_3', status: 'inactive' },
+    ];
+
+    test('should leave out deleted businesses unless asked for by status', async () => {
+      BusinessModel.findAll.mockResolvedValue(businesses);
+
+      const all = await businessService.listBusinesses();
+      const deleted = await businessService.listBusinesses('inactive');
+
+      expect(all.map(business => business.businessId)).toEqual(['a_1', 'b_2']);
+      expect(deleted.map(business => business.businessId)).toEqual(['c_3']);
+    });
+
+    test('should return null on database error', async () => {
+      BusinessModel.findAll.mockRejectedValue(new Error('Database error'));
+
+      await expect(businessService.listBusinesses()).resolves.toBeNull();
+    });
+  });
+
+  describe('getUsageStats', () => {
+    test('should compute the fallback rate from the usage counters', () => {
+      const stats = businessService.getUsageStats({
+        lastActivity: '2026-10-01T00:00:00Z',
+        metadata: { totalQueries: 8, totalFallbacks: 2, totalUploads: 3 },
+      });
+
+      expect(stats).toEqual({
+        totalQueries: 8,
+        totalFallbacks: 2,
+        fallbackRate: 25,
+        totalUploads: 3,
+        lastQuery: null,
+        lastUpload: null,
+        lastActivity: '2026-10-01T00:00:00Z',
+        recentFallbacks: [],
+      });
+    });
+  });
+
   describe('isOwnerRegistered', () => {
     test('should return true for registered owner', async () => {
       const phoneNumber = '+15551234567';
@@ -322,6 +714,26 @@ describe('BusinessService', () => {
     });
   });
 
+  describe('recordFallback', () => {
+    test('should record the unanswered question', async () => {
+      const mockBusiness = { businessId: 'test_123', businessName: 'Test Business' };
+      BusinessModel.recordFallback.mockResolvedValue(mockBusiness);
+
+      const result = await businessService.recordFallback('test_123', 'Do you deliver?');
+
+      expect(result).toEqual(mockBusiness);
+      expect(BusinessModel.recordFallback).toHaveBeenCalledWith('test_123', 'Do you deliver?');
+    });
+
+    test('should return null on database error', async () => {
+      BusinessModel.recordFallback.mockRejectedValue(new Error('Database error'));
+
+      const result = await businessService.recordFallback('test_123', 'Do you deliver?');
+
+      expect(result).toBeNull();
+    });
+  });
+
   describe('getAllBusinesses', () => {
     test('should return all active businesses', async () => {
       const mockBusinesses = [
@@ -0,0 +1,147 @@
+const conversationService = require('../../../src/services/conversationService');
+
+describe('ConversationService', () => {
+  const businessId = 'test_123';
+  const customerPhone = '15551234567';
+
+  beforeEach(() => {
+    conversationService.sessions.clear();
+    conversationService.lastAnswers.clear();
+    conversationService.config = { maxTurns: 4, ttlMs: 60000 };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordExchange', () => {
+    test('should store user and assistant turns in order', () => {
+      conversationService.recordExchange(businessId, customerPhone, 'Hours?', '9-5');
+
+      expect(conversationService.getHistory(businessId, customerPhone)).toEqual([
+        { role: 'user', content: 'Hours?' },
+        { role: 'assistant', content: '9-5' },
+      ]);
+    });
+
+    test('should keep only the configured window of turns', () => {
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+      conversationService.recordExchange(businessId, customerPhone, 'Q2', 'A2');
+      conversationService.recordExchange(businessId, customerPhone, 'Q3', 'A3');
+
+      const history = conversationService.getHistory(businessId, customerPhone);
+
+      expect(history).toHaveLength(4);
+      expect(history[0]).toEqual({ role: 'user', content: 'Q2' });
+      expect(history[3]).toEqual({ role: 'assistant', content: 'A3' });
+    });
+
+    test('should keep sessions separate per business and customer', () => {
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+      conversationService.recordExchange('other_456', customerPhone, 'Q2', 'A2');
+
+      expect(conversationService.getHistory(businessId, customerPhone)).toHaveLength(2);
+      expect(conversationService.getHistory(businessId, '15559999999')).toEqual([]);
+      expect(conversationService.getHistory('other_456', customerPhone)[0].content).toBe('Q2');
+    });
+  });
+
+  describe('expiry', () => {
+    test('should return empty history after the TTL has passed', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+
+      Date.now.mockReturnValue(now + 60001);
+
+      expect(conversationService.getHistory(businessId, customerPhone)).toEqual([]);
+      expect(conversationService.sessions.size).toBe(0);
+    });
+
+    test('should remove expired sessions on cleanup', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+      conversationService.recordExchange(businessId, '15559999999', 'Q2', 'A2');
+
+      Date.now.mockReturnValue(now + 60001);
+      conversationService.cleanup();
+
+      expect(conversationService.getStats().activeSessions).toBe(0);
+    });
+  });
+
+  describe('getRecentConversations', () => {
+    test('should list unexpired conversations for one business, newest first, masked', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now - 60000);
+      conversationService.recordExchange(businessId, '15550000001', 'Old?', 'Expired');
+      Date.now.mockReturnValue(now - 1000);
+      conversationService.recordExchange(businessId, '15550000002', 'Hours?', '9-5');
+      Date.now.mockReturnValue(now);
+      conversationService.recordExchange(businessId, customerPhone, 'Open Sunday?', 'No');
+      conversationService.recordExchange('other_456', '15550000003', 'Q', 'A');
+
+      Date.now.mockReturnValue(now + 1);
+      const conversations = conversationService.getRecentConversations(businessId);
+
+      expect(conversations.map(conversation => conversation.customer)).toEqual([
+        '***4567',
+        '***0002',
+      ]);
+      expect(conversations[1].turns.map(turn => turn.content)).toEqual(['Hours?', '9-5']);
+      expect(JSON.stringify(conversations)).not.toContain(customerPhone);
+      expect(conversationService.getRecentConversations(businessId, 1)).toHaveLength(1);
+    });
+  });
+
+  describe('reset', () => {
+    test('should clear the conversation for one customer only', () => {
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+      conversationService.recordExchange(businessId, '15559999999', 'Q2', 'A2');
+
+      expect(conversationService.reset(businessId, customerPhone)).toBe(true);
+      expect(conversationService.getHistory(businessId, customerPhone)).toEqual([]);
+      expect(conversationService.getHistory(businessId, '15559999999')).toHaveLength(2);
+    });
+
+    test('should clear all sessions for a business', () => {
+      conversationService.recordExchange(businessId, customerPhone, 'Q1', 'A1');
+      conversationService.recordExchange(businessId, '15559999999', 'Q2', 'A2');
+      conversationService.recordExchange('other_456', customerPhone, 'Q3', 'A3');
+
+      expect(conversationService.clearBusinessSessions(businessId)).toBe(2);
+      expect(conversationService.getStats().activeSessions).toBe(1);
+    });
+  });
+
+  describe('last answer', () => {
+    const answer = {
+      customerPhone,
+      question: 'Hours?',
+      response: '9-5',
+      sources: [{ knowledgeId: 'kb_1', filename: 'text_kb_1', score: 0.8 }],
+      confidence: 0.8,
+    };
+
+    test('should keep the latest answer per business', () => {
+      conversationService.recordAnswer(businessId, answer);
+      conversationService.recordAnswer(businessId, { ...answer, question: 'Parking?' });
+
+      expect(conversationService.getLastAnswer(businessId)).toMatchObject({
+        question: 'Parking?',
+        sources: answer.sources,
+        answeredAt: expect.any(String),
+      });
+      expect(conversationService.getLastAnswer('other_456')).toBeNull();
+    });
+
+    test('should forget the last answer when business sessions are cleared', () => {
+      conversationService.recordAnswer(businessId, answer);
+
+      conversationService.clearBusinessSessions(businessId);
+
+      expect(conversationService.getLastAnswer(businessId)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const BusinessRepository = require('../../../src/repositories/BusinessRepository');
+const ApiKeyRepository = require('../../../src/repositories/ApiKeyRepository');
+const DashboardLoginRepository = require('../../../src/repositories/DashboardLoginRepository');
+const twilioWhatsAppService = require('../../../src/services/twilioWhatsAppService');
+const dashboardAuthService = require('../../../src/services/dashboardAuthService');
+
+describe('DashboardAuthService', () => {
+  const ownerPhone = '+15551234567';
+  const business = {
+    businessId: 'pizza_1234',
+    businessName: 'Pizza Palace',
+    ownerPhone,
+    whatsappNumber: '+14155238886',
+  };
+
+  let sendMessage;
+  let rows; // ownerPhone -> dashboard_login_codes row
+
+  // Behaves like the dashboard_login_codes table and its functions
+  const useLoginTable = () => {
+    rows = new Map();
+    DashboardLoginRepository.claimRequest.mockImplementation((phone, resendIntervalMs) => {
+      const row = rows.get(phone);
+      if (row && Date.now() - row.requestedAt < resendIntervalMs) {
+        return Promise.resolve(false);
+      }
+      rows.set(phone, { ...row, requestedAt: Date.now() });
+      return Promise.resolve(true);
+    });
+    DashboardLoginRepository.saveCode.mockImplementation((phone, code) => {
+      Object.assign(rows.get(phone), code, { attempts: 0 });
+      return Promise.resolve();
+    });
+    DashboardLoginRepository.verifyCode.mockImplementation((phone, codeHash, maxAttempts) => {
+      const row = rows.get(phone);
+      if (!row || !row.codeHash) {
+        return Promise.resolve({ businessId: null, attempts: 0 });
+      }
+      if (row.codeHash === codeHash && row.expiresAt > new Date()) {
+        Object.assign(row, { codeHash: null, expiresAt: null, attempts: 0 });
+        return Promise.resolve({ businessId: row.businessId, attempts: 0 });
+      }
+      row.attempts++;
+      if (row.attempts >= maxAttempts) {
+        row.codeHash = null;
+      }
+      return Promise.resolve({ businessId: null, attempts: row.attempts });
+    });
+    DashboardLoginRepository.releaseRequest.mockImplementation(phone => {
+      rows.delete(phone);
+      return Promise.resolve();
+    });
+  };
+
+  // The code is only ever in the WhatsApp message
+  const sentCode = () => sendMessage.mock.calls[0][1].match(/code is (\d{6})/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useLoginTable();
+
+    BusinessRepository.findByOwner.mockResolvedValue(business);
+    ApiKeyRepository.create.mockImplementation(keyData =>
+      Promise.resolve({ ...keyData, revokedAt: null, lastUsedAt: null, createdAt: 'now' })
+    );
+    sendMessage = jest
+      .spyOn(twilioWhatsAppService, 'sendMessage')
+      .mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    sendMessage.mockRestore();
+  });
+
+  describe('cleanup', () => {
+    test('should delete stale rows and survive a database error', async () => {
+      DashboardLoginRepository.deleteStale.mockResolvedValueOnce(2);
+      await dashboardAuthService.cleanup();
+      expect(DashboardLoginRepository.deleteStale).toHaveBeenCalledWith(60000);
+
+      DashboardLoginRepository.deleteStale.mockRejectedValueOnce(new Error('Database down'));
+      await expect(dashboardAuthService.cleanup()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('requestCode', () => {
+    test('should send a 6-digit code from the business number and store only its hash', async () => {
+      const result = await dashboardAuthService.requestCode(ownerPhone);
+
+      expect(result.success).toBe(true);
+      expect(sendMessage).toHaveBeenCalledWith(
+        ownerPhone,
+        expect.stringContaining('Pizza Palace'),
+        business.whatsappNumber
+      );
+      const [, saved] = DashboardLoginRepository.saveCode.mock.calls[0];
+      expect(saved.businessId).toBe('pizza_1234');
+      expect(saved.codeHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(saved)).not.toContain(sentCode());
+    });
+
+    test('should give the same reply for a number that owns no business', async () => {
+      BusinessRepository.findByOwner.mockResolvedValueOnce(null);
+
+      const unknown = await dashboardAuthService.requestCode('+15550000000');
+      const known = await dashboardAuthService.requestCode(ownerPhone);
+
+      expect(unknown).toEqual(known);
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse another code within the resend interval', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      const result = await dashboardAuthService.requestCode(ownerPhone);
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Please wait');
+      expect(sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow a retry straight away when WhatsApp delivery fails', async () => {
+      sendMessage.mockResolvedValueOnce({ success: false, error: 'Twilio down' });
+
+      const failed = await dashboardAuthService.requestCode(ownerPhone);
+      const retried = await dashboardAuthService.requestCode(ownerPhone);
+
+      expect(failed).toEqual({
+        success: false,
+        message: 'Could not send the login code, please try again',
+      });
+      expect(retried.success).toBe(true);
+      expect(DashboardLoginRepository.releaseRequest).toHaveBeenCalledWith(ownerPhone);
+    });
+
+    test('should throttle a number that owns no business too', async () => {
+      BusinessRepository.findByOwner.mockResolvedValue(null);
+
+      await dashboardAuthService.requestCode('+15550000000');
+      const result = await dashboardAuthService.requestCode('+15550000000');
+
+      expect(result.success).toBe(false);
+      expect(DashboardLoginRepository.claimRequest).toHaveBeenCalledWith('+15550000000', 60000);
+    });
+  });
+
+  describe('verifyCode', () => {
+    test('should accept a code sent by another server instance', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      const code = sentCode();
+      // Only what is in the database carries over
+      const [, saved] = DashboardLoginRepository.saveCode.mock.calls[0];
+      useLoginTable();
+      rows.set(ownerPhone, { ...saved, attempts: 0, requestedAt: Date.now() });
+
+      const result = await dashboardAuthService.verifyCode(ownerPhone, code);
+
+      expect(result.success).toBe(true);
+    });
+
+    test('should issue an expiring business_owner key for the right code, once', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      const code = sentCode();
+
+      const result = await dashboardAuthService.verifyCode(ownerPhone, code);
+
+      expect(result.success).toBe(true);
+      expect(result.businessId).toBe('pizza_1234');
+      expect(result.key).toMatch(/^sbc_/);
+      expect(result.apiKey).toMatchObject({ role: 'business_owner', businessId: 'pizza_1234' });
+      expect(new Date(result.apiKey.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const reused = await dashboardAuthService.verifyCode(ownerPhone, code);
+      expect(reused.success).toBe(false);
+    });
+
+    test('should drop the code after too many wrong guesses', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      const code = sentCode();
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < dashboardAuthService.config.maxCodeAttempts; i++) {
+        const result = await dashboardAuthService.verifyCode(ownerPhone, wrong);
+        expect(result).toEqual({ success: false, message: 'Invalid or expired code' });
+      }
+
+      const result = await dashboardAuthService.verifyCode(ownerPhone, code);
+      expect(result.success).toBe(false);
+      expect(ApiKeyRepository.create).not.toHaveBeenCalled();
+      // Each guess is checked and counted in one call, never as a separate read and write
+      expect(DashboardLoginRepository.verifyCode).toHaveBeenCalledWith(
+        ownerPhone,
+        expect.stringMatching(/^[0-9a-f]{64}$/),
+        dashboardAuthService.config.maxCodeAttempts
+      );
+    });
+
+    test('should reject an expired code', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      rows.get(ownerPhone).expiresAt = new Date(Date.now() - 1);
+
+      const result = await dashboardAuthService.verifyCode(ownerPhone, sentCode());
+
+      expect(result.success).toBe(false);
+      expect(ApiKeyRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject the code if the number no longer owns the business', async () => {
+      await dashboardAuthService.requestCode(ownerPhone);
+      BusinessRepository.findByOwner.mockResolvedValue(null);
+
+      const result = await dashboardAuthService.verifyCode(ownerPhone, sentCode());
+
+      expect(result.success).toBe(false);
+      expect(ApiKeyRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
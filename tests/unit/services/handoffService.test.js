@@ -0,0 +1,314 @@
+const HandoffTicketRepository = require('../../../src/repositories/HandoffTicketRepository');
+const handoffService = require('../../../src/services/handoffService');
+
+describe('HandoffService', () => {
+  const business = { businessId: 'test_123', businessName: 'Test Cafe' };
+  const customer = {
+    from: 'whatsapp:+15551234567',
+    to: 'whatsapp:+14155238886',
+    phoneNumber: '15551234567',
+    profileName: 'Jane',
+  };
+
+  let rows; // handoff_tickets rows
+  let counters; // businessId -> last ticket number
+
+  // Behaves like the handoff_tickets table and open_handoff_ticket
+  const useTicketTable = () => {
+    rows = [];
+    counters = new Map();
+    const isLive = (row, openTtlMs) =>
+      row.status === 'open' && Date.now() - row.lastActivityAt <= openTtlMs;
+    const findLive = (businessId, match, openTtlMs) =>
+      rows.find(row => row.businessId === businessId && match(row) && isLive(row, openTtlMs)) ||
+      null;
+
+    HandoffTicketRepository.open.mockImplementation((ticketData, openTtlMs) => {
+      rows
+        .filter(
+          row =>
+            row.businessId === ticketData.businessId &&
+            row.customerPhone === ticketData.customerPhone &&
+            row.status === 'open' &&
+            !isLive(row, openTtlMs)
+        )
+        .forEach(row => Object.assign(row, { status: 'expired', expiredAt: Date.now() }));
+
+      const existing = findLive(
+        ticketData.businessId,
+        row => row.customerPhone === ticketData.customerPhone,
+        openTtlMs
+      );
+      if (existing) {
+        return Promise.resolve(existing);
+      }
+
+      const ticketNumber = (counters.get(ticketData.businessId) || 0) + 1;
+      counters.set(ticketData.businessId, ticketNumber);
+      const row = Object.assign({}, ticketData, {
+        ticketId: String(ticketNumber),
+        status: 'open',
+        lastActivityAt: Date.now(),
+        resolvedAt: null,
+        expiredAt: null,
+      });
+      rows.push(row);
+      return Promise.resolve(row);
+    });
+    HandoffTicketRepository.findOpenByCustomer.mockImplementation(
+      (businessId, customerPhone, openTtlMs) =>
+        Promise.resolve(findLive(businessId, row => row.customerPhone === customerPhone, openTtlMs))
+    );
+    HandoffTicketRepository.findOpenByBusiness.mockImplementation((businessId, openTtlMs) =>
+      Promise.resolve(rows.filter(row => row.businessId === businessId && isLive(row, openTtlMs)))
+    );
+    HandoffTicketRepository.touch.mockImplementation((businessId, ticketNumber, openTtlMs) => {
+      const row = findLive(businessId, r => r.ticketId === String(ticketNumber), openTtlMs);
+      if (row) {
+        row.lastActivityAt = Date.now();
+      }
+      return Promise.resolve(row);
+    });
+    HandoffTicketRepository.resolve.mockImplementation((businessId, ticketNumber, openTtlMs) => {
+      const row = findLive(businessId, r => r.ticketId === String(ticketNumber), openTtlMs);
+      if (row) {
+        Object.assign(row, { status: 'resolved', resolvedAt: Date.now() });
+      }
+      return Promise.resolve(row);
+    });
+    HandoffTicketRepository.deleteByBusiness.mockImplementation(businessId => {
+      const before = rows.length;
+      rows = rows.filter(row => row.businessId !== businessId);
+      return Promise.resolve(before - rows.length);
+    });
+    HandoffTicketRepository.expireIdle.mockImplementation(openTtlMs => {
+      const idle = rows.filter(row => row.status === 'open' && !isLive(row, openTtlMs));
+      idle.forEach(row => Object.assign(row, { status: 'expired', expiredAt: Date.now() }));
+      return Promise.resolve(idle.length);
+    });
+    HandoffTicketRepository.deleteClosed.mockImplementation(closedTtlMs => {
+      const before = rows.length;
+      rows = rows.filter(
+        row =>
+          row.status === 'open' || Date.now() - (row.resolvedAt || row.expiredAt) <= closedTtlMs
+      );
+      return Promise.resolve(before - rows.length);
+    });
+  };
+
+  const ticketStatus = ticketId => rows.find(row => row.ticketId === ticketId).status;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useTicketTable();
+  });
+
+  describe('isHumanRequest', () => {
+    test.each([
+      'Can I talk to a human?',
+      'I want to speak with someone',
+      'please let me chat with the owner',
+      'Is there a real person there?',
+      'human',
+      'Agent!',
+    ])('should detect "%s"', message => {
+      expect(handoffService.isHumanRequest(message)).toBe(true);
+    });
+
+    test.each(['What are your hours?', 'Do you have human-sized portions?', '', null])(
+      'should ignore "%s"',
+      message => {
+        expect(handoffService.isHumanRequest(message)).toBe(false);
+      }
+    );
+  });
+
+  describe('isUnanswerable', () => {
+    test('should detect the no-information fallback answer', () => {
+      const response =
+        "I don't have specific information about that in the business knowledge base.";
+      expect(handoffService.isUnanswerable(response)).toBe(true);
+    });
+
+    test('should detect missing item answers', () => {
+      expect(handoffService.isUnanswerable("I don't have information about milk")).toBe(true);
+    });
+
+    test('should not flag regular answers', () => {
+      expect(handoffService.isUnanswerable('We are open 9am-5pm.')).toBe(false);
+    });
+  });
+
+  describe('tickets', () => {
+    test('should open a ticket and track it per customer', async () => {
+      const ticket = await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+
+      expect(ticket).toMatchObject({
+        ticketId: '1',
+        businessId: 'test_123',
+        customerPhone: '15551234567',
+        customerAddress: 'whatsapp:+15551234567',
+        businessAddress: 'whatsapp:+14155238886',
+        customerName: 'Jane',
+        question: 'Refund?',
+        status: 'open',
+      });
+      expect(HandoffTicketRepository.open).toHaveBeenCalledWith(
+        expect.objectContaining({ businessId: 'test_123', reason: 'unanswered' }),
+        60 * 1000
+      );
+      expect(await handoffService.getOpenTicketForCustomer('test_123', '15551234567')).toBe(ticket);
+    });
+
+    test('should reuse the open ticket for the same customer', async () => {
+      const first = await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+      const second = await handoffService.openTicket(
+        business,
+        customer,
+        'Hello?',
+        'customer_request'
+      );
+
+      expect(second).toBe(first);
+      expect(await handoffService.getOpenTickets('test_123')).toHaveLength(1);
+    });
+
+    test('should find tickets by the number the owner types', async () => {
+      await handoffService.openTicket(business, customer, 'Q1', 'unanswered');
+      const other = await handoffService.openTicket(
+        business,
+        { ...customer, phoneNumber: '15559999999' },
+        'Q2',
+        'unanswered'
+      );
+
+      expect(other.ticketId).toBe('2');
+      expect(await handoffService.replyToTicket('test_123', '#2')).toBe(other);
+      expect(HandoffTicketRepository.touch).toHaveBeenCalledWith('test_123', 2, 60 * 1000);
+      expect(await handoffService.replyToTicket('other_456', '2')).toBeNull();
+    });
+
+    test('should not look up ticket numbers that are not numbers', async () => {
+      expect(await handoffService.replyToTicket('test_123', 'abc')).toBeNull();
+      expect(await handoffService.resolveTicket('test_123', '#')).toBeNull();
+      expect(HandoffTicketRepository.touch).not.toHaveBeenCalled();
+      expect(HandoffTicketRepository.resolve).not.toHaveBeenCalled();
+    });
+
+    test('should resolve a ticket and release the customer', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+
+      const resolved = await handoffService.resolveTicket('test_123', '1');
+
+      expect(resolved.status).toBe('resolved');
+      expect(resolved.resolvedAt).not.toBeNull();
+      expect(await handoffService.getOpenTicketForCustomer('test_123', '15551234567')).toBeNull();
+      expect(await handoffService.resolveTicket('test_123', '1')).toBeNull();
+    });
+
+    test('should clear all tickets for a business without reusing their numbers', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+
+      expect(await handoffService.clearBusinessTickets('test_123')).toBe(1);
+      expect(await handoffService.getOpenTickets('test_123')).toEqual([]);
+
+      const next = await handoffService.openTicket(
+        business,
+        customer,
+        'Hello?',
+        'customer_request'
+      );
+      expect(next.ticketId).toBe('2');
+    });
+
+    test('should report no tickets cleared when the database fails', async () => {
+      HandoffTicketRepository.deleteByBusiness.mockRejectedValueOnce(new Error('db down'));
+
+      expect(await handoffService.clearBusinessTickets('test_123')).toBe(0);
+    });
+  });
+
+  describe('idle tickets', () => {
+    let now;
+
+    beforeEach(() => {
+      now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should hand the customer back to the assistant once the owner stops replying', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+
+      now += 60 * 1000 + 1;
+
+      expect(await handoffService.getOpenTicketForCustomer('test_123', '15551234567')).toBeNull();
+      expect(await handoffService.replyToTicket('test_123', '1')).toBeNull();
+      expect(await handoffService.resolveTicket('test_123', '1')).toBeNull();
+
+      const next = await handoffService.openTicket(business, customer, 'Hello?', 'unanswered');
+      expect(next.ticketId).toBe('2');
+      expect(ticketStatus('1')).toBe('expired');
+    });
+
+    test('should keep a ticket open while the owner keeps replying', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+
+      now += 45 * 1000;
+      await handoffService.replyToTicket('test_123', '1');
+      now += 45 * 1000;
+
+      expect(
+        await handoffService.getOpenTicketForCustomer('test_123', '15551234567')
+      ).toMatchObject({ ticketId: '1' });
+    });
+  });
+
+  describe('cleanup', () => {
+    let now;
+
+    beforeEach(() => {
+      now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should expire idle tickets and forget closed ones once they are old', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+      await handoffService.resolveTicket('test_123', '1');
+      await handoffService.openTicket(business, customer, 'Still there?', 'customer_request');
+
+      now += 60 * 1000 + 1;
+      await handoffService.cleanup();
+
+      expect(rows.map(row => row.ticketId)).toEqual(['2']);
+      expect(ticketStatus('2')).toBe('expired');
+
+      now += 60 * 1000 + 1;
+      await handoffService.cleanup();
+
+      expect(rows).toEqual([]);
+    });
+
+    test('should keep recently resolved tickets', async () => {
+      await handoffService.openTicket(business, customer, 'Refund?', 'unanswered');
+      await handoffService.resolveTicket('test_123', '1');
+
+      await handoffService.cleanup();
+
+      expect(ticketStatus('1')).toBe('resolved');
+    });
+
+    test('should survive a database error', async () => {
+      HandoffTicketRepository.expireIdle.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(handoffService.cleanup()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -4,6 +4,7 @@ jest.mock('../../../src/services/vectorService');
 jest.mock('../../../src/utils/cache');
 jest.mock('../../../src/utils/logger');
 
+const config = require('../../../config');
 const KnowledgeModel = require('../../../src/models/Knowledge');
 const vectorService = require('../../../src/services/vectorService');
 const cache = require('../../../src/utils/cache');
@@ -25,11 +26,15 @@ describe('KnowledgeService', () => {
       images: 0,
     });
     KnowledgeModel.deleteByBusinessId.mockResolvedValue([]);
+    KnowledgeModel.updateContent.mockResolvedValue(true);
+    KnowledgeModel.findMissingContent.mockResolvedValue([]);
+    KnowledgeModel.saveOriginalFile.mockResolvedValue(true);
 
     // Reset vectorService mocks
     vectorService.storeDocument.mockResolvedValue({ success: true });
     vectorService.deleteByKnowledgeId.mockResolvedValue({ success: true, deletedCount: 1 });
     vectorService.deleteAllBusinessVectors.mockResolvedValue({ success: true });
+    vectorService.recoverContent.mockResolvedValue(null);
 
     // Reset cache mocks
     cache.clearBusinessCaches.mockReturnValue(undefined);
@@ -94,6 +99,20 @@ describe('KnowledgeService', () => {
       );
     });
 
+    test('should record where the entry came from and drop cached answers', async () => {
+      KnowledgeModel.create.mockResolvedValue({});
+      vectorService.storeDocument.mockResolvedValue({ success: true });
+
+      await knowledgeService.addTextKnowledge('test_123', 'Test Business', 'Open 9 to 5', {
+        source: 'api',
+      });
+
+      expect(KnowledgeModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ metadata: expect.objectContaining({ source: 'api' }) })
+      );
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+    });
+
     test('should handle long content with preview truncation', async () => {
       const businessId = 'test_123';
       const businessName = 'Test Business';
@@ -197,6 +216,78 @@ describe('KnowledgeService', () => {
       );
     });
 
+    test('should store the full content alongside the preview', async () => {
+      const content = 'Menu. '.repeat(200);
+
+      await knowledgeService.addDocumentKnowledge('test_123', 'Test', 'menu.pdf', content, 'pdf');
+
+      const stored = KnowledgeModel.create.mock.calls[0][0];
+      expect(stored.content).toBe(content);
+      expect(stored.contentPreview).toHaveLength(503);
+    });
+
+    test('should keep the original file only when enabled', async () => {
+      const originalFile = { buffer: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' };
+      const mediaConfig = config.get('media');
+
+      await knowledgeService.addDocumentKnowledge(
+        'test_123',
+        'Test',
+        'menu.pdf',
+        'Menu',
+        'pdf',
+        {},
+        originalFile
+      );
+      expect(KnowledgeModel.saveOriginalFile).not.toHaveBeenCalled();
+
+      mediaConfig.storeOriginalFiles = true;
+      try {
+        const result = await knowledgeService.addDocumentKnowledge(
+          'test_123',
+          'Test',
+          'menu.pdf',
+          'Menu',
+          'pdf',
+          {},
+          originalFile
+        );
+
+        expect(KnowledgeModel.saveOriginalFile).toHaveBeenCalledWith({
+          knowledgeId: result.knowledgeId,
+          businessId: 'test_123',
+          filename: 'menu.pdf',
+          contentType: 'application/pdf',
+          buffer: originalFile.buffer,
+        });
+      } finally {
+        mediaConfig.storeOriginalFiles = false;
+      }
+    });
+
+    test('should keep the entry when the original file cannot be stored', async () => {
+      const mediaConfig = config.get('media');
+      mediaConfig.storeOriginalFiles = true;
+      KnowledgeModel.saveOriginalFile.mockRejectedValue(new Error('Payload too large'));
+
+      try {
+        const result = await knowledgeService.addDocumentKnowledge(
+          'test_123',
+          'Test',
+          'menu.pdf',
+          'Menu',
+          'pdf',
+          {},
+          { buffer: Buffer.from('data'), contentType: 'application/pdf' }
+        );
+
+        expect(result.success).toBe(true);
+        expect(vectorService.storeDocument).toHaveBeenCalled();
+      } finally {
+        mediaConfig.storeOriginalFiles = false;
+      }
+    });
+
     test('should handle document processing errors', async () => {
       const businessId = 'test_123';
       const businessName = 'Test Business';
@@ -246,6 +337,239 @@ describe('KnowledgeService', () => {
     });
   });
 
+  describe('importFaq', () => {
+    const businessId = 'test_123';
+    const businessName = 'Test Business';
+    const csvFile = content => ({ content, extension: '.csv', filename: 'faq.csv' });
+
+    beforeEach(() => {
+      KnowledgeModel.createMany.mockImplementation(entries => Promise.resolve(entries));
+      vectorService.storeDocuments.mockResolvedValue([]);
+    });
+
+    test('should import valid rows together and report the others', async () => {
+      const csv = [
+        'question,answer',
+        'When are you open?,Monday to Saturday 9am to 6pm',
+        'Do you deliver?,',
+        'when are you open?,Every day',
+        'Script?,<script>alert(1)</script>',
+        'Do you take cards?,All major cards',
+      ].join('\n');
+
+      const result = await knowledgeService.importFaq(businessId, businessName, csvFile(csv));
+
+      expect(result).toMatchObject({
+        success: true,
+        imported: 2,
+        failed: 3,
+        vectorsStored: true,
+        message: 'Imported 2 of 5 FAQ rows from faq.csv',
+      });
+      expect(result.rows).toEqual([
+        {
+          row: 2,
+          status: 'imported',
+          question: 'When are you open?',
+          knowledgeId: expect.stringMatching(/^kb_test_123_/),
+        },
+        { row: 3, status: 'failed', question: 'Do you deliver?', error: 'Answer is missing' },
+        {
+          row: 4,
+          status: 'failed',
+          question: 'when are you open?',
+          error: 'Same question as row 2',
+        },
+        { row: 5, status: 'failed', question: 'Script?', error: 'Contains suspicious content' },
+        {
+          row: 6,
+          status: 'imported',
+          question: 'Do you take cards?',
+          knowledgeId: expect.stringMatching(/^kb_test_123_/),
+        },
+      ]);
+
+      const [entries] = KnowledgeModel.createMany.mock.calls[0];
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({
+        knowledgeId: result.rows[0].knowledgeId,
+        businessId,
+        type: 'text',
+        content: 'Q: When are you open? A: Monday to Saturday 9am to 6pm',
+        metadata: { source: 'import', importFile: 'faq.csv', importRow: 2 },
+      });
+      expect(entries[0].knowledgeId).not.toBe(entries[1].knowledgeId);
+
+      expect(vectorService.storeDocuments).toHaveBeenCalledTimes(1);
+      expect(vectorService.storeDocuments.mock.calls[0][0]).toEqual([
+        expect.objectContaining({
+          filename: `text_${entries[0].knowledgeId}`,
+          content: entries[0].content,
+          metadata: expect.objectContaining({ knowledgeId: entries[0].knowledgeId }),
+        }),
+        expect.objectContaining({ filename: `text_${entries[1].knowledgeId}` }),
+      ]);
+      expect(vectorService.storeDocument).not.toHaveBeenCalled();
+    });
+
+    test('should keep the saved rows when embedding fails', async () => {
+      vectorService.storeDocuments.mockRejectedValue(new Error('Vector error'));
+
+      const result = await knowledgeService.importFaq(
+        businessId,
+        businessName,
+        csvFile('Do you deliver?,Yes within 5 miles')
+      );
+
+      expect(result).toMatchObject({ success: true, imported: 1, vectorsStored: false });
+      expect(result.message).toContain('re-index');
+    });
+
+    test('should not save anything when every row fails', async () => {
+      const result = await knowledgeService.importFaq(
+        businessId,
+        businessName,
+        csvFile('Do you deliver?,\nParking?,')
+      );
+
+      expect(result).toMatchObject({
+        success: false,
+        imported: 0,
+        failed: 2,
+        message: 'None of the 2 rows in faq.csv could be imported',
+      });
+      expect(KnowledgeModel.createMany).not.toHaveBeenCalled();
+    });
+
+    test('should reject unreadable and oversized files', async () => {
+      const unreadable = await knowledgeService.importFaq(businessId, businessName, {
+        content: '{',
+        extension: '.json',
+        filename: 'faq.json',
+      });
+      expect(unreadable).toMatchObject({ success: false, invalidFile: true });
+      expect(unreadable.message).toMatch(/^Could not read faq.json: Invalid JSON/);
+
+      const faqImport = config.get('faqImport');
+      const { maxRows } = faqImport;
+      faqImport.maxRows = 1;
+      try {
+        const oversized = await knowledgeService.importFaq(
+          businessId,
+          businessName,
+          csvFile('Open?,Yes\nParking?,Free')
+        );
+        expect(oversized).toEqual({
+          success: false,
+          invalidFile: true,
+          message: 'faq.csv has 2 rows; import at most 1 at a time',
+        });
+      } finally {
+        faqImport.maxRows = maxRows;
+      }
+      expect(KnowledgeModel.createMany).not.toHaveBeenCalled();
+    });
+
+    test('should report database errors', async () => {
+      KnowledgeModel.createMany.mockRejectedValue(new Error('Database error'));
+
+      const result = await knowledgeService.importFaq(
+        businessId,
+        businessName,
+        csvFile('Do you deliver?,Yes within 5 miles')
+      );
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Failed to save imported knowledge entries',
+      });
+      expect(vectorService.storeDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listKnowledge', () => {
+    const businessId = 'test_123';
+    const page = {
+      entries: [{ id: 'kb_1', type: 'document', preview: 'menu.pdf', addedAt: '2024-01-01' }],
+      total: 9,
+      page: 2,
+      pageSize: 8,
+      totalPages: 2,
+    };
+
+    beforeEach(() => {
+      KnowledgeModel.findKnowledgePage.mockResolvedValue(page);
+    });
+
+    test('should return a page filtered by type', async () => {
+      const result = await knowledgeService.listKnowledge(businessId, {
+        page: 2,
+        pageSize: 8,
+        type: 'Docs',
+      });
+
+      expect(result).toEqual({ success: true, ...page, type: 'document', keyword: null });
+      expect(KnowledgeModel.findKnowledgePage).toHaveBeenCalledWith(businessId, {
+        page: 2,
+        pageSize: 8,
+        type: 'document',
+        keyword: null,
+      });
+    });
+
+    test('should pass date filters through', async () => {
+      const createdAfter = new Date('2026-01-01T00:00:00Z');
+      const createdBefore = new Date('2026-02-01T00:00:00Z');
+
+      await knowledgeService.listKnowledge(businessId, { createdAfter, createdBefore });
+
+      expect(KnowledgeModel.findKnowledgePage).toHaveBeenCalledWith(
+        businessId,
+        expect.objectContaining({ createdAfter, createdBefore })
+      );
+    });
+
+    test('should reject an unknown type', async () => {
+      const result = await knowledgeService.listKnowledge(businessId, { type: 'video' });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Unknown type "video". Use text, document or image.',
+      });
+      expect(KnowledgeModel.findKnowledgePage).not.toHaveBeenCalled();
+    });
+
+    test('should strip filter syntax from keywords', async () => {
+      const result = await knowledgeService.listKnowledge(businessId, {
+        keyword: 'hours*),type.eq.(image "50%"',
+      });
+
+      expect(result.keyword).toBe('hours type.eq. image 50');
+      expect(KnowledgeModel.findKnowledgePage).toHaveBeenCalledWith(
+        businessId,
+        expect.objectContaining({ keyword: 'hours type.eq. image 50' })
+      );
+    });
+
+    test('should reject a keyword that is too short', async () => {
+      const result = await knowledgeService.listKnowledge(businessId, { keyword: '%a' });
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Search for a word of at least 2 characters.',
+      });
+      expect(KnowledgeModel.findKnowledgePage).not.toHaveBeenCalled();
+    });
+
+    test('should report database errors', async () => {
+      KnowledgeModel.findKnowledgePage.mockRejectedValue(new Error('Database error'));
+
+      const result = await knowledgeService.listKnowledge(businessId);
+
+      expect(result).toEqual({ success: false, message: 'Error retrieving knowledge list.' });
+    });
+  });
+
   describe('deleteKnowledge', () => {
     test('should delete knowledge successfully', async () => {
       const businessId = 'test_123';
@@ -267,7 +591,7 @@ describe('KnowledgeService', () => {
 
       expect(KnowledgeModel.findByKnowledgeId).toHaveBeenCalledWith(knowledgeId);
       expect(KnowledgeModel.delete).toHaveBeenCalledWith(knowledgeId, businessId);
-      expect(vectorService.deleteByKnowledgeId).toHaveBeenCalledWith(knowledgeId);
+      expect(vectorService.deleteByKnowledgeId).toHaveBeenCalledWith(knowledgeId, businessId);
       expect(cache.clearBusinessCaches).toHaveBeenCalledWith(businessId);
     });
 
@@ -347,6 +671,93 @@ describe('KnowledgeService', () => {
     });
   });
 
+  describe('updateKnowledge', () => {
+    const businessId = 'test_123';
+    const knowledgeId = 'kb_test_123_1234567890_abc';
+    const entry = {
+      knowledgeId,
+      businessId,
+      businessName: 'Test Business',
+      type: 'text',
+      metadata: { source: 'whatsapp', addedAt: '2024-01-01T00:00:00.000Z' },
+    };
+
+    beforeEach(() => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue(entry);
+      KnowledgeModel.updateKnowledge.mockImplementation((id, business, updates) =>
+        Promise.resolve({ ...entry, ...updates })
+      );
+      vectorService.replaceKnowledgeVectors.mockResolvedValue({ storedCount: 1, deletedCount: 0 });
+    });
+
+    test('should update the entry, re-embed it and clear caches', async () => {
+      const content = 'We are open Monday to Saturday, 9am to 6pm.';
+
+      const result = await knowledgeService.updateKnowledge(businessId, knowledgeId, content);
+
+      expect(result).toMatchObject({ success: true, vectorsUpdated: true });
+      expect(result.message).toBe(`Updated knowledge entry ${knowledgeId}`);
+      expect(KnowledgeModel.updateKnowledge).toHaveBeenCalledWith(knowledgeId, businessId, {
+        content,
+        contentPreview: content,
+        metadata: expect.objectContaining({
+          source: 'whatsapp',
+          addedAt: '2024-01-01T00:00:00.000Z',
+          editedAt: expect.any(String),
+          fullContentLength: content.length,
+        }),
+      });
+      expect(vectorService.replaceKnowledgeVectors).toHaveBeenCalledWith(
+        expect.objectContaining({ knowledgeId, content }),
+        content,
+        expect.objectContaining({ editedAt: expect.any(String) })
+      );
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith(businessId);
+    });
+
+    test('should truncate the preview of long content', async () => {
+      const content = 'A'.repeat(600);
+
+      await knowledgeService.updateKnowledge(businessId, knowledgeId, content);
+
+      expect(KnowledgeModel.updateKnowledge.mock.calls[0][2].contentPreview).toBe(
+        `${'A'.repeat(500)}...`
+      );
+    });
+
+    test("should not update another business's entry", async () => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue({ ...entry, businessId: 'test_456' });
+
+      const result = await knowledgeService.updateKnowledge(businessId, knowledgeId, 'New text.');
+
+      expect(result).toEqual({
+        success: false,
+        message: 'Knowledge entry not found or access denied',
+      });
+      expect(KnowledgeModel.updateKnowledge).not.toHaveBeenCalled();
+      expect(vectorService.replaceKnowledgeVectors).not.toHaveBeenCalled();
+    });
+
+    test('should keep the new text when re-embedding fails', async () => {
+      vectorService.replaceKnowledgeVectors.mockRejectedValue(new Error('Vector error'));
+
+      const result = await knowledgeService.updateKnowledge(businessId, knowledgeId, 'New text.');
+
+      expect(result).toMatchObject({ success: true, vectorsUpdated: false });
+      expect(result.message).toContain('re-index');
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith(businessId);
+    });
+
+    test('should report database errors', async () => {
+      KnowledgeModel.updateKnowledge.mockRejectedValue(new Error('Database error'));
+
+      const result = await knowledgeService.updateKnowledge(businessId, knowledgeId, 'New text.');
+
+      expect(result).toEqual({ success: false, message: 'Failed to update knowledge entry' });
+      expect(vectorService.replaceKnowledgeVectors).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getKnowledgeStats', () => {
     test('should return knowledge statistics', async () => {
       const businessId = 'test_123';
@@ -405,6 +816,81 @@ describe('KnowledgeService', () => {
     });
   });
 
+  describe('getKnowledgeContent', () => {
+    const entry = {
+      knowledgeId: 'kb_1',
+      businessId: 'test_123',
+      type: 'text',
+      contentPreview: 'Open 9-5...',
+      content: null,
+    };
+
+    test('should return content stored in the database', async () => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue({ ...entry, content: 'Open 9-5 daily.' });
+
+      const result = await knowledgeService.getKnowledgeContent('test_123', 'kb_1');
+
+      expect(result).toMatchObject({ success: true, content: 'Open 9-5 daily.', complete: true });
+      expect(vectorService.recoverContent).not.toHaveBeenCalled();
+    });
+
+    test('should recover and save content for older entries', async () => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue(entry);
+      vectorService.recoverContent.mockResolvedValue('Open 9-5 daily.');
+
+      const result = await knowledgeService.getKnowledgeContent('test_123', 'kb_1');
+
+      expect(result).toMatchObject({ success: true, content: 'Open 9-5 daily.', complete: true });
+      expect(KnowledgeModel.updateContent).toHaveBeenCalledWith('kb_1', 'Open 9-5 daily.');
+    });
+
+    test('should fall back to the preview when nothing can be recovered', async () => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue(entry);
+
+      const result = await knowledgeService.getKnowledgeContent('test_123', 'kb_1');
+
+      expect(result).toMatchObject({ success: true, content: 'Open 9-5...', complete: false });
+    });
+
+    test("should not return another business's entry", async () => {
+      KnowledgeModel.findByKnowledgeId.mockResolvedValue(entry);
+
+      const result = await knowledgeService.getKnowledgeContent('other_456', 'kb_1');
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('backfillContent', () => {
+    test('should recover entries batch by batch and skip unrecoverable ones', async () => {
+      const entries = ['kb_1', 'kb_2', 'kb_3'].map(knowledgeId => ({
+        knowledgeId,
+        businessId: 'test_123',
+        type: 'text',
+      }));
+      const missing = new Set(entries.map(entry => entry.knowledgeId));
+
+      // Simulates the database: recovered entries no longer match "content IS NULL"
+      KnowledgeModel.findMissingContent.mockImplementation((limit, offset) =>
+        Promise.resolve(
+          entries.filter(entry => missing.has(entry.knowledgeId)).slice(offset, offset + limit)
+        )
+      );
+      KnowledgeModel.updateContent.mockImplementation(knowledgeId => {
+        missing.delete(knowledgeId);
+        return Promise.resolve(true);
+      });
+      vectorService.recoverContent.mockImplementation(entry =>
+        Promise.resolve(entry.knowledgeId === 'kb_2' ? null : `Content of ${entry.knowledgeId}`)
+      );
+
+      const result = await knowledgeService.backfillContent({ batchSize: 2 });
+
+      expect(result).toEqual({ recovered: 2, unrecoverable: ['kb_2'] });
+      expect(KnowledgeModel.updateContent).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('deleteAllBusinessKnowledge', () => {
     test('should delete all business knowledge successfully', async () => {
       const businessId = 'test_123';
@@ -0,0 +1,131 @@
+const {
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  createLLMProvider,
+} = require('../../../src/services/llmProvider');
+
+describe('LLM providers', () => {
+  const openai = {
+    apiKey: 'sk-live-key',
+    model: 'gpt-3.5-turbo',
+    maxTokens: 150,
+    temperature: 0.7,
+  };
+
+  afterEach(() => {
+    process.env.NODE_ENV = 'test';
+  });
+
+  describe('createLLMProvider', () => {
+    test('should return null in the test environment for hosted providers', () => {
+      expect(createLLMProvider({ provider: 'openai', openai })).toBeNull();
+      expect(
+        createLLMProvider({
+          provider: 'azure',
+          openai,
+          azure: { apiKey: 'azure-key', endpoint: 'https://example.openai.azure.com' },
+        })
+      ).toBeNull();
+    });
+
+    test('should return null when OpenAI credentials are missing', () => {
+      process.env.NODE_ENV = 'development';
+
+      expect(createLLMProvider({ provider: 'openai', openai: { model: 'gpt' } })).toBeNull();
+      expect(
+        createLLMProvider({ provider: 'openai', openai: { ...openai, apiKey: 'test-key' } })
+      ).toBeNull();
+    });
+
+    test('should create an OpenAI provider', () => {
+      process.env.NODE_ENV = 'development';
+
+      const provider = createLLMProvider({ provider: 'openai', openai });
+
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.name).toBe('openai');
+      expect(provider.defaultModel).toBe('gpt-3.5-turbo');
+    });
+
+    test('should create an Azure provider using the deployment as model', () => {
+      process.env.NODE_ENV = 'development';
+
+      const provider = createLLMProvider({
+        provider: 'azure',
+        openai,
+        azure: {
+          apiKey: 'azure-key',
+          endpoint: 'https://example.openai.azure.com',
+          apiVersion: '2024-06-01',
+          deployment: 'support-bot',
+        },
+      });
+
+      expect(provider).toBeInstanceOf(AzureOpenAIProvider);
+      expect(provider.name).toBe('azure');
+      expect(provider.defaultModel).toBe('support-bot');
+    });
+
+    test('should create an OpenAI-compatible provider even in the test environment', () => {
+      const provider = createLLMProvider({
+        provider: 'openai-compatible',
+        openai: { ...openai, apiKey: undefined, baseURL: 'http://127.0.0.1:11434/v1' },
+      });
+
+      expect(provider).toBeInstanceOf(OpenAIProvider);
+      expect(provider.name).toBe('openai-compatible');
+      expect(provider.client.baseURL).toBe('http://127.0.0.1:11434/v1');
+    });
+
+    test('should return null for OpenAI-compatible provider without a base URL', () => {
+      expect(createLLMProvider({ provider: 'openai-compatible', openai })).toBeNull();
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createLLMProvider({ provider: 'bard', openai })).toThrow(
+        'Unknown AI provider: bard'
+      );
+    });
+  });
+
+  describe('OpenAIProvider.createChatCompletion', () => {
+    test('should map request options and trim the response', async () => {
+      const provider = new OpenAIProvider({ ...openai, baseURL: 'http://127.0.0.1:1/v1' });
+      const create = jest.fn().mockResolvedValue({
+        model: 'gpt-3.5-turbo-0125',
+        choices: [{ message: { content: '  Hello!  ' } }],
+        usage: { total_tokens: 12 },
+      });
+      provider.client = { chat: { completions: { create } } };
+
+      const result = await provider.createChatCompletion({
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 20,
+        temperature: 0.2,
+      });
+
+      expect(create).toHaveBeenCalledWith({
+        model: 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 20,
+        temperature: 0.2,
+      });
+      expect(result).toEqual({
+        content: 'Hello!',
+        model: 'gpt-3.5-turbo-0125',
+        usage: { total_tokens: 12 },
+      });
+    });
+
+    test('should throw on an empty completion', async () => {
+      const provider = new OpenAIProvider({ ...openai, baseURL: 'http://127.0.0.1:1/v1' });
+      provider.client = {
+        chat: { completions: { create: jest.fn().mockResolvedValue({ choices: [] }) } },
+      };
+
+      await expect(
+        provider.createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] })
+      ).rejects.toThrow('Empty completion returned by provider openai');
+    });
+  });
+});
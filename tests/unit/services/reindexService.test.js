@@ -0,0 +1,200 @@
+jest.mock('../../../src/services/knowledgeService');
+
+const BusinessRepository = require('../../../src/repositories/BusinessRepository');
+const KnowledgeRepository = require('../../../src/repositories/KnowledgeRepository');
+const VectorIndexRepository = require('../../../src/repositories/VectorIndexRepository');
+const vectorService = require('../../../src/services/vectorService');
+const knowledgeService = require('../../../src/services/knowledgeService');
+const cache = require('../../../src/utils/cache');
+const reindexService = require('../../../src/services/reindexService');
+
+describe('ReindexService', () => {
+  const entry = (rowId, overrides = {}) => ({
+    rowId,
+    knowledgeId: `kb_${rowId}`,
+    businessId: 'test_123',
+    businessName: 'Test Bakery',
+    type: 'text',
+    filename: null,
+    content: `Entry ${rowId}.`,
+    metadata: { source: 'whatsapp' },
+    ...overrides,
+  });
+
+  let entries;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reindexService.currentJob = null;
+
+    entries = [entry(1), entry(2, { type: 'document', filename: 'menu.pdf' }), entry(5)];
+    KnowledgeRepository.countByBusinessId.mockResolvedValue(entries.length);
+    KnowledgeRepository.findBatchAfter.mockImplementation((businessId, afterRowId, limit) =>
+      Promise.resolve(entries.filter(e => e.rowId > afterRowId).slice(0, limit))
+    );
+    VectorIndexRepository.findByBusinessId.mockResolvedValue(null);
+    VectorIndexRepository.save.mockResolvedValue({});
+    vectorService.storeDocument.mockResolvedValue(undefined);
+    jest.spyOn(reindexService, 'generateNamespace').mockReturnValue('test_123-v2');
+  });
+
+  const savedChanges = () => VectorIndexRepository.save.mock.calls.map(call => call[1]);
+
+  describe('reindexBusiness', () => {
+    test('should rebuild every entry into a new namespace and switch to it', async () => {
+      const onProgress = jest.fn();
+
+      const result = await reindexService.reindexBusiness('test_123', {
+        batchSize: 2,
+        onProgress,
+      });
+      await reindexService.waitForRetirements();
+
+      expect(result).toMatchObject({
+        success: true,
+        namespace: 'test_123-v2',
+        previousNamespace: '',
+        processed: 3,
+        failed: [],
+      });
+      expect(vectorService.storeDocument).toHaveBeenCalledTimes(3);
+      expect(vectorService.storeDocument).toHaveBeenCalledWith(
+        {
+          businessId: 'test_123',
+          businessName: 'Test Bakery',
+          filename: 'text_kb_1',
+          content: 'Entry 1.',
+          metadata: { source: 'whatsapp', knowledgeId: 'kb_1' },
+        },
+        { namespace: 'test_123-v2' }
+      );
+      expect(vectorService.storeDocument.mock.calls[1][0].filename).toBe('menu.pdf');
+
+      expect(savedChanges()).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ status: 'building', buildingNamespace: 'test_123-v2' }),
+          { lastRowId: 2, processed: 2, total: 3, failedKnowledgeIds: [] },
+          { lastRowId: 5, processed: 3, total: 3, failedKnowledgeIds: [] },
+          expect.objectContaining({
+            activeNamespace: 'test_123-v2',
+            previousNamespace: '',
+            status: 'completed',
+          }),
+          { previousNamespace: null },
+        ])
+      );
+      expect(onProgress).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'completed', processed: 3, total: 3 })
+      );
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+      expect(vectorService.deleteBusinessNamespace).toHaveBeenCalledWith('test_123', '');
+    });
+
+    test('should resume an interrupted build after the last saved entry', async () => {
+      VectorIndexRepository.findByBusinessId.mockResolvedValue({
+        activeNamespace: '',
+        buildingNamespace: 'test_123-v1',
+        status: 'building',
+        lastRowId: 2,
+        processed: 2,
+        total: 3,
+        failedKnowledgeIds: [],
+        updatedAt: '2020-01-01T00:00:00Z',
+      });
+
+      const result = await reindexService.reindexBusiness('test_123');
+
+      expect(result).toMatchObject({ success: true, namespace: 'test_123-v1', processed: 3 });
+      expect(vectorService.storeDocument).toHaveBeenCalledTimes(1);
+      expect(vectorService.storeDocument.mock.calls[0][1]).toEqual({ namespace: 'test_123-v1' });
+    });
+
+    test('should not start while another process is making progress', async () => {
+      VectorIndexRepository.findByBusinessId.mockResolvedValue({
+        activeNamespace: '',
+        buildingNamespace: 'test_123-v1',
+        status: 'building',
+        updatedAt: new Date().toISOString(),
+      });
+
+      const result = await reindexService.reindexBusiness('test_123');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('already in progress');
+      expect(vectorService.storeDocument).not.toHaveBeenCalled();
+    });
+
+    test('should keep the current index when entries have no content', async () => {
+      entries[2].content = null;
+      knowledgeService.recoverContent.mockResolvedValue(null);
+
+      const result = await reindexService.reindexBusiness('test_123');
+
+      expect(result).toMatchObject({ success: false, failed: ['kb_5'] });
+      expect(vectorService.deleteBusinessNamespace).toHaveBeenCalledWith('test_123', 'test_123-v2');
+      expect(savedChanges()).toContainEqual(
+        expect.objectContaining({ status: 'failed', buildingNamespace: null })
+      );
+      expect(savedChanges()).not.toContainEqual(expect.objectContaining({ status: 'completed' }));
+    });
+
+    test('should switch over without missing entries when allowed', async () => {
+      entries[2].content = null;
+      knowledgeService.recoverContent.mockResolvedValue(null);
+
+      const result = await reindexService.reindexBusiness('test_123', { allowMissing: true });
+
+      expect(result).toMatchObject({ success: true, failed: ['kb_5'] });
+    });
+
+    test('should stay resumable when embedding fails', async () => {
+      vectorService.storeDocument
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error('OpenAI unavailable'));
+
+      const result = await reindexService.reindexBusiness('test_123', { batchSize: 1 });
+
+      expect(result).toMatchObject({ success: false, processed: 1 });
+      expect(result.message).toContain('Run it again to resume');
+      expect(savedChanges()).toContainEqual({ error: 'OpenAI unavailable' });
+      expect(savedChanges()).not.toContainEqual(expect.objectContaining({ status: 'completed' }));
+    });
+  });
+
+  describe('reindexAll', () => {
+    test('should re-index every active business', async () => {
+      BusinessRepository.getActiveBusinesses.mockResolvedValue([
+        { businessId: 'test_123' },
+        { businessId: 'other_456' },
+      ]);
+      KnowledgeRepository.findBatchAfter.mockResolvedValue([]);
+
+      const results = await reindexService.reindexAll();
+
+      expect(results.map(result => result.businessId)).toEqual(['test_123', 'other_456']);
+      expect(results.every(result => result.success)).toBe(true);
+    });
+
+    test('should report an unknown business', async () => {
+      BusinessRepository.findByBusinessId.mockResolvedValue(null);
+
+      const results = await reindexService.reindexAll({ businessId: 'missing' });
+
+      expect(results).toEqual([
+        { success: false, businessId: 'missing', message: 'Business missing not found' },
+      ]);
+    });
+  });
+
+  describe('startJob', () => {
+    test('should refuse a second job while one is running', () => {
+      BusinessRepository.getActiveBusinesses.mockReturnValue(new Promise(() => {}));
+
+      expect(reindexService.startJob().success).toBe(true);
+      expect(reindexService.startJob()).toEqual({
+        success: false,
+        message: expect.stringContaining('already running'),
+      });
+    });
+  });
+});
@@ -1,3 +1,5 @@
+const http = require('http');
+const https = require('https');
 const twilioWhatsAppService = require('../../../src/services/twilioWhatsAppService');
 
 // Mock dependencies
@@ -6,6 +8,7 @@ jest.mock('../../../src/utils/retry');
 
 const twilio = require('twilio');
 const RetryManager = require('../../../src/utils/retry');
+const BusinessRepository = require('../../../src/repositories/BusinessRepository');
 
 describe('TwilioWhatsAppService', () => {
   let mockClient;
@@ -32,6 +35,9 @@ describe('TwilioWhatsAppService', () => {
 
     twilio.mockReturnValue(mockClient);
 
+    BusinessRepository.getRoutableBusinesses.mockResolvedValue([]);
+    BusinessRepository.findByWhatsAppNumber.mockResolvedValue(null);
+
     // Set up environment variables
     process.env.TWILIO_ACCOUNT_SID = 'test-account-sid';
     process.env.TWILIO_AUTH_TOKEN = 'test-auth-token';
@@ -342,6 +348,204 @@ describe('TwilioWhatsAppService', () => {
     });
   });
 
+  describe('persisted routing', () => {
+    const storedBusiness = {
+      businessId: 'test_123',
+      businessName: 'Test Restaurant',
+      whatsappNumber: 'whatsapp:+15551234567',
+      ownerPhone: '+15559876543',
+      status: 'active',
+    };
+
+    beforeEach(() => {
+      RetryManager.withRetry.mockImplementation(fn => fn());
+    });
+
+    test('should load WhatsApp number routing from the database on initialize', async () => {
+      BusinessRepository.getRoutableBusinesses.mockResolvedValue([storedBusiness]);
+
+      await twilioWhatsAppService.initialize();
+
+      expect(twilioWhatsAppService.getBusinessByWhatsAppNumber('+15551234567')).toEqual(
+        expect.objectContaining({ businessId: 'test_123', ownerPhone: '+15559876543' })
+      );
+    });
+
+    test('should still initialize when routing cannot be loaded', async () => {
+      BusinessRepository.getRoutableBusinesses.mockRejectedValue(new Error('DB down'));
+
+      await twilioWhatsAppService.initialize();
+
+      expect(twilioWhatsAppService.isInitialized).toBe(true);
+      expect(twilioWhatsAppService.businesses.size).toBe(0);
+    });
+
+    test('should resolve unknown numbers from the database and cache them', async () => {
+      BusinessRepository.findByWhatsAppNumber.mockResolvedValue(storedBusiness);
+
+      const result = await twilioWhatsAppService.resolveBusiness('whatsapp:+15551234567');
+
+      expect(result).toEqual(expect.objectContaining({ businessId: 'test_123' }));
+      expect(BusinessRepository.findByWhatsAppNumber).toHaveBeenCalledWith('whatsapp:+15551234567');
+      expect(twilioWhatsAppService.businesses.has('whatsapp:+15551234567')).toBe(true);
+    });
+
+    test('should return null when the number is not assigned to any business', async () => {
+      const result = await twilioWhatsAppService.resolveBusiness('whatsapp:+15550000000');
+
+      expect(result).toBeNull();
+    });
+
+    test('should follow the database over the cache when another server changed routing', async () => {
+      twilioWhatsAppService.businesses.set('whatsapp:+15551234567', { ...storedBusiness });
+      BusinessRepository.findByWhatsAppNumber.mockResolvedValueOnce({
+        ...storedBusiness,
+        status: 'suspended',
+      });
+
+      const suspended = await twilioWhatsAppService.resolveBusiness('whatsapp:+15551234567');
+      expect(suspended.status).toBe('suspended');
+
+      // Deleted, or moved to another number
+      const moved = await twilioWhatsAppService.resolveBusiness('whatsapp:+15551234567');
+      expect(moved).toBeNull();
+      expect(twilioWhatsAppService.businesses.has('whatsapp:+15551234567')).toBe(false);
+    });
+
+    test('should follow a number change made on another server', async () => {
+      const moved = { ...storedBusiness, whatsappNumber: 'whatsapp:+15552222222' };
+      twilioWhatsAppService.businesses.set('whatsapp:+15551234567', { ...storedBusiness });
+      BusinessRepository.findByWhatsAppNumber.mockImplementation(number =>
+        Promise.resolve(number === moved.whatsappNumber ? moved : null)
+      );
+
+      expect(await twilioWhatsAppService.resolveBusiness('whatsapp:+15551234567')).toBeNull();
+      expect(await twilioWhatsAppService.resolveBusiness('whatsapp:+15552222222')).toEqual(
+        expect.objectContaining({ businessId: 'test_123' })
+      );
+      expect([...twilioWhatsAppService.businesses.keys()]).toEqual(['whatsapp:+15552222222']);
+    });
+
+    test('should fall back to cached routing while the database is unreachable', async () => {
+      twilioWhatsAppService.businesses.set('whatsapp:+15551234567', { ...storedBusiness });
+      BusinessRepository.findByWhatsAppNumber.mockRejectedValueOnce(new Error('DB down'));
+
+      const result = await twilioWhatsAppService.resolveBusiness('whatsapp:+15551234567');
+
+      expect(result).toEqual(expect.objectContaining({ businessId: 'test_123' }));
+    });
+
+    test('should unregister a WhatsApp number', async () => {
+      await twilioWhatsAppService.registerBusiness(
+        storedBusiness.businessId,
+        storedBusiness.businessName,
+        storedBusiness.whatsappNumber,
+        storedBusiness.ownerPhone
+      );
+
+      expect(twilioWhatsAppService.unregisterBusiness('+15551234567')).toBe(true);
+      expect(twilioWhatsAppService.businesses.size).toBe(0);
+    });
+  });
+
+  describe('downloadMedia', () => {
+    const mediaUrl = path =>
+      `https://api.twilio.com/2010-04-01/Accounts/AC1/Messages/MM1/Media${path}`;
+
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      RetryManager.withRetry.mockImplementation(fn => fn());
+      requests = [];
+
+      // Local stand-in for the Twilio media host and the CDN it redirects to
+      server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization });
+
+        if (req.url.endsWith('/media/doc')) {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('Opening hours: 9am to 5pm');
+        } else if (req.url.endsWith('/media/redirect')) {
+          res.writeHead(302, { Location: 'https://media.twiliocdn.com/media/doc' });
+          res.end();
+        } else if (req.url.endsWith('/media/insecure-redirect')) {
+          res.writeHead(302, { Location: 'http://media.twiliocdn.com/media/doc' });
+          res.end();
+        } else if (req.url.endsWith('/media/large')) {
+          res.writeHead(200, { 'Content-Type': 'application/pdf' });
+          res.end(Buffer.alloc(2048));
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      // Send the https requests to the local server instead
+      jest.spyOn(https, 'get').mockImplementation((url, options, callback) => {
+        const localUrl = `http://127.0.0.1:${server.address().port}${url.pathname}`;
+        return http.get(localUrl, options, callback);
+      });
+    });
+
+    afterEach(async () => {
+      https.get.mockRestore();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should download media with Twilio credentials', async () => {
+      const result = await twilioWhatsAppService.downloadMedia(mediaUrl('/media/doc'));
+
+      expect(result.buffer.toString()).toBe('Opening hours: 9am to 5pm');
+      expect(result.contentType).toBe('text/plain');
+      expect(requests[0].authorization).toBe(
+        `Basic ${Buffer.from('test-account-sid:test-auth-token').toString('base64')}`
+      );
+    });
+
+    test('should not forward credentials when redirected to another host', async () => {
+      const result = await twilioWhatsAppService.downloadMedia(mediaUrl('/media/redirect'));
+
+      expect(result.buffer.toString()).toBe('Opening hours: 9am to 5pm');
+      expect(requests[0].authorization).toBeDefined();
+      expect(requests[1].authorization).toBeUndefined();
+    });
+
+    test('should not follow redirects to plain http', async () => {
+      await expect(
+        twilioWhatsAppService.downloadMedia(mediaUrl('/media/insecure-redirect'))
+      ).rejects.toThrow('only be downloaded over https');
+      expect(requests).toHaveLength(1);
+    });
+
+    test.each([
+      ['a plain http Twilio URL', 'http://api.twilio.com/media/doc'],
+      ['another host', 'https://attacker.example.com/media/doc'],
+      ['a host that only ends in twilio.com', 'https://eviltwilio.com/media/doc'],
+      ['something that is not a URL', 'not a url'],
+    ])('should refuse %s without sending a request', async (description, url) => {
+      await expect(twilioWhatsAppService.downloadMedia(url)).rejects.toThrow(
+        'not a Twilio https media URL'
+      );
+      expect(https.get).not.toHaveBeenCalled();
+      expect(requests).toHaveLength(0);
+    });
+
+    test('should reject media larger than the limit', async () => {
+      await expect(
+        twilioWhatsAppService.downloadMedia(mediaUrl('/media/large'), { maxBytes: 1024 })
+      ).rejects.toThrow('Media exceeds maximum size');
+    });
+
+    test('should reject failed downloads', async () => {
+      await expect(twilioWhatsAppService.downloadMedia(mediaUrl('/media/missing'))).rejects.toThrow(
+        'status 404'
+      );
+    });
+  });
+
   describe('getAllBusinesses', () => {
     beforeEach(async () => {
       RetryManager.withRetry.mockImplementation(async fn => await fn());
@@ -0,0 +1,181 @@
+jest.mock('../../../src/services/knowledgeService');
+
+const UnansweredQuestionRepository = require('../../../src/repositories/UnansweredQuestionRepository');
+const knowledgeService = require('../../../src/services/knowledgeService');
+const cache = require('../../../src/utils/cache');
+const unansweredService = require('../../../src/services/unansweredService');
+
+describe('UnansweredService', () => {
+  const business = { businessId: 'test_123', businessName: 'Test Bakery' };
+
+  const row = (question, customerHash, askedAt) => ({
+    question,
+    normalizedQuestion: unansweredService.normalizeQuestion(question),
+    customerHash,
+    askedAt,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    unansweredService.lastListings.clear();
+
+    // Newest first, as returned by the repository
+    UnansweredQuestionRepository.findOpenByBusinessId.mockResolvedValue([
+      row('Do you deliver?', 'c3', '2026-01-03T10:00:00Z'),
+      row('Are you open on Sunday?', 'c2', '2026-01-02T10:00:00Z'),
+      row('do you deliver', 'c2', '2026-01-02T09:00:00Z'),
+      row('Do you DELIVER??', 'c1', '2026-01-01T10:00:00Z'),
+      row('Do you deliver?', 'c1', '2026-01-01T09:00:00Z'),
+    ]);
+  });
+
+  describe('getReason', () => {
+    test('should classify fallback, unanswerable and low-confidence answers', () => {
+      expect(unansweredService.getReason({ fallback: true, confidence: 0.1 })).toBe('fallback');
+      expect(unansweredService.getReason({ fallback: false, confidence: 0.9 }, true)).toBe(
+        'unanswered'
+      );
+      expect(unansweredService.getReason({ fallback: false, confidence: 0.42 })).toBe(
+        'low_confidence'
+      );
+    });
+
+    test('should ignore confident answers and answers without a confidence', () => {
+      expect(unansweredService.getReason({ fallback: false, confidence: 0.8 })).toBeNull();
+      expect(unansweredService.getReason({ fallback: false, confidence: null })).toBeNull();
+    });
+  });
+
+  describe('recordQuestion', () => {
+    test('should store the question with an anonymised customer', async () => {
+      UnansweredQuestionRepository.create.mockResolvedValue({ id: 1 });
+
+      await unansweredService.recordQuestion(
+        'test_123',
+        '15551234567',
+        'Do you deliver?',
+        { confidence: 0.2 },
+        'low_confidence'
+      );
+
+      const stored = UnansweredQuestionRepository.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        businessId: 'test_123',
+        question: 'Do you deliver?',
+        normalizedQuestion: 'do you deliver',
+        reason: 'low_confidence',
+        confidence: 0.2,
+      });
+      expect(stored.customerHash).toHaveLength(16);
+      expect(JSON.stringify(stored)).not.toContain('15551234567');
+    });
+
+    test('should use a different customer reference per business', () => {
+      expect(unansweredService.anonymizeCustomer('test_123', '15551234567')).not.toBe(
+        unansweredService.anonymizeCustomer('other_456', '15551234567')
+      );
+    });
+
+    test('should not throw when the database is unavailable', async () => {
+      UnansweredQuestionRepository.create.mockRejectedValue(new Error('Database error'));
+
+      const result = await unansweredService.recordQuestion(
+        'test_123',
+        '15551234567',
+        'Do you deliver?',
+        { fallback: true },
+        'fallback'
+      );
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getTopQuestions', () => {
+    test('should group recurring questions and count distinct customers', async () => {
+      const questions = await unansweredService.getTopQuestions('test_123');
+
+      expect(questions).toEqual([
+        {
+          question: 'Do you deliver?',
+          normalizedQuestion: 'do you deliver',
+          count: 4,
+          customers: 3,
+          lastAskedAt: '2026-01-03T10:00:00Z',
+        },
+        {
+          question: 'Are you open on Sunday?',
+          normalizedQuestion: 'are you open on sunday',
+          count: 1,
+          customers: 1,
+          lastAskedAt: '2026-01-02T10:00:00Z',
+        },
+      ]);
+    });
+  });
+
+  describe('answerQuestion', () => {
+    test('should add a text knowledge entry and close the question', async () => {
+      knowledgeService.addTextKnowledge.mockResolvedValue({
+        success: true,
+        knowledgeId: 'kb_test_123_1',
+      });
+      UnansweredQuestionRepository.markAnswered.mockResolvedValue(4);
+      await unansweredService.getTopQuestions('test_123');
+
+      const result = await unansweredService.answerQuestion(
+        business,
+        1,
+        'Yes, free delivery within 5 miles.'
+      );
+
+      expect(result).toEqual({
+        success: true,
+        knowledgeId: 'kb_test_123_1',
+        question: 'Do you deliver?',
+        closedCount: 4,
+      });
+      expect(knowledgeService.addTextKnowledge).toHaveBeenCalledWith(
+        'test_123',
+        'Test Bakery',
+        'Q: Do you deliver?\nA: Yes, free delivery within 5 miles.',
+        { answeredQuestion: 'Do you deliver?' }
+      );
+      expect(UnansweredQuestionRepository.markAnswered).toHaveBeenCalledWith(
+        'test_123',
+        'do you deliver',
+        'kb_test_123_1'
+      );
+      expect(cache.clearBusinessCaches).toHaveBeenCalledWith('test_123');
+    });
+
+    test('should answer from the listing the owner saw', async () => {
+      knowledgeService.addTextKnowledge.mockResolvedValue({ success: true, knowledgeId: 'kb_2' });
+      await unansweredService.getTopQuestions('test_123');
+      UnansweredQuestionRepository.findOpenByBusinessId.mockResolvedValue([]);
+
+      const result = await unansweredService.answerQuestion(business, 2, 'Closed on Sundays.');
+
+      expect(result.question).toBe('Are you open on Sunday?');
+    });
+
+    test('should reject positions outside the list', async () => {
+      const result = await unansweredService.answerQuestion(business, 7, 'Yes.');
+
+      expect(result).toEqual({ success: false, message: 'No unanswered question #7' });
+      expect(knowledgeService.addTextKnowledge).not.toHaveBeenCalled();
+    });
+
+    test('should leave the question open when the knowledge entry fails', async () => {
+      knowledgeService.addTextKnowledge.mockResolvedValue({
+        success: false,
+        message: 'Failed to add knowledge entry',
+      });
+
+      const result = await unansweredService.answerQuestion(business, 1, 'Yes.');
+
+      expect(result.success).toBe(false);
+      expect(UnansweredQuestionRepository.markAnswered).not.toHaveBeenCalled();
+    });
+  });
+});
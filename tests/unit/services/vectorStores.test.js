@@ -0,0 +1,520 @@
+jest.mock('../../../src/config/database', () => ({
+  getClient: jest.fn(),
+  isHealthy: jest.fn().mockReturnValue(true),
+}));
+
+const database = require('../../../src/config/database');
+const RetryManager = require('../../../src/utils/retry');
+const VectorIndexRepository = require('../../../src/repositories/VectorIndexRepository');
+const {
+  MemoryVectorStore,
+  PineconeVectorStore,
+  PgVectorStore,
+  createVectorStore,
+} = require('../../../src/services/vectorStores');
+
+describe('Vector stores', () => {
+  describe('createVectorStore', () => {
+    test('should create the configured store', () => {
+      expect(createVectorStore({ store: 'memory' })).toBeInstanceOf(MemoryVectorStore);
+      expect(
+        createVectorStore({ store: 'pgvector', pgvector: { tableName: 'knowledge_vectors' } })
+      ).toBeInstanceOf(PgVectorStore);
+    });
+
+    describe('without Pinecone credentials', () => {
+      const env = process.env.NODE_ENV;
+
+      afterEach(() => {
+        process.env.NODE_ENV = env;
+      });
+
+      test('should fall back to memory in development', () => {
+        process.env.NODE_ENV = 'development';
+        const store = createVectorStore({ store: 'pinecone', pinecone: { apiKey: 'test-key' } });
+
+        expect(store).toBeInstanceOf(MemoryVectorStore);
+      });
+
+      test('should refuse to start in production', () => {
+        process.env.NODE_ENV = 'production';
+
+        expect(() => createVectorStore({ store: 'pinecone', pinecone: {} })).toThrow(
+          'Pinecone is not configured'
+        );
+      });
+    });
+
+    test('should reject unknown stores', () => {
+      expect(() => createVectorStore({ store: 'faiss' })).toThrow('Unknown vector store: faiss');
+    });
+  });
+
+  describe('MemoryVectorStore', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new MemoryVectorStore();
+      await store.upsert([
+        { id: 'a', values: [1, 0, 0], metadata: { businessId: 'b1', filename: 'hours' } },
+        { id: 'b', values: [0.7, 0.7, 0], metadata: { businessId: 'b1', filename: 'menu' } },
+        { id: 'c', values: [0, 0, 1], metadata: { businessId: 'b1', filename: 'parking' } },
+        { id: 'd', values: [1, 0, 0], metadata: { businessId: 'b2', filename: 'hours' } },
+      ]);
+    });
+
+    test('should rank matches by cosine similarity within the filter', async () => {
+      const matches = await store.query({
+        vector: [1, 0.1, 0],
+        topK: 2,
+        filter: { businessId: 'b1' },
+      });
+
+      expect(matches.map(match => match.id)).toEqual(['a', 'b']);
+      expect(matches[0].score).toBeGreaterThan(matches[1].score);
+      expect(matches[0].score).toBeCloseTo(0.995, 3);
+    });
+
+    test('should replace vectors with the same id', async () => {
+      await store.upsert([{ id: 'c', values: [1, 0, 0], metadata: { businessId: 'b1' } }]);
+
+      const matches = await store.query({
+        vector: [0, 0, 1],
+        topK: 1,
+        filter: { businessId: 'b1' },
+      });
+
+      expect(matches[0].id).not.toBe('c');
+      expect(store.vectors.size).toBe(4);
+    });
+
+    test('should list and delete by filter', async () => {
+      expect(await store.listByFilter({ filename: 'hours' })).toHaveLength(2);
+
+      expect(await store.deleteByFilter({ businessId: 'b1' })).toBe(3);
+      expect(await store.listByFilter({})).toEqual([
+        { id: 'd', metadata: { businessId: 'b2', filename: 'hours' } },
+      ]);
+    });
+
+    test('should refuse to delete without a filter', async () => {
+      await expect(store.deleteByFilter({})).rejects.toThrow('A non-empty filter is required');
+    });
+
+    test('should keep namespaces separate', async () => {
+      await store.upsert(
+        [{ id: 'a', values: [0, 1, 0], metadata: { businessId: 'b1', filename: 'hours' } }],
+        'b1-v2'
+      );
+
+      const [match] = await store.query({
+        vector: [0, 1, 0],
+        topK: 1,
+        filter: { businessId: 'b1' },
+        namespace: 'b1-v2',
+      });
+
+      expect(match.score).toBeCloseTo(1, 5);
+      expect(await store.listByFilter({ businessId: 'b1' })).toHaveLength(3);
+      expect(await store.deleteByFilter({ businessId: 'b1' }, 'b1-v2')).toBe(1);
+      expect(await store.listByFilter({ businessId: 'b1' })).toHaveLength(3);
+    });
+  });
+
+  describe('PineconeVectorStore', () => {
+    let store;
+    let index;
+
+    beforeEach(async () => {
+      index = {
+        upsert: jest.fn().mockResolvedValue({}),
+        query: jest.fn().mockResolvedValue({
+          matches: [{ id: 'b1-hours-0', score: 0.9, metadata: { filename: 'hours' } }],
+        }),
+        deleteMany: jest.fn().mockResolvedValue({}),
+        namespace: jest.fn(),
+      };
+      store = new PineconeVectorStore({ apiKey: 'pc-key', indexName: 'kb', dimension: 3 });
+      store.pinecone = { index: jest.fn().mockReturnValue(index) };
+      await store.initialize();
+    });
+
+    test('should query with filter and metadata', async () => {
+      const matches = await store.query({
+        vector: [1, 0, 0],
+        topK: 3,
+        filter: { businessId: 'b1' },
+      });
+
+      expect(index.query).toHaveBeenCalledWith({
+        vector: [1, 0, 0],
+        topK: 3,
+        filter: { businessId: 'b1' },
+        includeMetadata: true,
+      });
+      expect(matches).toEqual([{ id: 'b1-hours-0', score: 0.9, metadata: { filename: 'hours' } }]);
+    });
+
+    test('should target the namespace when one is given', async () => {
+      const namespaceIndex = { upsert: jest.fn().mockResolvedValue({}) };
+      index.namespace.mockReturnValue(namespaceIndex);
+
+      await store.upsert([{ id: 'b1-hours-0', values: [1, 0, 0], metadata: {} }], 'b1-v2');
+
+      expect(index.namespace).toHaveBeenCalledWith('b1-v2');
+      expect(namespaceIndex.upsert).toHaveBeenCalled();
+      expect(index.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should delete matching ids found with a zero-vector query', async () => {
+      const deletedCount = await store.deleteByFilter({ businessId: 'b1' });
+
+      expect(index.query).toHaveBeenCalledWith(
+        expect.objectContaining({ vector: [0, 0, 0], filter: { businessId: 'b1' } })
+      );
+      expect(index.deleteMany).toHaveBeenCalledWith(['b1-hours-0']);
+      expect(deletedCount).toBe(1);
+    });
+  });
+
+  describe('PgVectorStore', () => {
+    let store;
+    let queryBuilder;
+    let client;
+
+    beforeEach(() => {
+      queryBuilder = {
+        upsert: jest.fn().mockResolvedValue({ error: null }),
+        select: jest.fn().mockReturnThis(),
+        delete: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        contains: jest.fn().mockResolvedValue({ data: [], count: 2, error: null }),
+        in: jest.fn().mockResolvedValue({ count: 1, error: null }),
+      };
+      client = {
+        from: jest.fn().mockReturnValue(queryBuilder),
+        rpc: jest.fn().mockResolvedValue({
+          data: [{ id: 'b1-hours-0', metadata: { filename: 'hours' }, similarity: 0.8 }],
+          error: null,
+        }),
+      };
+      database.getClient.mockReturnValue(client);
+      store = new PgVectorStore({
+        tableName: 'knowledge_vectors',
+        matchFunction: 'match_knowledge_vectors',
+      });
+    });
+
+    test('should upsert rows with indexed columns', async () => {
+      await store.upsert([
+        {
+          id: 'b1-hours-0',
+          values: [0.1, 0.2],
+          metadata: {
+            businessId: 'b1',
+            knowledgeId: 'kb_1',
+            filename: 'hours',
+            chunkIndex: 0,
+            content: 'Open 9-5',
+          },
+        },
+      ]);
+
+      expect(client.from).toHaveBeenCalledWith('knowledge_vectors');
+      expect(queryBuilder.upsert).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            id: 'b1-hours-0',
+            namespace: '',
+            business_id: 'b1',
+            knowledge_id: 'kb_1',
+            filename: 'hours',
+            content: 'Open 9-5',
+            embedding: [0.1, 0.2],
+          }),
+        ],
+        { onConflict: 'namespace,id' }
+      );
+    });
+
+    test('should search and delete within a namespace', async () => {
+      await store.query({
+        vector: [0.1, 0.2],
+        topK: 3,
+        filter: { businessId: 'b1' },
+        namespace: 'b1-v2',
+      });
+      await store.deleteByFilter({ businessId: 'b1' }, 'b1-v2');
+
+      expect(client.rpc).toHaveBeenCalledWith(
+        'match_knowledge_vectors',
+        expect.objectContaining({ match_namespace: 'b1-v2' })
+      );
+      expect(queryBuilder.eq).toHaveBeenCalledWith('namespace', 'b1-v2');
+    });
+
+    test('should search one business through the match function', async () => {
+      const matches = await store.query({
+        vector: [0.1, 0.2],
+        topK: 3,
+        filter: { businessId: 'b1', type: 'document' },
+      });
+
+      expect(client.rpc).toHaveBeenCalledWith('match_knowledge_vectors', {
+        query_embedding: [0.1, 0.2],
+        match_business_id: 'b1',
+        match_count: 3,
+        filter: { type: 'document' },
+        match_namespace: '',
+      });
+      expect(matches).toEqual([{ id: 'b1-hours-0', score: 0.8, metadata: { filename: 'hours' } }]);
+    });
+
+    test('should not search across businesses', async () => {
+      await expect(store.query({ vector: [0.1, 0.2], topK: 3, filter: {} })).rejects.toThrow(
+        'limited to a businessId'
+      );
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+
+    test('should delete by metadata filter', async () => {
+      const deletedCount = await store.deleteByFilter({ businessId: 'b1', filename: 'hours' });
+
+      expect(queryBuilder.delete).toHaveBeenCalledWith({ count: 'exact' });
+      expect(queryBuilder.eq).toHaveBeenCalledWith('namespace', '');
+      expect(queryBuilder.contains).toHaveBeenCalledWith('metadata', {
+        businessId: 'b1',
+        filename: 'hours',
+      });
+      expect(deletedCount).toBe(2);
+    });
+
+    test('should surface database errors', async () => {
+      client.rpc.mockResolvedValue({ data: null, error: new Error('function does not exist') });
+
+      await expect(
+        store.query({ vector: [0.1], topK: 1, filter: { businessId: 'b1' } })
+      ).rejects.toThrow('function does not exist');
+    });
+  });
+
+  describe('VectorService with the memory store', () => {
+    let vectorService;
+
+    beforeEach(() => {
+      RetryManager.withRetry.mockImplementation(fn => fn());
+      VectorIndexRepository.findByBusinessId.mockResolvedValue(null);
+      vectorService = jest.requireActual('../../../src/services/vectorService');
+      vectorService.store = new MemoryVectorStore();
+    });
+
+    test('should serve the active namespace and also write to one being rebuilt', async () => {
+      VectorIndexRepository.findByBusinessId.mockResolvedValue({
+        activeNamespace: 'b1-v2',
+        buildingNamespace: 'b1-v3',
+        status: 'building',
+      });
+
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'hours',
+        content: 'Open on Sundays.',
+        metadata: { knowledgeId: 'kb_hours' },
+      });
+
+      expect(await vectorService.store.listByFilter({ businessId: 'b1' }, 'b1-v2')).toHaveLength(1);
+      expect(await vectorService.store.listByFilter({ businessId: 'b1' }, 'b1-v3')).toHaveLength(1);
+      expect(await vectorService.store.listByFilter({ businessId: 'b1' })).toEqual([]);
+      expect(await vectorService.searchSimilar('Sundays?', 'b1', 1)).toHaveLength(1);
+
+      expect(await vectorService.deleteByKnowledgeId('kb_hours', 'b1')).toEqual({
+        success: true,
+        deletedCount: 2,
+      });
+    });
+
+    test('should embed several documents in one batch', async () => {
+      const generateEmbeddings = jest.spyOn(vectorService, 'generateEmbeddings');
+      const documents = ['Open on Sundays.', 'We deliver within 5 miles.'].map((content, i) => ({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: `text_kb_${i}`,
+        content,
+        metadata: { knowledgeId: `kb_${i}` },
+      }));
+
+      const ids = await vectorService.storeDocuments(documents);
+
+      expect(ids).toEqual([['b1-text_kb_0-0'], ['b1-text_kb_1-0']]);
+      expect(generateEmbeddings).toHaveBeenCalledTimes(1);
+      expect(generateEmbeddings).toHaveBeenCalledWith([
+        'Open on Sundays.',
+        'We deliver within 5 miles.',
+      ]);
+      generateEmbeddings.mockRestore();
+      const [match] = await vectorService.searchSimilar('deliver', 'b1', 1);
+      expect(match).toMatchObject({ knowledgeId: 'kb_1', content: 'We deliver within 5 miles.' });
+    });
+
+    test('should replace the chunks of an edited entry in every namespace', async () => {
+      VectorIndexRepository.findByBusinessId.mockResolvedValue({
+        activeNamespace: 'b1-v2',
+        buildingNamespace: 'b1-v3',
+        status: 'building',
+      });
+      const entry = {
+        knowledgeId: 'kb_hours',
+        businessId: 'b1',
+        businessName: 'Cafe',
+        type: 'text',
+      };
+      const chunkText = jest
+        .spyOn(vectorService, 'chunkText')
+        .mockReturnValueOnce(['Open Monday.', 'Open Tuesday.', 'Open Wednesday.'])
+        .mockReturnValueOnce(['Open every day.']);
+
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'text_kb_hours',
+        content: 'ignored',
+        metadata: { knowledgeId: 'kb_hours' },
+      });
+      const result = await vectorService.replaceKnowledgeVectors(entry, 'ignored', {
+        editedAt: '2024-01-02T00:00:00.000Z',
+      });
+      chunkText.mockRestore();
+
+      expect(result).toEqual({ storedCount: 1, deletedCount: 4 });
+      for (const namespace of ['b1-v2', 'b1-v3']) {
+        const chunks = await vectorService.store.listByFilter(
+          { knowledgeId: 'kb_hours' },
+          namespace
+        );
+        expect(chunks).toEqual([
+          {
+            id: 'b1-text_kb_hours-0',
+            metadata: expect.objectContaining({
+              content: 'Open every day.',
+              editedAt: '2024-01-02T00:00:00.000Z',
+            }),
+          },
+        ]);
+      }
+    });
+
+    test('should keep using the last known namespace when the state lookup fails', async () => {
+      VectorIndexRepository.findByBusinessId.mockResolvedValueOnce({ activeNamespace: 'b1-v2' });
+      vectorService.indexStateTtlMs = 0;
+      await vectorService.getIndexState('b1');
+
+      VectorIndexRepository.findByBusinessId.mockRejectedValueOnce(new Error('Database error'));
+
+      expect((await vectorService.getIndexState('b1')).namespace).toBe('b1-v2');
+      vectorService.invalidateIndexState('b1');
+    });
+
+    test('should rank the most relevant knowledge first offline', async () => {
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'hours',
+        content: 'We are open from 9am to 5pm Monday to Saturday. Closed on Sundays.',
+        metadata: { knowledgeId: 'kb_hours' },
+      });
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'menu',
+        content: 'Our menu has espresso, latte and croissants.',
+        metadata: { knowledgeId: 'kb_menu' },
+      });
+
+      const results = await vectorService.searchSimilar('Are you open on Sundays?', 'b1', 2);
+
+      expect(results[0].filename).toBe('hours');
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('should only return vectors for the requested business', async () => {
+      await vectorService.storeDocument({
+        businessId: 'b2',
+        businessName: 'Bakery',
+        filename: 'hours',
+        content: 'Open on Sundays.',
+        metadata: {},
+      });
+
+      const results = await vectorService.searchSimilar('Open on Sundays?', 'b1', 5);
+
+      expect(results).toEqual([]);
+    });
+
+    test('should delete by knowledge id and list remaining documents', async () => {
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'menu.pdf',
+        content: 'Espresso. Latte.',
+        metadata: { knowledgeId: 'kb_menu' },
+      });
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'text_kb_old',
+        content: 'Legacy entry.',
+        metadata: {},
+      });
+
+      expect(await vectorService.deleteByKnowledgeId('kb_menu')).toEqual({
+        success: true,
+        deletedCount: 1,
+      });
+      expect(await vectorService.deleteByKnowledgeId('kb_old')).toEqual({
+        success: true,
+        deletedCount: 1,
+      });
+      expect(await vectorService.getBusinessDocuments('b1')).toEqual([]);
+    });
+
+    test('should recover content from chunks in order, including older entries', async () => {
+      const chunkText = jest
+        .spyOn(vectorService, 'chunkText')
+        .mockReturnValue(['First part.', 'Second part.']);
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'menu.pdf',
+        content: 'ignored',
+        metadata: { knowledgeId: 'kb_menu' },
+      });
+      await vectorService.storeDocument({
+        businessId: 'b1',
+        businessName: 'Cafe',
+        filename: 'text_kb_old',
+        content: 'ignored',
+        metadata: {},
+      });
+      chunkText.mockRestore();
+
+      expect(await vectorService.recoverContent({ knowledgeId: 'kb_menu', businessId: 'b1' })).toBe(
+        'First part. Second part.'
+      );
+      expect(
+        await vectorService.recoverContent({
+          knowledgeId: 'kb_old',
+          businessId: 'b1',
+          type: 'text',
+        })
+      ).toBe('First part. Second part.');
+      expect(
+        await vectorService.recoverContent({
+          knowledgeId: 'kb_gone',
+          businessId: 'b1',
+          type: 'text',
+        })
+      ).toBeNull();
+    });
+  });
+});
@@ -48,20 +48,87 @@ jest.mock('../../src/repositories/BusinessRepository', () => ({
   findByOwner: jest.fn(),
   create: jest.fn(),
   findByBusinessId: jest.fn(),
+  findByWhatsAppNumber: jest.fn(),
+  updateMetadata: jest.fn(),
+  update: jest.fn(),
+  updateStatus: jest.fn(),
+  getRoutableBusinesses: jest.fn(),
   updateKnowledgeCount: jest.fn(),
   recordQuery: jest.fn(),
+  recordFallback: jest.fn(),
   getActiveBusinesses: jest.fn(),
+  findAll: jest.fn(),
   delete: jest.fn(),
   getBusinessStats: jest.fn(),
 }));
 
 jest.mock('../../src/repositories/KnowledgeRepository', () => ({
   create: jest.fn(),
+  createMany: jest.fn(),
   findByKnowledgeId: jest.fn(),
+  findByBusinessId: jest.fn(),
   getBusinessKnowledgePreview: jest.fn(),
+  findKnowledgePage: jest.fn(),
   delete: jest.fn(),
   getKnowledgeStats: jest.fn(),
   deleteByBusinessId: jest.fn(),
+  updateContent: jest.fn(),
+  updateKnowledge: jest.fn(),
+  findMissingContent: jest.fn(),
+  findBatchAfter: jest.fn(),
+  countByBusinessId: jest.fn(),
+  findUpdatedSince: jest.fn(),
+  listKnowledgeIds: jest.fn(),
+  saveOriginalFile: jest.fn(),
+  findOriginalFile: jest.fn(),
+}));
+
+jest.mock('../../src/repositories/UnansweredQuestionRepository', () => ({
+  create: jest.fn(),
+  findOpenByBusinessId: jest.fn(),
+  markAnswered: jest.fn(),
+}));
+
+jest.mock('../../src/repositories/VectorIndexRepository', () => ({
+  findByBusinessId: jest.fn(),
+  findAll: jest.fn(),
+  save: jest.fn(),
+}));
+
+jest.mock('../../src/repositories/ScheduledJobRepository', () => ({
+  claimRun: jest.fn().mockResolvedValue(true),
+  renewLease: jest.fn().mockResolvedValue(undefined),
+  finishRun: jest.fn().mockResolvedValue(undefined),
+  findAll: jest.fn().mockResolvedValue([]),
+}));
+
+jest.mock('../../src/repositories/ApiKeyRepository', () => ({
+  create: jest.fn(),
+  findByKeyId: jest.fn(),
+  findAll: jest.fn(),
+  revoke: jest.fn(),
+  touchLastUsed: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../../src/repositories/DashboardLoginRepository', () => ({
+  claimRequest: jest.fn().mockResolvedValue(true),
+  saveCode: jest.fn().mockResolvedValue(undefined),
+  verifyCode: jest.fn().mockResolvedValue({ businessId: null, attempts: 0 }),
+  releaseRequest: jest.fn().mockResolvedValue(undefined),
+  deleteStale: jest.fn().mockResolvedValue(0),
+}));
+
+jest.mock('../../src/repositories/HandoffTicketRepository', () => ({
+  open: jest.fn(ticketData =>
+    Promise.resolve(Object.assign({ ticketId: '1', status: 'open' }, ticketData))
+  ),
+  findOpenByCustomer: jest.fn().mockResolvedValue(null),
+  findOpenByBusiness: jest.fn().mockResolvedValue([]),
+  touch: jest.fn().mockResolvedValue(null),
+  resolve: jest.fn().mockResolvedValue(null),
+  deleteByBusiness: jest.fn().mockResolvedValue(0),
+  expireIdle: jest.fn().mockResolvedValue(0),
+  deleteClosed: jest.fn().mockResolvedValue(0),
 }));
 
 // Mock old model paths for backward compatibility
@@ -74,9 +141,21 @@ jest.mock('../../src/models/Knowledge', () =>
 jest.mock('../../src/services/vectorService', () => ({
   initialize: jest.fn().mockResolvedValue(undefined),
   storeDocument: jest.fn().mockResolvedValue({ success: true }),
+  storeDocuments: jest.fn().mockResolvedValue([]),
+  replaceKnowledgeVectors: jest.fn().mockResolvedValue({ storedCount: 1, deletedCount: 0 }),
   searchSimilar: jest.fn().mockResolvedValue([]),
   deleteByKnowledgeId: jest.fn().mockResolvedValue({ success: true, deletedCount: 2 }),
   deleteAllBusinessVectors: jest.fn().mockResolvedValue({ success: true }),
+  recoverContent: jest.fn().mockResolvedValue(null),
+  invalidateIndexState: jest.fn(),
+  deleteBusinessNamespace: jest.fn().mockResolvedValue(0),
+  exportBusinessVectors: jest.fn().mockResolvedValue([]),
+  importVectors: jest
+    .fn()
+    .mockImplementation((businessId, vectors) => Promise.resolve(vectors.length)),
+  countBusinessVectors: jest.fn().mockResolvedValue(0),
+  dimension: 1536,
+  embeddingModel: 'text-embedding-3-small',
   generateEmbedding: jest.fn().mockResolvedValue(new Array(1536).fill(0.1)),
   isTestEnvironment: true,
   indexName: 'test-index',
@@ -90,6 +169,8 @@ jest.mock('../../src/utils/cache', () => ({
   cacheEmbedding: jest.fn(),
   getCachedSearch: jest.fn(),
   cacheSearch: jest.fn(),
+  getCachedSearchResults: jest.fn(),
+  cacheSearchResults: jest.fn(),
   clearBusinessCaches: jest.fn(),
   clear: jest.fn(),
   getStats: jest.fn(),
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const BusinessRepository = require('../../../src/repositories/BusinessRepository');
+const KnowledgeRepository = require('../../../src/repositories/KnowledgeRepository');
+const vectorService = require('../../../src/services/vectorService');
+const knowledgeService = require('../../../src/services/knowledgeService');
+const reindexService = require('../../../src/services/reindexService');
+const backupManager = require('../../../src/utils/backup');
+const { LocalBackupStorage } = require('../../../src/utils/backupStorage');
+
+describe('BackupManager', () => {
+  const businesses = [
+    { businessId: 'bakery_1', businessName: 'Bakery', ownerPhone: '1001', status: 'active' },
+    { businessId: 'cafe_2', businessName: 'Cafe', ownerPhone: '1002', status: 'suspended' },
+  ];
+  const knowledge = {
+    bakery_1: [
+      { knowledgeId: 'kb_1', businessId: 'bakery_1', type: 'text', content: 'Open 9-5.' },
+      { knowledgeId: 'kb_2', businessId: 'bakery_1', type: 'text', content: null },
+    ],
+    cafe_2: [{ knowledgeId: 'kb_3', businessId: 'cafe_2', type: 'text', content: 'Latte.' }],
+  };
+  const vector = (knowledgeId, businessId) => ({
+    id: `${businessId}-text_${knowledgeId}-0`,
+    values: [0.1, 0.2],
+    metadata: { businessId, knowledgeId },
+  });
+
+  let backupDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sbc-backup-'));
+    backupManager.storage = new LocalBackupStorage({ directory: backupDir });
+
+    BusinessRepository.findAll.mockReset().mockResolvedValue(businesses);
+    KnowledgeRepository.findByBusinessId.mockImplementation(businessId =>
+      Promise.resolve(knowledge[businessId].map(entry => ({ ...entry })))
+    );
+    jest.spyOn(knowledgeService, 'recoverContent').mockResolvedValue('Recovered text.');
+    vectorService.exportBusinessVectors.mockImplementation(businessId =>
+      Promise.resolve(knowledge[businessId].map(entry => vector(entry.knowledgeId, businessId)))
+    );
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(backupDir, { recursive: true, force: true });
+  });
+
+  const readBackup = async filename =>
+    JSON.parse(zlib.gunzipSync(await fs.readFile(path.join(backupDir, filename))).toString());
+
+  describe('createBackup', () => {
+    test('should include every business and full knowledge content', async () => {
+      const result = await backupManager.createBackup('full');
+      const backup = await readBackup(result.filename);
+
+      expect(result.recordCount).toEqual({ businesses: 2, knowledge: 3, vectors: 0 });
+      expect(backup.metadata).toMatchObject({ version: '2.1', includesEmbeddings: false });
+      expect(backup.data.businesses.map(business => business.status)).toEqual([
+        'active',
+        'suspended',
+      ]);
+      expect(backup.data.knowledge.bakery_1[1].content).toBe('Recovered text.');
+      expect(backup.data.vectors).toBeUndefined();
+    });
+
+    test('should include embeddings when asked', async () => {
+      const result = await backupManager.createBackup('full', { includeEmbeddings: true });
+      const backup = await readBackup(result.filename);
+
+      expect(backup.metadata).toMatchObject({
+        includesEmbeddings: true,
+        embeddingModel: 'text-embedding-3-small',
+        dimension: 1536,
+      });
+      expect(backup.data.vectors.cafe_2).toEqual([vector('kb_3', 'cafe_2')]);
+      expect(result.recordCount.vectors).toBe(3);
+    });
+
+    test('should store a manifest with the checksum of the compressed backup', async () => {
+      const result = await backupManager.createBackup('full');
+      const body = await fs.readFile(path.join(backupDir, result.filename));
+      const manifest = JSON.parse(
+        await fs.readFile(
+          path.join(backupDir, result.filename.replace('.json.gz', '.manifest.json')),
+          'utf8'
+        )
+      );
+      const checksum = crypto.createHash('sha256').update(body).digest('hex');
+
+      expect(result.filename).toMatch(/^backup_full_.+\.json\.gz$/);
+      expect(result.checksum).toBe(checksum);
+      expect(manifest).toMatchObject({
+        filename: result.filename,
+        size: body.length,
+        checksum: { algorithm: 'sha256', value: checksum },
+      });
+
+      const [listed] = await backupManager.listBackups();
+      expect(listed).toMatchObject({
+        filename: result.filename,
+        compressed: true,
+        checksum: { value: checksum },
+        recordCount: { businesses: 2, knowledge: 3, vectors: 0 },
+      });
+    });
+
+    test('should list a backup without a manifest as corrupted', async () => {
+      const result = await backupManager.createBackup('full');
+      await fs.unlink(path.join(backupDir, result.filename.replace('.json.gz', '.manifest.json')));
+
+      const [listed] = await backupManager.listBackups();
+
+      expect(listed).toMatchObject({ filename: result.filename, status: 'corrupted' });
+    });
+  });
+
+  describe('incremental backups', () => {
+    let full;
+
+    beforeEach(async () => {
+      full = await backupManager.createBackup('full', { includeEmbeddings: true });
+      // Backups are named and ordered by their start time
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      BusinessRepository.findAll.mockResolvedValue([
+        { ...businesses[0], businessName: 'Bakery & Co', updatedAt: new Date().toISOString() },
+        { ...businesses[1], updatedAt: '2020-01-01T00:00:00.000Z' },
+      ]);
+      KnowledgeRepository.findUpdatedSince.mockResolvedValue([
+        { ...knowledge.bakery_1[0], content: 'Open 8-6.' },
+        { knowledgeId: 'kb_4', businessId: 'cafe_2', type: 'text', content: 'Tea.' },
+      ]);
+      // kb_2 was deleted since the full backup
+      KnowledgeRepository.listKnowledgeIds.mockResolvedValue([
+        { knowledgeId: 'kb_1', businessId: 'bakery_1' },
+        { knowledgeId: 'kb_3', businessId: 'cafe_2' },
+        { knowledgeId: 'kb_4', businessId: 'cafe_2' },
+      ]);
+      vectorService.exportBusinessVectors.mockImplementation(businessId =>
+        Promise.resolve(
+          businessId === 'bakery_1'
+            ? [vector('kb_1', 'bakery_1')]
+            : [vector('kb_3', 'cafe_2'), vector('kb_4', 'cafe_2')]
+        )
+      );
+    });
+
+    test('should only hold what changed since the newest backup', async () => {
+      const result = await backupManager.createBackup('incremental', { includeEmbeddings: true });
+      const backup = await readBackup(result.filename);
+
+      expect(result.filename).toMatch(/^backup_incremental_/);
+      expect(KnowledgeRepository.findUpdatedSince).toHaveBeenCalledWith(
+        (await readBackup(full.filename)).metadata.timestamp
+      );
+      expect(backup.metadata).toMatchObject({ type: 'incremental', baseBackup: full.filename });
+      expect(backup.data.businesses.map(business => business.businessId)).toEqual(['bakery_1']);
+      expect(backup.data.vectors.cafe_2).toEqual([vector('kb_4', 'cafe_2')]);
+      expect(result.recordCount).toEqual({ businesses: 1, knowledge: 2, vectors: 2 });
+    });
+
+    test('should make a full backup when there is nothing to build on', async () => {
+      await fs.rm(backupDir, { recursive: true, force: true });
+
+      const result = await backupManager.createBackup('incremental');
+
+      expect(result.filename).toMatch(/^backup_full_/);
+      expect(KnowledgeRepository.findUpdatedSince).not.toHaveBeenCalled();
+    });
+
+    test('should restore together with the backups it builds on', async () => {
+      const incremental = await backupManager.createBackup('incremental', {
+        includeEmbeddings: true,
+      });
+      BusinessRepository.findAll.mockResolvedValue([]);
+      KnowledgeRepository.findByKnowledgeId.mockResolvedValue(null);
+      KnowledgeRepository.countByBusinessId.mockResolvedValue(0);
+
+      const result = await backupManager.restoreBackup(incremental.filename);
+
+      expect(result.results.businesses.created).toBe(2);
+      expect(BusinessRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ businessId: 'bakery_1', businessName: 'Bakery & Co' })
+      );
+      expect(KnowledgeRepository.create.mock.calls.map(call => call[0].knowledgeId)).toEqual([
+        'kb_1',
+        'kb_3',
+        'kb_4',
+      ]);
+      expect(KnowledgeRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ knowledgeId: 'kb_1', content: 'Open 8-6.' })
+      );
+      expect(vectorService.importVectors).toHaveBeenCalledWith('cafe_2', [
+        vector('kb_4', 'cafe_2'),
+      ]);
+      expect(result.results.vectors).toMatchObject({ imported: 3, reembedded: 0 });
+    });
+
+    test('should fail when a backup it builds on is gone', async () => {
+      const incremental = await backupManager.createBackup('incremental');
+      await fs.unlink(path.join(backupDir, full.filename));
+
+      const result = await backupManager.restoreBackup(incremental.filename);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain(`Cannot read ${full.filename}`);
+    });
+  });
+
+  describe('cleanupOldBackups', () => {
+    test('should keep expired backups that a retained incremental backup builds on', async () => {
+      const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const backup = (filename, created, baseBackup) => ({
+        filename,
+        created,
+        compressed: true,
+        metadata: { baseBackup },
+      });
+      jest
+        .spyOn(backupManager, 'listBackups')
+        .mockResolvedValue([
+          backup('backup_incremental_3.json.gz', daysAgo(1), 'backup_incremental_2.json.gz'),
+          backup('backup_incremental_2.json.gz', daysAgo(40), 'backup_full_1.json.gz'),
+          backup('backup_full_1.json.gz', daysAgo(50)),
+          backup('backup_full_0.json.gz', daysAgo(60)),
+        ]);
+      const deleted = jest.spyOn(backupManager.storage, 'delete').mockResolvedValue();
+
+      await backupManager.cleanupOldBackups();
+
+      expect(deleted.mock.calls.map(call => call[0])).toEqual([
+        'backup_full_0.json.gz',
+        'backup_full_0.manifest.json',
+      ]);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    let filename;
+
+    beforeEach(async () => {
+      ({ filename } = await backupManager.createBackup('full', { includeEmbeddings: true }));
+
+      BusinessRepository.findAll.mockResolvedValueOnce([]).mockResolvedValue(businesses);
+      KnowledgeRepository.findByKnowledgeId.mockResolvedValue(null);
+      KnowledgeRepository.create.mockResolvedValue({});
+      KnowledgeRepository.countByBusinessId.mockImplementation(businessId =>
+        Promise.resolve(knowledge[businessId].length)
+      );
+      vectorService.countBusinessVectors.mockImplementation(businessId =>
+        Promise.resolve(knowledge[businessId].length)
+      );
+    });
+
+    test('should restore businesses of any status and import the embeddings', async () => {
+      const result = await backupManager.restoreBackup(filename);
+
+      expect(result.results).toEqual({
+        businesses: { created: 2, skipped: 0, errors: 0 },
+        knowledge: { created: 3, skipped: 0, errors: 0 },
+        vectors: { imported: 3, reembedded: 0, missing: 0, errors: 0 },
+      });
+      expect(BusinessRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ businessId: 'cafe_2', status: 'suspended' })
+      );
+      expect(vectorService.importVectors).toHaveBeenCalledWith('cafe_2', [
+        vector('kb_3', 'cafe_2'),
+      ]);
+      expect(result.verification).toEqual({ passed: true, mismatches: [] });
+    });
+
+    test('should re-embed from content when the embedding model changed', async () => {
+      const reindexEntry = jest.spyOn(reindexService, 'reindexEntry').mockResolvedValue(true);
+      vectorService.embeddingModel = 'text-embedding-3-large';
+
+      try {
+        const result = await backupManager.restoreBackup(filename);
+
+        expect(vectorService.importVectors).not.toHaveBeenCalled();
+        expect(reindexEntry).toHaveBeenCalledWith(
+          expect.objectContaining({ knowledgeId: 'kb_1', content: 'Open 9-5.' })
+        );
+        expect(result.results.vectors).toMatchObject({ imported: 0, reembedded: 3 });
+      } finally {
+        vectorService.embeddingModel = 'text-embedding-3-small';
+      }
+    });
+
+    test('should report data that is still missing after the restore', async () => {
+      vectorService.countBusinessVectors.mockResolvedValue(0);
+      KnowledgeRepository.countByBusinessId.mockResolvedValue(1);
+
+      const result = await backupManager.restoreBackup(filename);
+
+      expect(result.verification.passed).toBe(false);
+      expect(result.verification.mismatches).toContainEqual({
+        businessId: 'bakery_1',
+        type: 'knowledge',
+        expected: 2,
+        found: 1,
+      });
+      expect(result.verification.mismatches).toContainEqual({
+        businessId: 'cafe_2',
+        type: 'vectors',
+        expected: 1,
+        found: 0,
+      });
+    });
+
+    test('should refuse a backup that fails its checksum', async () => {
+      await fs.appendFile(path.join(backupDir, filename), 'x');
+
+      const result = await backupManager.restoreBackup(filename);
+
+      expect(result).toEqual({
+        success: false,
+        error: expect.stringContaining('Checksum mismatch'),
+      });
+      expect(BusinessRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should not write anything in a dry run', async () => {
+      const result = await backupManager.restoreBackup(filename, { dryRun: true });
+
+      expect(result.results.knowledge.created).toBe(3);
+      expect(KnowledgeRepository.create).not.toHaveBeenCalled();
+      expect(vectorService.importVectors).not.toHaveBeenCalled();
+      expect(result.verification).toBeNull();
+    });
+  });
+
+  describe('exportToSupabaseDump', () => {
+    test('should write a transactional SQL script to the backup storage', async () => {
+      const result = await backupManager.exportToSupabaseDump({ mode: 'upsert' });
+      const script = await fs.readFile(path.join(backupDir, result.filename), 'utf8');
+
+      expect(result).toMatchObject({
+        success: true,
+        filename: expect.stringMatching(/^supabase_export_.+\.sql$/),
+        mode: 'upsert',
+        copy: false,
+        rowCount: 5,
+      });
+      expect(script).toMatch(/-- Schema version: \d{3}_\w+/);
+      expect(script).toContain("'Recovered text.'");
+      expect(script).toContain('ON CONFLICT ("knowledge_id") DO UPDATE SET');
+      expect(script.trim().endsWith('COMMIT;')).toBe(true);
+    });
+  });
+});
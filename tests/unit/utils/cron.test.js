@@ -0,0 +1,60 @@
+const CronExpression = require('../../../src/utils/cron');
+
+describe('CronExpression', () => {
+  // Local time, like the expressions themselves
+  const at = (...parts) => new Date(...parts);
+
+  test('should find the next daily run', () => {
+    const cron = new CronExpression('0 2 * * *');
+
+    expect(cron.next(at(2024, 0, 1, 1, 30))).toEqual(at(2024, 0, 1, 2, 0));
+    expect(cron.next(at(2024, 0, 1, 2, 0))).toEqual(at(2024, 0, 2, 2, 0));
+  });
+
+  test('should support steps, ranges, lists and names', () => {
+    expect(new CronExpression('*/15 * * * *').next(at(2024, 0, 1, 10, 7))).toEqual(
+      at(2024, 0, 1, 10, 15)
+    );
+    expect(new CronExpression('0 9-17/4 * * *').next(at(2024, 0, 1, 13, 30))).toEqual(
+      at(2024, 0, 1, 17, 0)
+    );
+    // 2024-01-06 is a Saturday
+    expect(new CronExpression('30 8 * * mon,fri').next(at(2024, 0, 6, 12, 0))).toEqual(
+      at(2024, 0, 8, 8, 30)
+    );
+    expect(new CronExpression('0 0 1 jul *').next(at(2024, 0, 1))).toEqual(at(2024, 6, 1));
+  });
+
+  test('should run on either day when both day fields are set', () => {
+    // The 15th, or any Sunday
+    const cron = new CronExpression('0 0 15 * 0');
+
+    expect(cron.next(at(2024, 0, 2))).toEqual(at(2024, 0, 7));
+    expect(cron.next(at(2024, 0, 8))).toEqual(at(2024, 0, 14));
+    expect(cron.next(at(2024, 0, 14))).toEqual(at(2024, 0, 15));
+  });
+
+  test('should accept macros and 7 for Sunday', () => {
+    expect(new CronExpression('@daily').next(at(2024, 0, 1, 12))).toEqual(at(2024, 0, 2));
+    expect(new CronExpression('0 0 * * 7').next(at(2024, 0, 1))).toEqual(at(2024, 0, 7));
+  });
+
+  test('should find leap days', () => {
+    expect(new CronExpression('0 0 29 2 *').next(at(2024, 2, 1))).toEqual(at(2028, 1, 29));
+  });
+
+  test.each([
+    ['0 2 * *', 'expected 5 fields'],
+    ['60 * * * *', 'bad minute "60"'],
+    ['* * * foo *', 'bad month "foo"'],
+    ['*/0 * * * *', 'bad minute'],
+    ['5-1 * * * *', 'bad minute'],
+    ['1,,2 * * * *', 'bad minute'],
+  ])('should reject "%s"', (expression, message) => {
+    expect(() => new CronExpression(expression)).toThrow(message);
+  });
+
+  test('should report an expression that never matches', () => {
+    expect(() => new CronExpression('0 0 31 2 *').next(at(2024, 0, 1))).toThrow('never matches');
+  });
+});
@@ -0,0 +1,72 @@
+const FaqParser = require('../../../src/utils/faqParser');
+
+describe('FaqParser', () => {
+  test('should read CSV with a header row in any column order', () => {
+    const csv =
+      'Category,Answer,Question\nHours,9am to 6pm,When are you open?\nFood,Yes,Vegan options?\n';
+
+    expect(FaqParser.parse(csv, '.csv')).toEqual([
+      { row: 2, question: 'When are you open?', answer: '9am to 6pm' },
+      { row: 3, question: 'Vegan options?', answer: 'Yes' },
+    ]);
+  });
+
+  test('should read quoted CSV fields with commas, quotes and line breaks', () => {
+    const csv =
+      '\uFEFFquestion,answer\r\n' +
+      '"Do you deliver, and where?","Yes, within 5 miles.\r\nCall ""ahead"" for more."\r\n' +
+      '\r\n' +
+      'Parking?,Free after 6pm\r\n';
+
+    expect(FaqParser.parse(csv, '.csv')).toEqual([
+      {
+        row: 2,
+        question: 'Do you deliver, and where?',
+        answer: 'Yes, within 5 miles.\r\nCall "ahead" for more.',
+      },
+      { row: 5, question: 'Parking?', answer: 'Free after 6pm' },
+    ]);
+  });
+
+  test('should use the first two columns when there is no header', () => {
+    expect(FaqParser.parse('Do you take cards?;Yes - all major cards\nWifi?', '.csv')).toEqual([
+      { row: 1, question: 'Do you take cards?', answer: 'Yes - all major cards' },
+      { row: 2, question: 'Wifi?', answer: '' },
+    ]);
+  });
+
+  test('should read JSON objects and pairs', () => {
+    const json = JSON.stringify({
+      faqs: [
+        { Question: 'Open on Sundays?', Answer: 'No' },
+        ['Gift cards?', 'Yes, at the counter'],
+        { q: 'Pets?', a: 42 },
+        'not a pair',
+      ],
+    });
+
+    expect(FaqParser.parse(json, '.json')).toEqual([
+      { row: 1, question: 'Open on Sundays?', answer: 'No' },
+      { row: 2, question: 'Gift cards?', answer: 'Yes, at the counter' },
+      { row: 3, question: 'Pets?', answer: '' },
+      { row: 4, question: '', answer: '' },
+    ]);
+  });
+
+  test('should reject files without question/answer rows', () => {
+    expect(() => FaqParser.parse('{"faq": 1}', '.json')).toThrow('"faqs" array');
+    expect(() => FaqParser.parse('[{"question": ', '.json')).toThrow('Invalid JSON');
+    expect(() => FaqParser.parse('question,answer\n', '.csv')).toThrow(
+      'No question/answer rows found'
+    );
+    expect(() => FaqParser.parse('a,b\n"unclosed,c\n', '.csv')).toThrow(
+      'Unclosed quote in the row starting on line 2'
+    );
+  });
+
+  test('should recognise FAQ file extensions', () => {
+    expect(FaqParser.isFaqFile('.CSV')).toBe(true);
+    expect(FaqParser.isFaqFile('.json')).toBe(true);
+    expect(FaqParser.isFaqFile('.txt')).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+const MessageChunker = require('../../../src/utils/messageChunker');
+
+describe('MessageChunker', () => {
+  let chunks;
+  let chunker;
+
+  beforeEach(() => {
+    chunks = [];
+    chunker = new MessageChunker({
+      onChunk: chunk => {
+        chunks.push(chunk);
+        return Promise.resolve();
+      },
+      minChunkLength: 20,
+      maxChunkLength: 1600,
+    });
+  });
+
+  describe('streaming', () => {
+    test('should emit complete sentences as they arrive', async () => {
+      const tokens = ['We are open ', 'from 9am to 5pm', '. On Sundays we ', 'open at 10am', '.'];
+
+      for (const token of tokens) {
+        await chunker.push(token);
+      }
+      expect(chunks).toEqual(['We are open from 9am to 5pm.']);
+
+      await chunker.flush();
+      expect(chunks).toEqual(['We are open from 9am to 5pm.', 'On Sundays we open at 10am.']);
+    });
+
+    test('should join short sentences until the minimum length', async () => {
+      await chunker.push('Yes. We do. Pizza is served all day. ');
+
+      expect(chunks).toEqual(['Yes. We do. Pizza is served all day.']);
+    });
+
+    test('should not split on decimals inside a sentence', async () => {
+      await chunker.push('A large coffee costs $3.50 and a muffin is $2.');
+      await chunker.flush();
+
+      expect(chunks).toEqual(['A large coffee costs $3.50 and a muffin is $2.']);
+    });
+
+    test('should force a split when no sentence ends before the limit', async () => {
+      chunker = new MessageChunker({
+        onChunk: chunk => {
+          chunks.push(chunk);
+          return Promise.resolve();
+        },
+        minChunkLength: 20,
+        maxChunkLength: 30,
+      });
+
+      await chunker.push('one two three four five six seven eight nine ten');
+      await chunker.flush();
+
+      expect(chunks.every(chunk => chunk.length <= 30)).toBe(true);
+      expect(chunks.join(' ')).toBe('one two three four five six seven eight nine ten');
+    });
+
+    test('should deliver chunks in order even when sending is slow', async () => {
+      chunker = new MessageChunker({
+        onChunk: chunk =>
+          new Promise(resolve =>
+            setTimeout(
+              () => {
+                chunks.push(chunk);
+                resolve();
+              },
+              chunk.startsWith('First') ? 20 : 0
+            )
+          ),
+        minChunkLength: 5,
+      });
+
+      await chunker.push('First sentence here. ');
+      await chunker.push('Second sentence here. ');
+      await chunker.flush();
+
+      expect(chunks).toEqual(['First sentence here.', 'Second sentence here.']);
+    });
+
+    test('should never exceed the Twilio message limit', () => {
+      const limited = new MessageChunker({ onChunk: jest.fn(), maxChunkLength: 5000 });
+
+      expect(limited.maxChunkLength).toBe(MessageChunker.TWILIO_MAX_MESSAGE_LENGTH);
+    });
+  });
+
+  describe('split', () => {
+    test('should keep short messages whole', () => {
+      expect(MessageChunker.split('Hello there.')).toEqual(['Hello there.']);
+    });
+
+    test('should split long messages at sentence boundaries', () => {
+      const sentence = 'This sentence is exactly fifty characters long!!. ';
+      const text = sentence.repeat(40).trim();
+
+      const parts = MessageChunker.split(text, 1600);
+
+      expect(parts.length).toBe(2);
+      expect(parts.every(part => part.length <= 1600)).toBe(true);
+      expect(parts[0].endsWith('.')).toBe(true);
+    });
+  });
+});
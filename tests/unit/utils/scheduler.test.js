@@ -0,0 +1,104 @@
+const ScheduledJobRepository = require('../../../src/repositories/ScheduledJobRepository');
+const scheduler = require('../../../src/utils/scheduler');
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 0, 1, 1, 59, 30));
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('should run a job at its cron times and report the next run', async () => {
+    const task = jest.fn().mockResolvedValue(undefined);
+
+    scheduler.schedule('backup-full', '0 2 * * *', task);
+    expect(scheduler.getJobs('backup-')).toEqual([
+      expect.objectContaining({
+        name: 'backup-full',
+        schedule: '0 2 * * *',
+        nextRun: new Date(2024, 0, 1, 2, 0),
+        lastRun: null,
+      }),
+    ]);
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(task).toHaveBeenCalledWith({ scheduledFor: new Date(2024, 0, 1, 2, 0) });
+    expect(ScheduledJobRepository.claimRun).toHaveBeenCalledWith(
+      'backup-full',
+      'test-instance',
+      new Date(2024, 0, 1, 2, 0),
+      60000
+    );
+    expect(ScheduledJobRepository.finishRun).toHaveBeenCalledWith('backup-full', 'test-instance', {
+      status: 'succeeded',
+      error: null,
+    });
+    expect(scheduler.getJobs()[0]).toMatchObject({
+      nextRun: new Date(2024, 0, 2, 2, 0),
+      lastStatus: 'succeeded',
+      running: false,
+    });
+  });
+
+  test('should skip a run while the previous one is still going', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => (finish = resolve)));
+
+    scheduler.schedule('report', '* * * * *', task, { singleRunner: false });
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.getJobs()[0]).toMatchObject({ running: true, skippedRuns: 1 });
+
+    finish();
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(ScheduledJobRepository.claimRun).not.toHaveBeenCalled();
+  });
+
+  test('should leave a run to the instance that claimed it', async () => {
+    ScheduledJobRepository.claimRun.mockResolvedValueOnce(false);
+    const task = jest.fn();
+
+    scheduler.schedule('backup-full', '0 2 * * *', task);
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(task).not.toHaveBeenCalled();
+    expect(ScheduledJobRepository.finishRun).not.toHaveBeenCalled();
+    expect(scheduler.getJobs()[0].skippedRuns).toBe(1);
+  });
+
+  test('should record a failed run and keep the schedule', async () => {
+    const task = jest.fn().mockRejectedValue(new Error('Storage unavailable'));
+
+    scheduler.schedule('backup-full', '0 2 * * *', task);
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(ScheduledJobRepository.finishRun).toHaveBeenCalledWith('backup-full', 'test-instance', {
+      status: 'failed',
+      error: 'Storage unavailable',
+    });
+    expect(scheduler.getJobs()[0]).toMatchObject({
+      lastStatus: 'failed',
+      lastError: 'Storage unavailable',
+      nextRun: new Date(2024, 0, 2, 2, 0),
+    });
+  });
+
+  test('should refuse an invalid schedule or a duplicate job name', () => {
+    expect(() => scheduler.schedule('bad', '0 25 * * *', jest.fn())).toThrow('bad hour');
+
+    scheduler.schedule('backup-full', '@daily', jest.fn());
+    expect(() => scheduler.schedule('backup-full', '@daily', jest.fn())).toThrow(
+      'already scheduled'
+    );
+  });
+});
@@ -0,0 +1,196 @@
+const SqlExportWriter = require('../../../src/utils/sqlExport');
+
+/**
+ * Reads back the rows of an INSERT ... VALUES statement the way Postgres lexes them
+ * (with standard_conforming_strings on), so a value that escapes its literal shows up
+ * as a wrong value or an extra token rather than passing silently.
+ */
+function parseInsertRows(statement) {
+  const start = statement.indexOf('VALUES\n') + 'VALUES\n'.length;
+  const rows = [];
+  let row = null;
+  let i = start;
+
+  while (i < statement.length) {
+    const char = statement[i];
+
+    if (char === '(') {
+      row = [];
+      i++;
+    } else if (char === ')') {
+      rows.push(row);
+      row = null;
+      i++;
+    } else if (row === null && !/[\s,]/.test(char)) {
+      // Past the last tuple: ON CONFLICT or the closing semicolon
+      return rows;
+    } else if (char === "'") {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= statement.length) {
+          throw new Error('Unterminated literal');
+        }
+        if (statement[i] === "'" && statement[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (statement[i] === "'") {
+          i++;
+          break;
+        } else {
+          value += statement[i++];
+        }
+      }
+      row.push(value);
+    } else if (/[\s,]/.test(char)) {
+      i++;
+    } else {
+      const token = statement.slice(i).match(/^[^\s,)]+/)[0];
+      const keywords = { NULL: null, TRUE: true, FALSE: false };
+      if (token in keywords) {
+        row.push(keywords[token]);
+      } else if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(token)) {
+        row.push(Number(token));
+      } else {
+        throw new Error(`Unexpected token ${token}`);
+      }
+      i += token.length;
+    }
+  }
+
+  throw new Error('Statement does not end');
+}
+
+/**
+ * Decodes the data lines of a COPY ... FROM stdin block (text format)
+ */
+function parseCopyRows(script) {
+  const lines = script.split('\n');
+  const start = lines.findIndex(line => line.endsWith('FROM stdin;')) + 1;
+  const end = lines.indexOf('\\.', start);
+  const unescape = { '\\\\': '\\', '\\t': '\t', '\\n': '\n', '\\r': '\r' };
+
+  return lines
+    .slice(start, end)
+    .map(line =>
+      line
+        .split('\t')
+        .map(field => (field === '\\N' ? null : field.replace(/\\[\\tnr]/g, m => unescape[m])))
+    );
+}
+
+describe('SqlExportWriter', () => {
+  const columns = ['id', 'content', 'metadata', 'count', 'active'];
+  const hostile = [
+    'It\'s Bob\'s "special" menu',
+    "'); DROP TABLE businesses; --",
+    'C:\\path\\to\\file \\N \\.',
+    'Line one\nLine two\r\n\tindented',
+    'Ünïcödé — 日本語 🍰🎉',
+    "\\'; SELECT 1; --",
+  ];
+  const rows = hostile.map((content, index) => ({
+    id: `kb_${index}`,
+    content,
+    metadata: { note: content, tags: ["a'b", 'c\\d'] },
+    count: index,
+    active: index % 2 === 0,
+  }));
+  rows.push({ id: 'kb_null', content: null, metadata: undefined, count: 1.5, active: false });
+
+  const expected = rows.map(row => [
+    row.id,
+    row.content,
+    row.metadata === undefined ? null : JSON.stringify(row.metadata),
+    row.count,
+    row.active,
+  ]);
+
+  const build = options =>
+    new SqlExportWriter({ schemaVersion: '007_scheduled_jobs', ...options })
+      .addTable({ name: 'knowledge_entries', columns, conflictColumns: ['id'], rows })
+      .toString();
+
+  test('should round-trip hostile values through INSERT literals', () => {
+    const script = build();
+    const statement = script.slice(script.indexOf('INSERT INTO'));
+
+    expect(parseInsertRows(statement)).toEqual(expected);
+    expect(script).not.toContain('ON CONFLICT');
+  });
+
+  test('should round-trip hostile values through COPY text', () => {
+    const script = build({ copy: true });
+    const decoded = parseCopyRows(script).map(row => [
+      row[0],
+      row[1],
+      row[2],
+      row[3] === null ? null : Number(row[3]),
+      row[4] === null ? null : row[4] === 't',
+    ]);
+
+    expect(script).toContain(
+      'COPY "knowledge_entries" ("id", "content", "metadata", "count", "active") FROM stdin;'
+    );
+    expect(decoded).toEqual(expected);
+  });
+
+  test('should load everything in one transaction and record the schema version', () => {
+    const script = build();
+    const lines = script.trim().split('\n');
+
+    expect(script).toContain('-- Schema version: 007_scheduled_jobs');
+    expect(script).toContain('SET standard_conforming_strings = on;');
+    expect(lines.filter(line => line === 'BEGIN;')).toHaveLength(1);
+    expect(lines[lines.length - 1]).toBe('COMMIT;');
+    expect(script.indexOf('BEGIN;')).toBeLessThan(script.indexOf('INSERT INTO'));
+  });
+
+  test('should skip existing rows in skip mode', () => {
+    expect(build({ mode: 'skip' })).toContain('ON CONFLICT ("id") DO NOTHING;');
+  });
+
+  test('should overwrite existing rows in upsert mode', () => {
+    expect(build({ mode: 'upsert' })).toContain(
+      'ON CONFLICT ("id") DO UPDATE SET "content" = EXCLUDED."content", ' +
+        '"metadata" = EXCLUDED."metadata", "count" = EXCLUDED."count", "active" = EXCLUDED."active";'
+    );
+  });
+
+  test('should stage COPY rows when conflicts must be handled', () => {
+    const script = build({ mode: 'upsert', copy: true });
+
+    expect(script).toContain(
+      'CREATE TEMP TABLE "import_knowledge_entries" (LIKE "knowledge_entries" INCLUDING DEFAULTS) ON COMMIT DROP;'
+    );
+    expect(script).toContain('COPY "import_knowledge_entries"');
+    expect(script).toContain(
+      'INSERT INTO "knowledge_entries" ("id", "content", "metadata", "count", "active")\n' +
+        'SELECT "id", "content", "metadata", "count", "active" FROM "import_knowledge_entries"\n' +
+        'ON CONFLICT ("id") DO UPDATE SET'
+    );
+  });
+
+  test('should split large tables into batches of INSERTs', () => {
+    const many = Array.from({ length: 250 }, (_, index) => ({ id: `kb_${index}` }));
+    const writer = new SqlExportWriter().addTable({
+      name: 'knowledge_entries',
+      columns: ['id'],
+      conflictColumns: ['id'],
+      rows: many,
+    });
+
+    expect(writer.toString().match(/INSERT INTO/g)).toHaveLength(3);
+    expect(writer.rowCount).toBe(250);
+  });
+
+  test('should quote identifiers', () => {
+    expect(SqlExportWriter.quoteIdentifier('odd"name')).toBe('"odd""name"');
+  });
+
+  test('should refuse values Postgres cannot hold', () => {
+    expect(() => SqlExportWriter.quoteLiteral('a\u0000b')).toThrow('NUL');
+    expect(() => SqlExportWriter.copyField(NaN)).toThrow('non-finite');
+    expect(() => new SqlExportWriter({ mode: 'merge' })).toThrow('Unknown SQL export mode');
+  });
+});